@@ -1,18 +1,31 @@
-import React from 'react'
+import React, { lazy, Suspense } from 'react'
 import { RouterProvider } from 'react-router-dom'
 import { AuthProvider } from './contexts/AuthContext'
 import ErrorBoundary from './components/common/ErrorBoundary'
 import { NetworkStatusBanner } from './components/common/NetworkErrorHandler'
+import OfflineOutbox from './components/common/OfflineOutbox'
+import ServiceStatusBanner from './components/common/ServiceStatusBanner'
 import { router } from './router'
+import { FEATURE_FLAGS } from './utils/constants'
 import './styles/globals.css'
 import './styles/animations.css'
 
+// Debug tooling is only downloaded when debug mode is on
+const DebugDrawer = FEATURE_FLAGS.ENABLE_DEBUG_MODE ? lazy(() => import('./components/debug/DebugDrawer')) : null
+
 function App() {
   return (
     <ErrorBoundary>
       <NetworkStatusBanner />
+      <ServiceStatusBanner />
       <AuthProvider>
         <RouterProvider router={router} />
+        <OfflineOutbox />
+        {DebugDrawer && (
+          <Suspense fallback={null}>
+            <DebugDrawer />
+          </Suspense>
+        )}
       </AuthProvider>
     </ErrorBoundary>
   )
@@ -1,13 +1,17 @@
-import axiosInstance from './axiosConfig'
+import BaseClient from './baseClient'
 import { API_ENDPOINTS } from '../utils/constants'
+import { mapKycDocuments, mapKycReview, mapUser, mapUserPage, mapUserStats, mapUsers } from './mappers'
 
 /**
  * Admin API Client
- * Handles all admin-related API calls to the auth service
+ * Handles all admin-related API calls to the auth service.
+ * Requests are authorised by the user's bearer token and role; no API key is
+ * sent from the browser. In development, VITE_ADMIN_PROXY_PATH routes calls
+ * through the dev server proxy, which can add a key server-side.
  */
-class AdminClient {
+class AdminClient extends BaseClient {
   constructor() {
-    this.baseURL = API_ENDPOINTS.AUTH + '/admin'
+    super((import.meta.env.DEV && import.meta.env.VITE_ADMIN_PROXY_PATH) || API_ENDPOINTS.AUTH + '/admin')
   }
 
   /**
@@ -19,9 +23,11 @@ class AdminClient {
    * @param {boolean} params.profileCompleted - Filter by profile completion status
    * @param {string} params.kycStatus - Filter by KYC status (not_submitted, pending, approved, rejected)
    * @param {string} params.search - Search in full_name, email, or phone
-   * @returns {Promise<Object>} Paginated list of users
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @returns {Promise<import('./mappers').UserPage>} Paginated list of users
    */
-  async getUsers(params = {}) {
+  async getUsers(params = {}, { signal } = {}) {
     try {
       const queryParams = new URLSearchParams()
       
@@ -50,14 +56,10 @@ class AdminClient {
       }
 
       const queryString = queryParams.toString()
-      const url = queryString ? `${this.baseURL}/users?${queryString}` : `${this.baseURL}/users`
+      const path = queryString ? `/users?${queryString}` : '/users'
       
-      const response = await axiosInstance.get(url, {
-        headers: {
-          'x-api-key': import.meta.env.VITE_ADMIN_API_KEY
-        }
-      })
-      return response.data
+      const response = await this.get(path, { signal })
+      return mapUserPage(response.data)
     } catch (error) {
       throw error
     }
@@ -66,16 +68,14 @@ class AdminClient {
   /**
    * Get user by ID
    * @param {string} userId - User ID
-   * @returns {Promise<Object>} User details
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @returns {Promise<import('./mappers').User>} User details
    */
-  async getUser(userId) {
+  async getUser(userId, { signal } = {}) {
     try {
-      const response = await axiosInstance.get(`${this.baseURL}/users/${userId}`, {
-        headers: {
-          'x-api-key': import.meta.env.VITE_ADMIN_API_KEY
-        }
-      })
-      return response.data
+      const response = await this.get(`/users/${userId}`, { signal })
+      return mapUser(response.data)
     } catch (error) {
       throw error
     }
@@ -83,16 +83,14 @@ class AdminClient {
 
   /**
    * Get user statistics
-   * @returns {Promise<Object>} User statistics
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @returns {Promise<import('./mappers').UserStats>} User statistics
    */
-  async getUserStats() {
+  async getUserStats({ signal } = {}) {
     try {
-      const response = await axiosInstance.get(`${this.baseURL}/users/stats`, {
-        headers: {
-          'x-api-key': import.meta.env.VITE_ADMIN_API_KEY
-        }
-      })
-      return response.data
+      const response = await this.get('/users/stats', { signal })
+      return mapUserStats(response.data)
     } catch (error) {
       throw error
     }
@@ -100,16 +98,14 @@ class AdminClient {
 
   /**
    * Get pending KYC requests
-   * @returns {Promise<Object[]>} Array of users with pending KYC
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @returns {Promise<import('./mappers').User[]>} Array of users with pending KYC
    */
-  async getPendingKYC() {
+  async getPendingKYC({ signal } = {}) {
     try {
-      const response = await axiosInstance.get(`${this.baseURL}/kyc/pending`, {
-        headers: {
-          'x-api-key': import.meta.env.VITE_ADMIN_API_KEY
-        }
-      })
-      return response.data
+      const response = await this.get('/kyc/pending', { signal })
+      return mapUsers(response.data)
     } catch (error) {
       throw error
     }
@@ -122,21 +118,17 @@ class AdminClient {
    * @param {string} reviewData.action - 'approve' or 'reject'
    * @param {string} reviewData.reviewer - Reviewer identifier
    * @param {string} reviewData.rejectionReason - Reason for rejection (required if action is reject)
-   * @returns {Promise<Object>} Review response
+   * @returns {Promise<{ message: string, user: import('./mappers').User|null }>} Review response
    */
   async reviewKYC(reviewData) {
     try {
-      const response = await axiosInstance.post(`${this.baseURL}/kyc/review`, {
+      const response = await this.post('/kyc/review', {
         user_id: reviewData.userId,
         action: reviewData.action,
         reviewer: reviewData.reviewer,
         rejection_reason: reviewData.rejectionReason
-      }, {
-        headers: {
-          'x-api-key': import.meta.env.VITE_ADMIN_API_KEY
-        }
       })
-      return response.data
+      return mapKycReview(response.data)
     } catch (error) {
       throw error
     }
@@ -145,16 +137,14 @@ class AdminClient {
   /**
    * Get KYC document URLs for viewing
    * @param {string} userId - User ID
-   * @returns {Promise<Object>} Document URLs
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @returns {Promise<{ userId: string|null, documents: import('./mappers').KycDocument[] }>} Document URLs
    */
-  async getKYCDocuments(userId) {
+  async getKYCDocuments(userId, { signal } = {}) {
     try {
-      const response = await axiosInstance.get(`${this.baseURL}/kyc/${userId}/documents`, {
-        headers: {
-          'x-api-key': import.meta.env.VITE_ADMIN_API_KEY
-        }
-      })
-      return response.data
+      const response = await this.get(`/kyc/${userId}/documents`, { signal })
+      return mapKycDocuments(response.data)
     } catch (error) {
       throw error
     }
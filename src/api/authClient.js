@@ -1,13 +1,26 @@
-import axiosInstance, { setTokens, clearTokens } from './axiosConfig'
+import BaseClient from './baseClient'
+import { setTokens, clearTokens } from './axiosConfig'
 import { API_ENDPOINTS } from '../utils/constants'
+import {
+  mapAuthResponse,
+  mapBackupCodes,
+  mapKycSubmission,
+  mapPasskey,
+  mapPasskeys,
+  mapSessions,
+  mapTotpSetup,
+  mapUser,
+  toProfileRequest,
+  toRegisterRequest,
+} from './mappers'
 
 /**
  * Auth Service API Client
  * Handles all authentication-related API calls
  */
-class AuthClient {
+class AuthClient extends BaseClient {
   constructor() {
-    this.baseURL = API_ENDPOINTS.AUTH
+    super(API_ENDPOINTS.AUTH, { healthURL: API_ENDPOINTS.HEALTH.AUTH })
   }
 
   /**
@@ -22,12 +35,8 @@ class AuthClient {
    */
   async register(userData) {
     try {
-      const response = await axiosInstance.post(`${this.baseURL}/register`, {
-        email: userData.email,
-        phone: userData.phone, // Phone is already formatted by the form
-        password: userData.password,
-        full_name: `${userData.firstName} ${userData.lastName}`.trim(),
-      })
+      // Phone is already formatted by the form
+      const response = await this.post('/register', toRegisterRequest(userData))
 
       return response.data
     } catch (error) {
@@ -42,49 +51,53 @@ class AuthClient {
    * @returns {Promise<Object>} Login response with tokens
    */
   async login(identifier, password) {
-  
+    const response = await this.post('/login', { identifier, password })
 
-    try {
-      const requestData = {
-        identifier,
-        password,
-      };
+    const { mfa_required, mfa_token, mfa_methods } = response.data
 
-     
-      const response = await axiosInstance.post(`${this.baseURL}/login`, requestData);
+    // Password accepted, but a second factor is needed before tokens are issued
+    if (mfa_required) {
+      return {
+        mfaRequired: true,
+        mfaToken: mfa_token,
+        mfaMethods: mfa_methods || ['totp'],
+      }
+    }
 
-  
+    const result = mapAuthResponse(response.data)
 
-      const { access_token, refresh_token, user } = response.data
+    // Store tokens
+    if (result.accessToken && result.refreshToken) {
+      setTokens(result.accessToken, result.refreshToken)
+    } else {
+      console.warn('Missing tokens in login response')
+    }
 
-   
+    return result
+  }
 
-      // Store tokens
-      if (access_token && refresh_token) {
-        setTokens(access_token, refresh_token)
-      } else {
-        console.warn('⚠️ Missing tokens in response');
-      }
+  /**
+   * Complete a login that requires two-factor authentication
+   * @param {string} mfaToken - Short-lived token from the mfa_required login response
+   * @param {string} code - 6-digit authenticator code or a backup code
+   * @param {Object} options - Challenge options
+   * @param {boolean} options.isBackupCode - Whether code is a backup code
+   * @returns {Promise<Object>} Login response with tokens
+   */
+  async verifyMfaLogin(mfaToken, code, { isBackupCode = false } = {}) {
+    const response = await this.post('/login/mfa', {
+      mfa_token: mfaToken,
+      code,
+      method: isBackupCode ? 'backup_code' : 'totp',
+    })
 
-      const result = {
-        accessToken: access_token,
-        refreshToken: refresh_token,
-        user,
-      };
+    const result = mapAuthResponse(response.data)
 
-      return result;
-    } catch (error) {
-      console.error('❌ AuthClient login error:', {
-        message: error.message,
-        status: error.response?.status,
-        statusText: error.response?.statusText,
-        url: error.config?.url,
-        method: error.config?.method,
-        data: error.response?.data,
-        stack: error.stack
-      });
-      throw error
+    if (result.accessToken && result.refreshToken) {
+      setTokens(result.accessToken, result.refreshToken)
     }
+
+    return result
   }
 
   /**
@@ -95,23 +108,19 @@ class AuthClient {
    */
   async verifyPhone(phone, otp) {
     try {
-      const response = await axiosInstance.post(`${this.baseURL}/verify-phone`, {
+      const response = await this.post('/verify-phone', {
         phone,
         otp,
       })
 
-      const { access_token, refresh_token, user } = response.data
+      const result = mapAuthResponse(response.data)
 
       // Store tokens if provided (in case verification completes authentication)
-      if (access_token && refresh_token) {
-        setTokens(access_token, refresh_token)
+      if (result.accessToken && result.refreshToken) {
+        setTokens(result.accessToken, result.refreshToken)
       }
 
-      return {
-        accessToken: access_token,
-        refreshToken: refresh_token,
-        user,
-      }
+      return result
     } catch (error) {
       throw error
     }
@@ -124,33 +133,78 @@ class AuthClient {
    */
   async resendOTP(phone) {
     try {
-      const response = await axiosInstance.post(`${this.baseURL}/resend-otp`, {
+      const response = await this.post('/resend-otp', {
         phone,
       })
 
-      return response.data
+      return mapKycSubmission(response.data)
     } catch (error) {
       throw error
     }
   }
 
+  /**
+   * Send an email verification code and link to the account email (requires authentication)
+   * @returns {Promise<Object>} Send response
+   */
+  async sendEmailVerification() {
+    const response = await this.post('/verify-email/send')
+    return response.data
+  }
+
+  /**
+   * Verify the account email with the code from the email, or the token from its link
+   * @param {Object} params - Exactly one of code or token
+   * @param {string} params.code - 6-digit code typed by the user
+   * @param {string} params.token - Token from the verification link
+   * @returns {Promise<import('./mappers').User>} Updated user
+   */
+  async verifyEmail({ code, token }) {
+    const response = await this.post('/verify-email', token ? { token } : { code })
+    return mapUser(response.data.user || response.data)
+  }
+
+  /**
+   * Start changing the account email or phone (requires authentication).
+   * The backend sends an OTP to the new address; the current one stays in effect until confirmed.
+   * @param {'email'|'phone'} channel - Which identifier to change
+   * @param {string} value - New email, or phone in E.164 format
+   * @returns {Promise<Object>} Change request response
+   */
+  async requestContactChange(channel, value) {
+    const response = await this.post(`/me/${channel}/change`, {
+      [channel]: value,
+    })
+    return response.data
+  }
+
+  /**
+   * Confirm an email or phone change with the OTP sent to the new address (requires authentication)
+   * @param {'email'|'phone'} channel - Which identifier is being changed
+   * @param {string} value - The new email or phone, as passed to requestContactChange
+   * @param {string} otp - One-time password
+   * @returns {Promise<import('./mappers').User>} Updated user
+   */
+  async confirmContactChange(channel, value, otp) {
+    const response = await this.post(`/me/${channel}/change/verify`, {
+      [channel]: value,
+      otp,
+    })
+    return mapUser(response.data.user || response.data)
+  }
+
   /**
    * Get user profile (requires authentication)
-   * @returns {Promise<Object>} User profile data
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @returns {Promise<import('./mappers').User>} User profile data
    */
-  async getProfile() {
+  async getProfile({ signal } = {}) {
     try {
-      const response = await axiosInstance.get(`${this.baseURL}/me`)
+      const response = await this.get('/me', { signal })
       
       // Handle different response structures
-      let userData = response.data
-      if (response.data.user) {
-        userData = response.data.user
-      } else if (response.data.data) {
-        userData = response.data.data
-      }
-      
-      return userData
+      return mapUser(response.data.user || response.data.data || response.data)
     } catch (error) {
       throw error
     }
@@ -161,38 +215,17 @@ class AuthClient {
    * @param {Object} profileData - Profile update data
    * @param {string} profileData.firstName - User first name (optional)
    * @param {string} profileData.lastName - User last name (optional)
-   * @param {string} profileData.date_of_birth - Date of birth in ISO format (optional)
+   * @param {string} profileData.dateOfBirth - Date of birth in ISO format (optional)
    * @param {string} profileData.country - User country (optional)
    * @param {string} profileData.city - User city (optional)
    * @param {string} profileData.address - User address (optional)
-   * @returns {Promise<Object>} Updated profile data
+   * @returns {Promise<import('./mappers').User>} Updated profile data
    */
   async updateProfile(profileData) {
     try {
-      const updateData = {};
-      
-      // Handle name fields
-      if (profileData.firstName || profileData.lastName) {
-        updateData.full_name = `${profileData.firstName || ''} ${profileData.lastName || ''}`.trim();
-      }
-      
-      // Handle profile completion fields
-      if (profileData.date_of_birth) {
-        updateData.date_of_birth = profileData.date_of_birth;
-      }
-      if (profileData.country) {
-        updateData.country = profileData.country;
-      }
-      if (profileData.city) {
-        updateData.city = profileData.city;
-      }
-      if (profileData.address) {
-        updateData.address = profileData.address;
-      }
+      const response = await this.put('/profile', toProfileRequest(profileData));
 
-      const response = await axiosInstance.put(`${this.baseURL}/profile`, updateData);
-
-      return response.data;
+      return mapUser(response.data.user || response.data);
     } catch (error) {
       throw error;
     }
@@ -201,7 +234,7 @@ class AuthClient {
   /**
    * Submit KYC documents (requires authentication)
    * @param {FileList|File[]} files - KYC document files
-   * @returns {Promise<Object>} KYC submission response
+   * @returns {Promise<{ message: string, kycStatus: string }>} KYC submission response
    */
   async submitKYC(files) {
     try {
@@ -220,7 +253,7 @@ class AuthClient {
         formData.append('documents', files)
       }
 
-      const response = await axiosInstance.post(`${this.baseURL}/kyc/submit`, formData, {
+      const response = await this.post('/kyc/submit', formData, {
         headers: {
           'Content-Type': 'multipart/form-data',
         },
@@ -239,7 +272,7 @@ class AuthClient {
   async logout() {
     try {
       // Optionally call logout endpoint on server
-      // await axiosInstance.post(`${this.baseURL}/logout`)
+      // await this.post('/logout')
       
       // Clear local tokens
       clearTokens()
@@ -259,7 +292,7 @@ class AuthClient {
    */
   async requestPasswordReset(email) {
     try {
-      const response = await axiosInstance.post(`${this.baseURL}/password-reset`, {
+      const response = await this.post('/password-reset', {
         email,
       })
 
@@ -269,6 +302,33 @@ class AuthClient {
     }
   }
 
+  /**
+   * Send an unlock code for an account locked after failed sign-ins.
+   * The code goes to the verified phone or email on the account, not to the identifier typed.
+   * @param {string} identifier - Email or phone used to sign in
+   * @returns {Promise<Object>} Response with the masked destination (`sent_to`)
+   */
+  async requestAccountUnlock(identifier) {
+    const response = await this.post('/unlock/request', {
+      identifier,
+    })
+    return response.data
+  }
+
+  /**
+   * Unlock a locked account with the code from requestAccountUnlock
+   * @param {string} identifier - Email or phone used to sign in
+   * @param {string} otp - One-time password
+   * @returns {Promise<Object>} Unlock response
+   */
+  async unlockAccount(identifier, otp) {
+    const response = await this.post('/unlock', {
+      identifier,
+      otp,
+    })
+    return response.data
+  }
+
   /**
    * Reset password with token
    * @param {string} token - Password reset token
@@ -277,7 +337,7 @@ class AuthClient {
    */
   async resetPassword(token, newPassword) {
     try {
-      const response = await axiosInstance.post(`${this.baseURL}/password-reset/confirm`, {
+      const response = await this.post('/password-reset/confirm', {
         token,
         new_password: newPassword,
       })
@@ -292,20 +352,193 @@ class AuthClient {
    * Change password (requires authentication)
    * @param {string} currentPassword - Current password
    * @param {string} newPassword - New password
-   * @returns {Promise<Object>} Password change response
+   * @param {Object} options - Change options
+   * @param {boolean} options.revokeOtherSessions - Sign out all other sessions (default: true)
+   * @returns {Promise<Object>} Password change response with rotated tokens if issued
    */
-  async changePassword(currentPassword, newPassword) {
+  async changePassword(currentPassword, newPassword, { revokeOtherSessions = true } = {}) {
     try {
-      const response = await axiosInstance.post(`${this.baseURL}/change-password`, {
+      const response = await this.post('/change-password', {
         current_password: currentPassword,
         new_password: newPassword,
+        revoke_other_sessions: revokeOtherSessions,
       })
 
-      return response.data
+      const { access_token, refresh_token } = response.data || {}
+
+      // The server rotates this session's tokens when other sessions are revoked
+      if (access_token && refresh_token) {
+        setTokens(access_token, refresh_token)
+      }
+
+      return {
+        ...response.data,
+        accessToken: access_token,
+        refreshToken: refresh_token,
+      }
     } catch (error) {
       throw error
     }
   }
+
+  /**
+   * Start TOTP enrolment (requires authentication)
+   * The secret is not active until confirmed with confirmTotpSetup.
+   * @returns {Promise<import('./mappers').TotpSetup>} Setup data: secret, otpauthUrl and qrCode (image data URI)
+   */
+  async startTotpSetup() {
+    const response = await this.post('/mfa/totp/setup')
+    return mapTotpSetup(response.data)
+  }
+
+  /**
+   * Confirm TOTP enrolment with a code from the authenticator app (requires authentication)
+   * @param {string} code - 6-digit authenticator code
+   * @returns {Promise<{ backupCodes: string[] }>} Confirmation response with backupCodes
+   */
+  async confirmTotpSetup(code) {
+    const response = await this.post('/mfa/totp/verify', {
+      code,
+    })
+    return mapBackupCodes(response.data)
+  }
+
+  /**
+   * Turn off TOTP two-factor authentication (requires authentication)
+   * @param {string} code - Current authenticator code or a backup code
+   * @returns {Promise<Object>} Disable response
+   */
+  async disableTotp(code) {
+    const response = await this.post('/mfa/totp/disable', {
+      code,
+    })
+    return response.data
+  }
+
+  /**
+   * Replace the backup codes; previous codes stop working (requires authentication)
+   * @param {string} code - Current authenticator code
+   * @returns {Promise<{ backupCodes: string[] }>} Response with the new backupCodes
+   */
+  async regenerateBackupCodes(code) {
+    const response = await this.post('/mfa/backup-codes', {
+      code,
+    })
+    return mapBackupCodes(response.data)
+  }
+
+  /**
+   * List the sessions signed in to this account (requires authentication)
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @returns {Promise<import('./mappers').Session[]>} Sessions with device, location, last activity and isCurrent
+   */
+  async getSessions({ signal } = {}) {
+    const response = await this.get('/sessions', { signal })
+    return mapSessions(response.data)
+  }
+
+  /**
+   * Sign out a single session (requires authentication)
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Revoke response
+   */
+  async revokeSession(sessionId) {
+    const response = await this.delete(`/sessions/${sessionId}`)
+    return response.data
+  }
+
+  /**
+   * Sign out every session (requires authentication)
+   * @param {Object} options - Revoke options
+   * @param {boolean} options.keepCurrent - Keep this session signed in (default: true)
+   * @returns {Promise<Object>} Revoke response with the number of sessions revoked
+   */
+  async revokeAllSessions({ keepCurrent = true } = {}) {
+    const response = await this.post('/sessions/revoke-all', {
+      keep_current: keepCurrent,
+    })
+    return response.data
+  }
+
+  /**
+   * Get WebAuthn options for adding a passkey (requires authentication)
+   * @returns {Promise<Object>} PublicKeyCredentialCreationOptions as JSON
+   */
+  async getPasskeyRegistrationOptions() {
+    const response = await this.post('/passkeys/register/options')
+    return response.data?.options || response.data
+  }
+
+  /**
+   * Save a newly created passkey (requires authentication)
+   * @param {Object} credential - Serialised credential from navigator.credentials.create
+   * @param {string} name - Label shown in the passkey list
+   * @returns {Promise<import('./mappers').Passkey>} The saved passkey
+   */
+  async registerPasskey(credential, name) {
+    const response = await this.post('/passkeys/register/verify', {
+      credential,
+      name,
+    })
+    return mapPasskey(response.data?.passkey || response.data)
+  }
+
+  /**
+   * List the passkeys on this account (requires authentication)
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @returns {Promise<import('./mappers').Passkey[]>} Passkeys with id, name, createdAt and lastUsedAt
+   */
+  async getPasskeys({ signal } = {}) {
+    const response = await this.get('/passkeys', { signal })
+    return mapPasskeys(response.data)
+  }
+
+  /**
+   * Remove a passkey (requires authentication)
+   * @param {string} passkeyId - Passkey ID
+   * @returns {Promise<Object>} Delete response
+   */
+  async deletePasskey(passkeyId) {
+    const response = await this.delete(`/passkeys/${passkeyId}`)
+    return response.data
+  }
+
+  /**
+   * Get WebAuthn options for signing in with a passkey
+   * @returns {Promise<Object>} { options, challengeId } - options are PublicKeyCredentialRequestOptions as JSON
+   */
+  async getPasskeyLoginOptions() {
+    const response = await this.post('/passkeys/login/options')
+    const { options, challenge_id } = response.data
+
+    return {
+      options: options || response.data,
+      challengeId: challenge_id,
+    }
+  }
+
+  /**
+   * Sign in with a passkey assertion
+   * @param {Object} credential - Serialised assertion from navigator.credentials.get
+   * @param {string} challengeId - Challenge ID from getPasskeyLoginOptions
+   * @returns {Promise<Object>} Login response with tokens
+   */
+  async loginWithPasskey(credential, challengeId) {
+    const response = await this.post('/passkeys/login/verify', {
+      credential,
+      challenge_id: challengeId,
+    })
+
+    const result = mapAuthResponse(response.data)
+
+    if (result.accessToken && result.refreshToken) {
+      setTokens(result.accessToken, result.refreshToken)
+    }
+
+    return result
+  }
 }
 
 // Export singleton instance
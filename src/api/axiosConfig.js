@@ -1,49 +1,88 @@
 import axios from 'axios'
-import { getStorageItem, setStorageItem, removeStorageItem } from '../utils/storage'
-import { STORAGE_KEYS, ERROR_MESSAGES } from '../utils/constants'
+import { ERROR_MESSAGES } from '../utils/constants'
+import tokenManager, { SESSION_END_REASONS } from './tokenManager'
+import { IDEMPOTENCY_HEADER } from './idempotency'
+import { abortableDelay } from './delay'
 
-/**
- * Get stored access token
- * @returns {string|null} Access token or null
- */
-export const getAccessToken = () => {
-  return getStorageItem(STORAGE_KEYS.ACCESS_TOKEN)
-}
+// Token storage lives in the token manager; re-exported for existing importers
+export {
+  getAccessToken,
+  getRefreshToken,
+  setTokens,
+  clearTokens,
+  isAuthenticated,
+} from './tokenManager'
 
 /**
- * Get stored refresh token
- * @returns {string|null} Refresh token or null
+ * Parse a Retry-After header into seconds
+ * @param {string|number} value - Delay in seconds or an HTTP date
+ * @param {number} now - Current time in ms (for testing)
+ * @returns {number|null} Whole seconds to wait, or null if absent/unparseable
  */
-export const getRefreshToken = () => {
-  return getStorageItem(STORAGE_KEYS.REFRESH_TOKEN)
-}
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === undefined || value === null || value === '') return null
 
-/**
- * Store authentication tokens
- * @param {string} accessToken - JWT access token
- * @param {string} refreshToken - JWT refresh token
- */
-export const setTokens = (accessToken, refreshToken) => {
-  setStorageItem(STORAGE_KEYS.ACCESS_TOKEN, accessToken)
-  setStorageItem(STORAGE_KEYS.REFRESH_TOKEN, refreshToken)
+  const seconds = Number(value)
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, Math.ceil(seconds))
+  }
+
+  const date = Date.parse(value)
+  if (Number.isNaN(date)) return null
+
+  return Math.max(0, Math.ceil((date - now) / 1000))
 }
 
+// Automatic retries for requests that are safe to repeat
+const MAX_RETRIES = 3
+const RETRY_BASE_DELAY = 500 // ms, doubled on every attempt
+const RETRY_MAX_DELAY = 8000 // ms
+const RETRYABLE_STATUSES = [502, 503]
+const SAFE_METHODS = ['get', 'head', 'options']
+
 /**
- * Clear stored authentication tokens
+ * Delay before a retry: exponential backoff with full jitter, so clients that
+ * failed together do not all retry at the same moment. A Retry-After from the
+ * server is honoured up to the maximum delay.
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {number|null} retryAfter - Seconds from a Retry-After header
+ * @param {Function} random - Random source in [0, 1) (for testing)
+ * @returns {number} Delay in ms
  */
-export const clearTokens = () => {
-  removeStorageItem(STORAGE_KEYS.ACCESS_TOKEN)
-  removeStorageItem(STORAGE_KEYS.REFRESH_TOKEN)
-  removeStorageItem(STORAGE_KEYS.USER_DATA)
+export const getRetryDelay = (attempt, retryAfter = null, random = Math.random) => {
+  if (retryAfter !== null && retryAfter !== undefined) {
+    return Math.min(retryAfter * 1000, RETRY_MAX_DELAY)
+  }
+
+  const ceiling = Math.min(RETRY_BASE_DELAY * 2 ** (attempt - 1), RETRY_MAX_DELAY)
+  return Math.round(random() * ceiling)
 }
 
 /**
- * Check if user is authenticated
- * @returns {boolean} Authentication status
+ * Whether a failed request should be retried automatically.
+ * Only reads (GET/HEAD/OPTIONS) and requests carrying an Idempotency-Key are
+ * repeated, and only for dropped connections and 502/503 responses.
+ * Set `retry: false` (or a number of attempts) on the request config to override.
+ * @param {Object} error - axios error
+ * @returns {boolean} True if the request may be sent again
  */
-export const isAuthenticated = () => {
-  const accessToken = getAccessToken()
-  return !!accessToken
+export const shouldRetryRequest = (error) => {
+  const config = error.config
+  if (!config || config.retry === false) return false
+
+  const maxRetries = typeof config.retry === 'number' ? config.retry : MAX_RETRIES
+  if ((config._retryCount || 0) >= maxRetries) return false
+
+  const method = (config.method || 'get').toLowerCase()
+  const isIdempotent = SAFE_METHODS.includes(method) || Boolean(config.headers?.[IDEMPOTENCY_HEADER])
+  if (!isIdempotent) return false
+
+  if (!error.response) {
+    // A timeout already waited the full request timeout; don't make the user wait again
+    return error.code !== 'ECONNABORTED'
+  }
+
+  return RETRYABLE_STATUSES.includes(error.response.status)
 }
 
 // Create base Axios instance
@@ -57,74 +96,10 @@ const axiosInstance = axios.create({
   maxRedirects: 5, // Allow some redirects
 })
 
-// Track if we're currently refreshing token to avoid multiple refresh attempts
-let isRefreshing = false
-let failedQueue = []
-
-/**
- * Process failed request queue after token refresh
- * @param {Error|null} error - Error if refresh failed
- * @param {string|null} token - New access token if refresh succeeded
- */
-const processQueue = (error, token = null) => {
-  failedQueue.forEach(({ resolve, reject }) => {
-    if (error) {
-      reject(error)
-    } else {
-      resolve(token)
-    }
-  })
-  
-  failedQueue = []
-}
-
-/**
- * Refresh access token using refresh token
- * @returns {Promise<string>} New access token
- */
-const refreshAccessToken = async () => {
-  const refreshToken = getRefreshToken()
-  
-  if (!refreshToken) {
-    throw new Error('No refresh token available')
-  }
-
-  try {
-    // Create a new axios instance for token refresh to avoid interceptor loops
-    const refreshInstance = axios.create({
-      timeout: 10000,
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    })
-
-    const response = await refreshInstance.post(`${import.meta.env.VITE_AUTH_SERVICE_URL}/refresh`, {
-      refresh_token: refreshToken,
-    })
-
-    const { access_token, refresh_token: newRefreshToken } = response.data
-    
-    // Store new tokens
-    setTokens(access_token, newRefreshToken || refreshToken)
-    
-    return access_token
-  } catch (error) {
-    // If refresh fails, clear tokens and redirect to login
-    clearTokens()
-    
-    // Redirect to login page
-    if (typeof window !== 'undefined') {
-      window.location.href = '/login'
-    }
-    
-    throw error
-  }
-}
-
 // Request interceptor to add Bearer token
 axiosInstance.interceptors.request.use(
   (config) => {
-    const token = getAccessToken()
+    const token = tokenManager.getAccessToken()
     
     if (token) {
       config.headers.Authorization = `Bearer ${token}`
@@ -145,6 +120,22 @@ axiosInstance.interceptors.response.use(
   async (error) => {
     const originalRequest = error.config
 
+    // Aborted requests are passed through untouched so callers can tell them apart
+    if (axios.isCancel(error)) {
+      return Promise.reject(error)
+    }
+
+    // Dropped connections and gateway errors are often momentary on mobile networks.
+    // The retry reuses the same config, so an Idempotency-Key header is sent again unchanged.
+    if (shouldRetryRequest(error)) {
+      originalRequest._retryCount = (originalRequest._retryCount || 0) + 1
+      const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after'])
+
+      // Wait before the retry, giving up early if the request is aborted meanwhile
+      await abortableDelay(getRetryDelay(originalRequest._retryCount, retryAfter), originalRequest.signal)
+      return axiosInstance(originalRequest)
+    }
+
     // Handle network errors
     if (!error.response) {
       // Check if it's a timeout error
@@ -184,52 +175,38 @@ axiosInstance.interceptors.response.use(
                           originalRequest.url?.includes('/register') ||
                           originalRequest.url?.includes('/refresh');
     
-    if (status === 401 && !originalRequest._retry && !isAuthEndpoint) {
-      if (isRefreshing) {
-        // If already refreshing, queue this request
-        return new Promise((resolve, reject) => {
-          failedQueue.push({ resolve, reject })
-        }).then((token) => {
-          originalRequest.headers.Authorization = `Bearer ${token}`
-          return axiosInstance(originalRequest)
-        }).catch((err) => {
-          return Promise.reject(err)
-        })
-      }
+    // A session revoked from another device cannot be refreshed - end it straight away
+    if (status === 401 && !isAuthEndpoint && tokenManager.isSessionRevokedError(error)) {
+      tokenManager.expireSession(SESSION_END_REASONS.REVOKED)
+
+      return Promise.reject({
+        message: ERROR_MESSAGES.UNAUTHORIZED,
+        type: 'unauthorized',
+        status: 401,
+        data: error.response.data,
+        originalError: error,
+      })
+    }
 
+    if (status === 401 && !originalRequest._retry && !isAuthEndpoint) {
       originalRequest._retry = true
-      isRefreshing = true
 
       try {
-        const newToken = await refreshAccessToken()
-        processQueue(null, newToken)
+        // Concurrent 401s share one refresh and are retried once it resolves
+        const newToken = await tokenManager.refreshTokens()
         
         // Retry original request with new token
         originalRequest.headers.Authorization = `Bearer ${newToken}`
         return axiosInstance(originalRequest)
       } catch (refreshError) {
-        processQueue(refreshError, null)
-        
-        // Clear tokens and redirect to login
-        clearTokens()
-        
-        // Only redirect if we're not currently on the login page or in the middle of login
-        if (typeof window !== 'undefined' && 
-            !window.location.pathname.includes('/login') && 
-            !window.loginInProgress) {
-          window.location.href = '/login'
-        } else {
-          console.error('⏸️ Skipping redirect - already on login page or login in progress');
-        }
-        
+        // The token manager has already expired the session if the refresh token was rejected;
+        // the app shows a re-login prompt instead of reloading the page
         return Promise.reject({
           message: ERROR_MESSAGES.UNAUTHORIZED,
           type: 'unauthorized',
           status: 401,
-          originalError: error,
+          originalError: refreshError,
         })
-      } finally {
-        isRefreshing = false
       }
     }
 
@@ -250,19 +227,25 @@ axiosInstance.interceptors.response.use(
       case 403:
         errorMessage = ERROR_MESSAGES.FORBIDDEN
         errorType = 'forbidden'
-        // For 403 errors, also clear tokens as the user may not have valid permissions
-        if (typeof window !== 'undefined') {
-          clearTokens()
-        }
+        // A 403 means the token is valid but lacks the role for this resource
+        // (e.g. admin endpoints), so the session is kept
         break
       case 404:
         errorMessage = ERROR_MESSAGES.NOT_FOUND
         errorType = 'not_found'
         break
+      case 423:
+        errorMessage = error.response.data?.detail || error.response.data?.message || ERROR_MESSAGES.ACCOUNT_LOCKED
+        errorType = 'locked'
+        break
       case 422:
         errorMessage = error.response.data?.message || ERROR_MESSAGES.VALIDATION
         errorType = 'validation'
         break
+      case 429:
+        errorMessage = ERROR_MESSAGES.RATE_LIMITED
+        errorType = 'rate_limited'
+        break
       case 500:
       case 502:
       case 503:
@@ -281,6 +264,8 @@ axiosInstance.interceptors.response.use(
       type: errorType,
       status,
       data: error.response.data,
+      // Seconds to wait before retrying, sent with 429/423/503 responses
+      retryAfter: parseRetryAfter(error.response.headers?.['retry-after']),
       originalError: error,
     })
   }
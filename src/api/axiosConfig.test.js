@@ -0,0 +1,83 @@
+import { describe, it, expect, vi } from 'vitest'
+import { AxiosError } from 'axios'
+import axiosInstance, { parseRetryAfter, getRetryDelay, shouldRetryRequest } from './axiosConfig'
+
+describe('parseRetryAfter', () => {
+  it('accepts a delay in seconds', () => {
+    expect(parseRetryAfter('30')).toBe(30)
+    expect(parseRetryAfter(2.5)).toBe(3)
+  })
+
+  it('accepts an HTTP date', () => {
+    const now = Date.parse('2025-01-01T00:00:00Z')
+    expect(parseRetryAfter('Wed, 01 Jan 2025 00:01:30 GMT', now)).toBe(90)
+    expect(parseRetryAfter('Tue, 31 Dec 2024 23:59:00 GMT', now)).toBe(0)
+  })
+
+  it('ignores missing or unparseable values', () => {
+    expect(parseRetryAfter(undefined)).toBeNull()
+    expect(parseRetryAfter('')).toBeNull()
+    expect(parseRetryAfter('soon')).toBeNull()
+  })
+})
+
+describe('getRetryDelay', () => {
+  it('backs off exponentially with full jitter', () => {
+    expect(getRetryDelay(1, null, () => 0.999)).toBe(500)
+    expect(getRetryDelay(3, null, () => 0.999)).toBe(1998)
+    expect(getRetryDelay(3, null, () => 0)).toBe(0)
+    expect(getRetryDelay(10, null, () => 0.999)).toBe(7992)
+  })
+
+  it('honours Retry-After up to the maximum delay', () => {
+    expect(getRetryDelay(1, 2)).toBe(2000)
+    expect(getRetryDelay(1, 120)).toBe(8000)
+  })
+})
+
+describe('shouldRetryRequest', () => {
+  const networkError = (config) => ({ config, message: 'Network Error' })
+  const httpError = (config, status) => ({ config, response: { status } })
+
+  it('retries reads on dropped connections and gateway errors', () => {
+    expect(shouldRetryRequest(networkError({ method: 'get' }))).toBe(true)
+    expect(shouldRetryRequest(httpError({ method: 'get' }, 502))).toBe(true)
+    expect(shouldRetryRequest(httpError({ method: 'get' }, 503))).toBe(true)
+    expect(shouldRetryRequest(httpError({ method: 'get' }, 500))).toBe(false)
+    expect(shouldRetryRequest({ config: { method: 'get' }, code: 'ECONNABORTED' })).toBe(false)
+  })
+
+  it('only retries writes that carry an idempotency key', () => {
+    expect(shouldRetryRequest(networkError({ method: 'post', headers: {} }))).toBe(false)
+    expect(shouldRetryRequest(networkError({ method: 'post', headers: { 'Idempotency-Key': 'abc' } }))).toBe(true)
+  })
+
+  it('stops after the configured number of attempts', () => {
+    expect(shouldRetryRequest(networkError({ method: 'get', _retryCount: 3 }))).toBe(false)
+    expect(shouldRetryRequest(networkError({ method: 'get', retry: false }))).toBe(false)
+    expect(shouldRetryRequest(networkError({ method: 'get', retry: 1, _retryCount: 1 }))).toBe(false)
+  })
+})
+
+describe('axiosInstance retries', () => {
+  it('resends a write with the same idempotency key after a dropped connection', async () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0)
+    const sentKeys = []
+    const adapter = vi.fn(async (config) => {
+      sentKeys.push(config.headers['Idempotency-Key'])
+      if (sentKeys.length === 1) {
+        throw new AxiosError('Network Error', AxiosError.ERR_NETWORK, config)
+      }
+      return { data: { id: 'w1' }, status: 201, statusText: 'Created', headers: {}, config }
+    })
+
+    const response = await axiosInstance.post('/portfolio/withdrawals', { amount: 100 }, {
+      adapter,
+      headers: { 'Idempotency-Key': 'key-1' },
+    })
+
+    expect(response.data).toEqual({ id: 'w1' })
+    expect(sentKeys).toEqual(['key-1', 'key-1'])
+    vi.restoreAllMocks()
+  })
+})
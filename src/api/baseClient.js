@@ -0,0 +1,86 @@
+import axios from 'axios'
+import axiosInstance from './axiosConfig'
+import { HEALTH_CHECK_CONFIG } from '../utils/constants'
+import { mapServiceHealth } from './mappers'
+
+/**
+ * Check whether a request failed only because it was cancelled
+ * (its AbortSignal fired), so callers can ignore it instead of showing an error
+ * @param {Object} error - Error from a client method
+ * @returns {boolean} True if the request was aborted
+ */
+export const isRequestCancelled = (error) => {
+  return axios.isCancel(error) || error?.name === 'CanceledError' || error?.code === 'ERR_CANCELED'
+}
+
+/**
+ * Shared base for the service API clients.
+ * Resolves paths against the client's baseURL and sends them through the shared
+ * axios instance (auth header, token refresh, error normalisation).
+ * Every method takes an axios request config, so callers can pass
+ * `{ signal }` from an AbortController to cancel a request.
+ */
+class BaseClient {
+  /**
+   * @param {string} baseURL - Service base URL; paths are appended to it
+   * @param {Object} options - Client options
+   * @param {string} options.healthURL - Full health check URL; defaults to /health on the service
+   */
+  constructor(baseURL, { healthURL } = {}) {
+    this.baseURL = baseURL
+    this.healthURL = healthURL || this.url('/health')
+  }
+
+  /**
+   * Build the full URL for a path on this service
+   * @param {string} path - Path starting with '/', or '' for the base URL itself
+   * @returns {string} Full URL
+   */
+  url(path = '') {
+    const base = this.baseURL.endsWith('/') ? this.baseURL.slice(0, -1) : this.baseURL
+    return `${base}${path}`
+  }
+
+  /**
+   * @param {string} path - Path on this service
+   * @param {Object} config - axios config, e.g. { signal, params, timeout }
+   * @returns {Promise<Object>} axios response
+   */
+  get(path, config) {
+    return axiosInstance.get(this.url(path), config)
+  }
+
+  post(path, data, config) {
+    return axiosInstance.post(this.url(path), data, config)
+  }
+
+  put(path, data, config) {
+    return axiosInstance.put(this.url(path), data, config)
+  }
+
+  patch(path, data, config) {
+    return axiosInstance.patch(this.url(path), data, config)
+  }
+
+  delete(path, config) {
+    return axiosInstance.delete(this.url(path), config)
+  }
+
+  /**
+   * Ask the service whether it is healthy. Never retried: the status monitor
+   * checks again on its own schedule.
+   * @param {Object} config - axios config, e.g. { signal }
+   * @returns {Promise<import('./mappers').ServiceHealth>} Health
+   */
+  async healthCheck(config = {}) {
+    const response = await axiosInstance.get(this.healthURL, {
+      timeout: HEALTH_CHECK_CONFIG.TIMEOUT,
+      retry: false,
+      headers: { Accept: 'application/json' },
+      ...config,
+    })
+    return mapServiceHealth(response.data)
+  }
+}
+
+export default BaseClient
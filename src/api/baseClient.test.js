@@ -0,0 +1,51 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { CanceledError } from 'axios'
+import axiosInstance from './axiosConfig'
+import BaseClient, { isRequestCancelled } from './baseClient'
+
+vi.mock('./axiosConfig', () => ({
+  default: {
+    get: vi.fn(),
+    post: vi.fn(),
+    put: vi.fn(),
+    patch: vi.fn(),
+    delete: vi.fn(),
+  },
+}))
+
+describe('BaseClient', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('resolves paths against the base URL without doubling slashes', () => {
+    expect(new BaseClient('https://api.example.com/v1/').url('/products')).toBe('https://api.example.com/v1/products')
+    expect(new BaseClient('https://api.example.com/v1').url('')).toBe('https://api.example.com/v1')
+  })
+
+  it('passes the abort signal through to axios', async () => {
+    const client = new BaseClient('https://api.example.com')
+    const controller = new AbortController()
+    axiosInstance.get.mockResolvedValue({ data: [] })
+    axiosInstance.post.mockResolvedValue({ data: {} })
+
+    await client.get('/plans', { signal: controller.signal })
+    await client.post('/plans', { name: 'Basic' }, { signal: controller.signal })
+
+    expect(axiosInstance.get).toHaveBeenCalledWith('https://api.example.com/plans', { signal: controller.signal })
+    expect(axiosInstance.post).toHaveBeenCalledWith('https://api.example.com/plans', { name: 'Basic' }, { signal: controller.signal })
+  })
+})
+
+describe('isRequestCancelled', () => {
+  it('recognises aborted requests', () => {
+    expect(isRequestCancelled(new CanceledError())).toBe(true)
+    expect(isRequestCancelled({ name: 'CanceledError' })).toBe(true)
+    expect(isRequestCancelled({ code: 'ERR_CANCELED' })).toBe(true)
+  })
+
+  it('does not treat real failures as cancellations', () => {
+    expect(isRequestCancelled({ status: 500, type: 'server' })).toBe(false)
+    expect(isRequestCancelled(undefined)).toBe(false)
+  })
+})
@@ -0,0 +1,30 @@
+/**
+ * Delays that end early when the request they belong to is aborted, used
+ * between retries and by the mock backend's simulated latency.
+ */
+
+import { CanceledError } from 'axios'
+
+/**
+ * Wait, giving up early if the signal aborts meanwhile
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Signal of the request waiting
+ * @returns {Promise<void>} Resolves after the delay; rejects with a CanceledError on abort
+ */
+export const abortableDelay = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new CanceledError())
+    return
+  }
+
+  const onAbort = () => {
+    clearTimeout(timer)
+    reject(new CanceledError())
+  }
+  const timer = setTimeout(() => {
+    signal?.removeEventListener?.('abort', onAbort)
+    resolve()
+  }, ms)
+
+  signal?.addEventListener?.('abort', onAbort, { once: true })
+})
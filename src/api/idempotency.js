@@ -0,0 +1,39 @@
+/**
+ * Idempotency keys for requests that move money or create records.
+ * The server stores the result of the first request made with a key and replays
+ * it for any repeat, so a retry or double-submit cannot create a second
+ * withdrawal, inquiry or subscription.
+ */
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key'
+
+/**
+ * Generate a new idempotency key (a random UUID)
+ * @returns {string} Key
+ */
+export const createIdempotencyKey = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID()
+  }
+
+  // RFC 4122 version 4 layout from Math.random for older browsers
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+    const random = Math.floor(Math.random() * 16)
+    const value = char === 'x' ? random : (random % 4) + 8
+    return value.toString(16)
+  })
+}
+
+/**
+ * Add an Idempotency-Key header to an axios request config
+ * @param {string} idempotencyKey - Key to send; a new one is generated if omitted
+ * @param {Object} config - axios config to extend
+ * @returns {Object} axios config with the header set
+ */
+export const withIdempotencyKey = (idempotencyKey, config = {}) => ({
+  ...config,
+  headers: {
+    ...config.headers,
+    [IDEMPOTENCY_HEADER]: idempotencyKey || createIdempotencyKey(),
+  },
+})
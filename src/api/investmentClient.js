@@ -1,29 +1,52 @@
-import axiosInstance from './axiosConfig'
+import BaseClient, { isRequestCancelled } from './baseClient'
+import { withIdempotencyKey } from './idempotency'
+import { assertOnline } from '../services/offlineOutbox'
 import { API_ENDPOINTS } from '../utils/constants'
+import {
+  mapCategories,
+  mapInquiries,
+  mapInquiry,
+  mapInvestment,
+  mapInvestmentStats,
+  mapPerformance,
+  mapPortfolio,
+  mapProduct,
+  mapProductPage,
+  mapWithdrawal,
+  mapWithdrawals,
+  toInquiryRequest,
+  toWithdrawalRequest,
+} from './mappers'
 
 /**
  * Investment Service API Client
  * Handles all investment-related API calls
  */
-class InvestmentClient {
+class InvestmentClient extends BaseClient {
   constructor() {
-    this.baseURL = API_ENDPOINTS.INVESTMENT
+    super(API_ENDPOINTS.INVESTMENT, { healthURL: API_ENDPOINTS.HEALTH.INVESTMENT })
   }
 
   /**
    * Get all investment products
    * @param {Object} filters - Optional filters
+   * @param {string} filters.search - Free text matched against product names and descriptions
    * @param {string} filters.category - Product category
    * @param {string} filters.riskLevel - Risk level (low, medium, high)
    * @param {string} filters.sortBy - Sort field (return, duration, etc.)
    * @param {string} filters.sortOrder - Sort order (asc, desc)
-   * @returns {Promise<Object[]>} Array of investment products
+   * @param {number} filters.page - Page number (default 1)
+   * @param {number} filters.pageSize - Products per page (default 20)
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @returns {Promise<import('./mappers').ProductPage>} Page of investment products
    */
-  async getProducts(filters = {}) {
+  async getProducts(filters = {}, { signal } = {}) {
     try {
       const params = new URLSearchParams()
       
       // Map frontend filters to API parameters
+      if (filters.search) params.append('search', filters.search)
       if (filters.category) params.append('category', filters.category)
       if (filters.riskLevel) params.append('risk_level', filters.riskLevel)
       if (filters.sortBy) {
@@ -43,21 +66,19 @@ class InvestmentClient {
       params.append('page', filters.page || 1)
       params.append('page_size', filters.pageSize || 20)
 
-      const queryString = params.toString()
-      // Ensure no trailing slash issues
-      const baseUrl = this.baseURL.endsWith('/') ? this.baseURL.slice(0, -1) : this.baseURL
-      const url = queryString ? `${baseUrl}/products?${queryString}` : `${baseUrl}/products`
-      
-      const response = await axiosInstance.get(url, {
+      const response = await this.get(`/products?${params.toString()}`, {
+        signal,
         headers: {
           'Accept': 'application/json',
           'Content-Type': 'application/json',
         },
         timeout: 15000, // 15 second timeout
       })
-      return response.data
+      return mapProductPage(response.data)
     } catch (error) {
-      console.error('Investment API error:', error.message)
+      if (!isRequestCancelled(error)) {
+        console.error('Investment API error:', error.message)
+      }
       throw error
     }
   }
@@ -65,12 +86,14 @@ class InvestmentClient {
   /**
    * Get specific investment product by slug
    * @param {string} productSlug - Product slug
-   * @returns {Promise<Object>} Investment product details
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @returns {Promise<import('./mappers').Product>} Investment product details
    */
-  async getProduct(productSlug) {
+  async getProduct(productSlug, { signal } = {}) {
     try {
-      const response = await axiosInstance.get(`${this.baseURL}/products/${productSlug}`)
-      return response.data
+      const response = await this.get(`/products/${productSlug}`, { signal })
+      return mapProduct(response.data.product || response.data)
     } catch (error) {
       throw error
     }
@@ -84,55 +107,21 @@ class InvestmentClient {
    * @param {string} inquiryData.email - User email
    * @param {string} inquiryData.fullName - User full name
    * @param {string} inquiryData.phone - User phone number
-   * @returns {Promise<Object>} Created inquiry
+   * @param {Object} options - Request options
+   * @param {string} options.idempotencyKey - Reuse the same key when resubmitting the same request
+   * @returns {Promise<import('./mappers').Inquiry>} Created inquiry
    */
-  async createInquiry(inquiryData) {
-    try {
-    
-      const requestData = {
-        product_id: inquiryData.productId,
-        investment_amount: inquiryData.amount,
-        currency: inquiryData.currency || 'USD',
-        duration_months: inquiryData.durationMonths || 0,
-        message: inquiryData.message || '',
-        email: inquiryData.email,
-        full_name: inquiryData.fullName,
-        phone: inquiryData.phone,
-      }
- 
-      // Always use the submit endpoint (no authentication required)
-      const response = await axiosInstance.post(`${this.baseURL}/inquiries/submit`, requestData)
-      
-     
-      // Store inquiry ID in localStorage for session tracking
-      if (response.data.inquiry?.id) {
-        const existingInquiries = JSON.parse(localStorage.getItem('user_inquiries') || '[]')
-        existingInquiries.push(response.data.inquiry.id)
-        localStorage.setItem('user_inquiries', JSON.stringify(existingInquiries))
-      }
-      
-      return response.data
-    } catch (error) {
-      console.error('Error creating inquiry:', error)
-      console.error('Error details:', {
-        status: error.status,
-        message: error.message,
-        data: error.data,
-        response: error.response?.data
-      })
-      
-      // Log the full error response for debugging
-      if (error.response) {
-        console.error('Full error response:', {
-          status: error.response.status,
-          statusText: error.response.statusText,
-          headers: error.response.headers,
-          data: error.response.data
-        })
-      }
-      
-      throw error
-    }
+  async createInquiry(inquiryData, { idempotencyKey } = {}) {
+    // Always use the submit endpoint (no authentication required)
+    const response = await this.post('/inquiries/submit', toInquiryRequest(inquiryData), withIdempotencyKey(idempotencyKey))
+    const inquiry = mapInquiry(response.data.inquiry || response.data)
+
+    // Store inquiry ID in localStorage for session tracking
+    const existingInquiries = JSON.parse(localStorage.getItem('user_inquiries') || '[]')
+    existingInquiries.push(inquiry.id)
+    localStorage.setItem('user_inquiries', JSON.stringify(existingInquiries))
+
+    return inquiry
   }
 
   /**
@@ -143,9 +132,11 @@ class InvestmentClient {
    * @param {string} filters.status - Inquiry status (pending, paid, cancelled)
    * @param {string} filters.sortBy - Sort field
    * @param {string} filters.sortOrder - Sort order (asc, desc)
-   * @returns {Promise<Object[]>} Array of user inquiries
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @returns {Promise<import('./mappers').Inquiry[]>} Array of user inquiries
    */
-  async getInquiries(filters = {}) {
+  async getInquiries(filters = {}, { signal } = {}) {
     try {
       const params = new URLSearchParams()
       
@@ -162,15 +153,12 @@ class InvestmentClient {
       // Note: Backend only supports email/phone filtering
       // Status filtering and sorting will be done client-side
 
-      const queryString = params.toString()
-      const url = `${this.baseURL}/inquiries/?${queryString}`
-      
-      const response = await axiosInstance.get(url)
-      const inquiries = response.data || []
-      
-      return inquiries
+      const response = await this.get(`/inquiries/?${params.toString()}`, { signal })
+      return mapInquiries(response.data)
     } catch (error) {
-      console.error('Error fetching inquiries:', error)
+      if (!isRequestCancelled(error)) {
+        console.error('Error fetching inquiries:', error)
+      }
       throw error
     }
   }
@@ -178,12 +166,14 @@ class InvestmentClient {
   /**
    * Get specific inquiry by ID (requires authentication)
    * @param {string} inquiryId - Inquiry ID
-   * @returns {Promise<Object>} Inquiry details
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @returns {Promise<import('./mappers').Inquiry>} Inquiry details
    */
-  async getInquiry(inquiryId) {
+  async getInquiry(inquiryId, { signal } = {}) {
     try {
-      const response = await axiosInstance.get(`${this.baseURL}/inquiries/${inquiryId}/`)
-      return response.data
+      const response = await this.get(`/inquiries/${inquiryId}/`, { signal })
+      return mapInquiry(response.data)
     } catch (error) {
       throw error
     }
@@ -194,12 +184,12 @@ class InvestmentClient {
    * @param {string} inquiryId - Inquiry ID
    * @param {Object} updateData - Update data
    * @param {string} updateData.status - New status
-   * @returns {Promise<Object>} Updated inquiry
+   * @returns {Promise<import('./mappers').Inquiry>} Updated inquiry
    */
   async updateInquiry(inquiryId, updateData) {
     try {
-      const response = await axiosInstance.put(`${this.baseURL}/inquiries/${inquiryId}/`, updateData)
-      return response.data
+      const response = await this.put(`/inquiries/${inquiryId}/`, updateData)
+      return mapInquiry(response.data)
     } catch (error) {
       throw error
     }
@@ -207,12 +197,14 @@ class InvestmentClient {
 
   /**
    * Get user's investment portfolio (requires authentication)
-   * @returns {Promise<Object>} Portfolio data with summary and investments
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @returns {Promise<import('./mappers').Portfolio>} Portfolio data with summary and investments
    */
-  async getPortfolio() {
+  async getPortfolio({ signal } = {}) {
     try {
-      const response = await axiosInstance.get(`${this.baseURL}/portfolio`)
-      return response.data
+      const response = await this.get('/portfolio', { signal })
+      return mapPortfolio(response.data)
     } catch (error) {
       throw error
     }
@@ -221,12 +213,14 @@ class InvestmentClient {
   /**
    * Get specific investment details (requires authentication)
    * @param {string} investmentId - Investment ID
-   * @returns {Promise<Object>} Investment details
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @returns {Promise<import('./mappers').Investment>} Investment details
    */
-  async getInvestment(investmentId) {
+  async getInvestment(investmentId, { signal } = {}) {
     try {
-      const response = await axiosInstance.get(`${this.baseURL}/portfolio/investments/${investmentId}`)
-      return response.data
+      const response = await this.get(`/portfolio/investments/${investmentId}`, { signal })
+      return mapInvestment(response.data)
     } catch (error) {
       throw error
     }
@@ -237,16 +231,22 @@ class InvestmentClient {
    * @param {Object} withdrawalData - Withdrawal data
    * @param {number} withdrawalData.amount - Withdrawal amount
    * @param {string} withdrawalData.reason - Withdrawal reason (optional)
-   * @returns {Promise<Object>} Created withdrawal request
+   * @param {Object} options - Request options
+   * @param {string} options.idempotencyKey - Reuse the same key when resubmitting the same request
+   * @returns {Promise<import('./mappers').Withdrawal>} Created withdrawal request
    */
-  async createWithdrawal(withdrawalData) {
+  async createWithdrawal(withdrawalData, { idempotencyKey } = {}) {
     try {
-      const response = await axiosInstance.post(`${this.baseURL}/portfolio/withdrawals`, {
-        amount: withdrawalData.amount,
-        reason: withdrawalData.reason,
-      })
+      // Withdrawals move money, so they are refused offline rather than queued
+      assertOnline()
+
+      const response = await this.post(
+        '/portfolio/withdrawals',
+        toWithdrawalRequest(withdrawalData),
+        withIdempotencyKey(idempotencyKey)
+      )
 
-      return response.data
+      return mapWithdrawal(response.data)
     } catch (error) {
       throw error
     }
@@ -258,9 +258,11 @@ class InvestmentClient {
    * @param {string} filters.status - Withdrawal status (pending, processing, completed, rejected)
    * @param {string} filters.sortBy - Sort field
    * @param {string} filters.sortOrder - Sort order (asc, desc)
-   * @returns {Promise<Object[]>} Array of withdrawal requests
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @returns {Promise<import('./mappers').Withdrawal[]>} Array of withdrawal requests
    */
-  async getWithdrawals(filters = {}) {
+  async getWithdrawals(filters = {}, { signal } = {}) {
     try {
       const params = new URLSearchParams()
       
@@ -271,10 +273,10 @@ class InvestmentClient {
       if (filters.offset) params.append('offset', filters.offset)
 
       const queryString = params.toString()
-      const url = queryString ? `${this.baseURL}/portfolio/withdrawals?${queryString}` : `${this.baseURL}/portfolio/withdrawals`
+      const path = queryString ? `/portfolio/withdrawals?${queryString}` : '/portfolio/withdrawals'
       
-      const response = await axiosInstance.get(url)
-      return response.data
+      const response = await this.get(path, { signal })
+      return mapWithdrawals(response.data)
     } catch (error) {
       throw error
     }
@@ -283,12 +285,14 @@ class InvestmentClient {
   /**
    * Get specific withdrawal request (requires authentication)
    * @param {string} withdrawalId - Withdrawal ID
-   * @returns {Promise<Object>} Withdrawal details
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @returns {Promise<import('./mappers').Withdrawal>} Withdrawal details
    */
-  async getWithdrawal(withdrawalId) {
+  async getWithdrawal(withdrawalId, { signal } = {}) {
     try {
-      const response = await axiosInstance.get(`${this.baseURL}/portfolio/withdrawals/${withdrawalId}`)
-      return response.data
+      const response = await this.get(`/portfolio/withdrawals/${withdrawalId}`, { signal })
+      return mapWithdrawal(response.data)
     } catch (error) {
       throw error
     }
@@ -297,12 +301,13 @@ class InvestmentClient {
   /**
    * Cancel withdrawal request (requires authentication)
    * @param {string} withdrawalId - Withdrawal ID
-   * @returns {Promise<Object>} Cancellation response
+   * @returns {Promise<import('./mappers').Withdrawal>} The cancelled withdrawal
    */
   async cancelWithdrawal(withdrawalId) {
     try {
-      const response = await axiosInstance.post(`${this.baseURL}/portfolio/withdrawals/${withdrawalId}/cancel`)
-      return response.data
+      assertOnline()
+      const response = await this.post(`/portfolio/withdrawals/${withdrawalId}/cancel`)
+      return mapWithdrawal(response.data)
     } catch (error) {
       throw error
     }
@@ -313,9 +318,11 @@ class InvestmentClient {
    * @param {Object} filters - Optional filters
    * @param {string} filters.period - Time period (1m, 3m, 6m, 1y, all)
    * @param {string} filters.investmentId - Specific investment ID
-   * @returns {Promise<Object>} Performance data
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @returns {Promise<{ period: string, points: import('./mappers').PerformancePoint[] }>} Performance data
    */
-  async getPerformance(filters = {}) {
+  async getPerformance(filters = {}, { signal } = {}) {
     try {
       const params = new URLSearchParams()
       
@@ -323,10 +330,10 @@ class InvestmentClient {
       if (filters.investmentId) params.append('investment_id', filters.investmentId)
 
       const queryString = params.toString()
-      const url = queryString ? `${this.baseURL}/portfolio/performance?${queryString}` : `${this.baseURL}/portfolio/performance`
+      const path = queryString ? `/portfolio/performance?${queryString}` : '/portfolio/performance'
       
-      const response = await axiosInstance.get(url)
-      return response.data
+      const response = await this.get(path, { signal })
+      return mapPerformance(response.data)
     } catch (error) {
       throw error
     }
@@ -334,12 +341,14 @@ class InvestmentClient {
 
   /**
    * Get investment categories
-   * @returns {Promise<Object[]>} Array of investment categories
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @returns {Promise<import('./mappers').Category[]>} Array of investment categories
    */
-  async getCategories() {
+  async getCategories({ signal } = {}) {
     try {
-      const response = await axiosInstance.get(`${this.baseURL}/categories`)
-      return response.data
+      const response = await this.get('/categories', { signal })
+      return mapCategories(response.data)
     } catch (error) {
       throw error
     }
@@ -347,39 +356,24 @@ class InvestmentClient {
 
   /**
    * Get investment statistics
-   * @returns {Promise<Object>} Investment statistics
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @returns {Promise<import('./mappers').InvestmentStats>} Investment statistics
    */
-  async getStatistics() {
+  async getStatistics({ signal } = {}) {
     try {
-      const response = await axiosInstance.get(`${this.baseURL}/statistics`, {
+      const response = await this.get('/statistics', {
+        signal,
         timeout: 10000,
         headers: {
           'Accept': 'application/json',
         }
       })
-      return response.data
-    } catch (error) {
-      console.error('Failed to fetch investment statistics:', error)
-      throw error
-    }
-  }
-
-  /**
-   * Health check for investment service
-   * @returns {Promise<Object>} Health status
-   */
-  async healthCheck() {
-    try {
-      const baseUrl = this.baseURL.endsWith('/') ? this.baseURL.slice(0, -1) : this.baseURL
-      const response = await axiosInstance.get(`${baseUrl}/health`, {
-        timeout: 5000,
-        headers: {
-          'Accept': 'application/json',
-        }
-      })
-      return response.data
+      return mapInvestmentStats(response.data)
     } catch (error) {
-      console.error('Health check failed:', error)
+      if (!isRequestCancelled(error)) {
+        console.error('Failed to fetch investment statistics:', error)
+      }
       throw error
     }
   }
@@ -0,0 +1,34 @@
+/**
+ * Service health check mapper.
+ * The services report health in different words ('healthy', 'ok', 'UP',
+ * 'degraded', ...); this reduces them to up, degraded or down.
+ */
+
+const UP_STATUSES = ['healthy', 'ok', 'up', 'pass', 'available']
+const DEGRADED_STATUSES = ['degraded', 'warn', 'warning', 'partial']
+
+/**
+ * @typedef {Object} ServiceHealth
+ * @property {string} status - up | degraded | down
+ * @property {string} message - Explanation from the service, if any
+ * @property {string|null} checkedAt - When the service produced the report
+ */
+
+/**
+ * Map a health check response
+ * @param {Object} payload - { status, message?, timestamp? }
+ * @returns {ServiceHealth} Health
+ */
+export const mapServiceHealth = (payload = {}) => {
+  const reported = String(payload?.status ?? 'ok').toLowerCase()
+
+  let status = 'down'
+  if (UP_STATUSES.includes(reported)) status = 'up'
+  else if (DEGRADED_STATUSES.includes(reported)) status = 'degraded'
+
+  return {
+    status,
+    message: payload?.message || payload?.detail || '',
+    checkedAt: payload?.timestamp || payload?.checked_at || null,
+  }
+}
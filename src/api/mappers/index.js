@@ -0,0 +1,10 @@
+// Response mappers: API payloads in, camelCase models out.
+// Client methods apply them, so components never handle raw payloads.
+
+export * from './userMapper'
+export * from './productMapper'
+export * from './inquiryMapper'
+export * from './portfolioMapper'
+export * from './subscriptionMapper'
+export * from './securityMapper'
+export * from './healthMapper'
@@ -0,0 +1,78 @@
+/**
+ * Investment inquiry mappers.
+ */
+
+import { DEFAULT_CURRENCY } from '../../utils/constants'
+import { assertFields, mapList, pick, toNumber } from './mapperUtils'
+
+/**
+ * @typedef {Object} Inquiry
+ * @property {string} id
+ * @property {string|null} productId
+ * @property {string} productSlug
+ * @property {string} productName
+ * @property {string} email
+ * @property {string} fullName
+ * @property {string} phone
+ * @property {string} message
+ * @property {number} amount
+ * @property {string} currency
+ * @property {number} durationMonths
+ * @property {number} totalExpectedReturn
+ * @property {string} status - pending | paid | cancelled
+ * @property {string|null} paymentReference
+ * @property {string|null} paymentInstructions
+ * @property {string|null} createdAt
+ */
+
+/**
+ * Map an inquiry payload to the Inquiry model
+ * @param {Object} payload - Inquiry from the investment service
+ * @returns {Inquiry} Inquiry
+ */
+export const mapInquiry = (payload) => {
+  assertFields(payload, ['id'], 'inquiry')
+
+  return {
+    id: payload.id,
+    productId: payload.product_id || null,
+    productSlug: payload.investment_slug || payload.product_slug || '',
+    productName: payload.product_name || '',
+    email: payload.email || '',
+    fullName: payload.full_name || '',
+    phone: payload.phone || '',
+    message: payload.message || '',
+    amount: toNumber(payload.investment_amount),
+    currency: payload.currency || DEFAULT_CURRENCY,
+    durationMonths: toNumber(payload.duration_months),
+    totalExpectedReturn: toNumber(payload.total_expected_return),
+    status: payload.status || 'pending',
+    // The payment fields are camelCase in the submit response and snake_case elsewhere
+    paymentReference: pick(payload.paymentReference, payload.payment_reference),
+    paymentInstructions: pick(payload.paymentInstructions, payload.payment_instructions),
+    createdAt: payload.created_at || null,
+  }
+}
+
+/**
+ * Map a list of inquiries
+ * @param {Object|Array} payload - Inquiries, bare or under `inquiries`
+ * @returns {Inquiry[]} Inquiries
+ */
+export const mapInquiries = (payload) => mapList(payload, 'inquiries', mapInquiry)
+
+/**
+ * Build the inquiry submit request
+ * @param {Object} inquiry - productId, amount, currency, durationMonths, message, email, fullName, phone
+ * @returns {Object} Request body
+ */
+export const toInquiryRequest = (inquiry) => ({
+  product_id: inquiry.productId,
+  investment_amount: inquiry.amount,
+  currency: inquiry.currency || DEFAULT_CURRENCY,
+  duration_months: inquiry.durationMonths || 0,
+  message: inquiry.message || '',
+  email: inquiry.email,
+  full_name: inquiry.fullName,
+  phone: inquiry.phone,
+})
@@ -0,0 +1,79 @@
+/**
+ * Helpers shared by the response mappers.
+ * Mappers turn API payloads (snake_case, numbers as strings, optional fields
+ * missing) into the camelCase models components use, and fail loudly when a
+ * payload is missing a field the app cannot work without.
+ */
+
+import { ERROR_MESSAGES } from '../../utils/constants'
+
+/**
+ * Check that a payload has the fields a model needs.
+ * Rejects with the same shape as other API errors, so screens show their
+ * usual "something went wrong" state instead of rendering half a record.
+ * @param {Object} payload - API payload
+ * @param {string[]} fields - Field names that must be present (not null/undefined)
+ * @param {string} resource - Resource name for the log, e.g. 'withdrawal'
+ */
+export const assertFields = (payload, fields, resource) => {
+  const missing = payload && typeof payload === 'object'
+    ? fields.filter((field) => payload[field] === undefined || payload[field] === null)
+    : fields
+
+  if (missing.length > 0) {
+    console.error(`Invalid ${resource} payload, missing: ${missing.join(', ')}`, payload)
+    throw {
+      message: ERROR_MESSAGES.SERVER_ERROR,
+      type: 'invalid_response',
+      resource,
+      missing,
+    }
+  }
+}
+
+/**
+ * Parse a number the API may send as a string
+ * @param {any} value - Raw value
+ * @param {number} fallback - Returned when the value is not a number
+ * @returns {number} Number
+ */
+export const toNumber = (value, fallback = 0) => {
+  const number = typeof value === 'number' ? value : parseFloat(value)
+  return Number.isFinite(number) ? number : fallback
+}
+
+/**
+ * Parse a number, keeping null for missing values
+ * @param {any} value - Raw value
+ * @returns {number|null} Number, or null
+ */
+export const toNumberOrNull = (value) => (value === undefined || value === null || value === '' ? null : toNumber(value, null))
+
+/**
+ * First value that is not undefined or null
+ * @param {...any} values - Candidates, in order of preference
+ * @returns {any} Value, or null
+ */
+export const pick = (...values) => values.find((value) => value !== undefined && value !== null) ?? null
+
+/**
+ * Map a list payload, accepting a bare array or one wrapped under a key,
+ * `data` or `results` (backend versions differ)
+ * @param {Object|Array} payload - API payload
+ * @param {string} key - Key the list may be wrapped in, e.g. 'sessions'
+ * @param {Function} mapper - Maps one item
+ * @returns {Array} Mapped items
+ */
+export const mapList = (payload, key, mapper) => {
+  const items = Array.isArray(payload) ? payload : payload?.[key] || payload?.data || payload?.results || []
+  return items.map((item) => mapper(item))
+}
+
+/**
+ * Copy only the fields that are set, so partial updates don't clear others
+ * @param {Object} fields - Request fields
+ * @returns {Object} Fields without undefined values
+ */
+export const withoutUndefined = (fields) => Object.fromEntries(
+  Object.entries(fields).filter(([, value]) => value !== undefined)
+)
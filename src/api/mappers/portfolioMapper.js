@@ -0,0 +1,131 @@
+/**
+ * Portfolio, investment and withdrawal mappers.
+ * The portfolio endpoints already answer in camelCase; snake_case is read too
+ * so these models don't depend on which serializer a backend build uses.
+ */
+
+import { assertFields, mapList, pick, toNumber, toNumberOrNull } from './mapperUtils'
+
+/**
+ * @typedef {Object} Investment
+ * @property {string} id
+ * @property {string|null} productId
+ * @property {string} productName
+ * @property {number} amount
+ * @property {number} currentValue
+ * @property {string} status
+ * @property {string|null} startDate
+ * @property {string|null} maturityDate
+ */
+
+/**
+ * Map a holding in the portfolio
+ * @param {Object} payload - Investment from the portfolio endpoints
+ * @returns {Investment} Investment
+ */
+export const mapInvestment = (payload) => {
+  assertFields(payload, ['id'], 'investment')
+
+  return {
+    id: payload.id,
+    productId: pick(payload.productId, payload.product_id),
+    productName: pick(payload.productName, payload.product_name) || '',
+    amount: toNumber(payload.amount),
+    currentValue: toNumber(pick(payload.currentValue, payload.current_value)),
+    status: payload.status || 'active',
+    startDate: pick(payload.startDate, payload.start_date),
+    maturityDate: pick(payload.maturityDate, payload.maturity_date),
+  }
+}
+
+/**
+ * @typedef {Object} Portfolio
+ * @property {number} totalInvested
+ * @property {number} currentValue
+ * @property {number} totalReturns
+ * @property {number} availableForWithdrawal
+ * @property {Investment[]} investments
+ */
+
+/**
+ * Map the portfolio summary and holdings
+ * @param {Object} payload - Portfolio from the portfolio endpoints
+ * @returns {Portfolio} Portfolio
+ */
+export const mapPortfolio = (payload) => {
+  assertFields(payload, ['investments'], 'portfolio')
+
+  return {
+    totalInvested: toNumber(pick(payload.totalInvested, payload.total_invested)),
+    currentValue: toNumber(pick(payload.currentValue, payload.current_value)),
+    totalReturns: toNumber(pick(payload.totalReturns, payload.total_returns)),
+    availableForWithdrawal: toNumber(pick(payload.availableForWithdrawal, payload.available_for_withdrawal)),
+    investments: payload.investments.map(mapInvestment),
+  }
+}
+
+/**
+ * @typedef {Object} Withdrawal
+ * @property {string} id
+ * @property {number} amount
+ * @property {string} reason
+ * @property {string} status - pending | processing | completed | rejected | cancelled
+ * @property {string|null} requestedAt
+ * @property {string|null} processedAt
+ * @property {string|null} rejectionReason
+ */
+
+/**
+ * Map a withdrawal request
+ * @param {Object} payload - Withdrawal from the portfolio endpoints
+ * @returns {Withdrawal} Withdrawal
+ */
+export const mapWithdrawal = (payload) => {
+  assertFields(payload, ['id', 'amount', 'status'], 'withdrawal')
+
+  return {
+    id: payload.id,
+    amount: toNumber(payload.amount),
+    reason: payload.reason || '',
+    status: payload.status,
+    requestedAt: pick(payload.requestedAt, payload.requested_at, payload.created_at),
+    processedAt: pick(payload.processedAt, payload.processed_at),
+    rejectionReason: pick(payload.rejectionReason, payload.rejection_reason),
+  }
+}
+
+/**
+ * Map a list of withdrawals
+ * @param {Object|Array} payload - Withdrawals, bare or under `withdrawals`
+ * @returns {Withdrawal[]} Withdrawals
+ */
+export const mapWithdrawals = (payload) => mapList(payload, 'withdrawals', mapWithdrawal)
+
+/**
+ * Build a withdrawal request
+ * @param {Object} withdrawal - amount and optional reason
+ * @returns {Object} Request body
+ */
+export const toWithdrawalRequest = (withdrawal) => ({
+  amount: toNumberOrNull(withdrawal.amount),
+  reason: withdrawal.reason,
+})
+
+/**
+ * @typedef {Object} PerformancePoint
+ * @property {string} date
+ * @property {number} value
+ */
+
+/**
+ * Map portfolio performance over time
+ * @param {Object} payload - { period, points }
+ * @returns {{ period: string, points: PerformancePoint[] }} Performance
+ */
+export const mapPerformance = (payload = {}) => ({
+  period: payload.period || '',
+  points: mapList(payload, 'points', (point) => ({
+    date: point.date,
+    value: toNumber(point.value),
+  })),
+})
@@ -0,0 +1,37 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { mapPortfolio, mapWithdrawal, mapWithdrawals, toWithdrawalRequest } from './portfolioMapper'
+
+describe('portfolioMapper', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  it('maps the portfolio from either serializer', () => {
+    const portfolio = mapPortfolio({
+      total_invested: '1500',
+      availableForWithdrawal: 250,
+      investments: [{ id: 'i1', product_name: 'Solar Farm', amount: '1500', current_value: '1620.5' }],
+    })
+
+    expect(portfolio).toMatchObject({ totalInvested: 1500, availableForWithdrawal: 250, totalReturns: 0 })
+    expect(portfolio.investments[0]).toMatchObject({ productName: 'Solar Farm', amount: 1500, currentValue: 1620.5 })
+  })
+
+  it('maps withdrawal lists wrapped or bare', () => {
+    const withdrawal = { id: 'wd1', amount: '200', status: 'pending', created_at: '2025-01-01T00:00:00Z' }
+
+    expect(mapWithdrawals({ withdrawals: [withdrawal] })).toEqual(mapWithdrawals([withdrawal]))
+    expect(mapWithdrawal(withdrawal)).toMatchObject({ amount: 200, requestedAt: '2025-01-01T00:00:00Z' })
+  })
+
+  it('rejects a withdrawal without a status', () => {
+    expect(() => mapWithdrawal({ id: 'wd1', amount: 200 })).toThrow(expect.objectContaining({
+      type: 'invalid_response',
+      missing: ['status'],
+    }))
+  })
+
+  it('sends the amount as a number', () => {
+    expect(toWithdrawalRequest({ amount: '150.50', reason: 'School fees' })).toEqual({ amount: 150.5, reason: 'School fees' })
+  })
+})
@@ -0,0 +1,219 @@
+/**
+ * Investment product, category and statistics mappers.
+ */
+
+import { getProductImageUrl, processGalleryImages } from '../../utils/investmentHelpers'
+import { DEFAULT_CURRENCY } from '../../utils/constants'
+import { assertFields, mapList, pick, toNumber, toNumberOrNull } from './mapperUtils'
+
+/**
+ * @typedef {Object} Product
+ * @property {string} id
+ * @property {string} slug
+ * @property {string} name
+ * @property {string} subtitle
+ * @property {string} description
+ * @property {string} shortDescription
+ * @property {string} category
+ * @property {string} riskLevel
+ * @property {string} currency
+ * @property {number} minimumInvestment
+ * @property {number} maximumInvestment - 0 when there is no maximum
+ * @property {number} expectedAnnualReturn - Percent
+ * @property {number} expectedMonthlyReturn - Percent
+ * @property {number} monthlyPayout
+ * @property {number} annualPayout
+ * @property {number} duration - Months
+ * @property {string} status
+ * @property {string} investmentType
+ * @property {string} featuredImage - Full URL
+ * @property {Object<string, string>} galleryImages - Full URLs
+ * @property {boolean} useVariableRates
+ * @property {number[]} yearlyReturnRates - Percent per year when useVariableRates is set
+ * @property {number} totalUnitsAvailable
+ * @property {number} unitsSold
+ * @property {number} totalRaised
+ * @property {number} fundingGoal
+ * @property {number} totalInvestors
+ * @property {Object} features
+ * @property {Object} technicalSpecs
+ * @property {Object} useCases
+ * @property {Object} riskFactors
+ * @property {Object} capitalAllocation
+ * @property {string} overviewContent
+ * @property {string} howItWorks
+ * @property {string} fundingStartDate
+ * @property {string} fundingEndDate
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+/**
+ * Map a product payload to the Product model
+ * @param {Object} payload - Product from the investment service
+ * @returns {Product} Product
+ */
+export const mapProduct = (payload) => {
+  assertFields(payload, ['id', 'slug', 'name'], 'product')
+
+  return {
+    id: payload.id,
+    slug: payload.slug,
+    name: payload.name,
+    subtitle: payload.subtitle || '',
+    description: payload.description || payload.short_description || '',
+    shortDescription: payload.short_description || '',
+    category: payload.category || '',
+    riskLevel: payload.risk_level || '',
+    currency: payload.currency || DEFAULT_CURRENCY,
+    minimumInvestment: toNumber(payload.minimum_investment),
+    maximumInvestment: toNumber(payload.maximum_investment),
+    expectedAnnualReturn: toNumber(payload.expected_annual_return),
+    expectedMonthlyReturn: toNumber(payload.expected_monthly_return),
+    monthlyPayout: toNumber(payload.monthly_payout),
+    annualPayout: toNumber(payload.annual_payout),
+    duration: Math.trunc(toNumber(payload.investment_duration_months)),
+    status: payload.status || 'inactive',
+    investmentType: payload.investment_type || 'investment',
+    featuredImage: getProductImageUrl(payload.featured_image),
+    galleryImages: processGalleryImages(payload.gallery_images),
+    useVariableRates: payload.use_variable_rates === true,
+    yearlyReturnRates: (payload.yearly_return_rates || []).map((rate) => toNumber(rate)),
+    totalUnitsAvailable: Math.trunc(toNumber(payload.total_units_available)),
+    unitsSold: Math.trunc(toNumber(payload.units_sold)),
+    totalRaised: toNumber(payload.total_raised),
+    fundingGoal: toNumber(payload.funding_goal),
+    totalInvestors: Math.trunc(toNumber(payload.total_investors)),
+    features: payload.features || {},
+    technicalSpecs: payload.technical_specs || {},
+    useCases: payload.use_cases || {},
+    riskFactors: payload.risk_factors || {},
+    capitalAllocation: payload.capital_allocation || {},
+    overviewContent: payload.overview_content || '',
+    howItWorks: payload.how_it_works || '',
+    fundingStartDate: payload.funding_start_date || '',
+    fundingEndDate: payload.funding_end_date || '',
+    createdAt: payload.created_at || '',
+    updatedAt: payload.updated_at || '',
+  }
+}
+
+/**
+ * @typedef {Object} ProductFacets
+ * @property {Object<string, number>} categories - Matching products per category
+ * @property {Object<string, number>} riskLevels - Matching products per risk level
+ */
+
+/**
+ * @typedef {Object} ProductPage
+ * @property {Product[]} products
+ * @property {number} total
+ * @property {number} page
+ * @property {number} pageSize
+ * @property {number} totalPages
+ * @property {ProductFacets|null} facets - Null when the service sent none
+ */
+
+// A facet as { value: count } or as [{ value|id, count }]
+const mapFacetCounts = (payload) => {
+  if (Array.isArray(payload)) {
+    return Object.fromEntries(payload.map((item) => [
+      pick(item.value, item.id),
+      toNumber(pick(item.count, item.product_count)),
+    ]))
+  }
+
+  return Object.fromEntries(
+    Object.entries(payload || {}).map(([value, count]) => [value, toNumber(count)])
+  )
+}
+
+/**
+ * Map the facet counts sent alongside a page of products
+ * @param {Object} payload - { category, risk_level } counts
+ * @returns {ProductFacets|null} Facets, or null when there are none
+ */
+export const mapProductFacets = (payload) => {
+  if (!payload || typeof payload !== 'object') return null
+
+  return {
+    categories: mapFacetCounts(pick(payload.category, payload.categories)),
+    riskLevels: mapFacetCounts(pick(payload.risk_level, payload.riskLevel, payload.risk_levels)),
+  }
+}
+
+/**
+ * Map a page of products
+ * @param {Object|Array} payload - { products, total, page, page_size, total_pages, facets } or a bare list
+ * @returns {ProductPage} Page of products
+ */
+export const mapProductPage = (payload) => {
+  const products = mapList(payload, 'products', mapProduct)
+  const pageSize = toNumber(payload?.page_size, products.length || 1)
+  const total = toNumber(payload?.total, products.length)
+
+  return {
+    products,
+    total,
+    page: toNumber(payload?.page, 1),
+    pageSize,
+    totalPages: toNumber(payload?.total_pages, Math.max(1, Math.ceil(total / pageSize))),
+    facets: mapProductFacets(payload?.facets),
+  }
+}
+
+/**
+ * @typedef {Object} Category
+ * @property {string} id - Value to filter products by
+ * @property {string} name - Display name
+ * @property {number|null} count - Products in the category, null when not reported
+ */
+
+/**
+ * Map a product category
+ * @param {Object|string} payload - Category, or just its id
+ * @returns {Category} Category
+ */
+export const mapCategory = (payload) => {
+  if (typeof payload === 'string') {
+    return { id: payload, name: payload, count: null }
+  }
+
+  assertFields(payload, ['id'], 'category')
+  return {
+    id: payload.id,
+    name: payload.name || payload.id,
+    count: toNumberOrNull(pick(payload.count, payload.product_count)),
+  }
+}
+
+/**
+ * Map the category list
+ * @param {Object|Array} payload - Categories, bare or under `categories`
+ * @returns {Category[]} Categories
+ */
+export const mapCategories = (payload) => mapList(payload, 'categories', mapCategory)
+
+/**
+ * @typedef {Object} InvestmentStats
+ * @property {number} averageReturn - Percent
+ * @property {number} minInvestment
+ * @property {number} totalProducts
+ * @property {number} totalInvestors
+ * @property {number} totalRaised
+ * @property {number} activeProducts
+ */
+
+/**
+ * Map platform-wide investment statistics
+ * @param {Object} payload - Statistics from the investment service
+ * @returns {InvestmentStats} Statistics
+ */
+export const mapInvestmentStats = (payload = {}) => ({
+  averageReturn: toNumber(pick(payload.average_return, payload.averageReturn)),
+  minInvestment: toNumber(pick(payload.min_investment, payload.minInvestment)),
+  totalProducts: toNumber(pick(payload.total_products, payload.totalProducts)),
+  totalInvestors: toNumber(pick(payload.total_investors, payload.totalInvestors)),
+  totalRaised: toNumber(pick(payload.total_raised, payload.totalRaised)),
+  activeProducts: toNumber(pick(payload.active_products, payload.activeProducts)),
+})
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest'
+import { mapCategories, mapInvestmentStats, mapProduct, mapProductFacets, mapProductPage } from './productMapper'
+
+const PRODUCT = {
+  id: 'p1',
+  slug: 'solar-farm',
+  name: 'Solar Farm',
+  category: 'energy',
+  risk_level: 'medium',
+  minimum_investment: '500.00',
+  expected_annual_return: '12.5',
+  investment_duration_months: '24',
+  featured_image: 'img/solar.webp',
+  use_variable_rates: true,
+  yearly_return_rates: ['10', '12.5'],
+}
+
+describe('productMapper', () => {
+  it('parses numbers sent as strings and resolves image URLs', () => {
+    const product = mapProduct(PRODUCT)
+
+    expect(product).toMatchObject({
+      slug: 'solar-farm',
+      category: 'energy',
+      riskLevel: 'medium',
+      minimumInvestment: 500,
+      maximumInvestment: 0,
+      expectedAnnualReturn: 12.5,
+      duration: 24,
+      useVariableRates: true,
+      yearlyReturnRates: [10, 12.5],
+    })
+    expect(product.featuredImage).toBe('https://siscom.africa/static/img/solar.webp')
+  })
+
+  it('maps a page of products', () => {
+    const page = mapProductPage({ products: [PRODUCT], total: 41, page: 2, page_size: 20 })
+
+    expect(page.products[0].name).toBe('Solar Farm')
+    expect(page).toMatchObject({ total: 41, page: 2, pageSize: 20, totalPages: 3, facets: null })
+  })
+
+  it('maps facet counts given as maps or lists', () => {
+    expect(mapProductFacets({
+      category: { energy: '2', real_estate: 1 },
+      risk_level: [{ value: 'low', count: 3 }, { id: 'high', product_count: '1' }],
+    })).toEqual({
+      categories: { energy: 2, real_estate: 1 },
+      riskLevels: { low: 3, high: 1 },
+    })
+  })
+
+  it('accepts categories as objects or plain ids', () => {
+    expect(mapCategories({ categories: [{ id: 'energy', name: 'Energy', product_count: 2 }, 'agriculture'] })).toEqual([
+      { id: 'energy', name: 'Energy', count: 2 },
+      { id: 'agriculture', name: 'agriculture', count: null },
+    ])
+  })
+
+  it('leaves the count out when the service does not report one', () => {
+    expect(mapCategories([{ id: 'energy', name: 'Energy' }, { id: 'fintech', count: '0' }])).toEqual([
+      { id: 'energy', name: 'Energy', count: null },
+      { id: 'fintech', name: 'fintech', count: 0 },
+    ])
+  })
+
+  it('reads statistics in either case', () => {
+    expect(mapInvestmentStats({ average_return: '11.2', totalProducts: 4 })).toMatchObject({
+      averageReturn: 11.2,
+      totalProducts: 4,
+      totalRaised: 0,
+    })
+  })
+})
@@ -0,0 +1,111 @@
+/**
+ * Account security mappers: signed-in sessions, passkeys and two-factor setup.
+ */
+
+import { assertFields, mapList } from './mapperUtils'
+
+/**
+ * @typedef {Object} Session
+ * @property {string} id
+ * @property {string} name - Device name, or browser and OS
+ * @property {string} detail - Browser and OS when the device has its own name
+ * @property {string} location
+ * @property {string|null} ipAddress
+ * @property {string|null} lastActive
+ * @property {string} deviceType - mobile | tablet | desktop
+ * @property {boolean} isCurrent - The session making this request
+ */
+
+/**
+ * Map a signed-in session
+ * @param {Object} payload - Session from the auth service
+ * @returns {Session} Session
+ */
+export const mapSession = (payload) => {
+  assertFields(payload, ['id'], 'session')
+
+  const browser = [payload.browser, payload.os].filter(Boolean).join(' on ')
+  const location = typeof payload.location === 'string'
+    ? payload.location
+    : [payload.location?.city, payload.location?.country].filter(Boolean).join(', ')
+
+  return {
+    id: payload.id,
+    name: payload.device_name || browser || 'Unknown device',
+    detail: payload.device_name ? browser : '',
+    location: location || 'Unknown location',
+    ipAddress: payload.ip_address || null,
+    lastActive: payload.last_active_at || payload.last_activity || payload.created_at || null,
+    deviceType: (payload.device_type || 'desktop').toLowerCase(),
+    isCurrent: payload.is_current === true,
+  }
+}
+
+/**
+ * Map the session list
+ * @param {Object|Array} payload - Sessions, bare or under `sessions`
+ * @returns {Session[]} Sessions
+ */
+export const mapSessions = (payload) => mapList(payload, 'sessions', mapSession)
+
+/**
+ * @typedef {Object} Passkey
+ * @property {string} id
+ * @property {string} name
+ * @property {string|null} createdAt
+ * @property {string|null} lastUsedAt
+ */
+
+/**
+ * Map a registered passkey
+ * @param {Object} payload - Passkey from the auth service
+ * @returns {Passkey} Passkey
+ */
+export const mapPasskey = (payload) => {
+  assertFields(payload, ['id'], 'passkey')
+
+  return {
+    id: payload.id,
+    name: payload.name || 'Passkey',
+    createdAt: payload.created_at || null,
+    lastUsedAt: payload.last_used_at || null,
+  }
+}
+
+/**
+ * Map the passkey list
+ * @param {Object|Array} payload - Passkeys, bare or under `passkeys`
+ * @returns {Passkey[]} Passkeys
+ */
+export const mapPasskeys = (payload) => mapList(payload, 'passkeys', mapPasskey)
+
+/**
+ * @typedef {Object} TotpSetup
+ * @property {string} secret - Key to type into an authenticator app
+ * @property {string|null} qrCode - Image URL or data URI
+ * @property {string|null} otpauthUrl - otpauth:// link for apps on the same device
+ */
+
+/**
+ * Map the start of authenticator app setup
+ * @param {Object} payload - { secret, qr_code, otpauth_url }
+ * @returns {TotpSetup} Setup details
+ */
+export const mapTotpSetup = (payload) => {
+  assertFields(payload, ['secret'], 'totp setup')
+
+  return {
+    secret: payload.secret,
+    qrCode: payload.qr_code || null,
+    otpauthUrl: payload.otpauth_url || null,
+  }
+}
+
+/**
+ * Map a response carrying backup codes (2FA turned on, or codes regenerated)
+ * @param {Object} payload - { backup_codes }
+ * @returns {{ backupCodes: string[] }} Backup codes
+ */
+export const mapBackupCodes = (payload = {}) => ({
+  backupCodes: payload.backup_codes || [],
+})
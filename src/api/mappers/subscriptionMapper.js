@@ -0,0 +1,149 @@
+/**
+ * Subscription plan and subscription mappers.
+ * Like the portfolio endpoints, the subscription service mostly answers in
+ * camelCase; snake_case is read too so either serializer works.
+ */
+
+import { assertFields, mapList, pick, toNumber } from './mapperUtils'
+
+/**
+ * @typedef {Object} Plan
+ * @property {string} id
+ * @property {string} name
+ * @property {number} price
+ * @property {string} billingPeriod - monthly | quarterly | yearly
+ * @property {string[]} features
+ * @property {boolean} isRecommended
+ * @property {number} trialDays
+ * @property {boolean} isActive
+ */
+
+/**
+ * Map a subscription plan
+ * @param {Object} payload - Plan from the subscription service
+ * @returns {Plan} Plan
+ */
+export const mapPlan = (payload) => {
+  assertFields(payload, ['id', 'name'], 'plan')
+
+  return {
+    id: payload.id,
+    name: payload.name,
+    price: toNumber(payload.price),
+    billingPeriod: pick(payload.billingPeriod, payload.billing_period) || 'monthly',
+    features: payload.features || [],
+    isRecommended: pick(payload.isRecommended, payload.is_recommended) === true,
+    trialDays: toNumber(pick(payload.trialDays, payload.trial_days)),
+    isActive: pick(payload.isActive, payload.is_active) !== false,
+  }
+}
+
+/**
+ * Map the plan list
+ * @param {Object|Array} payload - Plans, bare or under `plans`, `data` or `results`
+ * @returns {Plan[]} Plans
+ */
+export const mapPlans = (payload) => mapList(payload, 'plans', mapPlan)
+
+/**
+ * @typedef {Object} Subscription
+ * @property {string} id
+ * @property {string|null} planId
+ * @property {string} planName
+ * @property {string} status - trial | active | cancelled | expired
+ * @property {string|null} startDate
+ * @property {string|null} endDate
+ * @property {string|null} renewalDate
+ * @property {boolean} autoRenew
+ * @property {Plan|null} plan
+ * @property {string|null} paymentInstructions - Only when the subscription was just created
+ */
+
+/**
+ * Map a subscription
+ * @param {Object} payload - Subscription from the subscription service
+ * @returns {Subscription} Subscription
+ */
+export const mapSubscription = (payload) => {
+  assertFields(payload, ['id', 'status'], 'subscription')
+
+  return {
+    id: payload.id,
+    planId: pick(payload.planId, payload.plan_id, payload.plan?.id),
+    planName: pick(payload.planName, payload.plan_name, payload.plan?.name) || '',
+    status: payload.status,
+    startDate: pick(payload.startDate, payload.start_date),
+    endDate: pick(payload.endDate, payload.end_date),
+    renewalDate: pick(payload.renewalDate, payload.renewal_date),
+    autoRenew: pick(payload.autoRenew, payload.auto_renew) === true,
+    plan: payload.plan ? mapPlan(payload.plan) : null,
+    paymentInstructions: pick(payload.paymentInstructions, payload.payment_instructions),
+  }
+}
+
+/**
+ * Map a list of subscriptions
+ * @param {Object|Array} payload - Subscriptions, bare or under `subscriptions`
+ * @returns {Subscription[]} Subscriptions
+ */
+export const mapSubscriptions = (payload) => mapList(payload, 'subscriptions', mapSubscription)
+
+/**
+ * Map the response of starting a free trial or cancelling a subscription
+ * @param {Object} payload - { success, message, subscription }
+ * @returns {{ success: boolean, message: string, subscription: Subscription|null }} Result
+ */
+export const mapSubscriptionResult = (payload = {}) => ({
+  success: payload.success !== false,
+  message: payload.message || '',
+  subscription: payload.subscription ? mapSubscription(payload.subscription) : null,
+})
+
+/**
+ * @typedef {Object} SubscriptionUsage
+ * @property {string} subscriptionId
+ * @property {number} daysUsed
+ * @property {number} daysRemaining
+ */
+
+/**
+ * Map subscription usage for the current billing period
+ * @param {Object} payload - Usage from the subscription service
+ * @returns {SubscriptionUsage} Usage
+ */
+export const mapSubscriptionUsage = (payload = {}) => ({
+  subscriptionId: pick(payload.subscriptionId, payload.subscription_id),
+  daysUsed: toNumber(pick(payload.daysUsed, payload.days_used)),
+  daysRemaining: toNumber(pick(payload.daysRemaining, payload.days_remaining)),
+})
+
+/**
+ * @typedef {Object} PaymentMethod
+ * @property {string} id
+ * @property {string} type - e.g. mpesa, card
+ * @property {string} label - What to show the user, e.g. a masked number
+ * @property {boolean} isDefault
+ */
+
+/**
+ * Map a saved payment method
+ * @param {Object} payload - Payment method from the subscription service
+ * @returns {PaymentMethod} Payment method
+ */
+export const mapPaymentMethod = (payload) => {
+  assertFields(payload, ['id'], 'payment method')
+
+  return {
+    id: payload.id,
+    type: payload.type || '',
+    label: payload.label || payload.name || '',
+    isDefault: pick(payload.isDefault, payload.is_default) === true,
+  }
+}
+
+/**
+ * Map the payment method list
+ * @param {Object|Array} payload - Payment methods, bare or under `payment_methods`
+ * @returns {PaymentMethod[]} Payment methods
+ */
+export const mapPaymentMethods = (payload) => mapList(payload, 'payment_methods', mapPaymentMethod)
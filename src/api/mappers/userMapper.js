@@ -0,0 +1,230 @@
+/**
+ * User, auth response and admin user-list mappers.
+ */
+
+import { assertFields, mapList, pick, toNumber, withoutUndefined } from './mapperUtils'
+
+/**
+ * @typedef {Object} User
+ * @property {string} id
+ * @property {string} email
+ * @property {string} phone - E.164
+ * @property {string} fullName
+ * @property {string} firstName
+ * @property {string} lastName
+ * @property {string|null} role
+ * @property {boolean} phoneVerified
+ * @property {boolean} emailVerified
+ * @property {boolean} profileCompleted
+ * @property {string} kycStatus - not_submitted | pending | approved | rejected
+ * @property {string|null} kycRejectionReason
+ * @property {boolean} canInvest
+ * @property {boolean} canSubscribe
+ * @property {string|null} subscriptionStatus - trial | active | cancelled | expired
+ * @property {boolean} hasActiveSubscription
+ * @property {boolean} mfaEnabled
+ * @property {string|null} dateOfBirth - ISO date
+ * @property {string} address
+ * @property {string} city
+ * @property {string} country
+ * @property {string|null} createdAt
+ * @property {string|null} lastLogin
+ */
+
+const splitName = (fullName) => {
+  const [firstName = '', ...rest] = fullName.trim().split(/\s+/)
+  return { firstName, lastName: rest.join(' ') }
+}
+
+/**
+ * Map a user payload to the User model
+ * @param {Object} payload - User from the auth service
+ * @returns {User} User
+ */
+export const mapUser = (payload) => {
+  assertFields(payload, ['id', 'email'], 'user')
+
+  const fullName = pick(
+    payload.full_name,
+    [payload.first_name, payload.last_name].filter(Boolean).join(' ') || null,
+    payload.name,
+  ) || ''
+
+  return {
+    id: payload.id,
+    email: payload.email,
+    phone: payload.phone || '',
+    fullName,
+    ...splitName(fullName),
+    role: payload.role || null,
+    // Older auth service builds used is_*_verified
+    phoneVerified: pick(payload.phone_verified, payload.is_phone_verified) === true,
+    emailVerified: pick(payload.email_verified, payload.is_email_verified) === true,
+    profileCompleted: payload.profile_completed === true,
+    kycStatus: pick(payload.kyc_status, payload.kyc?.status) || 'not_submitted',
+    kycRejectionReason: payload.kyc_rejection_reason || null,
+    canInvest: payload.can_invest === true,
+    canSubscribe: payload.can_subscribe === true,
+    subscriptionStatus: payload.subscription_status || null,
+    hasActiveSubscription: payload.has_active_subscription === true
+      || ['active', 'trial'].includes(payload.subscription_status),
+    mfaEnabled: pick(payload.mfa_enabled, payload.totp_enabled, payload.two_factor_enabled) === true,
+    dateOfBirth: payload.date_of_birth || null,
+    address: payload.address || '',
+    city: payload.city || '',
+    country: payload.country || '',
+    createdAt: payload.created_at || null,
+    lastLogin: payload.last_login || null,
+  }
+}
+
+/**
+ * Map a user that may be missing from the response (e.g. MFA challenges)
+ * @param {Object|undefined} payload - User payload
+ * @returns {User|null} User, or null
+ */
+export const mapOptionalUser = (payload) => (payload ? mapUser(payload) : null)
+
+/**
+ * @typedef {Object} AuthSession
+ * @property {string} accessToken
+ * @property {string} refreshToken
+ * @property {User|null} user
+ */
+
+/**
+ * Map a response that signs the user in (login, OTP verification, passkey)
+ * @param {Object} payload - Response with access_token, refresh_token and user
+ * @returns {AuthSession} Tokens and user
+ */
+export const mapAuthResponse = (payload = {}) => ({
+  accessToken: payload.access_token,
+  refreshToken: payload.refresh_token,
+  user: mapOptionalUser(payload.user),
+})
+
+/**
+ * Build the registration request
+ * @param {Object} registration - Form values: email, phone, password, firstName, lastName
+ * @returns {Object} Request body
+ */
+export const toRegisterRequest = (registration) => ({
+  email: registration.email,
+  phone: registration.phone,
+  password: registration.password,
+  full_name: `${registration.firstName || ''} ${registration.lastName || ''}`.trim(),
+})
+
+/**
+ * Build a profile update; fields left out are not changed
+ * @param {Object} profile - firstName, lastName, dateOfBirth, country, city, address
+ * @returns {Object} Request body
+ */
+export const toProfileRequest = (profile) => withoutUndefined({
+  full_name: profile.firstName || profile.lastName
+    ? `${profile.firstName || ''} ${profile.lastName || ''}`.trim()
+    : undefined,
+  date_of_birth: profile.dateOfBirth || undefined,
+  country: profile.country || undefined,
+  city: profile.city || undefined,
+  address: profile.address || undefined,
+})
+
+/**
+ * Map the response to a KYC document upload
+ * @param {Object} payload - { message, kyc_status }
+ * @returns {{ message: string, kycStatus: string }} Submission result
+ */
+export const mapKycSubmission = (payload = {}) => ({
+  message: payload.message || '',
+  kycStatus: payload.kyc_status || 'pending',
+})
+
+/**
+ * Map a list of users
+ * @param {Object|Array} payload - Users, bare or under `users`
+ * @returns {User[]} Users
+ */
+export const mapUsers = (payload) => mapList(payload, 'users', mapUser)
+
+/**
+ * @typedef {Object} UserPage
+ * @property {User[]} users
+ * @property {number} total
+ * @property {number} limit
+ * @property {number} offset
+ * @property {boolean} hasNext
+ * @property {boolean} hasPrev
+ */
+
+/**
+ * Map a page of the admin user list
+ * @param {Object} payload - { users, total, limit, offset, has_next, has_prev }
+ * @returns {UserPage} Page of users
+ */
+export const mapUserPage = (payload) => {
+  const users = mapUsers(payload)
+  const limit = toNumber(payload?.limit, users.length)
+  const offset = toNumber(payload?.offset)
+  const total = toNumber(payload?.total, users.length)
+
+  return {
+    users,
+    total,
+    limit,
+    offset,
+    hasNext: pick(payload?.has_next, offset + users.length < total),
+    hasPrev: pick(payload?.has_prev, offset > 0),
+  }
+}
+
+/**
+ * @typedef {Object} UserStats
+ * @property {number} totalUsers
+ * @property {number} phoneVerified
+ * @property {number} profileCompleted
+ * @property {number} canInvest
+ * @property {number} kycPending
+ */
+
+/**
+ * Map admin user statistics
+ * @param {Object} payload - { total_users, phone_verified, profile_completed, can_invest, kyc_pending }
+ * @returns {UserStats} Counts
+ */
+export const mapUserStats = (payload = {}) => ({
+  totalUsers: toNumber(payload.total_users),
+  phoneVerified: toNumber(payload.phone_verified),
+  profileCompleted: toNumber(payload.profile_completed),
+  canInvest: toNumber(payload.can_invest),
+  kycPending: toNumber(payload.kyc_pending),
+})
+
+/**
+ * Map the response to an admin KYC decision
+ * @param {Object} payload - { message, user }
+ * @returns {{ message: string, user: User|null }} Review result
+ */
+export const mapKycReview = (payload = {}) => ({
+  message: payload.message || '',
+  user: mapOptionalUser(payload.user),
+})
+
+/**
+ * @typedef {Object} KycDocument
+ * @property {string} type - e.g. national_id, passport
+ * @property {string} url - Link to view the document
+ */
+
+/**
+ * Map the KYC documents a user has uploaded
+ * @param {Object} payload - { user_id, documents }
+ * @returns {{ userId: string|null, documents: KycDocument[] }} Documents
+ */
+export const mapKycDocuments = (payload = {}) => ({
+  userId: payload.user_id || null,
+  documents: mapList(payload, 'documents', (document) => ({
+    type: document.type || 'document',
+    url: document.url,
+  })),
+})
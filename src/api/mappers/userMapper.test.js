@@ -0,0 +1,89 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { mapAuthResponse, mapUser, mapUserPage, toProfileRequest } from './userMapper'
+
+describe('userMapper', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  it('maps a user payload to the camelCase model', () => {
+    const user = mapUser({
+      id: 'u1',
+      email: 'jane@example.com',
+      full_name: 'Jane Wanjiru Doe',
+      phone_verified: true,
+      profile_completed: true,
+      kyc_status: 'approved',
+      subscription_status: 'trial',
+      date_of_birth: '1990-01-01',
+    })
+
+    expect(user).toMatchObject({
+      id: 'u1',
+      fullName: 'Jane Wanjiru Doe',
+      firstName: 'Jane',
+      lastName: 'Wanjiru Doe',
+      phoneVerified: true,
+      emailVerified: false,
+      profileCompleted: true,
+      kycStatus: 'approved',
+      hasActiveSubscription: true,
+      dateOfBirth: '1990-01-01',
+    })
+  })
+
+  it('reads the field names older auth service builds send', () => {
+    const user = mapUser({
+      id: 'u1',
+      email: 'jane@example.com',
+      first_name: 'Jane',
+      last_name: 'Doe',
+      is_phone_verified: true,
+      is_email_verified: true,
+      totp_enabled: true,
+      kyc: { status: 'pending' },
+    })
+
+    expect(user).toMatchObject({
+      fullName: 'Jane Doe',
+      phoneVerified: true,
+      emailVerified: true,
+      mfaEnabled: true,
+      kycStatus: 'pending',
+    })
+  })
+
+  it('rejects a payload missing required fields like other API errors', () => {
+    expect(() => mapUser({ email: 'jane@example.com' })).toThrow(expect.objectContaining({
+      type: 'invalid_response',
+      resource: 'user',
+      missing: ['id'],
+    }))
+  })
+
+  it('keeps the user out of MFA challenges', () => {
+    expect(mapAuthResponse({ access_token: 'a', refresh_token: 'r' })).toEqual({
+      accessToken: 'a',
+      refreshToken: 'r',
+      user: null,
+    })
+  })
+
+  it('builds profile updates without clearing fields that were not sent', () => {
+    expect(toProfileRequest({ firstName: 'Jane', lastName: 'Doe', city: 'Nairobi' })).toEqual({
+      full_name: 'Jane Doe',
+      city: 'Nairobi',
+    })
+  })
+
+  it('works out paging when the list omits it', () => {
+    const page = mapUserPage({
+      users: [{ id: 'u1', email: 'a@example.com' }],
+      total: 3,
+      offset: 0,
+    })
+
+    expect(page).toMatchObject({ total: 3, limit: 1, hasNext: true, hasPrev: false })
+    expect(page.users[0].email).toBe('a@example.com')
+  })
+})
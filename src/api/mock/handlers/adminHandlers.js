@@ -0,0 +1,111 @@
+/**
+ * Mock admin endpoints: user listing and statistics, KYC review.
+ * Every route requires a signed-in admin, as the real service does.
+ */
+
+import { ROLES } from '../../../utils/constants'
+import { httpError } from '../mockRouter'
+import { requireUser, toPublicUser } from './authHandlers'
+
+const requireAdmin = (ctx) => {
+  const user = requireUser(ctx)
+  if (user.role !== ROLES.ADMIN) throw httpError(403, 'Admin access required')
+  return user
+}
+
+const matchesBoolean = (value, filter) => filter === undefined || String(value) === filter
+
+const listUsers = (ctx) => {
+  requireAdmin(ctx)
+  const { query } = ctx
+  const search = query.search?.toLowerCase()
+  const limit = parseInt(query.limit, 10) || 20
+  const offset = parseInt(query.offset, 10) || 0
+
+  const users = ctx.db.users
+    .filter((user) => matchesBoolean(user.phone_verified, query.phone_verified))
+    .filter((user) => matchesBoolean(user.profile_completed, query.profile_completed))
+    .filter((user) => !query.kyc_status || user.kyc_status === query.kyc_status)
+    .filter((user) => !search || [user.full_name, user.email, user.phone]
+      .some((field) => field?.toLowerCase().includes(search)))
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+
+  return {
+    users: users.slice(offset, offset + limit).map(toPublicUser),
+    total: users.length,
+    limit,
+    offset,
+    has_next: offset + limit < users.length,
+    has_prev: offset > 0,
+  }
+}
+
+const getUserStats = (ctx) => {
+  requireAdmin(ctx)
+  const { users } = ctx.db
+
+  return {
+    total_users: users.length,
+    phone_verified: users.filter((user) => user.phone_verified).length,
+    profile_completed: users.filter((user) => user.profile_completed).length,
+    can_invest: users.filter((user) => user.can_invest).length,
+    kyc_pending: users.filter((user) => user.kyc_status === 'pending').length,
+  }
+}
+
+const findUser = (ctx, id) => {
+  const user = ctx.db.users.find((item) => item.id === id)
+  if (!user) throw httpError(404, 'User not found')
+  return user
+}
+
+const getUser = (ctx) => {
+  requireAdmin(ctx)
+  return toPublicUser(findUser(ctx, ctx.params.id))
+}
+
+const listPendingKyc = (ctx) => {
+  requireAdmin(ctx)
+  return ctx.db.users.filter((user) => user.kyc_status === 'pending').map(toPublicUser)
+}
+
+const reviewKyc = (ctx) => {
+  const reviewer = requireAdmin(ctx)
+  const user = findUser(ctx, ctx.body.user_id)
+
+  if (ctx.body.action !== 'approve' && ctx.body.action !== 'reject') {
+    throw httpError(422, 'Action must be approve or reject')
+  }
+  if (ctx.body.action === 'reject' && !ctx.body.rejection_reason) {
+    throw httpError(422, 'A rejection reason is required')
+  }
+
+  user.kyc_status = ctx.body.action === 'approve' ? 'approved' : 'rejected'
+  user.can_invest = user.kyc_status === 'approved' && user.phone_verified && user.profile_completed
+  user.kyc_rejection_reason = ctx.body.rejection_reason || null
+  user.kyc_reviewed_by = ctx.body.reviewer || reviewer.email
+
+  return { message: `KYC ${user.kyc_status}`, user: toPublicUser(user) }
+}
+
+const getKycDocuments = (ctx) => {
+  requireAdmin(ctx)
+  const user = findUser(ctx, ctx.params.userId)
+
+  return {
+    user_id: user.id,
+    documents: user.kyc_status === 'not_submitted' ? [] : [
+      { type: 'national_id', url: 'https://placehold.co/600x400?text=National+ID' },
+    ],
+  }
+}
+
+// '/users/stats' comes before '/users/:id' so it is not read as a user id
+export const adminRoutes = [
+  ['GET', '/users', listUsers],
+  ['GET', '/users/stats', getUserStats],
+  ['GET', '/users/:id', getUser],
+  ['GET', '/kyc/pending', listPendingKyc],
+  ['POST', '/kyc/review', reviewKyc],
+  ['GET', '/kyc/:userId/documents', getKycDocuments],
+]
@@ -0,0 +1,534 @@
+/**
+ * Mock auth service: registration, phone/email OTP, login with lockout and
+ * two-factor, token refresh, profile, sessions and passkeys.
+ */
+
+import {
+  ACCESS_TOKEN_TTL,
+  MOCK_OTP,
+  REFRESH_TOKEN_TTL,
+  createMockJwt,
+  nextId,
+} from '../mockDb'
+import { MockResponse, httpError } from '../mockRouter'
+
+// Failed passwords in a row before the account is locked
+const MAX_FAILED_LOGINS = 5
+const LOCKOUT_SECONDS = 15 * 60
+
+const BACKUP_CODES = ['ABCD-1234', 'EFGH-5678', 'IJKL-9012', 'MNOP-3456']
+
+const nowSeconds = () => Math.floor(Date.now() / 1000)
+
+const decodeToken = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')
+    return JSON.parse(atob(payload))
+  } catch {
+    return null
+  }
+}
+
+const findUserByIdentifier = (db, identifier = '') => {
+  const value = identifier.trim().toLowerCase()
+  return db.users.find((user) => user.email.toLowerCase() === value || user.phone === identifier.trim())
+}
+
+const assertOtp = (code) => {
+  if (code !== MOCK_OTP) {
+    throw httpError(400, 'Invalid or expired verification code', { code: 'invalid_otp' })
+  }
+}
+
+/**
+ * Copy of a user as the API returns it
+ * @param {Object} user - User record
+ * @returns {Object} User
+ */
+export const toPublicUser = (user) => ({ ...user })
+
+/**
+ * Start a session and issue its tokens
+ * @param {Object} db - Mock database
+ * @param {Object} user - User signing in
+ * @returns {Object} Login response: access_token, refresh_token and user
+ */
+export const issueTokens = (db, user) => {
+  const session = {
+    id: nextId(db, 'sess'),
+    user_id: user.id,
+    device_name: 'Chrome on Android',
+    device_type: 'mobile',
+    browser: 'Chrome',
+    os: 'Android',
+    ip_address: '102.0.0.1',
+    location: 'Nairobi, Kenya',
+    created_at: new Date().toISOString(),
+    last_active_at: new Date().toISOString(),
+    revoked: false,
+  }
+  db.sessions.push(session)
+  user.last_login = session.created_at
+
+  return {
+    ...signSession(user, session),
+    token_type: 'bearer',
+    user: toPublicUser(user),
+  }
+}
+
+const signSession = (user, session) => {
+  const issuedAt = nowSeconds()
+
+  return {
+    access_token: createMockJwt({
+      sub: user.id,
+      email: user.email,
+      roles: [user.role],
+      sid: session.id,
+      type: 'access',
+      iat: issuedAt,
+      exp: issuedAt + ACCESS_TOKEN_TTL,
+    }),
+    refresh_token: createMockJwt({
+      sub: user.id,
+      sid: session.id,
+      type: 'refresh',
+      iat: issuedAt,
+      exp: issuedAt + REFRESH_TOKEN_TTL,
+    }),
+  }
+}
+
+/**
+ * Resolve the signed-in user from the Authorization header
+ * @param {Object} db - Mock database
+ * @param {Object} headers - Request headers
+ * @returns {{ user: Object, session: Object }|null} Null when no token was sent
+ */
+export const authenticate = (db, headers = {}) => {
+  const authorization = headers.Authorization || headers.authorization
+  if (!authorization) return null
+
+  const claims = decodeToken(authorization.replace(/^Bearer\s+/i, ''))
+  if (!claims || claims.type !== 'access') {
+    throw httpError(401, 'Could not validate credentials')
+  }
+
+  const session = db.sessions.find((item) => item.id === claims.sid)
+  if (!session || session.revoked) {
+    throw httpError(401, 'This session has been signed out', { code: 'session_revoked' })
+  }
+  if (claims.exp <= nowSeconds()) {
+    throw httpError(401, 'Token has expired', { code: 'token_expired' })
+  }
+
+  const user = db.users.find((item) => item.id === claims.sub)
+  if (!user) throw httpError(401, 'Could not validate credentials')
+
+  session.last_active_at = new Date().toISOString()
+  return { user, session }
+}
+
+/**
+ * The signed-in user, or a 401 for anonymous requests and bad tokens
+ * @param {Object} ctx - Request context
+ * @returns {Object} User record
+ */
+export const requireUser = (ctx) => {
+  if (ctx.authError) throw ctx.authError
+  if (!ctx.user) throw httpError(401, 'Not authenticated')
+  return ctx.user
+}
+
+const register = ({ db, body }) => {
+  const email = body.email?.trim().toLowerCase()
+
+  if (!email || !body.phone || !body.password) {
+    throw httpError(422, 'Email, phone and password are required')
+  }
+  if (db.users.some((user) => user.email.toLowerCase() === email)) {
+    throw httpError(409, 'An account with this email already exists')
+  }
+  if (db.users.some((user) => user.phone === body.phone)) {
+    throw httpError(409, 'An account with this phone number already exists')
+  }
+
+  const user = {
+    id: nextId(db, 'user'),
+    email,
+    phone: body.phone,
+    full_name: body.full_name || '',
+    role: 'user',
+    phone_verified: false,
+    email_verified: false,
+    profile_completed: false,
+    kyc_status: 'not_submitted',
+    can_invest: false,
+    can_subscribe: true,
+    subscription_status: null,
+    has_active_subscription: false,
+    mfa_enabled: false,
+    created_at: new Date().toISOString(),
+    last_login: null,
+  }
+  db.users.push(user)
+  db.passwords[user.id] = body.password
+
+  return new MockResponse(201, {
+    message: 'Registration successful. Enter the code sent to your phone.',
+    user_id: user.id,
+    phone: user.phone,
+  })
+}
+
+const lockedResponse = (lockedUntil) => {
+  const seconds = Math.max(1, Math.ceil((lockedUntil - Date.now()) / 1000))
+
+  return httpError(423, 'Account locked after too many failed sign-in attempts', {
+    code: 'account_locked',
+    locked_until: new Date(lockedUntil).toISOString(),
+  }, { 'retry-after': String(seconds) })
+}
+
+const login = ({ db, body }) => {
+  const user = findUserByIdentifier(db, body.identifier)
+
+  if (user && db.lockedUntil[user.id] > Date.now()) {
+    throw lockedResponse(db.lockedUntil[user.id])
+  }
+
+  if (!user || db.passwords[user.id] !== body.password) {
+    if (user) {
+      db.failedLogins[user.id] = (db.failedLogins[user.id] || 0) + 1
+
+      if (db.failedLogins[user.id] >= MAX_FAILED_LOGINS) {
+        db.failedLogins[user.id] = 0
+        db.lockedUntil[user.id] = Date.now() + LOCKOUT_SECONDS * 1000
+        throw lockedResponse(db.lockedUntil[user.id])
+      }
+    }
+    throw httpError(401, 'Invalid email/phone or password')
+  }
+
+  db.failedLogins[user.id] = 0
+
+  if (user.mfa_enabled) {
+    const mfaToken = nextId(db, 'mfa')
+    db.mfaChallenges[mfaToken] = user.id
+    return { mfa_required: true, mfa_token: mfaToken, mfa_methods: ['totp', 'backup_code'] }
+  }
+
+  return issueTokens(db, user)
+}
+
+const verifyMfaLogin = ({ db, body }) => {
+  const userId = db.mfaChallenges[body.mfa_token]
+  if (!userId) throw httpError(401, 'Your sign-in attempt has expired. Please sign in again.')
+
+  const isValid = body.method === 'backup_code' ? BACKUP_CODES.includes(body.code) : body.code === MOCK_OTP
+  if (!isValid) throw httpError(400, 'Invalid verification code', { code: 'invalid_otp' })
+
+  delete db.mfaChallenges[body.mfa_token]
+  return issueTokens(db, db.users.find((user) => user.id === userId))
+}
+
+const refresh = ({ db, body }) => {
+  const claims = decodeToken(body.refresh_token || '')
+  if (!claims || claims.type !== 'refresh' || claims.exp <= nowSeconds()) {
+    throw httpError(401, 'Invalid refresh token')
+  }
+
+  const session = db.sessions.find((item) => item.id === claims.sid)
+  if (!session || session.revoked) {
+    throw httpError(401, 'This session has been signed out', { code: 'session_revoked' })
+  }
+
+  const user = db.users.find((item) => item.id === claims.sub)
+  return { ...signSession(user, session), token_type: 'bearer' }
+}
+
+const verifyPhone = ({ db, body }) => {
+  const user = db.users.find((item) => item.phone === body.phone)
+  if (!user) throw httpError(404, 'No account uses this phone number')
+
+  assertOtp(body.otp)
+  user.phone_verified = true
+  return issueTokens(db, user)
+}
+
+const resendOtp = ({ db, body }) => {
+  if (!db.users.some((user) => user.phone === body.phone)) {
+    throw httpError(404, 'No account uses this phone number')
+  }
+  return { message: 'A new code has been sent', expires_in: 300 }
+}
+
+const sendEmailVerification = (ctx) => {
+  const user = requireUser(ctx)
+  return { message: 'Verification code sent', sent_to: user.email }
+}
+
+const verifyEmail = (ctx) => {
+  const user = requireUser(ctx)
+  if (!ctx.body.token) assertOtp(ctx.body.code)
+
+  user.email_verified = true
+  return { user: toPublicUser(user) }
+}
+
+const assertChannel = (channel) => {
+  if (channel !== 'email' && channel !== 'phone') {
+    throw httpError(404, 'Not found')
+  }
+}
+
+const requestContactChange = (ctx) => {
+  const user = requireUser(ctx)
+  const { channel } = ctx.params
+  assertChannel(channel)
+
+  const value = ctx.body[channel]
+  if (!value) throw httpError(422, `A new ${channel} is required`)
+  if (ctx.db.users.some((item) => item.id !== user.id && item[channel] === value)) {
+    throw httpError(409, `This ${channel} is already used by another account`)
+  }
+
+  return { message: 'Verification code sent', sent_to: value }
+}
+
+const confirmContactChange = (ctx) => {
+  const user = requireUser(ctx)
+  const { channel } = ctx.params
+  assertChannel(channel)
+  assertOtp(ctx.body.otp)
+
+  user[channel] = ctx.body[channel]
+  user[`${channel}_verified`] = true
+  return { user: toPublicUser(user) }
+}
+
+const getMe = (ctx) => toPublicUser(requireUser(ctx))
+
+// Fields the profile form may change
+const PROFILE_FIELDS = ['full_name', 'date_of_birth', 'city', 'country', 'address', 'occupation', 'nationality']
+
+const updateProfile = (ctx) => {
+  const user = requireUser(ctx)
+
+  PROFILE_FIELDS.forEach((field) => {
+    if (ctx.body[field] !== undefined) user[field] = ctx.body[field]
+  })
+  user.profile_completed = true
+
+  return toPublicUser(user)
+}
+
+const submitKyc = (ctx) => {
+  const user = requireUser(ctx)
+  user.kyc_status = 'pending'
+  return { message: 'Documents received. We will review them within 24 hours.', kyc_status: 'pending' }
+}
+
+const requestPasswordReset = () => ({
+  message: 'If an account exists for this email, a reset link has been sent',
+})
+
+const resetPassword = ({ db, body }) => {
+  if (!body.token) throw httpError(400, 'Invalid or expired reset link')
+  // Reset links in the mock carry the user's email as the token
+  const user = findUserByIdentifier(db, body.token)
+  if (user) db.passwords[user.id] = body.new_password
+  return { message: 'Your password has been reset' }
+}
+
+const requestUnlock = ({ db, body }) => {
+  const user = findUserByIdentifier(db, body.identifier)
+  const sentTo = user ? user.phone.replace(/\d(?=\d{3})/g, '*') : null
+  return { message: 'Unlock code sent', sent_to: sentTo }
+}
+
+const unlockAccount = ({ db, body }) => {
+  assertOtp(body.otp)
+
+  const user = findUserByIdentifier(db, body.identifier)
+  if (user) {
+    delete db.lockedUntil[user.id]
+    db.failedLogins[user.id] = 0
+  }
+  return { message: 'Your account has been unlocked' }
+}
+
+const changePassword = (ctx) => {
+  const user = requireUser(ctx)
+
+  if (ctx.db.passwords[user.id] !== ctx.body.current_password) {
+    throw httpError(400, 'Current password is incorrect')
+  }
+  ctx.db.passwords[user.id] = ctx.body.new_password
+
+  if (!ctx.body.revoke_other_sessions) {
+    return { message: 'Password changed' }
+  }
+
+  ctx.db.sessions.forEach((session) => {
+    if (session.user_id === user.id && session.id !== ctx.session.id) session.revoked = true
+  })
+  return { message: 'Password changed', ...signSession(user, ctx.session) }
+}
+
+const startTotpSetup = (ctx) => {
+  const user = requireUser(ctx)
+  const secret = 'JBSWY3DPEHPK3PXP'
+  return {
+    secret,
+    otpauth_url: `otpauth://totp/Africa:${encodeURIComponent(user.email)}?secret=${secret}&issuer=Africa`,
+  }
+}
+
+const confirmTotpSetup = (ctx) => {
+  const user = requireUser(ctx)
+  assertOtp(ctx.body.code)
+  user.mfa_enabled = true
+  return { message: 'Two-factor authentication is on', backup_codes: BACKUP_CODES }
+}
+
+const disableTotp = (ctx) => {
+  const user = requireUser(ctx)
+  assertOtp(ctx.body.code)
+  user.mfa_enabled = false
+  return { message: 'Two-factor authentication is off' }
+}
+
+const regenerateBackupCodes = (ctx) => {
+  requireUser(ctx)
+  assertOtp(ctx.body.code)
+  return { backup_codes: BACKUP_CODES }
+}
+
+const listSessions = (ctx) => {
+  const user = requireUser(ctx)
+
+  return {
+    sessions: ctx.db.sessions
+      .filter((session) => session.user_id === user.id && !session.revoked)
+      .map((session) => {
+        const { revoked: _revoked, user_id: _userId, ...fields } = session
+        return { ...fields, is_current: session.id === ctx.session.id }
+      }),
+  }
+}
+
+const revokeSession = (ctx) => {
+  const user = requireUser(ctx)
+  const session = ctx.db.sessions.find((item) => item.id === ctx.params.id && item.user_id === user.id)
+  if (!session) throw httpError(404, 'Session not found')
+
+  session.revoked = true
+  return { message: 'Session signed out' }
+}
+
+const revokeAllSessions = (ctx) => {
+  const user = requireUser(ctx)
+
+  ctx.db.sessions.forEach((session) => {
+    if (session.user_id !== user.id) return
+    if (ctx.body.keep_current && session.id === ctx.session.id) return
+    session.revoked = true
+  })
+  return { message: 'Sessions signed out' }
+}
+
+const passkeyOptions = () => ({
+  options: {
+    challenge: 'bW9jay1jaGFsbGVuZ2U',
+    rp: { name: 'Africa', id: typeof window !== 'undefined' ? window.location.hostname : 'localhost' },
+    timeout: 60000,
+  },
+  challenge_id: 'mock-challenge',
+})
+
+const passkeyRegisterOptions = (ctx) => {
+  const user = requireUser(ctx)
+  const { options } = passkeyOptions()
+
+  return {
+    options: {
+      ...options,
+      user: { id: btoa(user.id), name: user.email, displayName: user.full_name },
+      pubKeyCredParams: [{ type: 'public-key', alg: -7 }],
+    },
+  }
+}
+
+const registerPasskey = (ctx) => {
+  const user = requireUser(ctx)
+  const passkey = {
+    id: nextId(ctx.db, 'pk'),
+    user_id: user.id,
+    name: ctx.body.name || 'Passkey',
+    created_at: new Date().toISOString(),
+    last_used_at: null,
+  }
+  ctx.db.passkeys.push(passkey)
+  return passkey
+}
+
+const listPasskeys = (ctx) => {
+  const user = requireUser(ctx)
+  return { passkeys: ctx.db.passkeys.filter((passkey) => passkey.user_id === user.id) }
+}
+
+const deletePasskey = (ctx) => {
+  const user = requireUser(ctx)
+  const index = ctx.db.passkeys.findIndex((item) => item.id === ctx.params.id && item.user_id === user.id)
+  if (index === -1) throw httpError(404, 'Passkey not found')
+
+  ctx.db.passkeys.splice(index, 1)
+  return { message: 'Passkey removed' }
+}
+
+const loginWithPasskey = ({ db }) => {
+  const passkey = db.passkeys[0]
+  if (!passkey) throw httpError(401, 'This passkey is not registered')
+
+  passkey.last_used_at = new Date().toISOString()
+  return issueTokens(db, db.users.find((user) => user.id === passkey.user_id))
+}
+
+const getHealth = () => ({ status: 'healthy', timestamp: new Date().toISOString() })
+
+export const authRoutes = [
+  ['GET', '/health', getHealth],
+  ['POST', '/register', register],
+  ['POST', '/login', login],
+  ['POST', '/login/mfa', verifyMfaLogin],
+  ['POST', '/refresh', refresh],
+  ['POST', '/verify-phone', verifyPhone],
+  ['POST', '/resend-otp', resendOtp],
+  ['POST', '/verify-email/send', sendEmailVerification],
+  ['POST', '/verify-email', verifyEmail],
+  ['POST', '/me/:channel/change', requestContactChange],
+  ['POST', '/me/:channel/change/verify', confirmContactChange],
+  ['GET', '/me', getMe],
+  ['PUT', '/profile', updateProfile],
+  ['POST', '/kyc/submit', submitKyc],
+  ['POST', '/password-reset', requestPasswordReset],
+  ['POST', '/password-reset/confirm', resetPassword],
+  ['POST', '/unlock/request', requestUnlock],
+  ['POST', '/unlock', unlockAccount],
+  ['POST', '/change-password', changePassword],
+  ['POST', '/mfa/totp/setup', startTotpSetup],
+  ['POST', '/mfa/totp/verify', confirmTotpSetup],
+  ['POST', '/mfa/totp/disable', disableTotp],
+  ['POST', '/mfa/backup-codes', regenerateBackupCodes],
+  ['GET', '/sessions', listSessions],
+  ['DELETE', '/sessions/:id', revokeSession],
+  ['POST', '/sessions/revoke-all', revokeAllSessions],
+  ['POST', '/passkeys/register/options', passkeyRegisterOptions],
+  ['POST', '/passkeys/register/verify', registerPasskey],
+  ['GET', '/passkeys', listPasskeys],
+  ['DELETE', '/passkeys/:id', deletePasskey],
+  ['POST', '/passkeys/login/options', passkeyOptions],
+  ['POST', '/passkeys/login/verify', loginWithPasskey],
+]
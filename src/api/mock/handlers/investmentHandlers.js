@@ -0,0 +1,271 @@
+/**
+ * Mock investment service: products, inquiries, portfolio and withdrawals.
+ */
+
+import { nextId } from '../mockDb'
+import { MockResponse, httpError } from '../mockRouter'
+import { requireUser } from './authHandlers'
+
+const compareBy = (field, order) => (a, b) => {
+  const left = a[field]
+  const right = b[field]
+  const numeric = !Number.isNaN(parseFloat(left)) && !Number.isNaN(parseFloat(right))
+  const result = numeric
+    ? parseFloat(left) - parseFloat(right)
+    : String(left ?? '').localeCompare(String(right ?? ''))
+
+  return order === 'desc' ? -result : result
+}
+
+const findProduct = (db, slugOrId) => {
+  const product = db.products.find((item) => item.slug === slugOrId || item.id === slugOrId)
+  if (!product) throw httpError(404, 'Product not found')
+  return product
+}
+
+const countBy = (products, field) => products.reduce((counts, product) => ({
+  ...counts,
+  [product[field]]: (counts[product[field]] || 0) + 1,
+}), {})
+
+const listProducts = ({ db, query }) => {
+  let products = db.products
+  const search = query.search?.toLowerCase()
+
+  if (search) {
+    products = products.filter((product) => [product.name, product.short_description, product.description]
+      .some((field) => field?.toLowerCase().includes(search)))
+  }
+  if (query.status) products = products.filter((product) => product.status === query.status)
+
+  // Each facet counts what picking one of its values would show, so it
+  // ignores its own filter but applies the other one
+  const inCategory = (product) => !query.category || product.category === query.category
+  const atRisk = (product) => !query.risk_level || product.risk_level === query.risk_level
+  const facets = {
+    category: countBy(products.filter(atRisk), 'category'),
+    risk_level: countBy(products.filter(inCategory), 'risk_level'),
+  }
+
+  products = products.filter((product) => inCategory(product) && atRisk(product))
+  if (query.sort_by) products = [...products].sort(compareBy(query.sort_by, query.sort_order))
+
+  const page = Math.max(1, parseInt(query.page, 10) || 1)
+  const pageSize = Math.max(1, parseInt(query.page_size, 10) || 20)
+  const start = (page - 1) * pageSize
+
+  return {
+    products: products.slice(start, start + pageSize),
+    total: products.length,
+    page,
+    page_size: pageSize,
+    total_pages: Math.max(1, Math.ceil(products.length / pageSize)),
+    facets,
+  }
+}
+
+const getProduct = ({ db, params }) => findProduct(db, params.slug)
+
+const listCategories = ({ db }) => {
+  const counts = db.products.reduce((result, product) => ({
+    ...result,
+    [product.category]: (result[product.category] || 0) + 1,
+  }), {})
+
+  return Object.entries(counts).map(([id, count]) => ({
+    id,
+    name: id.split('_').map((word) => word.charAt(0).toUpperCase() + word.slice(1)).join(' '),
+    count,
+  }))
+}
+
+const getStatistics = ({ db }) => {
+  const active = db.products.filter((product) => product.status === 'active')
+  const returns = active.map((product) => parseFloat(product.expected_annual_return))
+
+  return {
+    averageReturn: returns.reduce((sum, value) => sum + value, 0) / (returns.length || 1),
+    minInvestment: Math.min(...active.map((product) => parseFloat(product.minimum_investment))),
+    totalProducts: db.products.length,
+    totalInvestors: db.products.reduce((sum, product) => sum + product.total_investors, 0),
+    totalRaised: db.products.reduce((sum, product) => sum + parseFloat(product.total_raised), 0),
+    activeProducts: active.length,
+  }
+}
+
+const getHealth = () => ({ status: 'healthy', timestamp: new Date().toISOString() })
+
+const submitInquiry = ({ db, body }) => {
+  const product = findProduct(db, body.product_id)
+  const amount = parseFloat(body.investment_amount)
+
+  if (!body.email || !body.full_name || !body.phone) {
+    throw httpError(422, 'Name, email and phone are required', { message: 'Name, email and phone are required' })
+  }
+  if (!(amount >= parseFloat(product.minimum_investment))) {
+    const message = `The minimum investment for ${product.name} is ${product.minimum_investment} ${product.currency}`
+    throw httpError(422, message, { message })
+  }
+  if (product.maximum_investment && amount > parseFloat(product.maximum_investment)) {
+    const message = `The maximum investment for ${product.name} is ${product.maximum_investment} ${product.currency}`
+    throw httpError(422, message, { message })
+  }
+
+  const duration = body.duration_months || product.investment_duration_months
+  const id = nextId(db, 'inq')
+  const inquiry = {
+    id,
+    product_id: product.id,
+    investment_slug: product.slug,
+    email: body.email,
+    full_name: body.full_name,
+    phone: body.phone,
+    message: body.message,
+    investment_amount: amount,
+    currency: body.currency || product.currency,
+    duration_months: duration,
+    total_expected_return: Math.round(amount * (parseFloat(product.expected_annual_return) / 100) * (duration / 12)),
+    status: 'pending',
+    paymentReference: `AFR-${id.toUpperCase()}`,
+    paymentInstructions: `Pay via M-Pesa Paybill 123456, account AFR-${id.toUpperCase()}.`,
+    created_at: new Date().toISOString(),
+  }
+  db.inquiries.push(inquiry)
+
+  return new MockResponse(201, { message: 'Inquiry submitted', inquiry })
+}
+
+const listInquiries = ({ db, query }) => db.inquiries
+  .filter((inquiry) => (query.email && inquiry.email === query.email) || (query.phone && inquiry.phone === query.phone))
+  .sort(compareBy('created_at', 'desc'))
+
+const findInquiry = (db, id) => {
+  const inquiry = db.inquiries.find((item) => item.id === id)
+  if (!inquiry) throw httpError(404, 'Inquiry not found')
+  return inquiry
+}
+
+const getInquiry = ({ db, params }) => findInquiry(db, params.id)
+
+const updateInquiry = (ctx) => {
+  requireUser(ctx)
+  const inquiry = findInquiry(ctx.db, ctx.params.id)
+  if (ctx.body.status) inquiry.status = ctx.body.status
+  return inquiry
+}
+
+const EMPTY_PORTFOLIO = {
+  totalInvested: 0,
+  currentValue: 0,
+  totalReturns: 0,
+  availableForWithdrawal: 0,
+  investments: [],
+}
+
+const getPortfolioFor = (db, user) => {
+  if (!db.portfolios[user.id]) {
+    db.portfolios[user.id] = { ...EMPTY_PORTFOLIO, investments: [] }
+  }
+  return db.portfolios[user.id]
+}
+
+const getPortfolio = (ctx) => getPortfolioFor(ctx.db, requireUser(ctx))
+
+const getInvestment = (ctx) => {
+  const investment = getPortfolioFor(ctx.db, requireUser(ctx)).investments
+    .find((item) => item.id === ctx.params.id)
+  if (!investment) throw httpError(404, 'Investment not found')
+  return investment
+}
+
+const getPerformance = (ctx) => {
+  const portfolio = getPortfolioFor(ctx.db, requireUser(ctx))
+  const months = ctx.query.period === '1y' ? 12 : 6
+
+  // A steady climb from the invested amount to today's value
+  return {
+    period: ctx.query.period || '6m',
+    points: Array.from({ length: months + 1 }, (_, index) => ({
+      date: new Date(Date.now() - (months - index) * 30 * 24 * 60 * 60 * 1000).toISOString(),
+      value: Math.round(portfolio.totalInvested + (portfolio.totalReturns * index) / months),
+    })),
+  }
+}
+
+const createWithdrawal = (ctx) => {
+  const user = requireUser(ctx)
+  const portfolio = getPortfolioFor(ctx.db, user)
+  const amount = parseFloat(ctx.body.amount)
+
+  if (!(amount > 0)) {
+    throw httpError(422, 'Enter an amount greater than zero', { message: 'Enter an amount greater than zero' })
+  }
+  if (amount > portfolio.availableForWithdrawal) {
+    const message = 'The amount exceeds your available balance'
+    throw httpError(422, message, { message, code: 'insufficient_balance' })
+  }
+
+  portfolio.availableForWithdrawal -= amount
+  const withdrawal = {
+    id: nextId(ctx.db, 'wd'),
+    user_id: user.id,
+    amount,
+    reason: ctx.body.reason || '',
+    status: 'pending',
+    requestedAt: new Date().toISOString(),
+    processedAt: null,
+  }
+  ctx.db.withdrawals.push(withdrawal)
+
+  return new MockResponse(201, withdrawal)
+}
+
+const listWithdrawals = (ctx) => {
+  const user = requireUser(ctx)
+  const { status, sort_by: sortBy = 'requestedAt', sort_order: sortOrder = 'desc' } = ctx.query
+  const offset = parseInt(ctx.query.offset, 10) || 0
+  const limit = parseInt(ctx.query.limit, 10) || undefined
+
+  return ctx.db.withdrawals
+    .filter((withdrawal) => withdrawal.user_id === user.id && (!status || withdrawal.status === status))
+    .sort(compareBy(sortBy, sortOrder))
+    .slice(offset, limit ? offset + limit : undefined)
+}
+
+const findWithdrawal = (ctx) => {
+  const user = requireUser(ctx)
+  const withdrawal = ctx.db.withdrawals.find((item) => item.id === ctx.params.id && item.user_id === user.id)
+  if (!withdrawal) throw httpError(404, 'Withdrawal not found')
+  return withdrawal
+}
+
+const cancelWithdrawal = (ctx) => {
+  const withdrawal = findWithdrawal(ctx)
+  if (withdrawal.status !== 'pending') {
+    throw httpError(409, 'Only pending withdrawals can be cancelled')
+  }
+
+  withdrawal.status = 'cancelled'
+  withdrawal.processedAt = new Date().toISOString()
+  getPortfolioFor(ctx.db, ctx.user).availableForWithdrawal += withdrawal.amount
+  return withdrawal
+}
+
+export const investmentRoutes = [
+  ['GET', '/products', listProducts],
+  ['GET', '/products/:slug', getProduct],
+  ['GET', '/categories', listCategories],
+  ['GET', '/statistics', getStatistics],
+  ['GET', '/health', getHealth],
+  ['POST', '/inquiries/submit', submitInquiry],
+  ['GET', '/inquiries', listInquiries],
+  ['GET', '/inquiries/:id', getInquiry],
+  ['PUT', '/inquiries/:id', updateInquiry],
+  ['GET', '/portfolio', getPortfolio],
+  ['GET', '/portfolio/investments/:id', getInvestment],
+  ['GET', '/portfolio/performance', getPerformance],
+  ['POST', '/portfolio/withdrawals', createWithdrawal],
+  ['GET', '/portfolio/withdrawals', listWithdrawals],
+  ['GET', '/portfolio/withdrawals/:id', findWithdrawal],
+  ['POST', '/portfolio/withdrawals/:id/cancel', cancelWithdrawal],
+]
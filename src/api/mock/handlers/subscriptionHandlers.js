@@ -0,0 +1,196 @@
+/**
+ * Mock subscription service: plans, the user's subscription, free trials and
+ * payment methods.
+ */
+
+import { nextId } from '../mockDb'
+import { MockResponse, httpError } from '../mockRouter'
+import { requireUser } from './authHandlers'
+
+const DAY = 24 * 60 * 60 * 1000
+const BILLING_PERIOD_DAYS = { monthly: 30, quarterly: 90, yearly: 365 }
+
+const findPlan = (db, id) => {
+  const plan = db.plans.find((item) => item.id === id)
+  if (!plan) throw httpError(404, 'Plan not found')
+  return plan
+}
+
+const isCurrent = (subscription) => subscription.status === 'trial' || subscription.status === 'active'
+
+const findCurrentSubscription = (db, user) => db.subscriptions
+  .find((subscription) => subscription.user_id === user.id && isCurrent(subscription))
+
+// Keep the flags on the user, which the app reads to gate features, in step
+const syncUserFlags = (user, subscription) => {
+  user.subscription_status = subscription?.status || null
+  user.has_active_subscription = !!subscription && isCurrent(subscription)
+}
+
+const toResponse = (db, subscription) => {
+  const { user_id: _userId, ...fields } = subscription
+  return { ...fields, plan: db.plans.find((plan) => plan.id === subscription.planId) }
+}
+
+const findOwnSubscription = (ctx) => {
+  const user = requireUser(ctx)
+  const subscription = ctx.db.subscriptions
+    .find((item) => item.id === ctx.params.id && item.user_id === user.id)
+  if (!subscription) throw httpError(404, 'Subscription not found')
+  return subscription
+}
+
+const listPlans = ({ db, query }) => {
+  const plans = query.active_only === 'true' ? db.plans.filter((plan) => plan.is_active) : db.plans
+  return plans
+}
+
+const getPlan = ({ db, params }) => findPlan(db, params.id)
+
+const getMySubscription = (ctx) => {
+  const subscription = findCurrentSubscription(ctx.db, requireUser(ctx))
+  if (!subscription) throw httpError(404, 'No active subscription')
+  return toResponse(ctx.db, subscription)
+}
+
+const startSubscription = (ctx, plan, status, days) => {
+  const now = Date.now()
+  const subscription = {
+    id: nextId(ctx.db, 'sub'),
+    user_id: ctx.user.id,
+    planId: plan.id,
+    planName: plan.name,
+    status,
+    startDate: new Date(now).toISOString(),
+    endDate: new Date(now + days * DAY).toISOString(),
+    renewalDate: new Date(now + days * DAY).toISOString(),
+    autoRenew: true,
+  }
+  ctx.db.subscriptions.push(subscription)
+  syncUserFlags(ctx.user, subscription)
+  return subscription
+}
+
+const createSubscription = (ctx) => {
+  const user = requireUser(ctx)
+  const plan = findPlan(ctx.db, ctx.body.plan_id)
+
+  if (findCurrentSubscription(ctx.db, user)) {
+    throw httpError(409, 'You already have an active subscription')
+  }
+
+  const subscription = startSubscription(ctx, plan, 'active', BILLING_PERIOD_DAYS[plan.billingPeriod] || 30)
+  return new MockResponse(201, {
+    ...toResponse(ctx.db, subscription),
+    paymentInstructions: `Pay ${plan.price} USD via M-Pesa Paybill 123456, account ${subscription.id.toUpperCase()}.`,
+  })
+}
+
+const startFreeTrial = (ctx) => {
+  const user = requireUser(ctx)
+
+  if (!user.profile_completed) {
+    throw httpError(403, 'Complete your profile to start a free trial')
+  }
+  if (ctx.db.subscriptions.some((subscription) => subscription.user_id === user.id)) {
+    throw httpError(409, 'You have already used your free trial')
+  }
+
+  const plan = ctx.db.plans.find((item) => item.isRecommended) || ctx.db.plans[0]
+  const subscription = startSubscription(ctx, plan, 'trial', plan.trialDays)
+
+  return {
+    success: true,
+    message: `Your ${plan.trialDays}-day free trial has started`,
+    subscription: toResponse(ctx.db, subscription),
+  }
+}
+
+const cancelSubscription = (ctx) => {
+  const subscription = findOwnSubscription(ctx)
+  if (!isCurrent(subscription)) {
+    throw httpError(409, 'This subscription is not active')
+  }
+
+  subscription.status = 'cancelled'
+  subscription.autoRenew = false
+  subscription.cancellationReason = ctx.body.reason || ''
+  subscription.cancelledAt = new Date().toISOString()
+  syncUserFlags(ctx.user, null)
+
+  return { message: 'Your subscription has been cancelled', subscription: toResponse(ctx.db, subscription) }
+}
+
+const updateSubscription = (ctx) => {
+  const subscription = findOwnSubscription(ctx)
+
+  if (ctx.body.plan_id) {
+    const plan = findPlan(ctx.db, ctx.body.plan_id)
+    subscription.planId = plan.id
+    subscription.planName = plan.name
+  }
+  if (ctx.body.auto_renew !== undefined) subscription.autoRenew = ctx.body.auto_renew
+
+  return toResponse(ctx.db, subscription)
+}
+
+const getHistory = (ctx) => {
+  const user = requireUser(ctx)
+  return ctx.db.subscriptions
+    .filter((subscription) => subscription.user_id === user.id)
+    .filter((subscription) => !ctx.query.status || subscription.status === ctx.query.status)
+    .map((subscription) => toResponse(ctx.db, subscription))
+}
+
+const getUsage = (ctx) => {
+  const subscription = findOwnSubscription(ctx)
+  const total = new Date(subscription.endDate) - new Date(subscription.startDate)
+  const used = Math.min(total, Date.now() - new Date(subscription.startDate))
+
+  return {
+    subscriptionId: subscription.id,
+    daysUsed: Math.floor(used / DAY),
+    daysRemaining: Math.max(0, Math.ceil((total - used) / DAY)),
+  }
+}
+
+const listPaymentMethods = (ctx) => {
+  const user = requireUser(ctx)
+  return ctx.db.paymentMethods.filter((method) => method.user_id === user.id)
+}
+
+const addPaymentMethod = (ctx) => {
+  const user = requireUser(ctx)
+  const method = { ...ctx.body, id: nextId(ctx.db, 'pm'), user_id: user.id }
+  ctx.db.paymentMethods.push(method)
+  return new MockResponse(201, method)
+}
+
+const removePaymentMethod = (ctx) => {
+  const user = requireUser(ctx)
+  const index = ctx.db.paymentMethods
+    .findIndex((method) => method.id === ctx.params.id && method.user_id === user.id)
+  if (index === -1) throw httpError(404, 'Payment method not found')
+
+  ctx.db.paymentMethods.splice(index, 1)
+  return { message: 'Payment method removed' }
+}
+
+const getHealth = () => ({ status: 'healthy', timestamp: new Date().toISOString() })
+
+// Fixed paths come before '/:id' so they are not read as subscription ids
+export const subscriptionRoutes = [
+  ['GET', '/health', getHealth],
+  ['GET', '/plans', listPlans],
+  ['GET', '/plans/:id', getPlan],
+  ['GET', '/my-subscription', getMySubscription],
+  ['GET', '/history', getHistory],
+  ['POST', '/start-trial', startFreeTrial],
+  ['GET', '/payment-methods', listPaymentMethods],
+  ['POST', '/payment-methods', addPaymentMethod],
+  ['DELETE', '/payment-methods/:id', removePaymentMethod],
+  ['POST', '/', createSubscription],
+  ['POST', '/:id/cancel', cancelSubscription],
+  ['PUT', '/:id', updateSubscription],
+  ['GET', '/:id/usage', getUsage],
+]
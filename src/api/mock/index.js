@@ -0,0 +1,80 @@
+/**
+ * In-browser mock backend, switched on with VITE_ENABLE_MOCK_API=true.
+ * Every service client keeps making its normal requests; the shared axios
+ * instance (and bare axios, used for token refresh) answer them from
+ * stateful fixtures instead of the network.
+ *
+ * Demo accounts (password Password123!, every OTP 123456):
+ * - demo@example.com - verified investor on a free trial with a portfolio
+ * - admin@example.com - admin
+ * - mfa@example.com - investor with two-factor sign-in
+ * - new@example.com - registered, phone not yet verified
+ */
+
+import axios from 'axios'
+import axiosInstance from '../axiosConfig'
+import { createMockDb } from './mockDb'
+import { createMockAdapter } from './mockAdapter'
+
+export { MOCK_OTP, MOCK_PASSWORD, createMockDb } from './mockDb'
+export { createMockAdapter } from './mockAdapter'
+
+let active = null
+
+/**
+ * Route API requests to the mock backend
+ * @param {Object} options - Mock options, see createMockAdapter
+ * @param {number|number[]} options.latency - Delay per response in ms, or a [min, max] range
+ * @param {number} options.errorRate - Share of requests (0-1) that fail at random
+ * @returns {Object} Controls: db, reset, setLatency, setErrorRate, failNext, clearFailures, disable
+ */
+export const enableMockApi = (options = {}) => {
+  if (active) disableMockApi()
+
+  const previousAdapters = {
+    instance: axiosInstance.defaults.adapter,
+    global: axios.defaults.adapter,
+  }
+  const adapter = createMockAdapter({ db: createMockDb(), ...options })
+
+  axiosInstance.defaults.adapter = adapter
+  axios.defaults.adapter = adapter
+
+  const controls = {
+    ...adapter.controls,
+    /**
+     * Put every fixture back to its initial state
+     */
+    reset: () => {
+      Object.assign(controls.db, createMockDb())
+      adapter.controls.clearFailures()
+    },
+    disable: () => disableMockApi(),
+  }
+
+  active = { controls, previousAdapters }
+
+  // Handy for trying out error states from the browser console
+  if (import.meta.env.DEV && typeof window !== 'undefined') {
+    window.mockApi = controls
+  }
+
+  return controls
+}
+
+/**
+ * Send API requests to the network again
+ */
+export const disableMockApi = () => {
+  if (!active) return
+
+  axiosInstance.defaults.adapter = active.previousAdapters.instance
+  axios.defaults.adapter = active.previousAdapters.global
+
+  if (typeof window !== 'undefined' && window.mockApi === active.controls) {
+    delete window.mockApi
+  }
+  active = null
+}
+
+export default enableMockApi
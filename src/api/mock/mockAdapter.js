@@ -0,0 +1,231 @@
+/**
+ * axios adapter that answers API requests from the in-memory mock backend
+ * instead of the network. Responses go through the same interceptors as real
+ * ones, so token refresh, retries and error normalisation behave as in production.
+ */
+
+import axios, { AxiosError, AxiosHeaders } from 'axios'
+import { IDEMPOTENCY_HEADER } from '../idempotency'
+import { abortableDelay } from '../delay'
+import { createMockDb } from './mockDb'
+import { MockHttpError, MockResponse, createRouter, resolveServiceUrl } from './mockRouter'
+import { authRoutes, authenticate } from './handlers/authHandlers'
+import { adminRoutes } from './handlers/adminHandlers'
+import { investmentRoutes } from './handlers/investmentHandlers'
+import { subscriptionRoutes } from './handlers/subscriptionHandlers'
+
+const matchRoute = createRouter({
+  auth: authRoutes,
+  admin: adminRoutes,
+  investment: investmentRoutes,
+  subscription: subscriptionRoutes,
+})
+
+const STATUS_TEXT = {
+  200: 'OK',
+  201: 'Created',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  409: 'Conflict',
+  422: 'Unprocessable Entity',
+  423: 'Locked',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error',
+  503: 'Service Unavailable',
+}
+
+/**
+ * Pick a delay from a fixed latency or a [min, max] range
+ * @param {number|number[]} latency - Milliseconds, or a range to pick from
+ * @param {Function} random - Random source in [0, 1)
+ * @returns {number} Delay in ms
+ */
+export const pickLatency = (latency, random = Math.random) => {
+  if (Array.isArray(latency)) {
+    const [min, max] = latency
+    return Math.round(min + (max - min) * random())
+  }
+  return latency || 0
+}
+
+const parseBody = (data) => {
+  if (typeof data !== 'string') return data || {}
+  try {
+    return JSON.parse(data)
+  } catch {
+    return {}
+  }
+}
+
+const getHeaders = (config) => {
+  const headers = config.headers?.toJSON ? config.headers.toJSON() : config.headers
+  return headers || {}
+}
+
+/**
+ * Create the mock adapter
+ * @param {Object} options - Mock options
+ * @param {Object} options.db - Mock database; a fresh one is created if omitted
+ * @param {number|number[]} options.latency - Delay per response in ms, or a [min, max] range
+ * @param {number} options.errorRate - Share of requests (0-1) that fail with a random 503 or network error
+ * @param {Function} options.fallbackAdapter - Handles URLs outside the API (defaults to axios' own adapter)
+ * @param {Function} options.random - Random source, for deterministic tests
+ * @returns {Function} axios adapter, with `controls` for changing behaviour at runtime
+ */
+export const createMockAdapter = ({
+  db = createMockDb(),
+  latency = 0,
+  errorRate = 0,
+  fallbackAdapter = axios.getAdapter(axios.defaults.adapter),
+  random = Math.random,
+} = {}) => {
+  const settings = { latency, errorRate }
+  // Failures queued with failNext, used by the next matching requests
+  const queuedFailures = []
+
+  const toResponse = (config, status, data, headers = {}) => ({
+    data: JSON.stringify(data ?? ''),
+    status,
+    statusText: STATUS_TEXT[status] || '',
+    headers: new AxiosHeaders({ 'content-type': 'application/json', ...headers }),
+    config,
+    request: { responseURL: config.url },
+  })
+
+  const takeQueuedFailure = (method, path) => {
+    const index = queuedFailures.findIndex((failure) => (
+      (!failure.method || failure.method.toUpperCase() === method) &&
+      (!failure.match || path.includes(failure.match))
+    ))
+    return index === -1 ? null : queuedFailures.splice(index, 1)[0]
+  }
+
+  const networkError = (config) => new AxiosError('Network Error', AxiosError.ERR_NETWORK, config, {})
+
+  const handle = (config, method, target) => {
+    const route = matchRoute(method, target.service, target.path)
+    if (!route) throw new MockHttpError(404, { detail: 'Not Found' })
+
+    const headers = getHeaders(config)
+    // A bad token only matters to routes that need a user, so public routes still answer
+    let auth = null
+    let authError = null
+    try {
+      auth = authenticate(db, headers)
+    } catch (error) {
+      authError = error
+    }
+    const idempotencyKey = method !== 'GET' && headers[IDEMPOTENCY_HEADER]
+    const replayKey = idempotencyKey && `${method} ${target.service}${target.path} ${idempotencyKey}`
+
+    if (replayKey && db.idempotentResponses[replayKey]) {
+      return { ...db.idempotentResponses[replayKey], replayed: true }
+    }
+
+    const result = route.handler({
+      db,
+      params: route.params,
+      query: target.query,
+      body: parseBody(config.data),
+      headers,
+      user: auth?.user || null,
+      session: auth?.session || null,
+      authError,
+    })
+    const response = result instanceof MockResponse
+      ? { status: result.status, data: result.data }
+      : { status: 200, data: result }
+
+    // Snapshot the body so later changes to the record are not replayed
+    if (replayKey) db.idempotentResponses[replayKey] = JSON.parse(JSON.stringify(response))
+    return response
+  }
+
+  const adapter = async (config) => {
+    const url = axios.getUri(config)
+    const target = resolveServiceUrl(url)
+
+    if (!target) return fallbackAdapter(config)
+
+    const method = (config.method || 'get').toUpperCase()
+    await abortableDelay(pickLatency(settings.latency, random), config.signal)
+
+    const failure = takeQueuedFailure(method, target.path) ||
+      (random() < settings.errorRate ? { network: random() < 0.5, status: 503 } : null)
+
+    if (failure?.network) throw networkError(config)
+
+    let status
+    let data
+    let headers = {}
+
+    if (failure) {
+      status = failure.status || 503
+      data = failure.data || { detail: STATUS_TEXT[status] || 'Injected failure' }
+    } else {
+      try {
+        const response = handle(config, method, target)
+        status = response.status
+        data = response.data
+        if (response.replayed) headers = { 'idempotent-replayed': 'true' }
+      } catch (error) {
+        if (!(error instanceof MockHttpError)) throw error
+        status = error.status
+        data = error.data
+        headers = error.headers
+      }
+    }
+
+    const response = toResponse(config, status, data, headers)
+    const validateStatus = config.validateStatus || ((code) => code >= 200 && code < 300)
+
+    if (!validateStatus(status)) {
+      const code = status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST
+      throw new AxiosError(`Request failed with status code ${status}`, code, config, response.request, response)
+    }
+
+    return response
+  }
+
+  adapter.controls = {
+    db,
+    /**
+     * Change the response delay
+     * @param {number|number[]} value - Milliseconds, or a [min, max] range
+     */
+    setLatency: (value) => {
+      settings.latency = value
+    },
+    /**
+     * Change the share of requests that fail at random
+     * @param {number} value - Between 0 and 1
+     */
+    setErrorRate: (value) => {
+      settings.errorRate = value
+    },
+    /**
+     * Make the next matching request fail
+     * @param {Object} failure - What to fail and how
+     * @param {string} failure.match - Only requests whose path contains this
+     * @param {string} failure.method - Only requests with this method
+     * @param {number} failure.status - Status to answer with (default 503)
+     * @param {Object} failure.data - Response body
+     * @param {boolean} failure.network - Fail as a dropped connection instead
+     */
+    failNext: (failure = {}) => {
+      queuedFailures.push(failure)
+    },
+    /**
+     * Drop queued failures
+     */
+    clearFailures: () => {
+      queuedFailures.length = 0
+    },
+  }
+
+  return adapter
+}
+
+export default createMockAdapter
@@ -0,0 +1,156 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import authClient from '../authClient'
+import investmentClient from '../investmentClient'
+import subscriptionClient from '../subscriptionClient'
+import adminClient from '../adminClient'
+import { clearTokens, getAccessToken, parseJWT, refreshTokens } from '../tokenManager'
+import { enableMockApi, disableMockApi, MOCK_OTP, MOCK_PASSWORD } from './index'
+import { pickLatency } from './mockAdapter'
+import { resolveServiceUrl } from './mockRouter'
+
+describe('mock backend', () => {
+  let mockApi
+
+  beforeEach(() => {
+    const store = new Map()
+    vi.stubGlobal('localStorage', {
+      getItem: (key) => (store.has(key) ? store.get(key) : null),
+      setItem: (key, value) => store.set(key, String(value)),
+      removeItem: (key) => store.delete(key),
+      clear: () => store.clear(),
+    })
+    mockApi = enableMockApi()
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    clearTokens()
+    disableMockApi()
+    vi.restoreAllMocks()
+    vi.unstubAllGlobals()
+  })
+
+  it('signs in and answers authenticated requests for that user', async () => {
+    const { user } = await authClient.login('demo@example.com', MOCK_PASSWORD)
+
+    expect(user.email).toBe('demo@example.com')
+    expect(parseJWT(getAccessToken()).sid).toBeTruthy()
+
+    const profile = await authClient.getProfile()
+    expect(profile.id).toBe(user.id)
+  })
+
+  it('registers a user and signs them in once the phone OTP is verified', async () => {
+    await authClient.register({
+      email: 'wanjiru@example.com',
+      phone: '+254711000111',
+      password: MOCK_PASSWORD,
+      firstName: 'Wanjiru',
+      lastName: 'Kamau',
+    })
+
+    await expect(authClient.verifyPhone('+254711000111', '000000')).rejects.toMatchObject({ status: 400 })
+
+    const { user, accessToken } = await authClient.verifyPhone('+254711000111', MOCK_OTP)
+    expect(user.phoneVerified).toBe(true)
+    expect(accessToken).toBeTruthy()
+  })
+
+  it('locks the account after repeated wrong passwords', async () => {
+    for (let attempt = 0; attempt < 4; attempt++) {
+      await expect(authClient.login('demo@example.com', 'wrong')).rejects.toMatchObject({ status: 401 })
+    }
+
+    const error = await authClient.login('demo@example.com', 'wrong').catch((err) => err)
+    expect(error.status).toBe(423)
+    expect(error.retryAfter).toBeGreaterThan(0)
+    expect(error.data.locked_until).toBeTruthy()
+  })
+
+  it('refreshes tokens for the same session', async () => {
+    await authClient.login('demo@example.com', MOCK_PASSWORD)
+    const before = parseJWT(getAccessToken())
+
+    await refreshTokens()
+
+    expect(parseJWT(getAccessToken()).sid).toBe(before.sid)
+  })
+
+  it('pages and filters products', async () => {
+    const firstPage = await investmentClient.getProducts({ pageSize: 2 })
+    expect(firstPage.products).toHaveLength(2)
+    expect(firstPage.totalPages).toBe(Math.ceil(firstPage.total / 2))
+
+    const energy = await investmentClient.getProducts({ category: 'energy' })
+    expect(energy.products.every((product) => product.category === 'energy')).toBe(true)
+  })
+
+  it('replays a withdrawal sent twice with the same idempotency key', async () => {
+    await authClient.login('demo@example.com', MOCK_PASSWORD)
+    const { availableForWithdrawal } = await investmentClient.getPortfolio()
+
+    const first = await investmentClient.createWithdrawal({ amount: 200 }, { idempotencyKey: 'key-1' })
+    const repeat = await investmentClient.createWithdrawal({ amount: 200 }, { idempotencyKey: 'key-1' })
+
+    expect(repeat.id).toBe(first.id)
+    expect((await investmentClient.getPortfolio()).availableForWithdrawal).toBe(availableForWithdrawal - 200)
+  })
+
+  it('rejects withdrawals above the available balance', async () => {
+    await authClient.login('demo@example.com', MOCK_PASSWORD)
+
+    await expect(investmentClient.createWithdrawal({ amount: 1000000 })).rejects.toMatchObject({
+      status: 422,
+      type: 'validation',
+    })
+  })
+
+  it('keeps subscription state between requests', async () => {
+    await authClient.login('admin@example.com', MOCK_PASSWORD)
+    await expect(subscriptionClient.getMySubscription()).rejects.toMatchObject({ status: 404 })
+
+    await subscriptionClient.startFreeTrial()
+
+    expect((await subscriptionClient.getMySubscription()).status).toBe('trial')
+    await expect(subscriptionClient.startFreeTrial()).rejects.toMatchObject({ status: 409 })
+  })
+
+  it('only lets admins use admin endpoints', async () => {
+    await authClient.login('demo@example.com', MOCK_PASSWORD)
+    await expect(adminClient.getUserStats()).rejects.toMatchObject({ status: 403 })
+
+    await authClient.login('admin@example.com', MOCK_PASSWORD)
+    const stats = await adminClient.getUserStats()
+    expect(stats.totalUsers).toBe(mockApi.db.users.length)
+  })
+
+  it('fails the next matching request on demand', async () => {
+    mockApi.failNext({ match: '/products/', status: 500 })
+
+    await expect(investmentClient.getProduct('avocado-farm')).rejects.toMatchObject({ status: 500, type: 'server' })
+    await expect(investmentClient.getProduct('avocado-farm')).resolves.toMatchObject({ slug: 'avocado-farm' })
+  })
+
+  it('resets fixtures to their initial state', async () => {
+    mockApi.db.products.length = 0
+    mockApi.reset()
+
+    expect((await investmentClient.getProducts()).total).toBeGreaterThan(0)
+  })
+})
+
+describe('mock helpers', () => {
+  it('picks latency from a fixed value or a range', () => {
+    expect(pickLatency(200)).toBe(200)
+    expect(pickLatency([100, 300], () => 0.5)).toBe(200)
+  })
+
+  it('maps URLs to a service and path', () => {
+    expect(resolveServiceUrl('https://siscom.africa/api/v1/auth/admin/users?limit=5')).toEqual({
+      service: 'admin',
+      path: '/users',
+      query: { limit: '5' },
+    })
+    expect(resolveServiceUrl('https://example.com/image.png')).toBeNull()
+  })
+})
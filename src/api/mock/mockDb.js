@@ -0,0 +1,355 @@
+/**
+ * In-memory data for the mock backend.
+ * Every call to createMockDb() returns a fresh copy of the fixtures, so tests
+ * can reset between cases and the dev server starts from the same state.
+ */
+
+import { ROLES } from '../../utils/constants'
+
+// Code accepted by every mocked OTP, TOTP and unlock check
+export const MOCK_OTP = '123456'
+export const MOCK_PASSWORD = 'Password123!'
+
+export const ACCESS_TOKEN_TTL = 15 * 60 // seconds
+export const REFRESH_TOKEN_TTL = 7 * 24 * 60 * 60 // seconds
+
+const DAY = 24 * 60 * 60 * 1000
+
+const daysFromNow = (days) => new Date(Date.now() + days * DAY).toISOString()
+
+const encodeSegment = (value) => btoa(JSON.stringify(value))
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '')
+
+/**
+ * Build an unsigned JWT the token manager can decode (exp, roles, session id)
+ * @param {Object} claims - Token claims
+ * @returns {string} JWT
+ */
+export const createMockJwt = (claims) => [
+  encodeSegment({ alg: 'none', typ: 'JWT' }),
+  encodeSegment(claims),
+  'mock-signature',
+].join('.')
+
+const baseUser = (overrides) => ({
+  phone_verified: true,
+  email_verified: true,
+  profile_completed: true,
+  kyc_status: 'approved',
+  can_invest: true,
+  can_subscribe: true,
+  subscription_status: null,
+  has_active_subscription: false,
+  mfa_enabled: false,
+  role: ROLES.USER,
+  country: 'Kenya',
+  city: 'Nairobi',
+  date_of_birth: '1990-04-12',
+  created_at: daysFromNow(-90),
+  last_login: daysFromNow(-1),
+  ...overrides,
+})
+
+const createUsers = () => [
+  baseUser({
+    id: 'user-demo',
+    email: 'demo@example.com',
+    phone: '+254712345678',
+    full_name: 'Amina Demo',
+    subscription_status: 'trial',
+    has_active_subscription: true,
+  }),
+  baseUser({
+    id: 'user-admin',
+    email: 'admin@example.com',
+    phone: '+254700000001',
+    full_name: 'Admin User',
+    role: ROLES.ADMIN,
+  }),
+  baseUser({
+    id: 'user-mfa',
+    email: 'mfa@example.com',
+    phone: '+254700000002',
+    full_name: 'Kofi Secure',
+    mfa_enabled: true,
+  }),
+  baseUser({
+    id: 'user-new',
+    email: 'new@example.com',
+    phone: '+254700000003',
+    full_name: 'Tendai New',
+    phone_verified: false,
+    email_verified: false,
+    profile_completed: false,
+    kyc_status: 'not_submitted',
+    can_invest: false,
+    created_at: daysFromNow(-2),
+  }),
+  baseUser({
+    id: 'user-pending',
+    email: 'pending@example.com',
+    phone: '+254700000004',
+    full_name: 'Zanele Pending',
+    kyc_status: 'pending',
+    can_invest: false,
+    created_at: daysFromNow(-5),
+  }),
+]
+
+const product = (overrides) => ({
+  status: 'active',
+  currency: 'USD',
+  investment_type: 'investment',
+  use_variable_rates: false,
+  yearly_return_rates: [],
+  gallery_images: [],
+  features: {},
+  risk_factors: {},
+  created_at: daysFromNow(-120),
+  updated_at: daysFromNow(-10),
+  ...overrides,
+})
+
+const createProducts = () => [
+  product({
+    id: 'prod-solar',
+    slug: 'solar-mini-grid',
+    name: 'Solar Mini-Grid',
+    category: 'energy',
+    risk_level: 'medium',
+    short_description: 'Community solar mini-grids in rural Kenya.',
+    minimum_investment: '500',
+    maximum_investment: '50000',
+    expected_annual_return: '14.5',
+    investment_duration_months: 36,
+    total_investors: 184,
+    total_raised: '212000',
+    funding_goal: '400000',
+    total_units_available: 800,
+    units_sold: 424,
+  }),
+  product({
+    id: 'prod-avocado',
+    slug: 'avocado-farm',
+    name: 'Avocado Farm',
+    category: 'agriculture',
+    risk_level: 'low',
+    short_description: 'Export-grade Hass avocados from Murang\'a.',
+    minimum_investment: '250',
+    maximum_investment: '20000',
+    expected_annual_return: '11',
+    investment_duration_months: 24,
+    total_investors: 312,
+    total_raised: '158000',
+    funding_goal: '200000',
+    total_units_available: 1000,
+    units_sold: 790,
+  }),
+  product({
+    id: 'prod-apartments',
+    slug: 'kilimani-apartments',
+    name: 'Kilimani Apartments',
+    category: 'real_estate',
+    risk_level: 'medium',
+    short_description: 'Rental apartments in Nairobi with quarterly payouts.',
+    minimum_investment: '1000',
+    maximum_investment: '100000',
+    expected_annual_return: '12',
+    investment_duration_months: 60,
+    use_variable_rates: true,
+    yearly_return_rates: [10, 11, 12, 13, 14],
+    total_investors: 96,
+    total_raised: '480000',
+    funding_goal: '1200000',
+    total_units_available: 1200,
+    units_sold: 480,
+  }),
+  product({
+    id: 'prod-fintech',
+    slug: 'mobile-lending-fund',
+    name: 'Mobile Lending Fund',
+    category: 'technology',
+    risk_level: 'high',
+    short_description: 'Short-term SME loans disbursed over mobile money.',
+    minimum_investment: '100',
+    maximum_investment: '10000',
+    expected_annual_return: '19',
+    investment_duration_months: 12,
+    total_investors: 540,
+    total_raised: '96000',
+    funding_goal: '150000',
+    total_units_available: 1500,
+    units_sold: 960,
+  }),
+  product({
+    id: 'prod-textiles',
+    slug: 'textile-mill-expansion',
+    name: 'Textile Mill Expansion',
+    category: 'manufacturing',
+    risk_level: 'medium',
+    status: 'funded',
+    short_description: 'New looms for a cotton mill in Arusha.',
+    minimum_investment: '750',
+    maximum_investment: '30000',
+    expected_annual_return: '13',
+    investment_duration_months: 48,
+    total_investors: 220,
+    total_raised: '300000',
+    funding_goal: '300000',
+    total_units_available: 400,
+    units_sold: 400,
+  }),
+]
+
+const createPlans = () => [
+  {
+    id: 'plan-basic',
+    name: 'Basic',
+    price: 9,
+    billingPeriod: 'monthly',
+    trialDays: 7,
+    isRecommended: false,
+    is_active: true,
+    features: ['Browse all products', 'Investment inquiries', 'Email support'],
+  },
+  {
+    id: 'plan-premium',
+    name: 'Premium',
+    price: 29,
+    billingPeriod: 'monthly',
+    trialDays: 7,
+    isRecommended: true,
+    is_active: true,
+    features: ['Everything in Basic', 'Portfolio analytics', 'Priority withdrawals', 'Phone support'],
+  },
+]
+
+const createSubscriptions = () => [
+  {
+    id: 'sub-demo',
+    user_id: 'user-demo',
+    planId: 'plan-premium',
+    planName: 'Premium',
+    status: 'trial',
+    startDate: daysFromNow(-3),
+    endDate: daysFromNow(4),
+    renewalDate: daysFromNow(4),
+    autoRenew: true,
+  },
+]
+
+const createPortfolios = () => ({
+  'user-demo': {
+    totalInvested: 6000,
+    currentValue: 6720,
+    totalReturns: 720,
+    availableForWithdrawal: 1500,
+    investments: [
+      {
+        id: 'inv-1',
+        productId: 'prod-solar',
+        productName: 'Solar Mini-Grid',
+        amount: 4000,
+        currentValue: 4560,
+        status: 'active',
+        startDate: daysFromNow(-300),
+        maturityDate: daysFromNow(795),
+      },
+      {
+        id: 'inv-2',
+        productId: 'prod-avocado',
+        productName: 'Avocado Farm',
+        amount: 2000,
+        currentValue: 2160,
+        status: 'active',
+        startDate: daysFromNow(-200),
+        maturityDate: daysFromNow(530),
+      },
+    ],
+  },
+})
+
+const createWithdrawals = () => [
+  {
+    id: 'wd-1',
+    user_id: 'user-demo',
+    amount: 300,
+    reason: 'School fees',
+    status: 'completed',
+    requestedAt: daysFromNow(-40),
+    processedAt: daysFromNow(-38),
+  },
+  {
+    id: 'wd-2',
+    user_id: 'user-demo',
+    amount: 150,
+    reason: '',
+    status: 'rejected',
+    rejectionReason: 'Amount exceeded the available balance at the time of processing',
+    requestedAt: daysFromNow(-12),
+    processedAt: daysFromNow(-11),
+  },
+]
+
+const createInquiries = () => [
+  {
+    id: 'inq-1',
+    product_id: 'prod-apartments',
+    investment_slug: 'kilimani-apartments',
+    email: 'demo@example.com',
+    full_name: 'Amina Demo',
+    phone: '+254712345678',
+    investment_amount: 2500,
+    currency: 'USD',
+    duration_months: 60,
+    total_expected_return: 1500,
+    status: 'pending',
+    paymentReference: 'AFR-INQ-0001',
+    created_at: daysFromNow(-6),
+  },
+]
+
+/**
+ * Fresh mock database built from the fixtures
+ * @returns {Object} Mutable state shared by the mock handlers
+ */
+export const createMockDb = () => ({
+  users: createUsers(),
+  // Passwords are kept apart from users so they are never returned by accident
+  passwords: {
+    'user-demo': MOCK_PASSWORD,
+    'user-admin': MOCK_PASSWORD,
+    'user-mfa': MOCK_PASSWORD,
+    'user-new': MOCK_PASSWORD,
+    'user-pending': MOCK_PASSWORD,
+  },
+  failedLogins: {},
+  lockedUntil: {},
+  sessions: [],
+  // Pending two-factor sign-ins: mfa_token -> user id
+  mfaChallenges: {},
+  passkeys: [],
+  products: createProducts(),
+  inquiries: createInquiries(),
+  portfolios: createPortfolios(),
+  withdrawals: createWithdrawals(),
+  plans: createPlans(),
+  subscriptions: createSubscriptions(),
+  paymentMethods: [],
+  // Responses already sent per Idempotency-Key, replayed for repeats
+  idempotentResponses: {},
+  nextId: 100,
+})
+
+/**
+ * Allocate an id for a new record
+ * @param {Object} db - Mock database
+ * @param {string} prefix - Id prefix, e.g. 'wd'
+ * @returns {string} New id
+ */
+export const nextId = (db, prefix) => {
+  db.nextId += 1
+  return `${prefix}-${db.nextId}`
+}
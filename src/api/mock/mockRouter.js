@@ -0,0 +1,132 @@
+/**
+ * Routing for the mock backend: maps a request URL to the service it belongs
+ * to (auth, admin, investment, subscription) and to the handler for its path.
+ */
+
+import { API_ENDPOINTS } from '../../utils/constants'
+
+/**
+ * Error a mock handler throws to answer with a non-2xx status
+ */
+export class MockHttpError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {Object} data - Response body
+   * @param {Object} headers - Response headers, e.g. { 'retry-after': '60' }
+   */
+  constructor(status, data = {}, headers = {}) {
+    super(data.detail || data.message || `Request failed with status ${status}`)
+    this.name = 'MockHttpError'
+    this.status = status
+    this.data = data
+    this.headers = headers
+  }
+}
+
+/**
+ * Response with a status other than 200, e.g. 201 for a created record
+ */
+export class MockResponse {
+  /**
+   * @param {number} status - HTTP status
+   * @param {Object} data - Response body
+   */
+  constructor(status, data) {
+    this.status = status
+    this.data = data
+  }
+}
+
+/**
+ * Shorthand for throwing an HTTP error from a handler
+ * @param {number} status - HTTP status
+ * @param {string} detail - Message returned as `detail`
+ * @param {Object} extra - Other body fields, e.g. { code: 'session_revoked' }
+ * @param {Object} headers - Response headers
+ * @returns {MockHttpError} Error to throw
+ */
+export const httpError = (status, detail, extra = {}, headers = {}) => {
+  return new MockHttpError(status, { detail, ...extra }, headers)
+}
+
+const stripTrailingSlash = (value) => value.replace(/\/+$/, '')
+
+// Longest bases first, so '/auth/admin' is matched before '/auth'
+const getServiceBases = () => {
+  const bases = [
+    { service: 'admin', base: API_ENDPOINTS.AUTH + '/admin' },
+    { service: 'auth', base: API_ENDPOINTS.AUTH },
+    { service: 'investment', base: API_ENDPOINTS.INVESTMENT },
+    { service: 'subscription', base: API_ENDPOINTS.SUBSCRIPTION },
+  ]
+
+  if (import.meta.env.DEV && import.meta.env.VITE_ADMIN_PROXY_PATH) {
+    bases.push({ service: 'admin', base: import.meta.env.VITE_ADMIN_PROXY_PATH })
+  }
+
+  return bases
+    .map((entry) => ({ ...entry, base: stripTrailingSlash(entry.base) }))
+    .sort((a, b) => b.base.length - a.base.length)
+}
+
+/**
+ * Split a request URL into the service, the path on that service and the query
+ * @param {string} url - Full request URL
+ * @returns {{ service: string, path: string, query: Object }|null} Null for URLs outside the API
+ */
+export const resolveServiceUrl = (url) => {
+  const [withoutQuery, queryString = ''] = url.split('?')
+  const target = stripTrailingSlash(withoutQuery)
+  const match = getServiceBases().find(({ base }) => target === base || target.startsWith(base + '/'))
+
+  if (!match) return null
+
+  return {
+    service: match.service,
+    path: target.slice(match.base.length) || '/',
+    query: Object.fromEntries(new URLSearchParams(queryString)),
+  }
+}
+
+const compilePattern = (pattern) => {
+  const names = []
+  const source = stripTrailingSlash(pattern)
+    .replace(/:(\w+)/g, (_, name) => {
+      names.push(name)
+      return '([^/]+)'
+    })
+
+  return { regex: new RegExp(`^${source || '/'}$`), names }
+}
+
+/**
+ * Build a router from route tables
+ * @param {Object<string, Array>} tables - Routes per service: [[method, pattern, handler], ...]
+ * @returns {Function} match(method, service, path) -> { handler, params } or null
+ */
+export const createRouter = (tables) => {
+  const routes = Object.entries(tables).flatMap(([service, table]) => (
+    table.map(([method, pattern, handler]) => ({
+      service,
+      method: method.toUpperCase(),
+      handler,
+      ...compilePattern(pattern),
+    }))
+  ))
+
+  return (method, service, path) => {
+    for (const route of routes) {
+      if (route.service !== service || route.method !== method.toUpperCase()) continue
+
+      const found = route.regex.exec(path)
+      if (!found) continue
+
+      const params = Object.fromEntries(
+        route.names.map((name, index) => [name, decodeURIComponent(found[index + 1])])
+      )
+      return { handler: route.handler, params }
+    }
+
+    return null
+  }
+}
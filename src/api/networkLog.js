@@ -0,0 +1,284 @@
+/**
+ * Network log for the debug drawer.
+ * Records every request the shared axios instance sends: method, URL, status,
+ * timing and redacted headers and bodies. Each attempt is recorded at the
+ * adapter, so retries and requests repeated after a token refresh show up as
+ * separate entries with the raw response, before errors are normalised.
+ * Only installed when debug mode is on.
+ */
+
+import axios from 'axios'
+
+// How many requests are kept; older ones are dropped
+const MAX_ENTRIES = 200
+
+export const REDACTED = '[redacted]'
+
+// Header and body fields that carry credentials or one-time codes
+const SENSITIVE_HEADERS = ['authorization', 'cookie', 'set-cookie', 'x-api-key']
+const SENSITIVE_FIELD = /pass(word)?|token|secret|otp|credential|signature|backup_codes|_code$|^pin$/i
+// `code` carries verification codes in requests, so it is always hidden there,
+// but error codes such as 'session_revoked' in responses; in a response only
+// values shaped like a one-time code are hidden
+const ONE_TIME_CODE = /^[A-Z0-9-]{4,12}$/i
+
+const isSensitiveField = (key, value, isRequest) => (
+  SENSITIVE_FIELD.test(key) || (key === 'code' && (isRequest || ONE_TIME_CODE.test(String(value))))
+)
+
+let entries = []
+let replayConfigs = new Map()
+const listeners = new Set()
+let nextId = 1
+let installedOn = null
+let interceptorId = null
+
+const notify = () => {
+  listeners.forEach((listener) => listener())
+}
+
+/**
+ * Copy a value with credentials replaced by REDACTED
+ * @param {any} value - Request or response body (parsed JSON, string or FormData)
+ * @param {Object} [options]
+ * @param {boolean} [options.isRequest] - Whether the body was sent rather than received
+ * @returns {any} Redacted copy
+ */
+export const redactBody = (value, { isRequest = false } = {}) => {
+  if (value === undefined || value === null) return value
+
+  if (typeof value === 'string') {
+    try {
+      return redactBody(JSON.parse(value), { isRequest })
+    } catch {
+      return value
+    }
+  }
+
+  if (typeof FormData !== 'undefined' && value instanceof FormData) {
+    return Object.fromEntries(Array.from(value.keys()).map((key) => {
+      const field = value.get(key)
+      if (isSensitiveField(key, field, isRequest)) return [key, REDACTED]
+      return [key, typeof field === 'string' ? field : `[file: ${field?.name || 'blob'}]`]
+    }))
+  }
+
+  if (Array.isArray(value)) return value.map((item) => redactBody(item, { isRequest }))
+
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+      key,
+      isSensitiveField(key, field, isRequest) && field !== null ? REDACTED : redactBody(field, { isRequest }),
+    ]))
+  }
+
+  return value
+}
+
+/**
+ * Copy headers with credentials replaced by REDACTED
+ * @param {Object} headers - axios headers (plain object or AxiosHeaders)
+ * @returns {Object} Plain object of redacted headers
+ */
+export const redactHeaders = (headers = {}) => {
+  const plain = typeof headers?.toJSON === 'function' ? headers.toJSON() : { ...headers }
+
+  return Object.fromEntries(
+    Object.entries(plain)
+      .filter(([, value]) => value !== undefined && value !== null && typeof value !== 'object')
+      .map(([key, value]) => {
+        if (!SENSITIVE_HEADERS.includes(key.toLowerCase())) return [key, String(value)]
+        // Keep the scheme so it is clear a bearer token was sent
+        const scheme = String(value).match(/^(Bearer|Basic)\s/i)?.[1]
+        return [key, scheme ? `${scheme} ${REDACTED}` : REDACTED]
+      })
+  )
+}
+
+// Full request URL with credential query parameters (e.g. ?token=) redacted
+const buildUrl = (config) => {
+  const url = axios.getUri(config)
+
+  try {
+    const parsed = new URL(url, typeof window !== 'undefined' ? window.location.origin : 'http://localhost')
+    Array.from(parsed.searchParams.entries()).forEach(([key, value]) => {
+      if (isSensitiveField(key, value, true)) parsed.searchParams.set(key, REDACTED)
+    })
+    return /^https?:/i.test(url) ? parsed.toString() : `${parsed.pathname}${parsed.search}`
+  } catch {
+    return url
+  }
+}
+
+const record = (entry) => {
+  entries = [entry, ...entries].slice(0, MAX_ENTRIES)
+  const kept = new Set(entries.map((item) => item.id))
+  replayConfigs.forEach((_, id) => {
+    if (!kept.has(id)) replayConfigs.delete(id)
+  })
+  notify()
+}
+
+const update = (id, changes) => {
+  entries = entries.map((entry) => (entry.id === id ? { ...entry, ...changes } : entry))
+  notify()
+}
+
+// Wrap the adapter a request will use so the attempt is timed and logged
+const wrapAdapter = (config) => {
+  const adapter = axios.getAdapter(config.adapter)
+
+  const loggingAdapter = async (requestConfig) => {
+    const id = nextId++
+    const startedAt = Date.now()
+
+    replayConfigs.set(id, {
+      method: requestConfig.method,
+      url: requestConfig.url,
+      baseURL: requestConfig.baseURL,
+      params: requestConfig.params,
+      data: requestConfig.data,
+      headers: requestConfig.headers?.toJSON?.() || { ...requestConfig.headers },
+    })
+    record({
+      id,
+      method: (requestConfig.method || 'get').toUpperCase(),
+      url: buildUrl(requestConfig),
+      requestHeaders: redactHeaders(requestConfig.headers),
+      requestBody: redactBody(requestConfig.data, { isRequest: true }),
+      attempt: (requestConfig._retryCount || 0) + 1,
+      startedAt,
+      status: null,
+      duration: null,
+      responseHeaders: null,
+      responseBody: undefined,
+      error: null,
+      pending: true,
+    })
+
+    try {
+      const response = await adapter(requestConfig)
+      update(id, {
+        status: response.status,
+        duration: Date.now() - startedAt,
+        responseHeaders: redactHeaders(response.headers),
+        responseBody: redactBody(response.data),
+        pending: false,
+      })
+      return response
+    } catch (error) {
+      update(id, {
+        status: error.response?.status ?? null,
+        duration: Date.now() - startedAt,
+        responseHeaders: error.response ? redactHeaders(error.response.headers) : null,
+        responseBody: redactBody(error.response?.data),
+        error: axios.isCancel(error) ? 'Cancelled' : error.code || error.message,
+        pending: false,
+      })
+      throw error
+    }
+  }
+
+  loggingAdapter.isNetworkLog = true
+  return loggingAdapter
+}
+
+/**
+ * Start recording requests sent through an axios instance
+ * @param {Object} instance - axios instance, normally the shared axiosInstance
+ * @returns {Function} Stops recording
+ */
+export const installNetworkLog = (instance) => {
+  if (installedOn) uninstallNetworkLog()
+
+  interceptorId = instance.interceptors.request.use((config) => {
+    // A retry reuses its config, whose adapter is already wrapped
+    if (!config.adapter?.isNetworkLog) {
+      config.adapter = wrapAdapter(config)
+    }
+    return config
+  })
+  installedOn = instance
+
+  return uninstallNetworkLog
+}
+
+/**
+ * Stop recording requests
+ */
+export const uninstallNetworkLog = () => {
+  if (!installedOn) return
+  installedOn.interceptors.request.eject(interceptorId)
+  installedOn = null
+  interceptorId = null
+}
+
+/**
+ * Recorded requests, newest first
+ * @returns {Object[]} Entries (the same array until a request is recorded or updated)
+ */
+export const getNetworkLog = () => entries
+
+/**
+ * Subscribe to new and updated entries
+ * @param {Function} listener - Called after any change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToNetworkLog = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+/**
+ * Forget every recorded request
+ */
+export const clearNetworkLog = () => {
+  entries = []
+  replayConfigs = new Map()
+  notify()
+}
+
+/**
+ * Send a recorded request again through the shared instance, so it gets the
+ * current access token. An Idempotency-Key header is sent unchanged, which
+ * keeps a replayed payment or withdrawal from being processed twice.
+ * @param {number} id - Entry ID
+ * @returns {Promise<Object>} axios response
+ */
+export const replayRequest = (id) => {
+  const config = replayConfigs.get(id)
+  if (!config || !installedOn) {
+    return Promise.reject(new Error('This request can no longer be replayed'))
+  }
+
+  // The request interceptor adds the current token
+  const headers = Object.fromEntries(
+    Object.entries(config.headers).filter(([key]) => key.toLowerCase() !== 'authorization')
+  )
+  return installedOn.request({ ...config, headers })
+}
+
+const shellQuote = (value) => `'${String(value).replace(/'/g, `'\\''`)}'`
+
+/**
+ * Build a curl command for a recorded request. Credentials stay redacted; the
+ * bearer token is read from $TOKEN so the command can be run as is after
+ * exporting one.
+ * @param {Object} entry - Recorded entry
+ * @returns {string} curl command
+ */
+export const toCurl = (entry) => {
+  const parts = [`curl -X ${entry.method} ${shellQuote(entry.url)}`]
+
+  Object.entries(entry.requestHeaders || {}).forEach(([key, value]) => {
+    const isBearer = key.toLowerCase() === 'authorization' && value.startsWith('Bearer')
+    parts.push(isBearer ? `-H "${key}: Bearer $TOKEN"` : `-H ${shellQuote(`${key}: ${value}`)}`)
+  })
+
+  if (entry.requestBody !== undefined && entry.requestBody !== null) {
+    const body = typeof entry.requestBody === 'string' ? entry.requestBody : JSON.stringify(entry.requestBody)
+    parts.push(`--data-raw ${shellQuote(body)}`)
+  }
+
+  return parts.join(' \\\n  ')
+}
@@ -0,0 +1,113 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import axios, { AxiosError } from 'axios'
+import {
+  installNetworkLog,
+  uninstallNetworkLog,
+  getNetworkLog,
+  clearNetworkLog,
+  replayRequest,
+  redactBody,
+  toCurl,
+  REDACTED,
+} from './networkLog'
+
+const respond = (config, status, data) => ({ data, status, statusText: '', headers: { 'content-type': 'application/json' }, config })
+
+describe('networkLog', () => {
+  let adapter
+  let instance
+
+  beforeEach(() => {
+    adapter = vi.fn(async (config) => respond(config, 200, { ok: true }))
+    instance = axios.create({ baseURL: 'https://api.example.com', adapter })
+    instance.interceptors.request.use((config) => {
+      config.headers.Authorization = 'Bearer secret-access-token'
+      return config
+    })
+    installNetworkLog(instance)
+  })
+
+  afterEach(() => {
+    uninstallNetworkLog()
+    clearNetworkLog()
+  })
+
+  it('records method, URL, status and timing with credentials redacted', async () => {
+    await instance.post('/login', { identifier: 'demo@example.com', password: 'hunter2' })
+
+    const [entry] = getNetworkLog()
+    expect(entry).toMatchObject({
+      method: 'POST',
+      url: 'https://api.example.com/login',
+      status: 200,
+      pending: false,
+      requestBody: { identifier: 'demo@example.com', password: REDACTED },
+      responseBody: { ok: true },
+    })
+    expect(entry.requestHeaders.Authorization).toBe(`Bearer ${REDACTED}`)
+    expect(entry.duration).toBeGreaterThanOrEqual(0)
+    expect(JSON.stringify(entry)).not.toContain('secret-access-token')
+  })
+
+  it('records failed requests with the raw status and body', async () => {
+    adapter.mockImplementationOnce(async (config) => {
+      const response = respond(config, 409, { detail: 'Already exists', code: 'duplicate_inquiry' })
+      throw new AxiosError('Request failed', AxiosError.ERR_BAD_REQUEST, config, null, response)
+    })
+
+    await expect(instance.get('/inquiries/1')).rejects.toBeTruthy()
+
+    expect(getNetworkLog()[0]).toMatchObject({
+      status: 409,
+      error: AxiosError.ERR_BAD_REQUEST,
+      responseBody: { detail: 'Already exists', code: 'duplicate_inquiry' },
+    })
+  })
+
+  it('redacts tokens, one-time codes and credential query parameters', async () => {
+    await instance.get('/verify-email', { params: { token: 'abc', page: 2 } })
+
+    expect(getNetworkLog()[0].url).toBe('https://api.example.com/verify-email?token=%5Bredacted%5D&page=2')
+    expect(redactBody({ code: '123456', tokens: { access: 'x' }, backup_codes: ['a', 'b'] })).toEqual({
+      code: REDACTED,
+      tokens: REDACTED,
+      backup_codes: REDACTED,
+    })
+    expect(redactBody({ code: 'session_revoked' })).toEqual({ code: 'session_revoked' })
+  })
+
+  it('redacts every code sent in a request, whatever its format', async () => {
+    expect(redactBody({ code: 'abcd efgh ijkl mnop', verification_code: '1' }, { isRequest: true })).toEqual({
+      code: REDACTED,
+      verification_code: REDACTED,
+    })
+    expect(redactBody({ recovery_code: 'x' })).toEqual({ recovery_code: REDACTED })
+
+    await instance.post('/auth/2fa/verify', { code: 'backup-code-with-words' })
+    expect(getNetworkLog()[0].requestBody).toEqual({ code: REDACTED })
+  })
+
+  it('replays a request with the current token and the same idempotency key', async () => {
+    await instance.post('/portfolio/withdrawals', { amount: 100 }, { headers: { 'Idempotency-Key': 'key-1' } })
+    const [original] = getNetworkLog()
+
+    const response = await replayRequest(original.id)
+
+    expect(response.status).toBe(200)
+    expect(adapter).toHaveBeenCalledTimes(2)
+    const replayed = adapter.mock.calls[1][0]
+    expect(replayed.headers['Idempotency-Key']).toBe('key-1')
+    expect(replayed.headers.Authorization).toBe('Bearer secret-access-token')
+    expect(getNetworkLog()).toHaveLength(2)
+  })
+
+  it('builds a curl command that reads the token from $TOKEN', async () => {
+    await instance.post('/inquiries/submit', { amount: 5000 })
+
+    const curl = toCurl(getNetworkLog()[0])
+
+    expect(curl).toContain("curl -X POST 'https://api.example.com/inquiries/submit'")
+    expect(curl).toContain('-H "Authorization: Bearer $TOKEN"')
+    expect(curl).toContain(`--data-raw '{"amount":5000}'`)
+  })
+})
@@ -1,13 +1,25 @@
-import axiosInstance from './axiosConfig'
+import BaseClient from './baseClient'
+import { withIdempotencyKey } from './idempotency'
+import { assertOnline } from '../services/offlineOutbox'
 import { API_ENDPOINTS } from '../utils/constants'
+import {
+  mapPaymentMethod,
+  mapPaymentMethods,
+  mapPlan,
+  mapPlans,
+  mapSubscription,
+  mapSubscriptionResult,
+  mapSubscriptionUsage,
+  mapSubscriptions,
+} from './mappers'
 
 /**
  * Subscription Service API Client
  * Handles all subscription-related API calls
  */
-class SubscriptionClient {
+class SubscriptionClient extends BaseClient {
   constructor() {
-    this.baseURL = API_ENDPOINTS.SUBSCRIPTION
+    super(API_ENDPOINTS.SUBSCRIPTION, { healthURL: API_ENDPOINTS.HEALTH.SUBSCRIPTION })
   }
 
   /**
@@ -16,9 +28,11 @@ class SubscriptionClient {
    * @param {boolean} filters.activeOnly - Only return active plans
    * @param {string} filters.sortBy - Sort field
    * @param {string} filters.sortOrder - Sort order (asc, desc)
-   * @returns {Promise<Object[]>} Array of subscription plans
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @returns {Promise<import('./mappers').Plan[]>} Array of subscription plans
    */
-  async getPlans(filters = {}) {
+  async getPlans(filters = {}, { signal } = {}) {
     try {
       const params = new URLSearchParams()
       
@@ -27,10 +41,10 @@ class SubscriptionClient {
       if (filters.sortOrder) params.append('sort_order', filters.sortOrder)
 
       const queryString = params.toString()
-      const url = queryString ? `${this.baseURL}/plans?${queryString}` : `${this.baseURL}/plans`
+      const path = queryString ? `/plans?${queryString}` : '/plans'
       
-      const response = await axiosInstance.get(url)
-      return response.data
+      const response = await this.get(path, { signal })
+      return mapPlans(response.data)
     } catch (error) {
       throw error
     }
@@ -39,12 +53,14 @@ class SubscriptionClient {
   /**
    * Get specific subscription plan by ID
    * @param {string} planId - Plan ID
-   * @returns {Promise<Object>} Subscription plan details
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @returns {Promise<import('./mappers').Plan>} Subscription plan details
    */
-  async getPlan(planId) {
+  async getPlan(planId, { signal } = {}) {
     try {
-      const response = await axiosInstance.get(`${this.baseURL}/plans/${planId}`)
-      return response.data
+      const response = await this.get(`/plans/${planId}`, { signal })
+      return mapPlan(response.data)
     } catch (error) {
       throw error
     }
@@ -54,15 +70,20 @@ class SubscriptionClient {
    * Create subscription (requires authentication)
    * @param {Object} subscriptionData - Subscription data
    * @param {string} subscriptionData.planId - Plan ID
-   * @returns {Promise<Object>} Created subscription
+   * @param {Object} options - Request options
+   * @param {string} options.idempotencyKey - Reuse the same key when resubmitting the same request
+   * @returns {Promise<import('./mappers').Subscription>} Created subscription, with paymentInstructions
    */
-  async createSubscription(subscriptionData) {
+  async createSubscription(subscriptionData, { idempotencyKey } = {}) {
     try {
-      const response = await axiosInstance.post(`${this.baseURL}`, {
+      // Subscriptions start a payment, so they are refused offline rather than queued
+      assertOnline()
+
+      const response = await this.post('', {
         plan_id: subscriptionData.planId,
-      })
+      }, withIdempotencyKey(idempotencyKey))
 
-      return response.data
+      return mapSubscription(response.data)
     } catch (error) {
       throw error
     }
@@ -70,12 +91,14 @@ class SubscriptionClient {
 
   /**
    * Get user's active subscription (requires authentication)
-   * @returns {Promise<Object>} User's subscription details
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @returns {Promise<import('./mappers').Subscription>} User's subscription details
    */
-  async getMySubscription() {
+  async getMySubscription({ signal } = {}) {
     try {
-      const response = await axiosInstance.get(`${this.baseURL}/my-subscription`)
-      return response.data
+      const response = await this.get('/my-subscription', { signal })
+      return mapSubscription(response.data)
     } catch (error) {
       throw error
     }
@@ -86,15 +109,15 @@ class SubscriptionClient {
    * @param {string} subscriptionId - Subscription ID
    * @param {Object} cancellationData - Cancellation data
    * @param {string} cancellationData.reason - Cancellation reason
-   * @returns {Promise<Object>} Cancellation response
+   * @returns {Promise<{ success: boolean, message: string, subscription: import('./mappers').Subscription|null }>} Cancellation response
    */
   async cancelSubscription(subscriptionId, cancellationData = {}) {
     try {
-      const response = await axiosInstance.post(`${this.baseURL}/${subscriptionId}/cancel`, {
+      const response = await this.post(`/${subscriptionId}/cancel`, {
         reason: cancellationData.reason,
       })
 
-      return response.data
+      return mapSubscriptionResult(response.data)
     } catch (error) {
       throw error
     }
@@ -106,9 +129,11 @@ class SubscriptionClient {
    * @param {string} filters.status - Subscription status
    * @param {string} filters.sortBy - Sort field
    * @param {string} filters.sortOrder - Sort order (asc, desc)
-   * @returns {Promise<Object[]>} Array of user subscriptions
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @returns {Promise<import('./mappers').Subscription[]>} Array of user subscriptions
    */
-  async getSubscriptionHistory(filters = {}) {
+  async getSubscriptionHistory(filters = {}, { signal } = {}) {
     try {
       const params = new URLSearchParams()
       
@@ -119,10 +144,10 @@ class SubscriptionClient {
       if (filters.offset) params.append('offset', filters.offset)
 
       const queryString = params.toString()
-      const url = queryString ? `${this.baseURL}/history?${queryString}` : `${this.baseURL}/history`
+      const path = queryString ? `/history?${queryString}` : '/history'
       
-      const response = await axiosInstance.get(url)
-      return response.data
+      const response = await this.get(path, { signal })
+      return mapSubscriptions(response.data)
     } catch (error) {
       throw error
     }
@@ -134,16 +159,16 @@ class SubscriptionClient {
    * @param {Object} updateData - Update data
    * @param {string} updateData.planId - New plan ID (for upgrades/downgrades)
    * @param {boolean} updateData.autoRenew - Auto-renewal setting
-   * @returns {Promise<Object>} Updated subscription
+   * @returns {Promise<import('./mappers').Subscription>} Updated subscription
    */
   async updateSubscription(subscriptionId, updateData) {
     try {
-      const response = await axiosInstance.put(`${this.baseURL}/${subscriptionId}`, {
+      const response = await this.put(`/${subscriptionId}`, {
         plan_id: updateData.planId,
         auto_renew: updateData.autoRenew,
       })
 
-      return response.data
+      return mapSubscription(response.data)
     } catch (error) {
       throw error
     }
@@ -152,12 +177,12 @@ class SubscriptionClient {
   /**
    * Get subscription usage/billing information (requires authentication)
    * @param {string} subscriptionId - Subscription ID
-   * @returns {Promise<Object>} Usage and billing data
+   * @returns {Promise<import('./mappers').SubscriptionUsage>} Usage and billing data
    */
   async getSubscriptionUsage(subscriptionId) {
     try {
-      const response = await axiosInstance.get(`${this.baseURL}/${subscriptionId}/usage`)
-      return response.data
+      const response = await this.get(`/${subscriptionId}/usage`)
+      return mapSubscriptionUsage(response.data)
     } catch (error) {
       throw error
     }
@@ -165,12 +190,12 @@ class SubscriptionClient {
 
   /**
    * Get payment methods (requires authentication)
-   * @returns {Promise<Object[]>} Array of payment methods
+   * @returns {Promise<import('./mappers').PaymentMethod[]>} Array of payment methods
    */
   async getPaymentMethods() {
     try {
-      const response = await axiosInstance.get(`${this.baseURL}/payment-methods`)
-      return response.data
+      const response = await this.get('/payment-methods')
+      return mapPaymentMethods(response.data)
     } catch (error) {
       throw error
     }
@@ -179,12 +204,13 @@ class SubscriptionClient {
   /**
    * Add payment method (requires authentication)
    * @param {Object} paymentMethodData - Payment method data
-   * @returns {Promise<Object>} Added payment method
+   * @returns {Promise<import('./mappers').PaymentMethod>} Added payment method
    */
   async addPaymentMethod(paymentMethodData) {
     try {
-      const response = await axiosInstance.post(`${this.baseURL}/payment-methods`, paymentMethodData)
-      return response.data
+      assertOnline()
+      const response = await this.post('/payment-methods', paymentMethodData)
+      return mapPaymentMethod(response.data)
     } catch (error) {
       throw error
     }
@@ -197,7 +223,7 @@ class SubscriptionClient {
    */
   async removePaymentMethod(paymentMethodId) {
     try {
-      const response = await axiosInstance.delete(`${this.baseURL}/payment-methods/${paymentMethodId}`)
+      const response = await this.delete(`/payment-methods/${paymentMethodId}`)
       return response.data
     } catch (error) {
       throw error
@@ -206,17 +232,19 @@ class SubscriptionClient {
 
   /**
    * Start free trial (requires authentication)
-   * @returns {Promise<Object>} Trial start response
+   * @param {Object} options - Request options
+   * @param {string} options.idempotencyKey - Reuse the same key when resubmitting the same request
+   * @returns {Promise<{ success: boolean, message: string, subscription: import('./mappers').Subscription|null }>} Trial start response
    */
-  async startFreeTrial() {
+  async startFreeTrial({ idempotencyKey } = {}) {
     try {
-      const response = await axiosInstance.post(`${this.baseURL}/start-trial`, {}, {
+      const response = await this.post('/start-trial', {}, withIdempotencyKey(idempotencyKey, {
         headers: {
           'Content-Type': 'application/json',
           'Accept': 'application/json'
         }
-      })
-      return response.data
+      }))
+      return mapSubscriptionResult(response.data)
     } catch (error) {
       console.error('Start trial API error:', {
         status: error.response?.status,
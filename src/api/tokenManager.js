@@ -0,0 +1,306 @@
+import axios from 'axios'
+import { getStorageItem, setStorageItem, removeStorageItem } from '../utils/storage'
+import { API_ENDPOINTS, STORAGE_KEYS } from '../utils/constants'
+import { publishSessionEvent, withSessionLock, SESSION_EVENTS } from '../services/sessionBus'
+
+/**
+ * Token Manager
+ * Single owner of the access/refresh tokens: storage, JWT decoding,
+ * proactive refresh before expiry, single-flight refresh for 401 retries
+ * and the "session expired" event the UI reacts to.
+ */
+
+// Refresh this long before the access token expires
+export const TOKEN_REFRESH_BUFFER = 5 * 60 * 1000 // 5 minutes in milliseconds
+
+/**
+ * Events emitted to listeners in this tab
+ */
+export const TOKEN_EVENTS = {
+  REFRESHED: 'refreshed',
+  SESSION_EXPIRED: 'session_expired',
+}
+
+/**
+ * Why a session ended without the user signing out
+ */
+export const SESSION_END_REASONS = {
+  REFRESH_FAILED: 'refresh_failed',
+  // Signed out from another device via the active sessions page
+  REVOKED: 'session_revoked',
+}
+
+const listeners = new Set()
+
+// In-flight refresh shared by every caller in this tab
+let refreshPromise = null
+
+const emit = (type, detail = {}) => {
+  listeners.forEach((listener) => {
+    try {
+      listener({ type, ...detail })
+    } catch (error) {
+      console.error('Token event listener error:', error)
+    }
+  })
+}
+
+/**
+ * Get stored access token
+ * @returns {string|null} Access token or null
+ */
+export const getAccessToken = () => {
+  return getStorageItem(STORAGE_KEYS.ACCESS_TOKEN)
+}
+
+/**
+ * Get stored refresh token
+ * @returns {string|null} Refresh token or null
+ */
+export const getRefreshToken = () => {
+  return getStorageItem(STORAGE_KEYS.REFRESH_TOKEN)
+}
+
+/**
+ * Store authentication tokens
+ * @param {string} accessToken - JWT access token
+ * @param {string} refreshToken - JWT refresh token
+ */
+export const setTokens = (accessToken, refreshToken) => {
+  setStorageItem(STORAGE_KEYS.ACCESS_TOKEN, accessToken)
+  setStorageItem(STORAGE_KEYS.REFRESH_TOKEN, refreshToken)
+}
+
+/**
+ * Clear stored authentication tokens
+ */
+export const clearTokens = () => {
+  removeStorageItem(STORAGE_KEYS.ACCESS_TOKEN)
+  removeStorageItem(STORAGE_KEYS.REFRESH_TOKEN)
+  removeStorageItem(STORAGE_KEYS.USER_DATA)
+}
+
+/**
+ * Check if user is authenticated
+ * @returns {boolean} Authentication status
+ */
+export const isAuthenticated = () => {
+  const accessToken = getAccessToken()
+  return !!accessToken
+}
+
+/**
+ * Decode the payload of a JWT without verifying it
+ * @param {string} token - JWT
+ * @returns {Object|null} Decoded claims or null if the token is malformed
+ */
+export const parseJWT = (token) => {
+  if (!token || typeof token !== 'string') {
+    return null
+  }
+
+  try {
+    const parts = token.split('.')
+    if (parts.length !== 3) {
+      return null
+    }
+
+    const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/')
+    const jsonPayload = decodeURIComponent(
+      atob(base64)
+        .split('')
+        .map((c) => '%' + ('00' + c.charCodeAt(0).toString(16)).slice(-2))
+        .join('')
+    )
+    return JSON.parse(jsonPayload)
+  } catch (error) {
+    console.error('Error parsing JWT:', error)
+    return null
+  }
+}
+
+/**
+ * Get the expiry time of a JWT
+ * @param {string} token - JWT
+ * @returns {number|null} Expiry as epoch milliseconds or null if unknown
+ */
+export const getTokenExpiry = (token) => {
+  const payload = parseJWT(token)
+  return payload?.exp ? payload.exp * 1000 : null
+}
+
+/**
+ * Check if a token is expired or will expire within the buffer
+ * @param {string} token - JWT
+ * @param {number} buffer - Milliseconds before expiry to treat as expired
+ * @returns {boolean} True if expired, expiring or undecodable
+ */
+export const isTokenExpired = (token, buffer = TOKEN_REFRESH_BUFFER) => {
+  const expiry = getTokenExpiry(token)
+  if (!expiry) return true
+
+  return Date.now() >= expiry - buffer
+}
+
+/**
+ * Subscribe to token events in this tab
+ * @param {Function} listener - Called with { type, ...detail }
+ * @returns {Function} Unsubscribe function
+ */
+export const onTokenEvent = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+/**
+ * Check whether an API error says this session was revoked rather than expired
+ * @param {Object} error - Axios error or normalised API error
+ * @returns {boolean} True if the server revoked the session
+ */
+export const isSessionRevokedError = (error) => {
+  const data = error?.response?.data || error?.data
+  const status = error?.response?.status || error?.status
+
+  if (status !== 401 || !data) {
+    return false
+  }
+
+  const code = data.code || data.error_code || data.detail?.code
+  return code === SESSION_END_REASONS.REVOKED
+}
+
+/**
+ * End the session because it can no longer be used.
+ * Clears tokens, signs out other tabs and tells this tab's UI to ask for a re-login.
+ * @param {string} reason - Why the session ended (see SESSION_END_REASONS)
+ */
+export const expireSession = (reason = SESSION_END_REASONS.REFRESH_FAILED) => {
+  const hadSession = !!(getAccessToken() || getRefreshToken())
+
+  clearTokens()
+
+  if (hadSession) {
+    publishSessionEvent(SESSION_EVENTS.LOGOUT, { reason: TOKEN_EVENTS.SESSION_EXPIRED, cause: reason })
+    emit(TOKEN_EVENTS.SESSION_EXPIRED, {
+      reason,
+      returnTo: typeof window !== 'undefined'
+        ? `${window.location.pathname}${window.location.search}`
+        : null,
+    })
+  }
+}
+
+const requestNewTokens = async () => {
+  const staleAccessToken = getAccessToken()
+  const staleRefreshToken = getRefreshToken()
+
+  if (!staleRefreshToken) {
+    throw new Error('No refresh token available')
+  }
+
+  // Only one tab refreshes at a time; waiting tabs reuse the tokens it stored
+  return withSessionLock('token_refresh', async () => {
+    const refreshToken = getRefreshToken()
+
+    if (!refreshToken) {
+      throw new Error('No refresh token available')
+    }
+
+    const currentAccessToken = getAccessToken()
+    if (currentAccessToken && (currentAccessToken !== staleAccessToken || refreshToken !== staleRefreshToken)) {
+      return currentAccessToken
+    }
+
+    // Use a bare axios instance so the refresh call never goes through the 401 interceptor
+    const response = await axios.post(`${API_ENDPOINTS.AUTH}/refresh`, {
+      refresh_token: refreshToken,
+    }, {
+      timeout: 10000,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+    })
+
+    const { access_token, refresh_token: newRefreshToken } = response.data
+
+    setTokens(access_token, newRefreshToken || refreshToken)
+    publishSessionEvent(SESSION_EVENTS.TOKENS_REFRESHED)
+
+    return access_token
+  })
+}
+
+/**
+ * Refresh the access token.
+ * Concurrent callers share a single request, so this doubles as the queue
+ * for requests waiting to be retried after a 401.
+ * A rejected refresh token expires the session; network failures leave tokens untouched.
+ * @returns {Promise<string>} New access token
+ */
+export const refreshTokens = () => {
+  if (!refreshPromise) {
+    refreshPromise = requestNewTokens()
+      .then((accessToken) => {
+        emit(TOKEN_EVENTS.REFRESHED, { accessToken })
+        return accessToken
+      })
+      .catch((error) => {
+        if (error.response || !getRefreshToken()) {
+          expireSession(isSessionRevokedError(error) ? SESSION_END_REASONS.REVOKED : SESSION_END_REASONS.REFRESH_FAILED)
+        }
+        throw error
+      })
+      .finally(() => {
+        refreshPromise = null
+      })
+  }
+
+  return refreshPromise
+}
+
+/**
+ * Schedule a refresh shortly before the given access token expires
+ * @param {string} accessToken - Current access token
+ * @param {number} buffer - Milliseconds before expiry to refresh
+ * @returns {Function} Cancel function
+ */
+export const scheduleProactiveRefresh = (accessToken, buffer = TOKEN_REFRESH_BUFFER) => {
+  const expiry = getTokenExpiry(accessToken)
+  if (!expiry) {
+    return () => {}
+  }
+
+  const refresh = () => {
+    refreshTokens().catch((error) => {
+      console.error('Automatic token refresh failed:', error)
+    })
+  }
+
+  const timeUntilRefresh = expiry - Date.now() - buffer
+
+  if (timeUntilRefresh <= 0) {
+    refresh()
+    return () => {}
+  }
+
+  const timeoutId = setTimeout(refresh, timeUntilRefresh)
+  return () => clearTimeout(timeoutId)
+}
+
+const tokenManager = {
+  getAccessToken,
+  getRefreshToken,
+  setTokens,
+  clearTokens,
+  isAuthenticated,
+  parseJWT,
+  getTokenExpiry,
+  isTokenExpired,
+  refreshTokens,
+  scheduleProactiveRefresh,
+  expireSession,
+  isSessionRevokedError,
+  onTokenEvent,
+}
+
+export default tokenManager
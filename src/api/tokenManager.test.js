@@ -0,0 +1,96 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import axios from 'axios'
+import tokenManager, { TOKEN_EVENTS, SESSION_END_REASONS } from './tokenManager'
+import { makeJWT } from '../test/jwt'
+
+describe('tokenManager', () => {
+  beforeEach(() => {
+    const store = new Map()
+    vi.stubGlobal('localStorage', {
+      getItem: (key) => (store.has(key) ? store.get(key) : null),
+      setItem: (key, value) => store.set(key, String(value)),
+      removeItem: (key) => store.delete(key),
+      clear: () => store.clear(),
+    })
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    vi.unstubAllGlobals()
+  })
+
+  it('decodes JWT claims and expiry', () => {
+    const exp = Math.floor(Date.now() / 1000) + 3600
+    const token = makeJWT({ sub: 'user-1', exp })
+
+    expect(tokenManager.parseJWT(token)).toEqual({ sub: 'user-1', exp })
+    expect(tokenManager.getTokenExpiry(token)).toBe(exp * 1000)
+    expect(tokenManager.isTokenExpired(token, 0)).toBe(false)
+    expect(tokenManager.isTokenExpired(token, 2 * 3600 * 1000)).toBe(true)
+    expect(tokenManager.parseJWT('not-a-jwt')).toBeNull()
+  })
+
+  it('shares one refresh request between concurrent callers', async () => {
+    tokenManager.setTokens('old-access', 'refresh-1')
+    const post = vi.spyOn(axios, 'post').mockResolvedValue({
+      data: { access_token: 'new-access', refresh_token: 'refresh-2' },
+    })
+
+    const results = await Promise.all([
+      tokenManager.refreshTokens(),
+      tokenManager.refreshTokens(),
+      tokenManager.refreshTokens(),
+    ])
+
+    expect(post).toHaveBeenCalledTimes(1)
+    expect(results).toEqual(['new-access', 'new-access', 'new-access'])
+    expect(tokenManager.getAccessToken()).toBe('new-access')
+    expect(tokenManager.getRefreshToken()).toBe('refresh-2')
+  })
+
+  it('expires the session when the refresh token is rejected', async () => {
+    tokenManager.setTokens('old-access', 'refresh-1')
+    vi.spyOn(axios, 'post').mockRejectedValue({ response: { status: 401 } })
+    const listener = vi.fn()
+    const unsubscribe = tokenManager.onTokenEvent(listener)
+
+    await expect(tokenManager.refreshTokens()).rejects.toBeDefined()
+
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+      type: TOKEN_EVENTS.SESSION_EXPIRED,
+      reason: 'refresh_failed',
+    }))
+    expect(tokenManager.getAccessToken()).toBeNull()
+    unsubscribe()
+  })
+
+  it('reports a revoked session differently from an expired one', async () => {
+    tokenManager.setTokens('old-access', 'refresh-1')
+    vi.spyOn(axios, 'post').mockRejectedValue({
+      response: { status: 401, data: { detail: 'Session revoked', code: 'session_revoked' } },
+    })
+    const listener = vi.fn()
+    const unsubscribe = tokenManager.onTokenEvent(listener)
+
+    await expect(tokenManager.refreshTokens()).rejects.toBeDefined()
+
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+      type: TOKEN_EVENTS.SESSION_EXPIRED,
+      reason: SESSION_END_REASONS.REVOKED,
+    }))
+    unsubscribe()
+  })
+
+  it('keeps the session when the refresh fails for network reasons', async () => {
+    tokenManager.setTokens('old-access', 'refresh-1')
+    vi.spyOn(axios, 'post').mockRejectedValue(new Error('Network Error'))
+    const listener = vi.fn()
+    const unsubscribe = tokenManager.onTokenEvent(listener)
+
+    await expect(tokenManager.refreshTokens()).rejects.toThrow('Network Error')
+
+    expect(listener).not.toHaveBeenCalled()
+    expect(tokenManager.getRefreshToken()).toBe('refresh-1')
+    unsubscribe()
+  })
+})
@@ -14,6 +14,8 @@ import {
   Mail
 } from 'lucide-react';
 import adminClient from '../../api/adminClient';
+import { isRequestCancelled } from '../../api/baseClient';
+import useRequestController from '../../hooks/useRequestController';
 import Button from '../common/Button';
 import Input from '../common/Input';
 import Card from '../common/Card';
@@ -42,9 +44,12 @@ const UserManagement = () => {
     profileCompleted: null,
     kycStatus: ''
   });
+  const beginRequest = useRequestController();
 
   // Load users and stats
   const loadData = async () => {
+    const signal = beginRequest();
+
     try {
       setLoading(true);
       setError(null);
@@ -57,25 +62,29 @@ const UserManagement = () => {
         phoneVerified: filters.phoneVerified,
         profileCompleted: filters.profileCompleted,
         kycStatus: filters.kycStatus || undefined
-      });
+      }, { signal });
 
       setUsers(usersResponse.users);
       setPagination(prev => ({
         ...prev,
         total: usersResponse.total,
-        hasNext: usersResponse.has_next,
-        hasPrev: usersResponse.has_prev
+        hasNext: usersResponse.hasNext,
+        hasPrev: usersResponse.hasPrev
       }));
 
       // Load stats
-      const statsResponse = await adminClient.getUserStats();
+      const statsResponse = await adminClient.getUserStats({ signal });
       setStats(statsResponse);
 
     } catch (err) {
+      if (isRequestCancelled(err)) return;
+
       console.error('Error loading admin data:', err);
       setError(err.response?.data?.detail || 'Failed to load data');
     } finally {
-      setLoading(false);
+      if (!signal.aborted) {
+        setLoading(false);
+      }
     }
   };
 
@@ -158,7 +167,7 @@ const UserManagement = () => {
               <Users className="w-8 h-8 text-blue-600" />
               <div className="ml-3">
                 <p className="text-sm font-medium text-gray-500">Total Users</p>
-                <p className="text-2xl font-bold text-gray-900">{stats.total_users}</p>
+                <p className="text-2xl font-bold text-gray-900">{stats.totalUsers}</p>
               </div>
             </div>
           </Card>
@@ -168,7 +177,7 @@ const UserManagement = () => {
               <Phone className="w-8 h-8 text-green-600" />
               <div className="ml-3">
                 <p className="text-sm font-medium text-gray-500">Phone Verified</p>
-                <p className="text-2xl font-bold text-gray-900">{stats.phone_verified}</p>
+                <p className="text-2xl font-bold text-gray-900">{stats.phoneVerified}</p>
               </div>
             </div>
           </Card>
@@ -178,7 +187,7 @@ const UserManagement = () => {
               <User className="w-8 h-8 text-purple-600" />
               <div className="ml-3">
                 <p className="text-sm font-medium text-gray-500">Profile Complete</p>
-                <p className="text-2xl font-bold text-gray-900">{stats.profile_completed}</p>
+                <p className="text-2xl font-bold text-gray-900">{stats.profileCompleted}</p>
               </div>
             </div>
           </Card>
@@ -188,7 +197,7 @@ const UserManagement = () => {
               <CheckCircle className="w-8 h-8 text-emerald-600" />
               <div className="ml-3">
                 <p className="text-sm font-medium text-gray-500">Can Invest</p>
-                <p className="text-2xl font-bold text-gray-900">{stats.can_invest}</p>
+                <p className="text-2xl font-bold text-gray-900">{stats.canInvest}</p>
               </div>
             </div>
           </Card>
@@ -308,7 +317,7 @@ const UserManagement = () => {
                       </div>
                       <div className="ml-4">
                         <div className="text-sm font-medium text-gray-900">
-                          {user.full_name}
+                          {user.fullName}
                         </div>
                         <div className="text-sm text-gray-500">
                           ID: {user.id.slice(0, 8)}...
@@ -322,7 +331,7 @@ const UserManagement = () => {
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     <div className="flex flex-col space-y-1">
-                      {user.phone_verified ? (
+                      {user.phoneVerified ? (
                         <span className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-green-100 text-green-800">
                           <CheckCircle className="w-3 h-3 mr-1" />
                           Phone Verified
@@ -333,7 +342,7 @@ const UserManagement = () => {
                           Phone Not Verified
                         </span>
                       )}
-                      {user.profile_completed ? (
+                      {user.profileCompleted ? (
                         <span className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-blue-100 text-blue-800">
                           <CheckCircle className="w-3 h-3 mr-1" />
                           Profile Complete
@@ -347,19 +356,19 @@ const UserManagement = () => {
                     </div>
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
-                    {getStatusBadge(user.kyc_status)}
+                    {getStatusBadge(user.kycStatus)}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {formatDate(user.created_at)}
+                    {formatDate(user.createdAt)}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     <div className="flex flex-col space-y-1">
-                      {user.can_invest && (
+                      {user.canInvest && (
                         <span className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-emerald-100 text-emerald-800">
                           Can Invest
                         </span>
                       )}
-                      {user.can_subscribe && (
+                      {user.canSubscribe && (
                         <span className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-purple-100 text-purple-800">
                           Can Subscribe
                         </span>
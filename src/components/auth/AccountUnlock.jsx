@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Lock, ArrowLeft } from 'lucide-react';
+import Button from '../common/Button';
+import OtpInput from './OtpInput';
+import authClient from '../../api/authClient';
+import useCountdown from '../../hooks/useCountdown';
+import { getOtpErrorMessage, getRetryAfterSeconds } from '../../utils/errorHelpers';
+import { formatCountdown } from '../../utils/formatters';
+
+const EMPTY_CODE = ['', '', '', '', '', ''];
+const RESEND_DELAY_SECONDS = 60;
+
+/**
+ * Unlock an account that was locked after too many failed sign-ins,
+ * using a one-time code sent to the account's verified phone or email.
+ */
+const AccountUnlock = ({ identifier, onUnlocked, onCancel }) => {
+  const [codeSent, setCodeSent] = useState(false);
+  const [sentTo, setSentTo] = useState('');
+  const [code, setCode] = useState(EMPTY_CODE);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const resendCountdown = useCountdown();
+
+  const sendCode = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await authClient.requestAccountUnlock(identifier);
+      setSentTo(response?.sent_to || '');
+      setCodeSent(true);
+      setCode(EMPTY_CODE);
+      resendCountdown.start(RESEND_DELAY_SECONDS);
+    } catch (err) {
+      console.error('Unlock code request error:', err);
+      setError(getOtpErrorMessage(err));
+      const retryAfter = getRetryAfterSeconds(err);
+      if (retryAfter) {
+        resendCountdown.start(retryAfter);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!codeSent) {
+      await sendCode();
+      return;
+    }
+
+    const otp = code.join('');
+    if (otp.length !== 6) {
+      setError('Please enter the complete 6-digit code');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      await authClient.unlockAccount(identifier, otp);
+      onUnlocked();
+    } catch (err) {
+      console.error('Account unlock error:', err);
+      setError(getOtpErrorMessage(err));
+      setCode(EMPTY_CODE);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.3 }}
+      className="w-full max-w-md mx-auto"
+    >
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div className="text-center mb-8">
+          <div className="w-12 h-12 mx-auto mb-4 bg-warning-100 rounded-full flex items-center justify-center">
+            <Lock className="w-6 h-6 text-warning-600" />
+          </div>
+          <h2 className="text-2xl font-bold text-secondary-900 mb-2">
+            Unlock Your Account
+          </h2>
+          <p className="text-secondary-600">
+            {codeSent
+              ? `Enter the 6-digit code we sent to ${sentTo || 'the phone or email on your account'}.`
+              : 'Your account was locked after several failed sign-in attempts. We\'ll send a code to the phone or email on your account to confirm it\'s you.'}
+          </p>
+        </div>
+
+        {error && (
+          <div className="bg-error-50 border border-error-200 rounded-lg p-4 text-error-700 text-sm" role="alert">
+            {error}
+          </div>
+        )}
+
+        {codeSent && (
+          <OtpInput
+            value={code}
+            onChange={(newCode) => {
+              setCode(newCode);
+              if (error) setError('');
+            }}
+            error={!!error}
+            disabled={loading}
+            label="Unlock code"
+            autoFocus
+          />
+        )}
+
+        <Button
+          type="submit"
+          variant="primary"
+          size="lg"
+          loading={loading}
+          disabled={loading || (!codeSent && resendCountdown.isActive)}
+          className="w-full"
+        >
+          {codeSent ? 'Unlock account' : 'Send unlock code'}
+        </Button>
+
+        <div className="flex items-center justify-between text-sm">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="inline-flex items-center text-secondary-600 hover:text-secondary-900 transition-colors"
+          >
+            <ArrowLeft className="w-4 h-4 mr-1" />
+            Back to sign in
+          </button>
+          {codeSent && (
+            <button
+              type="button"
+              onClick={sendCode}
+              disabled={loading || resendCountdown.isActive}
+              className="font-medium text-primary-600 hover:text-primary-700 transition-colors disabled:text-secondary-400"
+            >
+              {resendCountdown.isActive
+                ? `Resend in ${formatCountdown(resendCountdown.remaining)}`
+                : 'Resend code'}
+            </button>
+          )}
+        </div>
+      </form>
+    </motion.div>
+  );
+};
+
+export default AccountUnlock;
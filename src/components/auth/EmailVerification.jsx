@@ -0,0 +1,169 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { motion } from 'framer-motion';
+import Button from '../common/Button';
+import OtpInput from './OtpInput';
+import useAuth from '../../hooks/useAuth';
+import authClient from '../../api/authClient';
+import { getOtpErrorMessage } from '../../utils/errorHelpers';
+
+const EMPTY_CODE = ['', '', '', '', '', ''];
+const RESEND_DELAY_SECONDS = 60;
+
+/**
+ * Confirm the account email with the 6-digit code from the verification email.
+ * The same email also carries a link, handled by VerifyEmailPage.
+ */
+const EmailVerification = ({ email, onSuccess }) => {
+  const { updateUser } = useAuth();
+  const [code, setCode] = useState(EMPTY_CODE);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [resendTimer, setResendTimer] = useState(0);
+  const otpInputRef = useRef(null);
+
+  // Countdown before another code can be requested
+  useEffect(() => {
+    if (resendTimer <= 0) return undefined;
+
+    const timeout = setTimeout(() => setResendTimer(timer => timer - 1), 1000);
+    return () => clearTimeout(timeout);
+  }, [resendTimer]);
+
+  const handleCodeChange = (newCode) => {
+    setCode(newCode);
+    if (error) setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const value = code.join('');
+    if (value.length !== 6) {
+      setError('Please enter the complete 6-digit code');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    setNotice('');
+
+    try {
+      const user = await authClient.verifyEmail({ code: value });
+      updateUser({ ...user, emailVerified: true });
+      onSuccess?.(user);
+    } catch (err) {
+      console.error('Email verification error:', err);
+      setError(getOtpErrorMessage(err));
+      setCode(EMPTY_CODE);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResend = async () => {
+    if (resendTimer > 0 || sending) return;
+
+    setSending(true);
+    setError('');
+    setNotice('');
+
+    try {
+      await authClient.sendEmailVerification();
+      setResendTimer(RESEND_DELAY_SECONDS);
+      setCode(EMPTY_CODE);
+      setNotice('We\'ve sent a new verification email.');
+      otpInputRef.current?.focus();
+    } catch (err) {
+      console.error('Resend email verification error:', err);
+      setError(getOtpErrorMessage(err));
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.3 }}
+      className="w-full max-w-md mx-auto"
+    >
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div className="text-center mb-8">
+          <h2 className="text-2xl font-bold text-secondary-900 mb-2">
+            Verify Your Email
+          </h2>
+          <p className="text-secondary-600 mb-4">
+            Enter the 6-digit code we sent to
+          </p>
+          <p className="text-secondary-900 font-medium break-all">
+            {email}
+          </p>
+          <p className="text-sm text-secondary-500 mt-2">
+            You can also click the link in that email.
+          </p>
+        </div>
+
+        {error && (
+          <div className="bg-error-50 border border-error-200 rounded-lg p-4 text-error-700 text-sm" role="alert">
+            {error}
+          </div>
+        )}
+
+        {notice && (
+          <div className="bg-success-50 border border-success-200 rounded-lg p-4 text-success-700 text-sm">
+            {notice}
+          </div>
+        )}
+
+        <OtpInput
+          ref={otpInputRef}
+          value={code}
+          onChange={handleCodeChange}
+          error={!!error}
+          disabled={loading}
+          autoFocus
+        />
+
+        <Button
+          type="submit"
+          variant="primary"
+          size="lg"
+          loading={loading}
+          disabled={loading || sending}
+          className="w-full"
+        >
+          {loading ? 'Verifying...' : 'Verify Email'}
+        </Button>
+
+        <div className="text-center">
+          <p className="text-sm text-secondary-600 mb-2">
+            Didn't get the email? Check your spam folder, or
+          </p>
+          <button
+            type="button"
+            onClick={handleResend}
+            disabled={resendTimer > 0 || sending || loading}
+            className={`text-sm font-medium transition-colors ${
+              resendTimer > 0 || sending || loading
+                ? 'text-secondary-400 cursor-not-allowed'
+                : 'text-primary-600 hover:text-primary-700'
+            }`}
+          >
+            {sending ? (
+              'Sending...'
+            ) : resendTimer > 0 ? (
+              `Resend email in ${resendTimer}s`
+            ) : (
+              'Resend verification email'
+            )}
+          </button>
+        </div>
+      </form>
+    </motion.div>
+  );
+};
+
+export default EmailVerification;
@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { MailCheck } from 'lucide-react';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import authClient from '../../api/authClient';
+import { validateEmail } from '../../utils/validators';
+
+const ForgotPasswordForm = ({ initialEmail = '' }) => {
+  const [email, setEmail] = useState(initialEmail);
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [submittedEmail, setSubmittedEmail] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (loading) {
+      return;
+    }
+
+    const emailValidation = validateEmail(email);
+    if (!emailValidation.isValid) {
+      setErrors({ email: emailValidation.message });
+      return;
+    }
+
+    setLoading(true);
+    setErrors({});
+
+    try {
+      await authClient.requestPasswordReset(email.trim());
+      setSubmittedEmail(email.trim());
+    } catch (error) {
+      if (error.status === 404) {
+        // Don't reveal whether an account exists for this email
+        setSubmittedEmail(email.trim());
+      } else if (error.status === 422 || error.status === 400) {
+        setErrors({ email: error.message || 'Please enter a valid email address' });
+      } else if (error.type === 'network') {
+        setErrors({ general: 'Unable to connect. Please check your internet connection and try again.' });
+      } else {
+        setErrors({ general: 'We couldn\'t send the reset link right now. Please try again in a few moments.' });
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (submittedEmail) {
+    return (
+      <div className="w-full max-w-md mx-auto text-center">
+        <div className="mx-auto w-12 h-12 bg-success-100 rounded-full flex items-center justify-center mb-4">
+          <MailCheck className="w-6 h-6 text-success-600" />
+        </div>
+        <h2 className="text-2xl font-bold text-secondary-900 mb-2">
+          Check your email
+        </h2>
+        <p className="text-secondary-600 mb-6">
+          If an account exists for <span className="font-medium text-secondary-900">{submittedEmail}</span>,
+          you will receive a link to reset your password shortly. The link expires after a limited time.
+        </p>
+        <Button
+          type="button"
+          variant="secondary"
+          className="w-full"
+          onClick={() => setSubmittedEmail(null)}
+        >
+          Use a different email
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="w-full max-w-md mx-auto">
+      <div className="text-center mb-8">
+        <h2 className="text-2xl font-bold text-secondary-900 mb-2">
+          Forgot your password?
+        </h2>
+        <p className="text-secondary-600">
+          Enter the email address on your account and we'll send you a reset link.
+        </p>
+      </div>
+
+      {errors.general && (
+        <div className="bg-error-50 border border-error-200 rounded-lg p-4 text-error-700 text-sm mb-6">
+          {errors.general}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} noValidate className="space-y-6">
+        <Input
+          type="email"
+          label="Email Address"
+          placeholder="Enter your email"
+          value={email}
+          onChange={(e) => {
+            setEmail(e.target.value);
+            if (errors.email) {
+              setErrors({});
+            }
+          }}
+          error={errors.email}
+          required
+          disabled={loading}
+          autoComplete="email"
+        />
+
+        <Button
+          type="submit"
+          variant="primary"
+          size="lg"
+          loading={loading}
+          disabled={loading}
+          className="w-full"
+        >
+          {loading ? 'Sending Link...' : 'Send Reset Link'}
+        </Button>
+
+        <p className="text-center text-sm text-secondary-600">
+          Remembered it?{' '}
+          <Link
+            to="/login"
+            className="text-primary-600 hover:text-primary-700 font-medium transition-colors"
+          >
+            Back to sign in
+          </Link>
+        </p>
+      </form>
+    </div>
+  );
+};
+
+export default ForgotPasswordForm;
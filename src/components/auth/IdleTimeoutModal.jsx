@@ -0,0 +1,68 @@
+import React, { useCallback } from 'react';
+import { Timer } from 'lucide-react';
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+import useAuth from '../../hooks/useAuth';
+import useIdleTimeout from '../../hooks/useIdleTimeout';
+
+/**
+ * Warns an inactive user before signing them out.
+ * Activity in any open tab keeps the session alive; reaching the timeout signs out every tab.
+ */
+const IdleTimeoutModal = () => {
+  const { isAuthenticated, sessionExpired, logout, refreshToken } = useAuth();
+
+  const handleIdle = useCallback(() => {
+    logout(true, { reason: 'idle' });
+  }, [logout]);
+
+  const { isWarning, remainingSeconds, stayActive } = useIdleTimeout({
+    // The session-expired prompt takes over once tokens are gone
+    enabled: isAuthenticated && !sessionExpired,
+    onIdle: handleIdle,
+  });
+
+  const handleStaySignedIn = () => {
+    stayActive();
+    // Extend the server session as well. An expired session is reported by the
+    // token manager; anything else (e.g. offline) leaves the current tokens in use.
+    refreshToken().catch((error) => {
+      console.warn('Could not extend the session:', error);
+    });
+  };
+
+  const handleSignOut = () => {
+    logout(true, { reason: 'idle' });
+  };
+
+  return (
+    <Modal
+      isOpen={isWarning}
+      onClose={handleStaySignedIn}
+      title="Are you still there?"
+      size="sm"
+      closeOnBackdrop={false}
+      showCloseButton={false}
+    >
+      <div className="flex items-start space-x-3 mb-6 p-4 bg-warning-50 border border-warning-200 rounded-lg">
+        <Timer className="w-5 h-5 text-warning-600 flex-shrink-0 mt-0.5" />
+        <p className="text-sm text-warning-800" aria-live="polite">
+          For your security, you will be signed out in{' '}
+          <span className="font-semibold tabular-nums">{remainingSeconds}s</span>{' '}
+          due to inactivity.
+        </p>
+      </div>
+
+      <div className="flex flex-col-reverse sm:flex-row sm:justify-end gap-3">
+        <Button variant="secondary" onClick={handleSignOut}>
+          Sign out
+        </Button>
+        <Button onClick={handleStaySignedIn}>
+          Stay signed in
+        </Button>
+      </div>
+    </Modal>
+  );
+};
+
+export default IdleTimeoutModal;
@@ -3,6 +3,11 @@ import { Link, useNavigate } from 'react-router-dom';
 import { validateEmail, validatePhoneNumber } from '../../utils/validators';
 import { PhoneInputWithCountry } from '../common';
 import useAuth from '../../hooks/useAuth';
+import useCountdown from '../../hooks/useCountdown';
+import { getAuthErrorMessage, isAccountLockedError } from '../../utils/errorHelpers';
+import { formatCountdown } from '../../utils/formatters';
+import MfaChallenge from './MfaChallenge';
+import AccountUnlock from './AccountUnlock';
 
 const LoginForm = ({ onSuccess }) => {
   const navigate = useNavigate();
@@ -18,8 +23,13 @@ const LoginForm = ({ onSuccess }) => {
   const [loginType, setLoginType] = useState('email');
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
-  
-  // No modal or toast state needed
+  // Set when the password was accepted but a second factor is required
+  const [mfaChallenge, setMfaChallenge] = useState(null);
+  // Rate limit / lockout wait from the server's Retry-After
+  const retryCountdown = useCountdown();
+  const [unlocking, setUnlocking] = useState(false);
+  const [notice, setNotice] = useState('');
+  const submitBlocked = loading || retryCountdown.isActive;
 
 
 
@@ -76,9 +86,55 @@ const LoginForm = ({ onSuccess }) => {
     }
   };
 
+  // Continue after a successful login (with or without a second factor)
+  const handleLoginComplete = (response) => {
+    // Call success callback
+    if (onSuccess) {
+      onSuccess({
+        success: true,
+        user: response.user,
+        accessToken: response.accessToken,
+        refreshToken: response.refreshToken
+      });
+    } else {
+      const isPhoneVerified = response.user?.phoneVerified === true;
+      
+      console.log('Login success - User verification status:', {
+        phoneVerified: response.user?.phoneVerified,
+        profileCompleted: response.user?.profileCompleted,
+        willRedirectTo: isPhoneVerified ? 'dashboard' : 'verify-phone'
+      });
+      
+      // Redirect based on phone verification status
+      if (!isPhoneVerified && response.user?.phone) {
+        // Redirect to phone verification if phone exists but not verified
+        navigate('/verify-phone', {
+          state: {
+            phone: response.user.phone,
+            message: 'Please verify your phone number to continue using your account.'
+          }
+        });
+      } else if (!isPhoneVerified) {
+        // If no phone number, redirect to profile to add one
+        navigate('/profile', {
+          state: {
+            message: 'Please add and verify your phone number to secure your account.'
+          }
+        });
+      } else {
+        // Phone is verified, go to dashboard
+        navigate('/dashboard');
+      }
+    }
+  };
+
   // Handle form submission
   const handleSubmit = async (e) => {
     e.preventDefault();
+
+    if (retryCountdown.isActive) {
+      return;
+    }
     
     // Validate form
     const validationErrors = validateForm();
@@ -89,6 +145,7 @@ const LoginForm = ({ onSuccess }) => {
 
     // Clear any existing errors and start loading
     setErrors({});
+    setNotice('');
     setLoading(true);
 
     try {
@@ -97,52 +154,24 @@ const LoginForm = ({ onSuccess }) => {
       
       console.log('Login success via AuthContext:', response);
       
-      // Call success callback
-      if (onSuccess) {
-        onSuccess({
-          success: true,
-          user: response.user,
-          accessToken: response.accessToken,
-          refreshToken: response.refreshToken
-        });
-      } else {
-        // Check if phone is verified (prioritize phone_verified field)
-        const isPhoneVerified = response.user?.phone_verified === true || 
-                               response.user?.phoneVerified === true || 
-                               response.user?.is_phone_verified === true;
-        
-        console.log('Login success - User verification status:', {
-          phone_verified: response.user?.phone_verified,
-          phoneVerified: response.user?.phoneVerified,
-          is_phone_verified: response.user?.is_phone_verified,
-          profile_completed: response.user?.profile_completed,
-          isPhoneVerified,
-          willRedirectTo: isPhoneVerified ? 'dashboard' : 'verify-phone'
-        });
-        
-        // Redirect based on phone verification status
-        if (!isPhoneVerified && response.user?.phone) {
-          // Redirect to phone verification if phone exists but not verified
-          navigate('/verify-phone', {
-            state: {
-              phone: response.user.phone,
-              message: 'Please verify your phone number to continue using your account.'
-            }
-          });
-        } else if (!isPhoneVerified) {
-          // If no phone number, redirect to profile to add one
-          navigate('/profile', {
-            state: {
-              message: 'Please add and verify your phone number to secure your account.'
-            }
-          });
-        } else {
-          // Phone is verified, go to dashboard
-          navigate('/dashboard');
-        }
+      if (response.mfaRequired) {
+        setMfaChallenge({ mfaToken: response.mfaToken });
+        return;
       }
+
+      handleLoginComplete(response);
       
     } catch (error) {
+      // Too many attempts or a locked account: wait out the server's Retry-After
+      if (error.status === 429 || isAccountLockedError(error)) {
+        const { message, retryAfter, locked } = getAuthErrorMessage(error, loginType);
+        if (retryAfter) {
+          retryCountdown.start(retryAfter);
+        }
+        setErrors({ general: message, locked: !!locked });
+        return;
+      }
+
       // Handle different types of errors
       let errorMsg = 'Login failed. Please try again.';
       let fieldErrors = {};
@@ -196,6 +225,41 @@ const LoginForm = ({ onSuccess }) => {
     }
   };
 
+  // Leave the two-factor step and ask for the password again
+  const handleMfaCancel = () => {
+    setMfaChallenge(null);
+    setFormData(prev => ({ ...prev, password: '' }));
+  };
+
+  // Account unlocked with a code - back to the password form
+  const handleUnlocked = () => {
+    setUnlocking(false);
+    retryCountdown.reset();
+    setErrors({});
+    setFormData(prev => ({ ...prev, password: '' }));
+    setNotice('Your account is unlocked. Sign in with your password.');
+  };
+
+  if (unlocking) {
+    return (
+      <AccountUnlock
+        identifier={formData.identifier}
+        onUnlocked={handleUnlocked}
+        onCancel={() => setUnlocking(false)}
+      />
+    );
+  }
+
+  if (mfaChallenge) {
+    return (
+      <MfaChallenge
+        mfaToken={mfaChallenge.mfaToken}
+        onSuccess={handleLoginComplete}
+        onCancel={handleMfaCancel}
+      />
+    );
+  }
+
   return (
     <div className="w-full max-w-md mx-auto">
       <div className="text-center mb-8">
@@ -207,6 +271,12 @@ const LoginForm = ({ onSuccess }) => {
         </p>
       </div>
 
+      {notice && (
+        <div className="mb-4 p-4 bg-success-50 border border-success-200 rounded-lg text-success-700 text-sm">
+          {notice}
+        </div>
+      )}
+
       {/* Error display */}
       {Object.keys(errors).length > 0 && (
         <div style={{
@@ -228,6 +298,28 @@ const LoginForm = ({ onSuccess }) => {
             </div>
           )}
           
+          {retryCountdown.isActive && (
+            <p style={{ marginTop: '8px', fontSize: '14px' }} aria-live="polite">
+              You can try again in <span className="font-semibold tabular-nums">{formatCountdown(retryCountdown.remaining)}</span>
+            </p>
+          )}
+
+          {errors.locked && (
+            <div style={{ marginTop: '12px', paddingTop: '12px', borderTop: '1px solid #f87171' }}>
+              <button
+                type="button"
+                onClick={() => setUnlocking(true)}
+                style={{
+                  color: '#2563eb',
+                  textDecoration: 'underline',
+                  fontWeight: 'bold'
+                }}
+              >
+                Unlock with a verification code
+              </button>
+            </div>
+          )}
+
           {errors.showRegisterLink && (
             <div style={{ marginTop: '12px', paddingTop: '12px', borderTop: '1px solid #f87171' }}>
               <Link
@@ -346,10 +438,19 @@ const LoginForm = ({ onSuccess }) => {
 
         {/* Password Input */}
         <div>
-          <label className="block text-sm font-medium text-gray-700 mb-1">
-            Password
-            <span className="text-red-500 ml-1">*</span>
-          </label>
+          <div className="flex items-center justify-between mb-1">
+            <label className="block text-sm font-medium text-gray-700">
+              Password
+              <span className="text-red-500 ml-1">*</span>
+            </label>
+            <Link
+              to="/forgot-password"
+              state={loginType === 'email' && formData.identifier ? { email: formData.identifier } : undefined}
+              className="text-sm font-medium text-blue-600 hover:text-blue-500 transition-colors"
+            >
+              Forgot password?
+            </Link>
+          </div>
           <input
             type="password"
             placeholder="Enter your password"
@@ -388,7 +489,7 @@ const LoginForm = ({ onSuccess }) => {
         {/* Submit Button */}
         <button
           type="submit"
-          disabled={loading}
+          disabled={submitBlocked}
           style={{
             width: '100%',
             padding: '12px 24px',
@@ -396,9 +497,9 @@ const LoginForm = ({ onSuccess }) => {
             fontWeight: 'bold',
             borderRadius: '8px',
             border: 'none',
-            backgroundColor: loading ? '#9ca3af' : '#3b82f6',
+            backgroundColor: submitBlocked ? '#9ca3af' : '#3b82f6',
             color: 'white',
-            cursor: loading ? 'not-allowed' : 'pointer',
+            cursor: submitBlocked ? 'not-allowed' : 'pointer',
             display: 'flex',
             alignItems: 'center',
             justifyContent: 'center',
@@ -406,12 +507,12 @@ const LoginForm = ({ onSuccess }) => {
             transition: 'background-color 0.2s'
           }}
           onMouseOver={(e) => {
-            if (!loading) {
+            if (!submitBlocked) {
               e.target.style.backgroundColor = '#2563eb';
             }
           }}
           onMouseOut={(e) => {
-            if (!loading) {
+            if (!submitBlocked) {
               e.target.style.backgroundColor = '#3b82f6';
             }
           }}
@@ -429,6 +530,8 @@ const LoginForm = ({ onSuccess }) => {
               }}></div>
               Signing In...
             </>
+          ) : retryCountdown.isActive ? (
+            `Try again in ${formatCountdown(retryCountdown.remaining)}`
           ) : (
             'Sign In'
           )}
@@ -0,0 +1,84 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import LoginForm from './LoginForm';
+import useAuth from '../../hooks/useAuth';
+import authClient from '../../api/authClient';
+
+vi.mock('../../hooks/useAuth');
+vi.mock('../../api/authClient', () => ({
+  default: {
+    requestAccountUnlock: vi.fn(),
+    unlockAccount: vi.fn(),
+  },
+}));
+
+const mockLogin = vi.fn();
+
+const renderForm = () => render(
+  <MemoryRouter>
+    <LoginForm onSuccess={vi.fn()} />
+  </MemoryRouter>
+);
+
+const submitCredentials = () => {
+  fireEvent.change(screen.getByPlaceholderText('Enter your email address'), { target: { value: 'jane@example.com' } });
+  fireEvent.change(screen.getByPlaceholderText('Enter your password'), { target: { value: 'password123' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Sign In' }));
+};
+
+describe('LoginForm rate limiting and lockout', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    useAuth.mockReturnValue({ login: mockLogin });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('disables sign in with a live countdown after a 429', async () => {
+    vi.useFakeTimers();
+    mockLogin.mockRejectedValue({ status: 429, retryAfter: 3, data: {} });
+    renderForm();
+
+    await act(async () => {
+      submitCredentials();
+    });
+
+    expect(screen.getByRole('button', { name: 'Try again in 0:03' })).toBeDisabled();
+    expect(screen.getByText(/Too many sign-in attempts/)).toBeInTheDocument();
+
+    act(() => {
+      vi.advanceTimersByTime(3000);
+    });
+
+    expect(screen.getByRole('button', { name: 'Sign In' })).toBeEnabled();
+  });
+
+  it('offers to unlock a locked account with a verification code', async () => {
+    mockLogin.mockRejectedValue({ status: 423, data: { detail: 'Account locked' } });
+    authClient.requestAccountUnlock.mockResolvedValue({ sent_to: '+254 *** ***678' });
+    authClient.unlockAccount.mockResolvedValue({});
+    renderForm();
+
+    submitCredentials();
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Unlock with a verification code' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Send unlock code' }));
+
+    await screen.findByText(/\+254 \*\*\* \*\*\*678/);
+    expect(authClient.requestAccountUnlock).toHaveBeenCalledWith('jane@example.com');
+
+    fireEvent.paste(screen.getByLabelText('Unlock code digit 1'), {
+      clipboardData: { getData: () => '123456' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Unlock account' }));
+
+    await waitFor(() => {
+      expect(authClient.unlockAccount).toHaveBeenCalledWith('jane@example.com', '123456');
+      expect(screen.getByText('Your account is unlocked. Sign in with your password.')).toBeInTheDocument();
+    });
+  });
+});
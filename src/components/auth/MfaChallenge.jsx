@@ -0,0 +1,183 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { ShieldCheck, ArrowLeft } from 'lucide-react';
+import Button from '../common/Button';
+import OtpInput from './OtpInput';
+import useAuth from '../../hooks/useAuth';
+
+const EMPTY_CODE = ['', '', '', '', '', ''];
+
+/**
+ * Map a failed two-factor verification to a message
+ * @param {Object} error - Normalised API error
+ * @returns {{ message: string, restart: boolean }} Message and whether the login must start over
+ */
+const getMfaErrorMessage = (error) => {
+  const detail = typeof error?.data?.detail === 'string' ? error.data.detail : '';
+
+  if (error?.status === 410 || /expired/i.test(detail)) {
+    return { message: 'This sign-in attempt has expired. Please sign in again.', restart: true };
+  }
+  if (error?.status === 400 || error?.status === 401) {
+    return { message: detail || 'That code is not valid. Check your authenticator app and try again.', restart: false };
+  }
+  if (error?.status === 429) {
+    return { message: 'Too many attempts. Please wait a moment before trying again.', restart: false };
+  }
+  if (error?.type === 'network') {
+    return { message: 'Connection error. Please check your internet connection and try again.', restart: false };
+  }
+  return { message: detail || 'Verification failed. Please try again.', restart: false };
+};
+
+/**
+ * Second login step for accounts with two-factor authentication.
+ * Accepts a code from an authenticator app or one of the account's backup codes.
+ */
+const MfaChallenge = ({ mfaToken, onSuccess, onCancel }) => {
+  const { verifyMfa } = useAuth();
+  const [code, setCode] = useState(EMPTY_CODE);
+  const [backupCode, setBackupCode] = useState('');
+  const [useBackupCode, setUseBackupCode] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [mustRestart, setMustRestart] = useState(false);
+
+  const handleCodeChange = (newCode) => {
+    setCode(newCode);
+    if (error) setError('');
+  };
+
+  const toggleBackupCode = () => {
+    setUseBackupCode(prev => !prev);
+    setCode(EMPTY_CODE);
+    setBackupCode('');
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const value = useBackupCode ? backupCode.trim() : code.join('');
+
+    if (useBackupCode ? !value : value.length !== 6) {
+      setError(useBackupCode ? 'Please enter one of your backup codes' : 'Please enter the complete 6-digit code');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await verifyMfa(mfaToken, value, { isBackupCode: useBackupCode });
+      onSuccess(response);
+    } catch (err) {
+      const { message, restart } = getMfaErrorMessage(err);
+      setError(message);
+      setMustRestart(restart);
+      setCode(EMPTY_CODE);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.3 }}
+      className="w-full max-w-md mx-auto"
+    >
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div className="text-center mb-8">
+          <div className="w-12 h-12 mx-auto mb-4 bg-primary-100 rounded-full flex items-center justify-center">
+            <ShieldCheck className="w-6 h-6 text-primary-600" />
+          </div>
+          <h2 className="text-2xl font-bold text-secondary-900 mb-2">
+            Two-Factor Authentication
+          </h2>
+          <p className="text-secondary-600">
+            {useBackupCode
+              ? 'Enter one of the backup codes you saved when you turned on two-factor authentication.'
+              : 'Enter the 6-digit code from your authenticator app.'}
+          </p>
+        </div>
+
+        {error && (
+          <div className="bg-error-50 border border-error-200 rounded-lg p-4 text-error-700 text-sm" role="alert">
+            {error}
+          </div>
+        )}
+
+        {useBackupCode ? (
+          <div>
+            <label htmlFor="mfa-backup-code" className="block text-sm font-medium text-secondary-700 mb-1">
+              Backup code
+            </label>
+            <input
+              id="mfa-backup-code"
+              type="text"
+              value={backupCode}
+              onChange={(e) => {
+                setBackupCode(e.target.value);
+                if (error) setError('');
+              }}
+              disabled={loading || mustRestart}
+              autoComplete="one-time-code"
+              autoFocus
+              className="w-full px-3 py-2.5 border-2 border-secondary-300 rounded-lg font-mono tracking-wider focus:outline-none focus:border-primary-500 focus:ring-2 focus:ring-primary-500"
+              placeholder="xxxx-xxxx"
+            />
+          </div>
+        ) : (
+          <OtpInput
+            value={code}
+            onChange={handleCodeChange}
+            error={!!error}
+            disabled={loading || mustRestart}
+            label="Authentication code"
+            autoFocus
+          />
+        )}
+
+        {mustRestart ? (
+          <Button type="button" variant="primary" size="lg" className="w-full" onClick={onCancel}>
+            Sign in again
+          </Button>
+        ) : (
+          <Button
+            type="submit"
+            variant="primary"
+            size="lg"
+            loading={loading}
+            disabled={loading}
+            className="w-full"
+          >
+            {loading ? 'Verifying...' : 'Verify'}
+          </Button>
+        )}
+
+        <div className="flex items-center justify-between text-sm">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="inline-flex items-center text-secondary-600 hover:text-secondary-900 transition-colors"
+          >
+            <ArrowLeft className="w-4 h-4 mr-1" />
+            Back
+          </button>
+          <button
+            type="button"
+            onClick={toggleBackupCode}
+            disabled={loading || mustRestart}
+            className="font-medium text-primary-600 hover:text-primary-700 transition-colors disabled:text-secondary-400"
+          >
+            {useBackupCode ? 'Use authenticator app' : 'Use a backup code'}
+          </button>
+        </div>
+      </form>
+    </motion.div>
+  );
+};
+
+export default MfaChallenge;
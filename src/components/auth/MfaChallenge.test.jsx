@@ -0,0 +1,67 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import MfaChallenge from './MfaChallenge';
+import useAuth from '../../hooks/useAuth';
+
+vi.mock('../../hooks/useAuth');
+
+const mockVerifyMfa = vi.fn();
+
+const enterCode = (code) => {
+  fireEvent.paste(screen.getByLabelText('Authentication code digit 1'), {
+    clipboardData: { getData: () => code },
+  });
+};
+
+describe('MfaChallenge', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    useAuth.mockReturnValue({ verifyMfa: mockVerifyMfa });
+  });
+
+  it('spreads a pasted code across the boxes and verifies it', async () => {
+    const onSuccess = vi.fn();
+    mockVerifyMfa.mockResolvedValue({ success: true, user: { id: 1 } });
+    render(<MfaChallenge mfaToken="mfa-token" onSuccess={onSuccess} onCancel={vi.fn()} />);
+
+    enterCode('123 456');
+    expect(screen.getByLabelText('Authentication code digit 6')).toHaveValue('6');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Verify' }));
+
+    await waitFor(() => {
+      expect(mockVerifyMfa).toHaveBeenCalledWith('mfa-token', '123456', { isBackupCode: false });
+      expect(onSuccess).toHaveBeenCalledWith({ success: true, user: { id: 1 } });
+    });
+  });
+
+  it('accepts a backup code instead', async () => {
+    mockVerifyMfa.mockResolvedValue({ success: true });
+    render(<MfaChallenge mfaToken="mfa-token" onSuccess={vi.fn()} onCancel={vi.fn()} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Use a backup code' }));
+    fireEvent.change(screen.getByLabelText('Backup code'), { target: { value: ' abcd-efgh ' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Verify' }));
+
+    await waitFor(() => {
+      expect(mockVerifyMfa).toHaveBeenCalledWith('mfa-token', 'abcd-efgh', { isBackupCode: true });
+    });
+  });
+
+  it('asks the user to sign in again when the challenge has expired', async () => {
+    const onCancel = vi.fn();
+    mockVerifyMfa.mockRejectedValue({ status: 410, data: { detail: 'MFA token expired' } });
+    render(<MfaChallenge mfaToken="mfa-token" onSuccess={vi.fn()} onCancel={onCancel} />);
+
+    enterCode('123456');
+    fireEvent.click(screen.getByRole('button', { name: 'Verify' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('This sign-in attempt has expired. Please sign in again.')).toBeInTheDocument();
+    });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Sign in again' }));
+    expect(onCancel).toHaveBeenCalled();
+  });
+});
@@ -6,7 +6,7 @@ import LoadingSpinner from '../common/LoadingSpinner';
 
 /**
  * OnboardingGuard component that enforces the streamlined onboarding flow
- * Register → Phone Verification → Profile Completion → Free Trial → Dashboard Access
+ * Register → Phone Verification → Email Verification → Profile Completion → Free Trial → Dashboard Access
  */
 const OnboardingGuard = ({ children, requireSubscription = false }) => {
   const { isAuthenticated, isLoading } = useAuth();
@@ -84,7 +84,7 @@ const OnboardingGuard = ({ children, requireSubscription = false }) => {
   // Check if user needs to complete onboarding steps
   if (requiresOnboarding()) {
     // Allow access to onboarding pages themselves
-    const onboardingPaths = ['/onboarding/streamlined', '/onboarding/profile', '/verify-phone'];
+    const onboardingPaths = ['/onboarding/streamlined', '/onboarding/profile', '/verify-phone', '/verify-email'];
     if (onboardingPaths.includes(location.pathname)) {
       return children;
     }
@@ -0,0 +1,104 @@
+import React, { forwardRef, useImperativeHandle, useRef } from 'react';
+import { motion } from 'framer-motion';
+
+/**
+ * Six-box one-time code input.
+ * value is an array with one string per box, e.g. ['', '', '', '', '', ''].
+ * Moves focus between boxes as digits are typed or deleted and spreads pasted codes across the boxes.
+ * The ref exposes focus(index) for callers that reset the code.
+ */
+const OtpInput = forwardRef(({
+  value,
+  onChange,
+  error = false,
+  disabled = false,
+  autoFocus = false,
+  label = 'Verification code',
+}, ref) => {
+  const inputRefs = useRef([]);
+  const length = value.length;
+
+  useImperativeHandle(ref, () => ({
+    focus: (index = 0) => inputRefs.current[index]?.focus(),
+  }));
+
+  const fillFrom = (startIndex, text) => {
+    const digits = text.replace(/\D/g, '').slice(0, length - startIndex);
+    if (!digits) return;
+
+    const newValue = [...value];
+    for (let i = 0; i < digits.length; i++) {
+      newValue[startIndex + i] = digits[i];
+    }
+    onChange(newValue);
+
+    // Focus the next empty input or the last one
+    const nextIndex = Math.min(startIndex + digits.length, length - 1);
+    inputRefs.current[nextIndex]?.focus();
+  };
+
+  const handleChange = (index, inputValue) => {
+    // Only allow digits
+    if (!/^\d*$/.test(inputValue)) return;
+
+    // Autofill from SMS or password managers can put the whole code in one box
+    if (inputValue.length > 1) {
+      fillFrom(index, inputValue);
+      return;
+    }
+
+    const newValue = [...value];
+    newValue[index] = inputValue;
+    onChange(newValue);
+
+    // Auto-focus next input
+    if (inputValue && index < length - 1) {
+      inputRefs.current[index + 1]?.focus();
+    }
+  };
+
+  const handleKeyDown = (index, e) => {
+    // Handle backspace
+    if (e.key === 'Backspace' && !value[index] && index > 0) {
+      inputRefs.current[index - 1]?.focus();
+    }
+  };
+
+  const handlePaste = (index, e) => {
+    e.preventDefault();
+    fillFrom(index, e.clipboardData.getData('text'));
+  };
+
+  return (
+    <div className="flex justify-center space-x-3" role="group" aria-label={label}>
+      {value.map((digit, index) => (
+        <motion.input
+          key={index}
+          ref={el => inputRefs.current[index] = el}
+          type="text"
+          inputMode="numeric"
+          maxLength={index === 0 ? length : 1}
+          value={digit}
+          onChange={(e) => handleChange(index, e.target.value)}
+          onKeyDown={(e) => handleKeyDown(index, e)}
+          onPaste={(e) => handlePaste(index, e)}
+          aria-label={`${label} digit ${index + 1}`}
+          className={`w-12 h-12 text-center text-lg font-semibold border-2 rounded-lg transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-offset-1 ${
+            error
+              ? 'border-error-300 text-error-900 focus:border-error-500 focus:ring-error-500 bg-error-50'
+              : 'border-secondary-300 text-secondary-900 focus:border-primary-500 focus:ring-primary-500 bg-white hover:border-secondary-400'
+          }`}
+          disabled={disabled}
+          autoFocus={autoFocus && index === 0}
+          autoComplete="one-time-code"
+          whileFocus={{ scale: 1.05 }}
+          transition={{ duration: 0.15 }}
+        />
+      ))}
+    </div>
+  );
+});
+
+OtpInput.displayName = 'OtpInput';
+
+export default OtpInput;
@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import { KeyRound } from 'lucide-react';
+import Button from '../common/Button';
+import useAuth from '../../hooks/useAuth';
+import { isPasskeySupported, getPasskeyErrorMessage } from '../../services/webauthn';
+
+/**
+ * "Sign in with passkey" option shown above the password form.
+ * Renders nothing when the browser has no WebAuthn support, leaving the password form as the only option.
+ */
+const PasskeySignIn = ({ onSuccess }) => {
+  const { loginWithPasskey } = useAuth();
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  if (!isPasskeySupported()) {
+    return null;
+  }
+
+  const handleClick = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await loginWithPasskey();
+      onSuccess?.(response);
+    } catch (err) {
+      console.error('Passkey sign-in error:', err);
+      setError(`${getPasskeyErrorMessage(err)} You can also sign in with your password below.`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="mb-6">
+      {error && (
+        <div className="mb-4 p-3 bg-error-50 border border-error-200 rounded-lg text-sm text-error-700" role="alert">
+          {error}
+        </div>
+      )}
+
+      <Button
+        type="button"
+        variant="secondary"
+        size="lg"
+        className="w-full"
+        onClick={handleClick}
+        loading={loading}
+        disabled={loading}
+      >
+        <KeyRound className="w-5 h-5 mr-2" />
+        Sign in with passkey
+      </Button>
+
+      <div className="relative mt-6">
+        <div className="absolute inset-0 flex items-center" aria-hidden="true">
+          <div className="w-full border-t border-secondary-200" />
+        </div>
+        <div className="relative flex justify-center text-sm">
+          <span className="px-2 bg-white text-secondary-500">or use your password</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PasskeySignIn;
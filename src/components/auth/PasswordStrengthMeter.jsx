@@ -0,0 +1,77 @@
+import React from 'react';
+import { Check, X } from 'lucide-react';
+import { validatePassword } from '../../utils/validators';
+
+const STRENGTH_LEVELS = [
+  { label: 'Too weak', color: 'bg-error-500', text: 'text-error-600' },
+  { label: 'Too weak', color: 'bg-error-500', text: 'text-error-600' },
+  { label: 'Weak', color: 'bg-error-400', text: 'text-error-600' },
+  { label: 'Fair', color: 'bg-warning-500', text: 'text-warning-600' },
+  { label: 'Good', color: 'bg-primary-500', text: 'text-primary-600' },
+  { label: 'Strong', color: 'bg-success-500', text: 'text-success-600' },
+];
+
+const CRITERIA_LABELS = {
+  length: 'At least 8 characters',
+  lowercase: 'One lowercase letter',
+  uppercase: 'One uppercase letter',
+  number: 'One number',
+  special: 'One special character (@$!%*?&)',
+};
+
+/**
+ * Live password strength feedback based on validatePassword criteria
+ */
+const PasswordStrengthMeter = ({ password }) => {
+  if (!password) {
+    return null;
+  }
+
+  const { strength = 0, criteria } = validatePassword(password);
+  const level = STRENGTH_LEVELS[strength] || STRENGTH_LEVELS[0];
+
+  // validatePassword only reports criteria once the minimum length is met
+  const checks = criteria || {
+    length: false,
+    lowercase: /[a-z]/.test(password),
+    uppercase: /[A-Z]/.test(password),
+    number: /\d/.test(password),
+    special: /[@$!%*?&]/.test(password),
+  };
+
+  return (
+    <div className="mt-2" aria-live="polite">
+      <div className="flex items-center gap-2">
+        <div className="flex-1 flex gap-1">
+          {[1, 2, 3, 4, 5].map((step) => (
+            <div
+              key={step}
+              className={`h-1.5 flex-1 rounded-full transition-colors ${
+                step <= strength ? level.color : 'bg-secondary-200'
+              }`}
+            />
+          ))}
+        </div>
+        <span className={`text-xs font-medium ${level.text}`}>{level.label}</span>
+      </div>
+
+      <ul className="mt-2 space-y-1">
+        {Object.entries(CRITERIA_LABELS).map(([key, label]) => (
+          <li
+            key={key}
+            className={`flex items-center text-xs ${checks[key] ? 'text-success-600' : 'text-secondary-500'}`}
+          >
+            {checks[key] ? (
+              <Check className="h-3 w-3 mr-1.5" />
+            ) : (
+              <X className="h-3 w-3 mr-1.5" />
+            )}
+            {label}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default PasswordStrengthMeter;
@@ -1,8 +1,16 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { motion } from 'framer-motion';
 import Button from '../common/Button';
+import OtpInput from './OtpInput';
 import { useAuthContext } from '../../contexts/AuthContext';
 import authClient from '../../api/authClient';
+import { getRetryAfterSeconds } from '../../utils/errorHelpers';
+import { formatCountdown } from '../../utils/formatters';
+
+// Used when a 429 doesn't say how long to wait
+const DEFAULT_RATE_LIMIT_WAIT = 120;
+
+const isRateLimited = (error) => (error.status ?? error.response?.status) === 429;
 
 const PhoneVerification = ({ phone, onSuccess }) => {
   const { verifyPhone } = useAuthContext();
@@ -12,7 +20,7 @@ const PhoneVerification = ({ phone, onSuccess }) => {
   const [resendLoading, setResendLoading] = useState(false);
   const [resendTimer, setResendTimer] = useState(0);
   const [initialOtpSent, setInitialOtpSent] = useState(false);
-  const inputRefs = useRef([]);
+  const otpInputRef = useRef(null);
   const sendingOtpRef = useRef(false);
 
   // Send initial OTP when component mounts
@@ -54,11 +62,12 @@ const PhoneVerification = ({ phone, onSuccess }) => {
       } catch (error) {
         console.error('Initial OTP send error:', error);
         
-        if (error.response?.status === 429) {
+        if (isRateLimited(error)) {
+          const wait = getRetryAfterSeconds(error) || DEFAULT_RATE_LIMIT_WAIT;
           setErrors({ 
-            general: 'Rate limit reached. Please wait a moment before requesting another code.' 
+            general: `Rate limit reached. You can request another code in ${formatCountdown(wait)}.` 
           });
-          setResendTimer(120);
+          setResendTimer(wait);
           setInitialOtpSent(true); // Mark as sent even if rate limited to prevent retries
         } else {
           setErrors({ 
@@ -87,12 +96,7 @@ const PhoneVerification = ({ phone, onSuccess }) => {
     };
   }, [resendTimer]);
 
-  const handleOtpChange = (index, value) => {
-    // Only allow digits
-    if (!/^\d*$/.test(value)) return;
-
-    const newOtp = [...otp];
-    newOtp[index] = value;
+  const handleOtpChange = (newOtp) => {
     setOtp(newOtp);
 
     // Clear errors when user starts typing
@@ -102,35 +106,6 @@ const PhoneVerification = ({ phone, onSuccess }) => {
         return rest;
       });
     }
-
-    // Auto-focus next input
-    if (value && index < 5) {
-      inputRefs.current[index + 1]?.focus();
-    }
-  };
-
-  const handleKeyDown = (index, e) => {
-    // Handle backspace
-    if (e.key === 'Backspace' && !otp[index] && index > 0) {
-      inputRefs.current[index - 1]?.focus();
-    }
-    
-    // Handle paste
-    if (e.key === 'v' && (e.ctrlKey || e.metaKey)) {
-      e.preventDefault();
-      navigator.clipboard.readText().then(text => {
-        const digits = text.replace(/\D/g, '').slice(0, 6);
-        const newOtp = [...otp];
-        for (let i = 0; i < digits.length && i < 6; i++) {
-          newOtp[i] = digits[i];
-        }
-        setOtp(newOtp);
-        
-        // Focus the next empty input or the last one
-        const nextIndex = Math.min(digits.length, 5);
-        inputRefs.current[nextIndex]?.focus();
-      });
-    }
   };
 
   const validateOtp = () => {
@@ -168,6 +143,13 @@ const PhoneVerification = ({ phone, onSuccess }) => {
         setErrors({ 
           otp: 'Invalid verification code. Please check and try again.' 
         });
+      } else if (isRateLimited(error)) {
+        const wait = getRetryAfterSeconds(error);
+        setErrors({
+          general: wait
+            ? `Too many attempts. Please wait ${formatCountdown(wait)} before trying again.`
+            : 'Too many attempts. Please wait a moment before trying again.'
+        });
       } else if (error.response?.status === 410) {
         setErrors({ 
           general: 'Verification code has expired. Please request a new one.' 
@@ -207,7 +189,7 @@ const PhoneVerification = ({ phone, onSuccess }) => {
       setOtp(['', '', '', '', '', '']);
       
       // Focus first input
-      inputRefs.current[0]?.focus();
+      otpInputRef.current?.focus();
       
       // Show success message briefly
       setErrors({ 
@@ -225,12 +207,13 @@ const PhoneVerification = ({ phone, onSuccess }) => {
     } catch (error) {
       console.error('Resend OTP error:', error);
       
-      if (error.response?.status === 429) {
+      if (isRateLimited(error)) {
+        // Wait as long as the server asks before allowing another request
+        const wait = getRetryAfterSeconds(error) || DEFAULT_RATE_LIMIT_WAIT;
         setErrors({ 
-          general: 'Too many requests. Please wait a moment before requesting another code.' 
+          general: `Too many requests. You can request another code in ${formatCountdown(wait)}.` 
         });
-        // Set a longer timer for rate limited requests
-        setResendTimer(120);
+        setResendTimer(wait);
       } else if (error.response?.data?.detail) {
         setErrors({ 
           general: error.response.data.detail 
@@ -305,29 +288,13 @@ const PhoneVerification = ({ phone, onSuccess }) => {
         )}
 
         <div className="space-y-4">
-          <div className="flex justify-center space-x-3">
-            {otp.map((digit, index) => (
-              <motion.input
-                key={index}
-                ref={el => inputRefs.current[index] = el}
-                type="text"
-                inputMode="numeric"
-                maxLength={1}
-                value={digit}
-                onChange={(e) => handleOtpChange(index, e.target.value)}
-                onKeyDown={(e) => handleKeyDown(index, e)}
-                className={`w-12 h-12 text-center text-lg font-semibold border-2 rounded-lg transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-offset-1 ${
-                  errors.otp
-                    ? 'border-error-300 text-error-900 focus:border-error-500 focus:ring-error-500 bg-error-50'
-                    : 'border-secondary-300 text-secondary-900 focus:border-primary-500 focus:ring-primary-500 bg-white hover:border-secondary-400'
-                }`}
-                disabled={loading || resendLoading}
-                autoComplete="one-time-code"
-                whileFocus={{ scale: 1.05 }}
-                transition={{ duration: 0.15 }}
-              />
-            ))}
-          </div>
+          <OtpInput
+            ref={otpInputRef}
+            value={otp}
+            onChange={handleOtpChange}
+            error={!!errors.otp}
+            disabled={loading || resendLoading}
+          />
 
           {errors.otp && (
             <motion.div
@@ -370,7 +337,7 @@ const PhoneVerification = ({ phone, onSuccess }) => {
             ) : resendLoading ? (
               'Sending new code...'
             ) : resendTimer > 0 ? (
-              `Resend code in ${resendTimer}s`
+              `Resend code in ${formatCountdown(resendTimer)}`
             ) : (
               'Resend verification code'
             )}
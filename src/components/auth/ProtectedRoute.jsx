@@ -2,16 +2,21 @@ import React from 'react';
 import { Navigate, useLocation } from 'react-router-dom';
 import useAuth from '../../hooks/useAuth';
 import LoadingSpinner from '../common/LoadingSpinner';
+import ForbiddenPage from '../../pages/ForbiddenPage';
 
 /**
- * ProtectedRoute component that only handles basic authentication
+ * ProtectedRoute component that handles authentication and, optionally, authorization
  * For onboarding flow enforcement, use OnboardingGuard
+ * @param {string[]} requiredRoles - Any one of these roles grants access
+ * @param {string[]} requiredPermissions - All of these permissions are needed
  */
-const ProtectedRoute = ({ children }) => {
+const ProtectedRoute = ({ children, requiredRoles, requiredPermissions }) => {
   const { 
     isAuthenticated, 
     isLoading, 
-    isPhoneVerified
+    isPhoneVerified,
+    hasRole,
+    can
   } = useAuth();
   const location = useLocation();
 
@@ -49,7 +54,12 @@ const ProtectedRoute = ({ children }) => {
     );
   }
 
-  // Basic authentication checks passed - render the protected content
+  // Signed in but not allowed here - show a 403 rather than bouncing to another page
+  if ((requiredRoles && !hasRole(requiredRoles)) || (requiredPermissions && !can(requiredPermissions))) {
+    return <ForbiddenPage />;
+  }
+
+  // Authentication and authorization checks passed - render the protected content
   return children;
 };
 
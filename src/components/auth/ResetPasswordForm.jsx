@@ -0,0 +1,233 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { AlertTriangle } from 'lucide-react';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import PasswordStrengthMeter from './PasswordStrengthMeter';
+import authClient from '../../api/authClient';
+import { validatePassword, validatePasswordMatch } from '../../utils/validators';
+import { extractValidationErrors } from '../../utils/errorHelpers';
+
+const TOKEN_STATUS = {
+  VALID: 'valid',
+  INVALID: 'invalid',
+  EXPIRED: 'expired',
+};
+
+/**
+ * Best-effort client-side check of a reset token.
+ * Opaque tokens are treated as valid and left for the server to verify;
+ * JWT tokens are checked for an `exp` claim in the past.
+ * @param {string|null} token - Reset token from the URL
+ * @returns {string} One of TOKEN_STATUS
+ */
+const getTokenStatus = (token) => {
+  if (!token || typeof token !== 'string' || token.trim().length < 8) {
+    return TOKEN_STATUS.INVALID;
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return TOKEN_STATUS.VALID;
+  }
+
+  try {
+    const payload = JSON.parse(atob(parts[1].replace(/-/g, '+').replace(/_/g, '/')));
+    if (payload.exp && Date.now() >= payload.exp * 1000) {
+      return TOKEN_STATUS.EXPIRED;
+    }
+  } catch {
+    // Not a decodable JWT - let the server decide
+  }
+
+  return TOKEN_STATUS.VALID;
+};
+
+/**
+ * Map a failed reset request to a token status, if the failure is about the token
+ * @param {Object} error - Normalised error from axiosConfig
+ * @returns {string|null} Token status or null if the error is unrelated to the token
+ */
+const getTokenStatusFromError = (error) => {
+  const detail = error.data?.detail;
+  const message = (typeof detail === 'string' ? detail : error.data?.message || '').toLowerCase();
+
+  if (error.status === 410 || message.includes('expired')) {
+    return TOKEN_STATUS.EXPIRED;
+  }
+
+  if ([400, 401, 404].includes(error.status) && (message.includes('token') || message.includes('invalid'))) {
+    return TOKEN_STATUS.INVALID;
+  }
+
+  return null;
+};
+
+const ResetPasswordForm = ({ token, onSuccess }) => {
+  const [tokenStatus, setTokenStatus] = useState(() => getTokenStatus(token));
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: '',
+  });
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  const handleInputChange = (field) => (e) => {
+    const value = e.target.value;
+    setFormData(prev => ({ ...prev, [field]: value }));
+
+    if (errors[field] || errors.general) {
+      setErrors(prev => ({ ...prev, [field]: '', general: '' }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    const passwordValidation = validatePassword(formData.password);
+    if (!passwordValidation.isValid) {
+      newErrors.password = passwordValidation.message;
+    }
+
+    const matchValidation = validatePasswordMatch(formData.password, formData.confirmPassword);
+    if (!matchValidation.isValid) {
+      newErrors.confirmPassword = matchValidation.message;
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (loading || !validateForm()) {
+      return;
+    }
+
+    // Re-check expiry in case the page was left open
+    const currentStatus = getTokenStatus(token);
+    if (currentStatus !== TOKEN_STATUS.VALID) {
+      setTokenStatus(currentStatus);
+      return;
+    }
+
+    setLoading(true);
+    setErrors({});
+
+    try {
+      await authClient.resetPassword(token, formData.password);
+      onSuccess?.();
+    } catch (error) {
+      const statusFromError = getTokenStatusFromError(error);
+
+      if (statusFromError) {
+        setTokenStatus(statusFromError);
+      } else if (error.status === 422 && error.data) {
+        const fieldErrors = extractValidationErrors(error.data);
+        if (fieldErrors.new_password) {
+          fieldErrors.password = fieldErrors.new_password;
+          delete fieldErrors.new_password;
+        }
+        setErrors(Object.keys(fieldErrors).length > 0
+          ? fieldErrors
+          : { general: 'Please check your new password and try again.' });
+      } else if (error.type === 'network') {
+        setErrors({ general: 'Unable to connect. Please check your internet connection and try again.' });
+      } else {
+        setErrors({ general: 'We couldn\'t reset your password right now. Please try again in a few moments.' });
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (tokenStatus !== TOKEN_STATUS.VALID) {
+    const isExpired = tokenStatus === TOKEN_STATUS.EXPIRED;
+
+    return (
+      <div className="w-full max-w-md mx-auto text-center">
+        <div className="mx-auto w-12 h-12 bg-warning-100 rounded-full flex items-center justify-center mb-4">
+          <AlertTriangle className="w-6 h-6 text-warning-600" />
+        </div>
+        <h2 className="text-2xl font-bold text-secondary-900 mb-2">
+          {isExpired ? 'Reset link expired' : 'Invalid reset link'}
+        </h2>
+        <p className="text-secondary-600 mb-6">
+          {isExpired
+            ? 'This password reset link has expired. Request a new one to continue.'
+            : 'This password reset link is invalid or has already been used. Request a new one to continue.'}
+        </p>
+        <Link
+          to="/forgot-password"
+          className="inline-flex items-center justify-center w-full px-6 py-3 text-lg min-h-[48px] font-medium rounded-lg bg-primary-600 text-white hover:bg-primary-700 transition-colors"
+        >
+          Request a new link
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="w-full max-w-md mx-auto">
+      <div className="text-center mb-8">
+        <h2 className="text-2xl font-bold text-secondary-900 mb-2">
+          Choose a new password
+        </h2>
+        <p className="text-secondary-600">
+          Your new password must be different from passwords you've used before.
+        </p>
+      </div>
+
+      {errors.general && (
+        <div className="bg-error-50 border border-error-200 rounded-lg p-4 text-error-700 text-sm mb-6">
+          {errors.general}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} noValidate className="space-y-6">
+        <div className="space-y-4">
+          <div>
+            <Input
+              type="password"
+              label="New Password"
+              placeholder="Create a password (min. 8 characters)"
+              value={formData.password}
+              onChange={handleInputChange('password')}
+              error={errors.password}
+              required
+              disabled={loading}
+              autoComplete="new-password"
+            />
+            <PasswordStrengthMeter password={formData.password} />
+          </div>
+
+          <Input
+            type="password"
+            label="Confirm New Password"
+            placeholder="Confirm your new password"
+            value={formData.confirmPassword}
+            onChange={handleInputChange('confirmPassword')}
+            error={errors.confirmPassword}
+            required
+            disabled={loading}
+            autoComplete="new-password"
+          />
+        </div>
+
+        <Button
+          type="submit"
+          variant="primary"
+          size="lg"
+          loading={loading}
+          disabled={loading}
+          className="w-full"
+        >
+          {loading ? 'Resetting Password...' : 'Reset Password'}
+        </Button>
+      </form>
+    </div>
+  );
+};
+
+export default ResetPasswordForm;
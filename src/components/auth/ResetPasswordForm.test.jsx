@@ -0,0 +1,81 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import ResetPasswordForm from './ResetPasswordForm';
+import authClient from '../../api/authClient';
+import { makeJWT } from '../../test/jwt';
+
+vi.mock('../../api/authClient');
+
+const renderForm = (props) => render(
+  <MemoryRouter>
+    <ResetPasswordForm {...props} />
+  </MemoryRouter>
+);
+
+const fillPasswords = (password, confirmPassword = password) => {
+  fireEvent.change(screen.getByLabelText(/^New Password/), { target: { value: password } });
+  fireEvent.change(screen.getByLabelText(/Confirm New Password/), { target: { value: confirmPassword } });
+};
+
+describe('ResetPasswordForm', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('shows the invalid link state when no token is provided', () => {
+    renderForm({ token: null });
+
+    expect(screen.getByText('Invalid reset link')).toBeInTheDocument();
+    expect(screen.getByText('Request a new link')).toHaveAttribute('href', '/forgot-password');
+  });
+
+  it('shows the expired state for a JWT token past its expiry', () => {
+    renderForm({ token: makeJWT({ exp: Math.floor(Date.now() / 1000) - 60 }) });
+
+    expect(screen.getByText('Reset link expired')).toBeInTheDocument();
+  });
+
+  it('validates password strength and confirmation before submitting', async () => {
+    renderForm({ token: 'opaque-reset-token' });
+
+    fillPasswords('weakpass', 'different');
+    fireEvent.click(screen.getByRole('button', { name: /Reset Password/i }));
+
+    await waitFor(() => {
+      expect(screen.getByText(/Password must include/)).toBeInTheDocument();
+      expect(screen.getByText('Passwords do not match')).toBeInTheDocument();
+    });
+    expect(authClient.resetPassword).not.toHaveBeenCalled();
+  });
+
+  it('submits the new password with the token', async () => {
+    const onSuccess = vi.fn();
+    authClient.resetPassword.mockResolvedValue({ message: 'ok' });
+    renderForm({ token: 'opaque-reset-token', onSuccess });
+
+    fillPasswords('NewPassw0rd!');
+    fireEvent.click(screen.getByRole('button', { name: /Reset Password/i }));
+
+    await waitFor(() => {
+      expect(authClient.resetPassword).toHaveBeenCalledWith('opaque-reset-token', 'NewPassw0rd!');
+      expect(onSuccess).toHaveBeenCalled();
+    });
+  });
+
+  it('switches to the expired state when the server rejects an expired token', async () => {
+    authClient.resetPassword.mockRejectedValue({
+      status: 400,
+      data: { detail: 'Reset token has expired' },
+    });
+    renderForm({ token: 'opaque-reset-token' });
+
+    fillPasswords('NewPassw0rd!');
+    fireEvent.click(screen.getByRole('button', { name: /Reset Password/i }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Reset link expired')).toBeInTheDocument();
+    });
+  });
+});
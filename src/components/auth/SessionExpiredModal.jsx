@@ -0,0 +1,77 @@
+import React from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { Clock, ShieldAlert } from 'lucide-react';
+import Modal from '../common/Modal';
+import LoginForm from './LoginForm';
+import useAuth from '../../hooks/useAuth';
+import { SESSION_END_REASONS } from '../../api/tokenManager';
+
+/**
+ * Re-login prompt shown over the current page when the session can no longer be refreshed.
+ * Signing in again keeps the user on the page they were using.
+ */
+const SessionExpiredModal = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { user, sessionExpired, sessionEndReason, dismissExpiredSession } = useAuth();
+  const wasRevoked = sessionEndReason === SESSION_END_REASONS.REVOKED;
+
+  // The expired user stays in context until the next login, so this closure still sees them
+  const handleLoginSuccess = (response) => {
+    if (user?.id && response.user?.id && response.user.id !== user.id) {
+      // A different account must not see the previous user's data
+      navigate('/dashboard', { replace: true });
+    }
+  };
+
+  const handleGoToLogin = () => {
+    dismissExpiredSession();
+    navigate('/login', {
+      state: { from: `${location.pathname}${location.search}` },
+      replace: true,
+    });
+  };
+
+  return (
+    <Modal
+      isOpen={sessionExpired}
+      onClose={handleGoToLogin}
+      title={wasRevoked ? 'Signed Out' : 'Session Expired'}
+      size="sm"
+      closeOnBackdrop={false}
+      closeOnEscape={false}
+      showCloseButton={false}
+    >
+      {wasRevoked ? (
+        <div className="flex items-start space-x-3 mb-6 p-4 bg-error-50 border border-error-200 rounded-lg">
+          <ShieldAlert className="w-5 h-5 text-error-600 flex-shrink-0 mt-0.5" />
+          <p className="text-sm text-error-800">
+            This device was signed out from your account's active sessions.
+            If that wasn't you, sign in and change your password.
+          </p>
+        </div>
+      ) : (
+        <div className="flex items-start space-x-3 mb-6 p-4 bg-warning-50 border border-warning-200 rounded-lg">
+          <Clock className="w-5 h-5 text-warning-600 flex-shrink-0 mt-0.5" />
+          <p className="text-sm text-warning-800">
+            Your session has expired. Sign in again to continue where you left off.
+          </p>
+        </div>
+      )}
+
+      <LoginForm onSuccess={handleLoginSuccess} />
+
+      <div className="mt-4 text-center">
+        <button
+          type="button"
+          onClick={handleGoToLogin}
+          className="text-sm text-secondary-600 hover:text-secondary-900 transition-colors"
+        >
+          Sign out instead
+        </button>
+      </div>
+    </Modal>
+  );
+};
+
+export default SessionExpiredModal;
@@ -2,4 +2,14 @@
 export { default as LoginForm } from './LoginForm';
 export { default as RegisterForm } from './RegisterForm';
 export { default as PhoneVerification } from './PhoneVerification';
-export { default as ProtectedRoute } from './ProtectedRoute';
\ No newline at end of file
+export { default as EmailVerification } from './EmailVerification';
+export { default as ProtectedRoute } from './ProtectedRoute';
+export { default as ForgotPasswordForm } from './ForgotPasswordForm';
+export { default as ResetPasswordForm } from './ResetPasswordForm';
+export { default as PasswordStrengthMeter } from './PasswordStrengthMeter';
+export { default as SessionExpiredModal } from './SessionExpiredModal';
+export { default as IdleTimeoutModal } from './IdleTimeoutModal';
+export { default as OtpInput } from './OtpInput';
+export { default as MfaChallenge } from './MfaChallenge';
+export { default as AccountUnlock } from './AccountUnlock';
+export { default as PasskeySignIn } from './PasskeySignIn';
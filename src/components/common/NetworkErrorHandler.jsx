@@ -128,7 +128,7 @@ export const NetworkStatusBanner = () => {
         >
           <div className="flex items-center justify-center">
             <WifiOff className="w-4 h-4 mr-2" />
-            You're currently offline. Some features may not work.
+            You're currently offline. Changes will be sent when you reconnect; payments need a connection.
           </div>
         </motion.div>
       )}
@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { CloudOff, AlertTriangle, Loader2, ChevronDown, ChevronUp, RotateCcw, Trash2 } from 'lucide-react';
+import useAuth from '../../hooks/useAuth';
+import useOfflineOutbox from '../../hooks/useOfflineOutbox';
+import { OUTBOX_STATUS } from '../../services/offlineOutbox';
+import { OUTBOX_OPERATIONS } from '../../services/outboxOperations';
+import Button from './Button';
+
+/**
+ * Panel listing changes saved while offline. Pending changes are sent
+ * automatically when the connection returns; ones the server rejected stay
+ * here so the user can send them again or drop them.
+ */
+const OfflineOutbox = () => {
+  const { user, isAuthenticated, updateUser } = useAuth();
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  const { entries, retry, discard } = useOfflineOutbox({
+    userId: user?.id ?? null,
+    onReplayed: (entry, result) => {
+      if (entry.type === OUTBOX_OPERATIONS.UPDATE_PROFILE && isAuthenticated && result) {
+        updateUser(result);
+      }
+    },
+  });
+
+  const conflicts = entries.filter((entry) => entry.status === OUTBOX_STATUS.CONFLICT);
+  const waiting = entries.length - conflicts.length;
+
+  const summary = [
+    waiting > 0 && `${waiting} ${waiting === 1 ? 'change' : 'changes'} waiting to sync`,
+    conflicts.length > 0 && `${conflicts.length} need${conflicts.length === 1 ? 's' : ''} attention`,
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <AnimatePresence>
+      {entries.length > 0 && (
+        <motion.div
+          className="fixed bottom-4 right-4 z-40 w-[calc(100%-2rem)] max-w-sm bg-white border border-secondary-200 rounded-lg shadow-lg"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          exit={{ opacity: 0, y: 20 }}
+          transition={{ duration: 0.2 }}
+          role="status"
+        >
+          <button
+            type="button"
+            onClick={() => setIsExpanded((expanded) => !expanded)}
+            className="w-full flex items-center justify-between px-4 py-3 text-left"
+            aria-expanded={isExpanded}
+          >
+            <span className="flex items-center text-sm font-medium text-secondary-800">
+              {conflicts.length > 0 ? (
+                <AlertTriangle className="w-4 h-4 mr-2 text-warning-600" />
+              ) : (
+                <CloudOff className="w-4 h-4 mr-2 text-secondary-500" />
+              )}
+              {summary}
+            </span>
+            {isExpanded ? (
+              <ChevronDown className="w-4 h-4 text-secondary-500" />
+            ) : (
+              <ChevronUp className="w-4 h-4 text-secondary-500" />
+            )}
+          </button>
+
+          {isExpanded && (
+            <ul className="border-t border-secondary-200 divide-y divide-secondary-100 max-h-72 overflow-y-auto">
+              {entries.map((entry) => (
+                <li key={entry.id} className="px-4 py-3">
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm text-secondary-800">{entry.label || 'Saved change'}</span>
+                    {entry.status === OUTBOX_STATUS.SENDING ? (
+                      <Loader2 className="w-4 h-4 text-primary-600 animate-spin" aria-label="Sending" />
+                    ) : (
+                      <span className="text-xs text-secondary-500">
+                        {entry.status === OUTBOX_STATUS.CONFLICT ? 'Not sent' : 'Waiting'}
+                      </span>
+                    )}
+                  </div>
+
+                  {entry.status === OUTBOX_STATUS.CONFLICT && (
+                    <>
+                      <p className="mt-1 text-xs text-error-700">{entry.error}</p>
+                      <div className="mt-2 flex gap-2">
+                        <Button size="sm" variant="secondary" onClick={() => retry(entry.id)}>
+                          <RotateCcw className="w-4 h-4 mr-1" />
+                          Try again
+                        </Button>
+                        <Button size="sm" variant="secondary" onClick={() => discard(entry.id)}>
+                          <Trash2 className="w-4 h-4 mr-1" />
+                          Discard
+                        </Button>
+                      </div>
+                    </>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default OfflineOutbox;
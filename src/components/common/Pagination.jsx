@@ -0,0 +1,78 @@
+import React from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+
+// Page numbers to show: the first and last page, the current page and its
+// neighbours, with null where a run of pages is skipped
+const getPageItems = (page, totalPages, siblings) => {
+  const pages = new Set([1, totalPages]);
+  for (let current = page - siblings; current <= page + siblings; current++) {
+    if (current >= 1 && current <= totalPages) pages.add(current);
+  }
+
+  return [...pages].sort((a, b) => a - b).flatMap((value, index, sorted) => (
+    index > 0 && value - sorted[index - 1] > 1 ? [null, value] : [value]
+  ));
+};
+
+/**
+ * Numbered page navigation with previous and next buttons.
+ * Renders nothing when everything fits on one page.
+ * @param {Object} props
+ * @param {number} props.page - Current page, starting at 1
+ * @param {number} props.totalPages - Number of pages
+ * @param {Function} props.onPageChange - Called with the page to show
+ * @param {number} props.siblings - Pages shown either side of the current one
+ * @param {string} props.className - Extra classes
+ */
+const Pagination = ({ page, totalPages, onPageChange, siblings = 1, className = '' }) => {
+  if (totalPages <= 1) return null;
+
+  const buttonClasses = 'inline-flex items-center justify-center min-w-[44px] min-h-[44px] px-3 text-sm font-medium border border-secondary-300 bg-white text-secondary-700 hover:bg-secondary-50 disabled:opacity-50 disabled:cursor-not-allowed';
+
+  return (
+    <nav className={`flex justify-center ${className}`} aria-label="Pagination">
+      <div className="inline-flex -space-x-px rounded-lg shadow-sm">
+        <button
+          type="button"
+          onClick={() => onPageChange(page - 1)}
+          disabled={page <= 1}
+          className={`${buttonClasses} rounded-l-lg`}
+          aria-label="Previous page"
+        >
+          <ChevronLeft className="h-4 w-4" />
+        </button>
+
+        {getPageItems(page, totalPages, siblings).map((item, index) => (
+          item === null ? (
+            <span key={`gap-${index}`} className={`${buttonClasses} cursor-default`} aria-hidden="true">
+              …
+            </span>
+          ) : (
+            <button
+              key={item}
+              type="button"
+              onClick={() => onPageChange(item)}
+              className={`${buttonClasses} ${item === page ? 'bg-primary-50 text-primary-700 border-primary-300 z-10' : ''}`}
+              aria-current={item === page ? 'page' : undefined}
+              aria-label={`Page ${item}`}
+            >
+              {item}
+            </button>
+          )
+        ))}
+
+        <button
+          type="button"
+          onClick={() => onPageChange(page + 1)}
+          disabled={page >= totalPages}
+          className={`${buttonClasses} rounded-r-lg`}
+          aria-label="Next page"
+        >
+          <ChevronRight className="h-4 w-4" />
+        </button>
+      </div>
+    </nav>
+  );
+};
+
+export default Pagination;
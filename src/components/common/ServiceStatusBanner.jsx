@@ -0,0 +1,46 @@
+import React from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { AlertTriangle } from 'lucide-react';
+import useServiceHealth from '../../hooks/useServiceHealth';
+import { useNetworkStatus } from './NetworkErrorHandler';
+import { SERVICES, SERVICE_LABELS, SERVICE_STATUS } from '../../services/serviceHealth';
+
+/**
+ * Site-wide notice while a backend service is degraded or down. Hidden while
+ * the browser is offline, which NetworkStatusBanner already reports.
+ */
+const ServiceStatusBanner = () => {
+  const { services } = useServiceHealth();
+  const { isOnline } = useNetworkStatus();
+
+  const down = Object.values(SERVICES).filter((service) => services[service].status === SERVICE_STATUS.DOWN);
+  const degraded = Object.values(SERVICES).filter((service) => services[service].status === SERVICE_STATUS.DEGRADED);
+
+  const listLabels = (list) => list.map((service) => SERVICE_LABELS[service]).join(' and ');
+  const parts = [
+    down.length > 0 && `${listLabels(down)} are temporarily unavailable.`,
+    degraded.length > 0 && `${listLabels(degraded)} may be slow or unreliable.`,
+  ].filter(Boolean);
+
+  return (
+    <AnimatePresence>
+      {isOnline && parts.length > 0 && (
+        <motion.div
+          className={`${down.length > 0 ? 'bg-warning-600' : 'bg-warning-500'} text-white px-4 py-2 text-center text-sm font-medium`}
+          initial={{ height: 0, opacity: 0 }}
+          animate={{ height: 'auto', opacity: 1 }}
+          exit={{ height: 0, opacity: 0 }}
+          transition={{ duration: 0.3 }}
+          role="status"
+        >
+          <div className="flex items-center justify-center">
+            <AlertTriangle className="w-4 h-4 mr-2 flex-shrink-0" />
+            {parts.join(' ')} Affected features will come back as soon as the service recovers.
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default ServiceStatusBanner;
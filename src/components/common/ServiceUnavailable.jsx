@@ -0,0 +1,36 @@
+import React from 'react';
+import { ServerCrash, RefreshCw } from 'lucide-react';
+import Button from './Button';
+import { SERVICE_LABELS } from '../../services/serviceHealth';
+
+/**
+ * Shown in place of a feature whose backend service is down, so the page says
+ * what is unavailable rather than showing a generic error.
+ * @param {Object} props
+ * @param {string} props.service - One of SERVICES
+ * @param {string} props.message - What the user can't do right now
+ * @param {Function} props.onRetry - Optional retry action
+ * @param {string} props.className - Extra classes
+ */
+const ServiceUnavailable = ({ service, message, onRetry, className = '' }) => (
+  <div
+    className={`flex flex-col items-center text-center p-6 bg-warning-50 border border-warning-200 rounded-lg ${className}`}
+    role="status"
+  >
+    <ServerCrash className="h-8 w-8 text-warning-600 mb-3" />
+    <p className="font-medium text-warning-800">
+      {SERVICE_LABELS[service]} are temporarily unavailable
+    </p>
+    <p className="mt-1 text-sm text-warning-700">
+      {message || 'This part of the app will come back on its own as soon as the service recovers.'}
+    </p>
+    {onRetry && (
+      <Button variant="secondary" size="sm" onClick={onRetry} className="mt-4">
+        <RefreshCw className="h-4 w-4 mr-2" />
+        Try Again
+      </Button>
+    )}
+  </div>
+);
+
+export default ServiceUnavailable;
@@ -9,4 +9,5 @@ export { default as LoadingSpinner, DotSpinner, PulseSpinner } from './LoadingSp
 export { default as ErrorMessage, InlineError, ErrorBanner } from './ErrorMessage';
 export { default as ErrorModal } from './ErrorModal';
 export { default as ErrorModalDemo } from './ErrorModalDemo';
-export { default as Toast } from './Toast';
\ No newline at end of file
+export { default as Toast } from './Toast';
+export { default as Pagination } from './Pagination';
\ No newline at end of file
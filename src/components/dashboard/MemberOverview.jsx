@@ -0,0 +1,71 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { TrendingUp, Briefcase, User, ChevronRight } from 'lucide-react';
+import useAuth from '../../hooks/useAuth';
+
+const QUICK_LINKS = [
+  {
+    name: 'Browse investments',
+    description: 'Explore available investment products',
+    href: '/investments',
+    icon: TrendingUp,
+  },
+  {
+    name: 'Your portfolio',
+    description: 'Track your investments and withdrawals',
+    href: '/portfolio',
+    icon: Briefcase,
+  },
+  {
+    name: 'Account settings',
+    description: 'Update your profile and security settings',
+    href: '/profile',
+    icon: User,
+  },
+];
+
+/**
+ * MemberOverview Component
+ * Dashboard content for users without access to the attendee list
+ */
+const MemberOverview = () => {
+  const { getUserName } = useAuth();
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-gray-100 rounded-2xl p-6 shadow-[inset_8px_8px_16px_#d1d5db,inset_-8px_-8px_16px_#ffffff]">
+        <h1 className="text-2xl font-bold text-gray-800">
+          Welcome{getUserName() ? `, ${getUserName()}` : ''}
+        </h1>
+        <p className="text-gray-600 mt-1">
+          Pick up where you left off.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {QUICK_LINKS.map((link) => {
+          const Icon = link.icon;
+
+          return (
+            <Link
+              key={link.href}
+              to={link.href}
+              className="group flex items-center gap-4 bg-gray-100 rounded-2xl p-5 shadow-[8px_8px_16px_#d1d5db,-8px_-8px_16px_#ffffff] hover:shadow-[4px_4px_8px_#d1d5db,-4px_-4px_8px_#ffffff] transition-shadow"
+            >
+              <div className="w-10 h-10 rounded-full bg-primary-50 flex items-center justify-center flex-shrink-0">
+                <Icon className="w-5 h-5 text-primary-600" />
+              </div>
+              <div className="flex-1 min-w-0">
+                <p className="font-semibold text-gray-800">{link.name}</p>
+                <p className="text-sm text-gray-600">{link.description}</p>
+              </div>
+              <ChevronRight className="w-5 h-5 text-gray-400 group-hover:text-primary-600 transition-colors" />
+            </Link>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default MemberOverview;
@@ -12,6 +12,8 @@ import {
   RefreshCw
 } from 'lucide-react';
 import adminClient from '../../api/adminClient';
+import { isRequestCancelled } from '../../api/baseClient';
+import useRequestController from '../../hooks/useRequestController';
 import Card from '../common/Card';
 import Button from '../common/Button';
 import LoadingSpinner from '../common/LoadingSpinner';
@@ -27,9 +29,12 @@ const RecentSignups = ({ showFullList = false }) => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [refreshing, setRefreshing] = useState(false);
+  const beginRequest = useRequestController();
 
   // Load recent signups and stats
   const loadData = async (isRefresh = false) => {
+    const signal = beginRequest();
+
     try {
       if (isRefresh) {
         setRefreshing(true);
@@ -45,14 +50,16 @@ const RecentSignups = ({ showFullList = false }) => {
           limit, 
           offset: 0,
           // Sort by newest first (API sorts by created_at desc by default)
-        }),
-        adminClient.getUserStats()
+        }, { signal }),
+        adminClient.getUserStats({ signal })
       ]);
 
-      setSignups(usersResponse.users || []);
+      setSignups(usersResponse.users);
       setStats(statsResponse);
 
     } catch (err) {
+      if (isRequestCancelled(err)) return;
+
       console.error('Error loading signup data:', err);
       
       // Handle authentication errors gracefully
@@ -62,8 +69,10 @@ const RecentSignups = ({ showFullList = false }) => {
         setError(err.response?.data?.detail || 'Failed to load signup data');
       }
     } finally {
-      setLoading(false);
-      setRefreshing(false);
+      if (!signal.aborted) {
+        setLoading(false);
+        setRefreshing(false);
+      }
     }
   };
 
@@ -94,14 +103,14 @@ const RecentSignups = ({ showFullList = false }) => {
 
   // Get user status badge
   const getUserStatusBadge = (user) => {
-    if (user.phone_verified && user.profile_completed) {
+    if (user.phoneVerified && user.profileCompleted) {
       return (
         <span className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-green-100 text-green-800">
           <CheckCircle className="w-3 h-3 mr-1" />
           Ready
         </span>
       );
-    } else if (user.phone_verified) {
+    } else if (user.phoneVerified) {
       return (
         <span className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-blue-100 text-blue-800">
           <Phone className="w-3 h-3 mr-1" />
@@ -174,19 +183,19 @@ const RecentSignups = ({ showFullList = false }) => {
         {stats && (
           <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4">
             <div className="text-center p-3 bg-gray-50 rounded-lg">
-              <div className="text-2xl font-bold text-gray-900">{stats.total_users}</div>
+              <div className="text-2xl font-bold text-gray-900">{stats.totalUsers}</div>
               <div className="text-xs text-gray-600">Total Users</div>
             </div>
             <div className="text-center p-3 bg-green-50 rounded-lg">
-              <div className="text-2xl font-bold text-green-600">{stats.phone_verified}</div>
+              <div className="text-2xl font-bold text-green-600">{stats.phoneVerified}</div>
               <div className="text-xs text-gray-600">Phone Verified</div>
             </div>
             <div className="text-center p-3 bg-blue-50 rounded-lg">
-              <div className="text-2xl font-bold text-blue-600">{stats.profile_completed}</div>
+              <div className="text-2xl font-bold text-blue-600">{stats.profileCompleted}</div>
               <div className="text-xs text-gray-600">Profile Complete</div>
             </div>
             <div className="text-center p-3 bg-purple-50 rounded-lg">
-              <div className="text-2xl font-bold text-purple-600">{stats.can_invest}</div>
+              <div className="text-2xl font-bold text-purple-600">{stats.canInvest}</div>
               <div className="text-xs text-gray-600">Can Invest</div>
             </div>
           </div>
@@ -208,13 +217,13 @@ const RecentSignups = ({ showFullList = false }) => {
                 <div className="flex items-center gap-3">
                   {/* Avatar */}
                   <div className="w-10 h-10 bg-gradient-to-br from-blue-500 to-purple-600 rounded-full flex items-center justify-center text-white font-semibold">
-                    {user.full_name?.charAt(0)?.toUpperCase() || 'U'}
+                    {user.fullName?.charAt(0)?.toUpperCase() || 'U'}
                   </div>
                   
                   {/* User Info */}
                   <div className="flex-1">
                     <div className="flex items-center gap-2">
-                      <h4 className="font-medium text-gray-900">{user.full_name}</h4>
+                      <h4 className="font-medium text-gray-900">{user.fullName}</h4>
                       {getUserStatusBadge(user)}
                     </div>
                     <div className="flex items-center gap-4 mt-1">
@@ -236,7 +245,7 @@ const RecentSignups = ({ showFullList = false }) => {
                 <div className="text-right">
                   <div className="flex items-center gap-1 text-sm text-gray-600">
                     <Calendar className="w-3 h-3" />
-                    {formatDate(user.created_at)}
+                    {formatDate(user.createdAt)}
                   </div>
                   {user.country && (
                     <div className="text-xs text-gray-500 mt-1">
@@ -248,19 +257,19 @@ const RecentSignups = ({ showFullList = false }) => {
 
               {/* Capabilities */}
               <div className="flex items-center gap-2 mt-3">
-                {user.can_invest && (
+                {user.canInvest && (
                   <span className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-emerald-100 text-emerald-800">
                     <TrendingUp className="w-3 h-3 mr-1" />
                     Can Invest
                   </span>
                 )}
-                {user.can_subscribe && (
+                {user.canSubscribe && (
                   <span className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-purple-100 text-purple-800">
                     <Users className="w-3 h-3 mr-1" />
                     Can Subscribe
                   </span>
                 )}
-                {user.kyc_status === 'approved' && (
+                {user.kycStatus === 'approved' && (
                   <span className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-green-100 text-green-800">
                     <CheckCircle className="w-3 h-3 mr-1" />
                     KYC Approved
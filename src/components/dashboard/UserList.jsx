@@ -20,6 +20,8 @@ import ErrorMessage from '../common/ErrorMessage';
 
 // API
 import adminClient from '../../api/adminClient';
+import { isRequestCancelled } from '../../api/baseClient';
+import useRequestController from '../../hooks/useRequestController';
 
 const UserList = () => {
   const [users, setUsers] = useState([]);
@@ -37,9 +39,12 @@ const UserList = () => {
     phoneVerified: '',
     profileCompleted: ''
   });
+  const beginRequest = useRequestController();
 
   // Fetch users
   const fetchUsers = async (params = {}) => {
+    const signal = beginRequest();
+
     try {
       setLoading(true);
       setError(null);
@@ -49,21 +54,25 @@ const UserList = () => {
         offset: pagination.offset,
         ...filters,
         ...params
-      });
+      }, { signal });
 
-      setUsers(response.users || []);
+      setUsers(response.users);
       setPagination({
-        total: response.total || 0,
-        limit: response.limit || 20,
-        offset: response.offset || 0,
-        hasNext: response.has_next || false,
-        hasPrev: response.has_prev || false
+        total: response.total,
+        limit: response.limit,
+        offset: response.offset,
+        hasNext: response.hasNext,
+        hasPrev: response.hasPrev
       });
     } catch (err) {
+      if (isRequestCancelled(err)) return;
+
       console.error('Error fetching users:', err);
       setError('Failed to load users. Please try again.');
     } finally {
-      setLoading(false);
+      if (!signal.aborted) {
+        setLoading(false);
+      }
     }
   };
 
@@ -194,13 +203,13 @@ const UserList = () => {
             <div className="flex items-center gap-4 mb-4">
               <div className="w-16 h-16 bg-gray-100 rounded-full flex items-center justify-center shadow-[inset_4px_4px_8px_#d1d5db,inset_-4px_-4px_8px_#ffffff]">
                 <span className="text-gray-600 font-bold text-xl">
-                  {user.full_name?.charAt(0)?.toUpperCase() || 'U'}
+                  {user.fullName?.charAt(0)?.toUpperCase() || 'U'}
                 </span>
               </div>
               
               <div className="flex-1 min-w-0">
                 <h3 className="font-bold text-gray-800 truncate text-lg">
-                  {user.full_name || 'Unknown User'}
+                  {user.fullName || 'Unknown User'}
                 </h3>
                 <div className="flex items-center gap-1 text-sm text-gray-600 mt-1">
                   <Mail className="h-3 w-3" />
@@ -210,7 +219,7 @@ const UserList = () => {
                   <div className="flex items-center gap-1 text-sm text-gray-600 mt-1">
                     <Phone className="h-3 w-3" />
                     <span>{user.phone}</span>
-                    {user.phone_verified && (
+                    {user.phoneVerified && (
                       <CheckCircle className="h-3 w-3 text-green-600" />
                     )}
                   </div>
@@ -238,7 +247,7 @@ const UserList = () => {
                   <span className="text-sm font-medium">Joined</span>
                 </div>
                 <span className="text-sm text-gray-800 font-medium">
-                  {formatDate(user.created_at)}
+                  {formatDate(user.createdAt)}
                 </span>
               </div>
 
@@ -249,7 +258,7 @@ const UserList = () => {
                   <span className="text-sm font-medium">Last Login</span>
                 </div>
                 <span className="text-sm text-gray-800 font-medium">
-                  {formatDate(user.last_login)}
+                  {formatDate(user.lastLogin)}
                 </span>
               </div>
             </div>
@@ -257,17 +266,17 @@ const UserList = () => {
             {/* Status Indicators */}
             <div className="mt-4 pt-4 border-t border-gray-300">
               <div className="flex flex-wrap gap-2 mb-2">
-                {user.profile_completed && (
+                {user.profileCompleted && (
                   <span className="px-3 py-1 bg-green-100 text-green-700 text-xs rounded-full font-medium shadow-[inset_2px_2px_4px_#d1fae5,inset_-2px_-2px_4px_#ffffff]">
                     Profile Complete
                   </span>
                 )}
-                {user.can_invest && (
+                {user.canInvest && (
                   <span className="px-3 py-1 bg-blue-100 text-blue-700 text-xs rounded-full font-medium shadow-[inset_2px_2px_4px_#dbeafe,inset_-2px_-2px_4px_#ffffff]">
                     Can Invest
                   </span>
                 )}
-                {user.can_subscribe && (
+                {user.canSubscribe && (
                   <span className="px-3 py-1 bg-purple-100 text-purple-700 text-xs rounded-full font-medium shadow-[inset_2px_2px_4px_#e9d5ff,inset_-2px_-2px_4px_#ffffff]">
                     Can Subscribe
                   </span>
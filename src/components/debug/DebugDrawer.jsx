@@ -0,0 +1,276 @@
+import React, { useState, useEffect, useSyncExternalStore } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Bug, X, Trash2, RotateCcw, Copy, Check, ChevronDown, ChevronRight } from 'lucide-react';
+import useAuth from '../../hooks/useAuth';
+import {
+  getNetworkLog,
+  subscribeToNetworkLog,
+  clearNetworkLog,
+  replayRequest,
+  toCurl,
+} from '../../api/networkLog';
+import { getTokenExpiry } from '../../api/tokenManager';
+
+const TABS = { NETWORK: 'network', SESSION: 'session' };
+
+const getStatusColor = (entry) => {
+  if (entry.pending) return 'bg-secondary-100 text-secondary-700';
+  if (!entry.status) return 'bg-error-100 text-error-700';
+  if (entry.status >= 500) return 'bg-error-100 text-error-700';
+  if (entry.status >= 400) return 'bg-warning-100 text-warning-800';
+  return 'bg-success-100 text-success-700';
+};
+
+const formatJson = (value) => {
+  if (value === undefined) return '—';
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+};
+
+const formatCountdown = (ms) => {
+  if (ms === null) return 'unknown';
+  if (ms <= 0) return 'expired';
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return [hours && `${hours}h`, (hours || minutes) && `${minutes}m`, `${seconds}s`].filter(Boolean).join(' ');
+};
+
+const Section = ({ title, children }) => (
+  <div className="mt-3">
+    <p className="text-xs font-semibold uppercase tracking-wide text-secondary-500">{title}</p>
+    <pre className="mt-1 max-h-48 overflow-auto rounded bg-secondary-900 p-2 text-xs text-secondary-100 whitespace-pre-wrap break-all">
+      {children}
+    </pre>
+  </div>
+);
+
+const RequestRow = ({ entry }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [replayState, setReplayState] = useState(null);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(toCurl(entry));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (err) {
+      console.error('Failed to copy request as curl:', err);
+    }
+  };
+
+  const handleReplay = async () => {
+    // Replaying a write really sends it again
+    if (entry.method !== 'GET' && !window.confirm(`Send this ${entry.method} request again?`)) return;
+
+    setReplayState('Sending…');
+    try {
+      const response = await replayRequest(entry.id);
+      setReplayState(`Replayed: ${response.status}`);
+    } catch (error) {
+      setReplayState(`Replay failed: ${error.status || error.message}`);
+    }
+  };
+
+  return (
+    <li className="border-b border-secondary-100">
+      <button
+        type="button"
+        onClick={() => setIsOpen((open) => !open)}
+        className="w-full flex items-center gap-2 px-3 py-2 text-left text-xs hover:bg-secondary-50"
+      >
+        {isOpen ? <ChevronDown className="h-3 w-3 flex-shrink-0" /> : <ChevronRight className="h-3 w-3 flex-shrink-0" />}
+        <span className="w-12 font-mono font-semibold text-secondary-700">{entry.method}</span>
+        <span className={`w-12 rounded px-1 text-center font-mono ${getStatusColor(entry)}`}>
+          {entry.pending ? '…' : entry.status || 'ERR'}
+        </span>
+        <span className="flex-1 truncate font-mono text-secondary-800" title={entry.url}>{entry.url}</span>
+        {entry.attempt > 1 && <span className="text-secondary-500">#{entry.attempt}</span>}
+        <span className="w-14 text-right text-secondary-500">
+          {entry.duration !== null ? `${entry.duration}ms` : ''}
+        </span>
+      </button>
+
+      {isOpen && (
+        <div className="px-3 pb-3">
+          <p className="text-xs text-secondary-600">
+            {new Date(entry.startedAt).toLocaleTimeString()}
+            {entry.error && <span className="ml-2 text-error-700">{entry.error}</span>}
+          </p>
+          <div className="mt-2 flex gap-2">
+            <button
+              type="button"
+              onClick={handleReplay}
+              className="inline-flex items-center rounded border border-secondary-300 px-2 py-1 text-xs hover:bg-secondary-50"
+            >
+              <RotateCcw className="mr-1 h-3 w-3" />
+              Replay
+            </button>
+            <button
+              type="button"
+              onClick={handleCopy}
+              className="inline-flex items-center rounded border border-secondary-300 px-2 py-1 text-xs hover:bg-secondary-50"
+            >
+              {copied ? <Check className="mr-1 h-3 w-3" /> : <Copy className="mr-1 h-3 w-3" />}
+              {copied ? 'Copied' : 'Copy as curl'}
+            </button>
+            {replayState && <span className="self-center text-xs text-secondary-600">{replayState}</span>}
+          </div>
+          <Section title="Request headers">{formatJson(entry.requestHeaders)}</Section>
+          {entry.requestBody !== undefined && <Section title="Request body">{formatJson(entry.requestBody)}</Section>}
+          {entry.responseHeaders && <Section title="Response headers">{formatJson(entry.responseHeaders)}</Section>}
+          <Section title="Response body">{formatJson(entry.responseBody)}</Section>
+        </div>
+      )}
+    </li>
+  );
+};
+
+const SessionPanel = () => {
+  const { user, isAuthenticated, tokens, roles, sessionExpired, parseJWT } = useAuth();
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const accessExpiry = getTokenExpiry(tokens?.accessToken);
+  const refreshExpiry = getTokenExpiry(tokens?.refreshToken);
+  const claims = parseJWT(tokens?.accessToken);
+
+  const rows = [
+    ['Signed in', isAuthenticated ? 'yes' : 'no'],
+    ['Session expired', sessionExpired ? 'yes' : 'no'],
+    ['User', user ? `${user.email || user.phone || ''} (${user.id})` : '—'],
+    ['Roles', roles?.length ? roles.join(', ') : '—'],
+    ['Session ID', claims?.sid || '—'],
+    ['Access token expires', accessExpiry ? `${new Date(accessExpiry).toLocaleTimeString()} (in ${formatCountdown(accessExpiry - now)})` : '—'],
+    ['Refresh token expires', refreshExpiry ? `${new Date(refreshExpiry).toLocaleString()} (in ${formatCountdown(refreshExpiry - now)})` : '—'],
+  ];
+
+  return (
+    <dl className="p-3 text-xs">
+      {rows.map(([label, value]) => (
+        <div key={label} className="flex justify-between gap-4 border-b border-secondary-100 py-2">
+          <dt className="text-secondary-500">{label}</dt>
+          <dd className="text-right font-mono text-secondary-800 break-all">{value}</dd>
+        </div>
+      ))}
+    </dl>
+  );
+};
+
+/**
+ * Developer drawer shown in debug mode (VITE_ENABLE_DEBUG_MODE=true).
+ * Lists every API request with redacted headers and bodies, lets a request be
+ * replayed or copied as curl, and shows the current session's token expiry.
+ * Toggle with the bug button or Ctrl+Shift+D.
+ */
+const DebugDrawer = () => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [tab, setTab] = useState(TABS.NETWORK);
+  const [filter, setFilter] = useState('');
+  const entries = useSyncExternalStore(subscribeToNetworkLog, getNetworkLog, getNetworkLog);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.ctrlKey && event.shiftKey && event.key.toLowerCase() === 'd') {
+        event.preventDefault();
+        setIsOpen((open) => !open);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const query = filter.trim().toLowerCase();
+  const visibleEntries = query
+    ? entries.filter((entry) => `${entry.method} ${entry.url} ${entry.status ?? ''}`.toLowerCase().includes(query))
+    : entries;
+
+  return (
+    <>
+      <button
+        type="button"
+        onClick={() => setIsOpen((open) => !open)}
+        className="fixed bottom-4 left-4 z-50 rounded-full bg-secondary-900 p-3 text-white shadow-lg hover:bg-secondary-800"
+        aria-label="Toggle debug drawer"
+        title="Debug drawer (Ctrl+Shift+D)"
+      >
+        <Bug className="h-5 w-5" />
+      </button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.aside
+            className="fixed inset-y-0 right-0 z-50 flex w-full max-w-xl flex-col bg-white shadow-2xl"
+            initial={{ x: '100%' }}
+            animate={{ x: 0 }}
+            exit={{ x: '100%' }}
+            transition={{ duration: 0.2 }}
+            aria-label="Debug drawer"
+          >
+            <header className="flex items-center justify-between border-b border-secondary-200 px-3 py-2">
+              <div className="flex gap-1">
+                {Object.values(TABS).map((name) => (
+                  <button
+                    key={name}
+                    type="button"
+                    onClick={() => setTab(name)}
+                    className={`rounded px-3 py-1 text-sm capitalize ${tab === name ? 'bg-secondary-900 text-white' : 'text-secondary-700 hover:bg-secondary-100'}`}
+                  >
+                    {name === TABS.NETWORK ? `Network (${entries.length})` : 'Session'}
+                  </button>
+                ))}
+              </div>
+              <button
+                type="button"
+                onClick={() => setIsOpen(false)}
+                className="rounded p-1 text-secondary-500 hover:bg-secondary-100"
+                aria-label="Close debug drawer"
+              >
+                <X className="h-5 w-5" />
+              </button>
+            </header>
+
+            {tab === TABS.NETWORK ? (
+              <>
+                <div className="flex gap-2 border-b border-secondary-200 p-2">
+                  <input
+                    type="search"
+                    value={filter}
+                    onChange={(event) => setFilter(event.target.value)}
+                    placeholder="Filter by method, URL or status"
+                    className="flex-1 rounded border border-secondary-300 px-2 py-1 text-sm"
+                  />
+                  <button
+                    type="button"
+                    onClick={clearNetworkLog}
+                    className="inline-flex items-center rounded border border-secondary-300 px-2 text-sm hover:bg-secondary-50"
+                  >
+                    <Trash2 className="mr-1 h-4 w-4" />
+                    Clear
+                  </button>
+                </div>
+                <ul className="flex-1 overflow-y-auto">
+                  {visibleEntries.map((entry) => <RequestRow key={entry.id} entry={entry} />)}
+                  {visibleEntries.length === 0 && (
+                    <li className="p-6 text-center text-sm text-secondary-500">No requests recorded yet</li>
+                  )}
+                </ul>
+              </>
+            ) : (
+              <div className="flex-1 overflow-y-auto">
+                <SessionPanel />
+              </div>
+            )}
+          </motion.aside>
+        )}
+      </AnimatePresence>
+    </>
+  );
+};
+
+export default DebugDrawer;
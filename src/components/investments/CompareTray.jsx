@@ -0,0 +1,83 @@
+import React from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { GitCompare, X } from 'lucide-react';
+import Button from '../common/Button';
+import useCompareList from '../../hooks/useCompareList';
+import { COMPARE_LIMIT } from '../../services/compareList';
+
+/**
+ * Bar along the bottom of the screen listing the products picked for
+ * comparison. It stays on every dashboard page until cleared, so products can
+ * be picked while browsing, and opens the comparison once two are picked.
+ */
+const CompareTray = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { items, remove, clear } = useCompareList();
+
+  // The comparison page has its own controls
+  const isHidden = items.length === 0 || location.pathname === '/investments/compare';
+
+  const handleCompare = () => {
+    const ids = items.map(item => item.slug).join(',');
+    navigate(`/investments/compare?ids=${encodeURIComponent(ids)}`);
+  };
+
+  return (
+    <AnimatePresence>
+      {!isHidden && (
+        <motion.div
+          initial={{ y: 100, opacity: 0 }}
+          animate={{ y: 0, opacity: 1 }}
+          exit={{ y: 100, opacity: 0 }}
+          transition={{ duration: 0.2 }}
+          className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 w-[calc(100%-2rem)] max-w-3xl bg-white border border-secondary-200 rounded-lg shadow-large p-3"
+          role="region"
+          aria-label="Products to compare"
+        >
+          <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+            <div className="flex flex-wrap items-center gap-2 flex-1 min-w-0">
+              <span className="text-sm font-medium text-secondary-700">
+                Compare ({items.length}/{COMPARE_LIMIT})
+              </span>
+              {items.map(item => (
+                <span
+                  key={item.slug}
+                  className="inline-flex items-center gap-1 max-w-[12rem] rounded-full bg-secondary-100 pl-3 pr-1 py-1 text-sm text-secondary-800"
+                >
+                  <span className="truncate">{item.name}</span>
+                  <button
+                    type="button"
+                    onClick={() => remove(item.slug)}
+                    className="rounded-full p-1 hover:bg-secondary-200"
+                    aria-label={`Remove ${item.name} from comparison`}
+                  >
+                    <X className="h-3 w-3" />
+                  </button>
+                </span>
+              ))}
+            </div>
+            <div className="flex gap-2">
+              <Button variant="secondary" size="sm" onClick={clear}>
+                Clear
+              </Button>
+              <Button
+                variant="primary"
+                size="sm"
+                onClick={handleCompare}
+                disabled={items.length < 2}
+                title={items.length < 2 ? 'Pick at least two products' : undefined}
+              >
+                <GitCompare className="h-4 w-4 mr-1" />
+                Compare
+              </Button>
+            </div>
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default CompareTray;
@@ -5,22 +5,21 @@ import { useForm } from 'react-hook-form';
 import Button from '../common/Button';
 import Input from '../common/Input';
 import Card from '../common/Card';
-import investmentClient from '../../api/investmentClient';
-import { 
-  formatCurrency, 
-  formatPercentage, 
-  parseProductData 
-} from '../../utils/investmentHelpers';
+import { runOrQueue } from '../../services/offlineOutbox';
+import { OUTBOX_OPERATIONS } from '../../services/outboxOperations';
+import { formatCurrency, formatPercentage } from '../../utils/investmentHelpers';
 import useAuth from '../../hooks/useAuth';
+import useIdempotencyKey from '../../hooks/useIdempotencyKey';
 
 const InquiryForm = ({ product, onSuccess, onCancel }) => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  // Set when the inquiry was saved offline and will be sent once reconnected
+  const [isQueued, setIsQueued] = useState(false);
   const [projectedReturns, setProjectedReturns] = useState(0);
+  // Sending the same inquiry again reuses its key so it is only recorded once
+  const idempotency = useIdempotencyKey();
 
-  // Parse product data to ensure consistent format
-  const productData = parseProductData(product);
-  
   // Get authentication state
   const { user, isAuthenticated, getAccessToken } = useAuth();
 
@@ -34,7 +33,7 @@ const InquiryForm = ({ product, onSuccess, onCancel }) => {
   } = useForm({
     mode: 'onChange',
     defaultValues: {
-      amount: productData.minimumInvestment || '',
+      amount: product?.minimumInvestment || '',
       phone: '',
       message: ''
     }
@@ -45,12 +44,12 @@ const InquiryForm = ({ product, onSuccess, onCancel }) => {
   // Calculate projected returns
   useEffect(() => {
     const amount = parseFloat(watchedAmount) || 0;
-    if (amount > 0 && productData.expectedAnnualReturn) {
-      setProjectedReturns((amount * productData.expectedAnnualReturn) / 100);
+    if (amount > 0 && product?.expectedAnnualReturn) {
+      setProjectedReturns((amount * product.expectedAnnualReturn) / 100);
     } else {
       setProjectedReturns(0);
     }
-  }, [watchedAmount, productData.expectedAnnualReturn]);
+  }, [watchedAmount, product?.expectedAnnualReturn]);
 
   // Validation rules
   const amountValidation = {
@@ -59,9 +58,9 @@ const InquiryForm = ({ product, onSuccess, onCancel }) => {
       value: product?.minimumInvestment || 1000,
       message: `Minimum investment is ${formatCurrency(product?.minimumInvestment || 1000)}`
     },
-    max: productData.maximumInvestment > 0 ? {
-      value: productData.maximumInvestment,
-      message: `Maximum investment is ${formatCurrency(productData.maximumInvestment)}`
+    max: product?.maximumInvestment > 0 ? {
+      value: product.maximumInvestment,
+      message: `Maximum investment is ${formatCurrency(product.maximumInvestment)}`
     } : undefined,
     validate: {
       isNumber: (value) => {
@@ -84,6 +83,7 @@ const InquiryForm = ({ product, onSuccess, onCancel }) => {
     try {
       setLoading(true);
       setError(null);
+      setIsQueued(false);
 
       // Debug authentication
       const token = getAccessToken();
@@ -93,7 +93,7 @@ const InquiryForm = ({ product, onSuccess, onCancel }) => {
 
       // Always require contact information since we're using the submit endpoint
       const email = data.email || user?.email;
-      const fullName = data.fullName || user?.full_name || user?.name;
+      const fullName = data.fullName || user?.fullName;
       const phone = data.phone || user?.phone;
       
       if (!email) {
@@ -112,20 +112,27 @@ const InquiryForm = ({ product, onSuccess, onCancel }) => {
       }
 
       const inquiryData = {
-        productId: productData.id,
+        productId: product.id,
         amount: parseFloat(data.amount),
         currency: 'USD',
-        durationMonths: productData.duration || 0,
+        durationMonths: product.duration || 0,
         message: data.message || '',
         phone: data.phone || user?.phone || '',
         email: data.email || user?.email || '',
-        fullName: data.fullName || user?.full_name || user?.name || '',
+        fullName: data.fullName || user?.fullName || '',
         isAuthenticated: isAuthenticated,
       };
 
-      const response = await investmentClient.createInquiry(inquiryData);
-      
-      if (onSuccess) {
+      const { queued, data: response } = await runOrQueue(
+        OUTBOX_OPERATIONS.CREATE_INQUIRY,
+        [inquiryData, { idempotencyKey: idempotency.getKey(inquiryData) }],
+        { label: `Inquiry for ${product.name}` }
+      );
+      idempotency.renew();
+
+      if (queued) {
+        setIsQueued(true);
+      } else if (onSuccess) {
         onSuccess(response);
       }
     } catch (err) {
@@ -191,7 +198,7 @@ const InquiryForm = ({ product, onSuccess, onCancel }) => {
         <Card className="bg-green-50 border-green-200">
           <h4 className="font-semibold text-green-900 mb-2">Logged in as</h4>
           <div className="text-sm text-green-800 space-y-1">
-            <p>Name: {user.full_name || user.name || 'Not provided'}</p>
+            <p>Name: {user.fullName || 'Not provided'}</p>
             <p>Email: {user.email}</p>
             <p>Phone: {user.phone || 'Not provided'}</p>
           </div>
@@ -202,20 +209,20 @@ const InquiryForm = ({ product, onSuccess, onCancel }) => {
       <Card>
         <div className="flex items-start gap-4">
           <img
-            src={productData.featuredImage}
-            alt={productData.name}
+            src={product.featuredImage}
+            alt={product.name}
             className="w-16 h-16 rounded-lg object-cover"
           />
           <div className="flex-1">
             <h3 className="font-semibold text-secondary-900 mb-1">
-              {productData.name}
+              {product.name}
             </h3>
             <p className="text-sm text-secondary-600 mb-2">
-              {productData.investmentType.replace('-', ' ')} • {productData.duration} {productData.duration === 1 ? 'month' : 'months'}
+              {product.investmentType.replace('-', ' ')} • {product.duration} {product.duration === 1 ? 'month' : 'months'}
             </p>
             <div className="flex items-center gap-4 text-sm">
               <span className="text-success-600 font-medium">
-                {formatPercentage(productData.expectedAnnualReturn)} expected return
+                {formatPercentage(product.expectedAnnualReturn)} expected return
               </span>
               <span className="text-secondary-500">
                 Medium risk
@@ -261,9 +268,9 @@ const InquiryForm = ({ product, onSuccess, onCancel }) => {
 
               {/* Investment Range */}
               <div className="flex items-center justify-between text-sm text-secondary-600">
-                <span>Min: {formatCurrency(productData.minimumInvestment)}</span>
-                {productData.maximumInvestment > 0 && (
-                  <span>Max: {formatCurrency(productData.maximumInvestment)}</span>
+                <span>Min: {formatCurrency(product.minimumInvestment)}</span>
+                {product.maximumInvestment > 0 && (
+                  <span>Max: {formatCurrency(product.maximumInvestment)}</span>
                 )}
               </div>
 
@@ -331,7 +338,7 @@ const InquiryForm = ({ product, onSuccess, onCancel }) => {
                     })}
                     type="text"
                     placeholder="Enter your full name"
-                    defaultValue={user?.full_name || user?.name || ''}
+                    defaultValue={user?.fullName || ''}
                     className="w-full px-3 py-3 border border-secondary-300 rounded-lg text-sm min-h-[44px] focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
                   />
                   {errors.fullName && (
@@ -424,13 +431,25 @@ const InquiryForm = ({ product, onSuccess, onCancel }) => {
                 <div className="mt-4 p-3 bg-primary-100 rounded-lg">
                   <p className="text-xs text-primary-700 flex items-center gap-1">
                     <TrendingUp className="h-3 w-3" />
-                    Projected return of {formatPercentage(productData.expectedAnnualReturn)} over {productData.duration} {productData.duration === 1 ? 'month' : 'months'}
+                    Projected return of {formatPercentage(product.expectedAnnualReturn)} over {product.duration} {product.duration === 1 ? 'month' : 'months'}
                   </p>
                 </div>
               </Card>
             </motion.div>
           )}
 
+          {/* Saved offline */}
+          {isQueued && (
+            <div className="p-4 bg-warning-50 border border-warning-200 rounded-lg">
+              <div className="flex items-center gap-2">
+                <CheckCircle className="h-5 w-5 text-warning-600" />
+                <p className="text-sm text-warning-700">
+                  You're offline. Your inquiry has been saved and will be sent when you reconnect.
+                </p>
+              </div>
+            </div>
+          )}
+
           {/* Error Message */}
           {error && (
             <div className="p-4 bg-error-50 border border-error-200 rounded-lg">
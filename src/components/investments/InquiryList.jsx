@@ -18,7 +18,12 @@ import Card from '../common/Card';
 import Button from '../common/Button';
 import LoadingSpinner from '../common/LoadingSpinner';
 import ErrorMessage from '../common/ErrorMessage';
+import ServiceUnavailable from '../common/ServiceUnavailable';
+import useServiceHealth from '../../hooks/useServiceHealth';
+import { SERVICES } from '../../services/serviceHealth';
 import investmentClient from '../../api/investmentClient';
+import { isRequestCancelled } from '../../api/baseClient';
+import useRequestController from '../../hooks/useRequestController';
 import useAuth from '../../hooks/useAuth';
 
 const InquiryList = ({ onInquiryClick }) => {
@@ -26,12 +31,14 @@ const InquiryList = ({ onInquiryClick }) => {
   const [inquiries, setInquiries] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const { isAvailable } = useServiceHealth();
   const [filters, setFilters] = useState({
     status: '',
     sortBy: 'createdAt',
     sortOrder: 'desc'
   });
   const [showFilters, setShowFilters] = useState(false);
+  const beginRequest = useRequestController();
 
   // Status options
   const statusOptions = [
@@ -52,6 +59,8 @@ const InquiryList = ({ onInquiryClick }) => {
 
   // Fetch inquiries
   const fetchInquiries = async () => {
+    const signal = beginRequest();
+
     try {
       setLoading(true);
       setError(null);
@@ -70,14 +79,18 @@ const InquiryList = ({ onInquiryClick }) => {
         status: filters.status || undefined,
         sortBy: filters.sortBy,
         sortOrder: filters.sortOrder
-      });
+      }, { signal });
       
-      setInquiries(response || []);
+      setInquiries(response);
     } catch (err) {
+      if (isRequestCancelled(err)) return;
+
       console.error('Error fetching inquiries:', err);
       setError(err.response?.data?.message || 'Failed to load inquiries');
     } finally {
-      setLoading(false);
+      if (!signal.aborted) {
+        setLoading(false);
+      }
     }
   };
 
@@ -96,18 +109,11 @@ const InquiryList = ({ onInquiryClick }) => {
 
       // Handle date sorting
       if (filters.sortBy === 'createdAt') {
-        aValue = new Date(a.created_at || a.createdAt);
-        bValue = new Date(b.created_at || b.createdAt);
+        aValue = new Date(a.createdAt);
+        bValue = new Date(b.createdAt);
       } else {
-        // Map camelCase to snake_case for API fields
-        const fieldMap = {
-          'amount': 'investment_amount',
-          'productName': 'product_name',
-          'status': 'status'
-        };
-        const apiField = fieldMap[filters.sortBy] || filters.sortBy;
-        aValue = a[apiField] || a[filters.sortBy];
-        bValue = b[apiField] || b[filters.sortBy];
+        aValue = a[filters.sortBy];
+        bValue = b[filters.sortBy];
       }
 
       // Handle string sorting
@@ -265,6 +271,10 @@ const InquiryList = ({ onInquiryClick }) => {
   }
 
   if (error) {
+    if (!isAvailable(SERVICES.INVESTMENT)) {
+      return <ServiceUnavailable service={SERVICES.INVESTMENT} onRetry={handleRetry} />;
+    }
+
     return (
       <ErrorMessage
         message={error}
@@ -424,10 +434,10 @@ const InquiryList = ({ onInquiryClick }) => {
                         <div className="flex items-start justify-between mb-2">
                           <div>
                             <h3 className="font-semibold text-secondary-900 mb-1">
-                              {inquiry.investment_slug ? inquiry.investment_slug.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()) : 'Investment Product'}
+                              {inquiry.productName || (inquiry.productSlug ? inquiry.productSlug.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()) : 'Investment Product')}
                             </h3>
                             <p className="text-sm text-secondary-600">
-                              Created on {formatDate(inquiry.created_at || inquiry.createdAt)}
+                              Created on {formatDate(inquiry.createdAt)}
                             </p>
                           </div>
                           
@@ -442,23 +452,23 @@ const InquiryList = ({ onInquiryClick }) => {
                             <div className="flex items-center gap-1">
                               <span className="text-secondary-500">Amount: </span>
                               <span className="font-semibold text-secondary-900">
-                                {formatCurrency(inquiry.investment_amount)}
+                                {formatCurrency(inquiry.amount)}
                               </span>
-                              <span className="text-secondary-500">({inquiry.currency || 'USD'})</span>
+                              <span className="text-secondary-500">({inquiry.currency})</span>
                             </div>
-                            {inquiry.total_expected_return && (
+                            {inquiry.totalExpectedReturn > 0 && (
                               <div className="flex items-center gap-1">
                                 <span className="text-secondary-500">Expected Return: </span>
                                 <span className="font-semibold text-success-600">
-                                  {formatCurrency(inquiry.total_expected_return)}
+                                  {formatCurrency(inquiry.totalExpectedReturn)}
                                 </span>
                               </div>
                             )}
-                            {inquiry.duration_months && (
+                            {inquiry.durationMonths > 0 && (
                               <div className="flex items-center gap-1">
                                 <span className="text-secondary-500">Duration: </span>
                                 <span className="text-secondary-700">
-                                  {inquiry.duration_months} months
+                                  {inquiry.durationMonths} months
                                 </span>
                               </div>
                             )}
@@ -1,28 +1,32 @@
 import React from 'react';
 import { motion } from 'framer-motion';
-import { TrendingUp, Clock, Shield, DollarSign } from 'lucide-react';
+import { TrendingUp, Clock, Shield, DollarSign, GitCompare, Check } from 'lucide-react';
 import Card from '../common/Card';
 import Button from '../common/Button';
 import ResponsiveImage from '../common/ResponsiveImage';
+import useCompareList from '../../hooks/useCompareList';
+import { COMPARE_LIMIT } from '../../services/compareList';
 import {
   formatCurrency,
   formatPercentage,
-  parseProductData,
   getRiskLevelDetails,
   getStatusStyling
 } from '../../utils/investmentHelpers';
 
 const ProductCard = ({ product, onClick }) => {
+  const compareList = useCompareList();
+
   if (!product) return null;
 
-  // Parse product data using helper function
-  const productData = parseProductData(product);
-  const riskDetails = getRiskLevelDetails(productData.riskFactors);
-  const statusDetails = getStatusStyling(productData.status);
+  const isCompared = compareList.isSelected(product.slug);
+  const canCompare = isCompared || !compareList.isFull;
+
+  const riskDetails = getRiskLevelDetails(product.riskFactors);
+  const statusDetails = getStatusStyling(product.status);
 
   const handleCardClick = () => {
     if (onClick) {
-      onClick(productData.slug || productData.id); // Use slug if available, fallback to id
+      onClick(product.slug || product.id); // Use slug if available, fallback to id
     }
   };
 
@@ -41,8 +45,8 @@ const ProductCard = ({ product, onClick }) => {
         {/* Product Image */}
         <div className="relative h-48 overflow-hidden">
           <ResponsiveImage
-            src={productData.featuredImage}
-            alt={productData.name}
+            src={product.featuredImage}
+            alt={product.name}
             className="transition-transform duration-300 group-hover:scale-105"
             aspectRatio="16/9"
             objectFit="cover"
@@ -63,22 +67,22 @@ const ProductCard = ({ product, onClick }) => {
           <div className="flex items-start justify-between mb-3">
             <div className="flex-1">
               <h3 className="text-lg font-semibold text-secondary-900 mb-1 line-clamp-2">
-                {productData.name}
+                {product.name}
               </h3>
-              {productData.subtitle && (
+              {product.subtitle && (
                 <p className="text-sm text-secondary-600 mb-1">
-                  {productData.subtitle}
+                  {product.subtitle}
                 </p>
               )}
               <p className="text-xs text-secondary-500 capitalize">
-                {productData.investmentType.replace('-', ' ')}
+                {product.investmentType.replace('-', ' ')}
               </p>
             </div>
             <div className="flex flex-col gap-1 ml-3">
               <span
                 className={`px-2 py-1 text-xs font-medium rounded-full border ${statusDetails.bgColor} ${statusDetails.color} ${statusDetails.borderColor}`}
               >
-                {productData.status}
+                {product.status}
               </span>
               <span
                 className={`px-2 py-1 text-xs font-medium rounded-full border ${riskDetails.bgColor} ${riskDetails.color} ${riskDetails.borderColor}`}
@@ -90,7 +94,7 @@ const ProductCard = ({ product, onClick }) => {
 
           {/* Description */}
           <p className="text-sm text-secondary-600 mb-4 line-clamp-3 flex-1">
-            {productData.shortDescription || productData.description}
+            {product.shortDescription || product.description}
           </p>
 
           {/* Key metrics */}
@@ -102,7 +106,7 @@ const ProductCard = ({ product, onClick }) => {
               <div>
                 <p className="text-xs text-secondary-500">Min. Investment</p>
                 <p className="text-sm font-semibold text-secondary-900">
-                  {formatCurrency(productData.minimumInvestment)}
+                  {formatCurrency(product.minimumInvestment)}
                 </p>
               </div>
             </div>
@@ -114,7 +118,7 @@ const ProductCard = ({ product, onClick }) => {
               <div>
                 <p className="text-xs text-secondary-500">Expected Return</p>
                 <p className="text-sm font-semibold text-success-600">
-                  {formatPercentage(productData.expectedAnnualReturn)}
+                  {formatPercentage(product.expectedAnnualReturn)}
                 </p>
               </div>
             </div>
@@ -126,24 +130,40 @@ const ProductCard = ({ product, onClick }) => {
               <div>
                 <p className="text-xs text-secondary-500">Duration</p>
                 <p className="text-sm font-semibold text-secondary-900">
-                  {productData.duration} {productData.duration === 1 ? 'month' : 'months'}
+                  {product.duration} {product.duration === 1 ? 'month' : 'months'}
                 </p>
               </div>
             </div>
           </div>
 
-          {/* Action button */}
-          <Button
-            variant="primary"
-            size="sm"
-            className="w-full mt-auto"
-            onClick={(e) => {
-              e.stopPropagation();
-              handleCardClick();
-            }}
-          >
-            View Details
-          </Button>
+          {/* Action buttons */}
+          <div className="flex gap-2 mt-auto">
+            <Button
+              variant="primary"
+              size="sm"
+              className="flex-1"
+              onClick={(e) => {
+                e.stopPropagation();
+                handleCardClick();
+              }}
+            >
+              View Details
+            </Button>
+            <Button
+              variant="secondary"
+              size="sm"
+              disabled={!canCompare}
+              aria-pressed={isCompared}
+              title={canCompare ? undefined : `You can compare up to ${COMPARE_LIMIT} products`}
+              onClick={(e) => {
+                e.stopPropagation();
+                compareList.toggle(product);
+              }}
+            >
+              {isCompared ? <Check className="h-4 w-4 mr-1" /> : <GitCompare className="h-4 w-4 mr-1" />}
+              {isCompared ? 'Comparing' : 'Add to compare'}
+            </Button>
+          </div>
         </div>
       </Card>
     </motion.div>
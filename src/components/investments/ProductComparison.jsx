@@ -0,0 +1,175 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { X, Award, AlertCircle } from 'lucide-react';
+import Card from '../common/Card';
+import LoadingSpinner from '../common/LoadingSpinner';
+import ErrorMessage from '../common/ErrorMessage';
+import ServiceUnavailable from '../common/ServiceUnavailable';
+import ResponsiveImage from '../common/ResponsiveImage';
+import useServiceHealth from '../../hooks/useServiceHealth';
+import { SERVICES } from '../../services/serviceHealth';
+import investmentClient from '../../api/investmentClient';
+import useQuery from '../../hooks/useQuery';
+import { QUERY_KEYS, fetchQuery } from '../../services/queryCache';
+import { COMPARISON_ROWS, getBestProductIds } from '../../utils/productComparison';
+import { calculateFundingProgress, getRiskLevelDetails } from '../../utils/investmentHelpers';
+
+// Load every product through its detail query, so products already opened
+// come from the cache. A product that can't be loaded (e.g. removed since the
+// link was shared) is reported instead of failing the whole comparison.
+const fetchProducts = async (slugs) => {
+  const results = await Promise.allSettled(slugs.map(slug => fetchQuery(
+    [...QUERY_KEYS.PRODUCTS, 'detail', slug],
+    ({ signal }) => investmentClient.getProduct(slug, { signal })
+  )));
+
+  const products = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+  const missing = slugs.filter((_, index) => results[index].status === 'rejected');
+  if (products.length === 0 && missing.length > 0) {
+    throw results.find(result => result.status === 'rejected').reason;
+  }
+
+  return { products, missing };
+};
+
+/**
+ * Products side by side, one column each, with the best value of each row
+ * highlighted.
+ * @param {Object} props
+ * @param {string[]} props.slugs - Products to compare
+ * @param {Function} props.onRemove - Called with a slug to drop that product
+ */
+const ProductComparison = ({ slugs, onRemove }) => {
+  const { data, error: fetchError, refetch } = useQuery(
+    [...QUERY_KEYS.PRODUCTS, 'compare', slugs],
+    () => fetchProducts(slugs),
+    { enabled: slugs.length > 0 }
+  );
+  const { isAvailable } = useServiceHealth();
+
+  if (fetchError && data === undefined) {
+    if (!isAvailable(SERVICES.INVESTMENT)) {
+      return <ServiceUnavailable service={SERVICES.INVESTMENT} onRetry={refetch} />;
+    }
+
+    return (
+      <ErrorMessage
+        message={fetchError.data?.message || fetchError.message || 'Failed to load the products to compare'}
+        onRetry={refetch}
+      />
+    );
+  }
+
+  if (data === undefined) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  const { products, missing } = data;
+
+  return (
+    <div className="space-y-4">
+      {missing.length > 0 && (
+        <div className="flex items-start gap-2 p-3 bg-warning-50 border border-warning-200 rounded-lg text-sm text-warning-800">
+          <AlertCircle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+          <p>
+            {missing.length === 1 ? 'One product' : `${missing.length} products`} could not be loaded and {missing.length === 1 ? 'is' : 'are'} left out.
+          </p>
+        </div>
+      )}
+
+      <Card padding="none" className="overflow-x-auto">
+        <table className="w-full min-w-[36rem] text-sm">
+          <thead>
+            <tr className="border-b border-secondary-200">
+              <th scope="col" className="w-44 p-4 text-left font-medium text-secondary-500">
+                <span className="sr-only">Attribute</span>
+              </th>
+              {products.map(product => (
+                <th key={product.id} scope="col" className="p-4 text-left align-top font-normal">
+                  <div className="relative">
+                    {onRemove && (
+                      <button
+                        type="button"
+                        onClick={() => onRemove(product.slug)}
+                        className="absolute -top-2 -right-2 z-10 rounded-full bg-white p-1 text-secondary-500 shadow hover:text-error-600"
+                        aria-label={`Remove ${product.name} from comparison`}
+                      >
+                        <X className="h-4 w-4" />
+                      </button>
+                    )}
+                    <div className="h-24 mb-3 overflow-hidden rounded-lg">
+                      <ResponsiveImage
+                        src={product.featuredImage}
+                        alt={product.name}
+                        aspectRatio="16/9"
+                        objectFit="cover"
+                        lazy={true}
+                      />
+                    </div>
+                    <Link
+                      to={`/investments/products/${product.slug}`}
+                      className="font-semibold text-secondary-900 hover:text-primary-700"
+                    >
+                      {product.name}
+                    </Link>
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {COMPARISON_ROWS.map(row => {
+              const bestIds = getBestProductIds(row, products);
+
+              return (
+                <tr key={row.key} className="border-b border-secondary-100 last:border-0">
+                  <th scope="row" className="p-4 text-left font-medium text-secondary-600">
+                    {row.label}
+                  </th>
+                  {products.map(product => {
+                    const isBest = bestIds.has(product.id);
+
+                    return (
+                      <td
+                        key={product.id}
+                        className={`p-4 ${isBest ? 'bg-success-50 font-semibold text-success-700' : 'text-secondary-900'}`}
+                      >
+                        {row.key === 'fundingProgress' ? (
+                          <div>
+                            <div className="w-full bg-secondary-200 rounded-full h-2 mb-1">
+                              <div
+                                className="bg-primary-600 h-2 rounded-full"
+                                style={{ width: `${calculateFundingProgress(product.totalRaised, product.fundingGoal)}%` }}
+                              />
+                            </div>
+                            {row.format(product)}
+                          </div>
+                        ) : (
+                          <span className={row.key === 'riskLevel' && !isBest ? getRiskLevelDetails(product.riskFactors).color : ''}>
+                            {row.format(product)}
+                          </span>
+                        )}
+                        {isBest && (
+                          <span className="ml-2 inline-flex items-center gap-0.5 text-xs font-medium text-success-700">
+                            <Award className="h-3 w-3" />
+                            Best
+                          </span>
+                        )}
+                      </td>
+                    );
+                  })}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </Card>
+    </div>
+  );
+};
+
+export default ProductComparison;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React from 'react';
 import { motion } from 'framer-motion';
 import { 
   ArrowLeft, 
@@ -18,8 +18,14 @@ import Card from '../common/Card';
 import Button from '../common/Button';
 import LoadingSpinner from '../common/LoadingSpinner';
 import ErrorMessage from '../common/ErrorMessage';
+import ServiceUnavailable from '../common/ServiceUnavailable';
 import ResponsiveImage from '../common/ResponsiveImage';
+import ReturnsCalculator from './ReturnsCalculator';
 import investmentClient from '../../api/investmentClient';
+import useQuery from '../../hooks/useQuery';
+import useServiceHealth from '../../hooks/useServiceHealth';
+import { QUERY_KEYS } from '../../services/queryCache';
+import { SERVICES } from '../../services/serviceHealth';
 import {
   formatCurrency,
   formatPercentage,
@@ -27,38 +33,30 @@ import {
   calculateFundingProgress,
   calculateProjectedReturns,
   calculateMonthlyReturns,
-  parseProductData,
   getRiskLevelDetails,
   getStatusStyling,
   formatDuration
 } from '../../utils/investmentHelpers';
 
 const ProductDetail = ({ productId: productSlug, onBack, onCreateInquiry }) => {
-  const [product, setProduct] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-
-  // Fetch product details
-  const fetchProduct = async () => {
-    try {
-      setLoading(true);
-      setError(null);
-      
-      const response = await investmentClient.getProduct(productSlug);
-      setProduct(response);
-    } catch (err) {
-      console.error('Error fetching product:', err);
-      setError(err.response?.data?.message || 'Failed to load product details');
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  useEffect(() => {
-    if (productSlug) {
-      fetchProduct();
-    }
-  }, [productSlug]);
+  const {
+    data,
+    error: fetchError,
+    isLoading,
+    isFetching,
+    refetch,
+  } = useQuery(
+    [...QUERY_KEYS.PRODUCTS, 'detail', productSlug],
+    ({ signal }) => investmentClient.getProduct(productSlug, { signal }),
+    { enabled: Boolean(productSlug) }
+  );
+  const product = data || null;
+  const loading = isLoading || (isFetching && data === undefined);
+  const error = fetchError && data === undefined
+    ? fetchError.data?.message || 'Failed to load product details'
+    : null;
+  const { isAvailable } = useServiceHealth();
+  const investmentsAvailable = isAvailable(SERVICES.INVESTMENT);
 
   // Get icon for risk level
   const getRiskIcon = (level) => {
@@ -83,7 +81,7 @@ const ProductDetail = ({ productId: productSlug, onBack, onCreateInquiry }) => {
 
   // Handle retry
   const handleRetry = () => {
-    fetchProduct();
+    refetch();
   };
 
   if (loading) {
@@ -95,6 +93,10 @@ const ProductDetail = ({ productId: productSlug, onBack, onCreateInquiry }) => {
   }
 
   if (error) {
+    if (!investmentsAvailable) {
+      return <ServiceUnavailable service={SERVICES.INVESTMENT} onRetry={handleRetry} />;
+    }
+
     return (
       <ErrorMessage
         message={error}
@@ -120,11 +122,10 @@ const ProductDetail = ({ productId: productSlug, onBack, onCreateInquiry }) => {
     );
   }
 
-  const productData = parseProductData(product);
-  const riskDetails = getRiskLevelDetails(productData.riskFactors);
-  const statusDetails = getStatusStyling(productData.status);
+  const riskDetails = getRiskLevelDetails(product.riskFactors);
+  const statusDetails = getStatusStyling(product.status);
   const RiskIcon = getRiskIcon(riskDetails.level);
-  const fundingProgress = calculateFundingProgress(productData.totalRaised, productData.fundingGoal);
+  const fundingProgress = calculateFundingProgress(product.totalRaised, product.fundingGoal);
 
   return (
     <motion.div
@@ -148,15 +149,15 @@ const ProductDetail = ({ productId: productSlug, onBack, onCreateInquiry }) => {
         )}
         <div>
           <h1 className="text-2xl font-bold text-secondary-900">
-            {productData.name}
+            {product.name}
           </h1>
-          {productData.subtitle && (
+          {product.subtitle && (
             <p className="text-lg text-secondary-700 mt-1">
-              {productData.subtitle}
+              {product.subtitle}
             </p>
           )}
           <p className="text-secondary-600 capitalize mt-1">
-            {productData.investmentType.replace('-', ' ')} Investment
+            {product.investmentType.replace('-', ' ')} Investment
           </p>
         </div>
       </div>
@@ -167,8 +168,8 @@ const ProductDetail = ({ productId: productSlug, onBack, onCreateInquiry }) => {
           {/* Product Image */}
           <Card padding="none" className="overflow-hidden">
             <ResponsiveImage
-              src={productData.featuredImage}
-              alt={productData.name}
+              src={product.featuredImage}
+              alt={product.name}
               className="w-full h-64 object-cover"
               aspectRatio="16/9"
               objectFit="cover"
@@ -186,13 +187,13 @@ const ProductDetail = ({ productId: productSlug, onBack, onCreateInquiry }) => {
               <div className="flex justify-between items-center">
                 <span className="text-sm text-secondary-600">Total Raised</span>
                 <span className="font-semibold text-secondary-900">
-                  {formatCurrency(productData.totalRaised)}
+                  {formatCurrency(product.totalRaised)}
                 </span>
               </div>
               <div className="flex justify-between items-center">
                 <span className="text-sm text-secondary-600">Funding Goal</span>
                 <span className="font-semibold text-secondary-900">
-                  {formatCurrency(productData.fundingGoal)}
+                  {formatCurrency(product.fundingGoal)}
                 </span>
               </div>
               <div className="w-full bg-secondary-200 rounded-full h-2">
@@ -206,7 +207,7 @@ const ProductDetail = ({ productId: productSlug, onBack, onCreateInquiry }) => {
                   {fundingProgress.toFixed(1)}% funded
                 </span>
                 <span className="text-secondary-600">
-                  {formatLargeNumber(productData.totalInvestors)} investors
+                  {formatLargeNumber(product.totalInvestors)} investors
                 </span>
               </div>
             </div>
@@ -219,36 +220,39 @@ const ProductDetail = ({ productId: productSlug, onBack, onCreateInquiry }) => {
             </h2>
             <div className="space-y-4">
               <p className="text-secondary-700 leading-relaxed">
-                {productData.description}
+                {product.description}
               </p>
-              {productData.overviewContent && productData.overviewContent !== productData.description && (
+              {product.overviewContent && product.overviewContent !== product.description && (
                 <p className="text-secondary-700 leading-relaxed">
-                  {productData.overviewContent}
+                  {product.overviewContent}
                 </p>
               )}
             </div>
           </Card>
 
+          {/* Returns Calculator - state starts over for another product */}
+          <ReturnsCalculator key={product.id} product={product} />
+
           {/* How It Works */}
-          {productData.howItWorks && (
+          {product.howItWorks && (
             <Card>
               <h2 className="text-lg font-semibold text-secondary-900 mb-3">
                 How It Works
               </h2>
               <p className="text-secondary-700 leading-relaxed">
-                {productData.howItWorks}
+                {product.howItWorks}
               </p>
             </Card>
           )}
 
           {/* Key Features */}
-          {Object.keys(productData.features).length > 0 && (
+          {Object.keys(product.features).length > 0 && (
             <Card>
               <h2 className="text-lg font-semibold text-secondary-900 mb-4">
                 Key Features
               </h2>
               <div className="grid grid-cols-1 gap-3">
-                {Object.entries(productData.features).map(([key, feature]) => (
+                {Object.entries(product.features).map(([key, feature]) => (
                   <div key={key} className="flex items-start gap-3">
                     <CheckCircle className="h-5 w-5 text-success-600 mt-0.5 flex-shrink-0" />
                     <span className="text-secondary-700">{feature}</span>
@@ -259,17 +263,17 @@ const ProductDetail = ({ productId: productSlug, onBack, onCreateInquiry }) => {
           )}
 
           {/* Technical Specifications */}
-          {(productData.technicalSpecs.hardware_specs || productData.technicalSpecs.network_infrastructure) && (
+          {(product.technicalSpecs.hardware_specs || product.technicalSpecs.network_infrastructure) && (
             <Card>
               <h2 className="text-lg font-semibold text-secondary-900 mb-4">
                 Technical Specifications
               </h2>
               <div className="space-y-4">
-                {productData.technicalSpecs.hardware_specs && (
+                {product.technicalSpecs.hardware_specs && (
                   <div>
                     <h3 className="font-medium text-secondary-900 mb-2">Hardware Specifications</h3>
                     <ul className="space-y-1">
-                      {productData.technicalSpecs.hardware_specs.map((spec, index) => (
+                      {product.technicalSpecs.hardware_specs.map((spec, index) => (
                         <li key={index} className="text-sm text-secondary-700 flex items-start gap-2">
                           <span className="w-1.5 h-1.5 bg-primary-600 rounded-full mt-2 flex-shrink-0" />
                           {spec}
@@ -278,11 +282,11 @@ const ProductDetail = ({ productId: productSlug, onBack, onCreateInquiry }) => {
                     </ul>
                   </div>
                 )}
-                {productData.technicalSpecs.network_infrastructure && (
+                {product.technicalSpecs.network_infrastructure && (
                   <div>
                     <h3 className="font-medium text-secondary-900 mb-2">Network Infrastructure</h3>
                     <ul className="space-y-1">
-                      {productData.technicalSpecs.network_infrastructure.map((spec, index) => (
+                      {product.technicalSpecs.network_infrastructure.map((spec, index) => (
                         <li key={index} className="text-sm text-secondary-700 flex items-start gap-2">
                           <span className="w-1.5 h-1.5 bg-primary-600 rounded-full mt-2 flex-shrink-0" />
                           {spec}
@@ -296,13 +300,13 @@ const ProductDetail = ({ productId: productSlug, onBack, onCreateInquiry }) => {
           )}
 
           {/* Use Cases */}
-          {Object.keys(productData.useCases).length > 0 && (
+          {Object.keys(product.useCases).length > 0 && (
             <Card>
               <h2 className="text-lg font-semibold text-secondary-900 mb-4">
                 Use Cases
               </h2>
               <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
-                {Object.entries(productData.useCases).map(([key, useCase]) => (
+                {Object.entries(product.useCases).map(([key, useCase]) => (
                   <div key={key} className="flex items-center gap-3 p-3 bg-secondary-50 rounded-lg">
                     <Target className="h-5 w-5 text-primary-600 flex-shrink-0" />
                     <span className="text-secondary-700">{useCase}</span>
@@ -313,13 +317,13 @@ const ProductDetail = ({ productId: productSlug, onBack, onCreateInquiry }) => {
           )}
 
           {/* Risk Factors */}
-          {Object.keys(productData.riskFactors).length > 0 && (
+          {Object.keys(product.riskFactors).length > 0 && (
             <Card>
               <h2 className="text-lg font-semibold text-secondary-900 mb-4">
                 Risk Assessment
               </h2>
               <div className="space-y-4">
-                {Object.entries(productData.riskFactors).map(([key, risk]) => {
+                {Object.entries(product.riskFactors).map(([key, risk]) => {
                   if (!risk.name) return null;
                   const riskLevelColor = risk.level === 'High' ? 'text-error-600 bg-error-100' :
                                        risk.level === 'Medium' ? 'text-warning-600 bg-warning-100' :
@@ -341,17 +345,17 @@ const ProductDetail = ({ productId: productSlug, onBack, onCreateInquiry }) => {
           )}
 
           {/* Capital Allocation */}
-          {productData.capitalAllocation.funding_breakdown && (
+          {product.capitalAllocation.funding_breakdown && (
             <Card>
               <h2 className="text-lg font-semibold text-secondary-900 mb-4">
                 Capital Allocation
               </h2>
               <div className="space-y-4">
-                {productData.capitalAllocation.description && (
-                  <p className="text-secondary-700">{productData.capitalAllocation.description}</p>
+                {product.capitalAllocation.description && (
+                  <p className="text-secondary-700">{product.capitalAllocation.description}</p>
                 )}
                 <div className="space-y-3">
-                  {productData.capitalAllocation.funding_breakdown.map((item, index) => (
+                  {product.capitalAllocation.funding_breakdown.map((item, index) => (
                     <div key={index} className="flex items-center justify-between p-3 bg-secondary-50 rounded-lg">
                       <div>
                         <h4 className="font-medium text-secondary-900">{item.category}</h4>
@@ -382,12 +386,12 @@ const ProductDetail = ({ productId: productSlug, onBack, onCreateInquiry }) => {
                 <div>
                   <p className="text-sm text-secondary-500">Minimum Investment</p>
                   <p className="font-semibold text-secondary-900">
-                    {formatCurrency(productData.minimumInvestment)}
+                    {formatCurrency(product.minimumInvestment)}
                   </p>
                 </div>
               </div>
 
-              {productData.maximumInvestment > 0 && (
+              {product.maximumInvestment > 0 && (
                 <div className="flex items-center gap-3">
                   <div className="p-2 bg-primary-100 rounded-lg">
                     <Target className="h-5 w-5 text-primary-600" />
@@ -395,7 +399,7 @@ const ProductDetail = ({ productId: productSlug, onBack, onCreateInquiry }) => {
                   <div>
                     <p className="text-sm text-secondary-500">Maximum Investment</p>
                     <p className="font-semibold text-secondary-900">
-                      {formatCurrency(productData.maximumInvestment)}
+                      {formatCurrency(product.maximumInvestment)}
                     </p>
                   </div>
                 </div>
@@ -408,12 +412,12 @@ const ProductDetail = ({ productId: productSlug, onBack, onCreateInquiry }) => {
                 <div>
                   <p className="text-sm text-secondary-500">Expected Annual Return</p>
                   <p className="font-semibold text-success-600">
-                    {formatPercentage(productData.expectedAnnualReturn)}
+                    {formatPercentage(product.expectedAnnualReturn)}
                   </p>
                 </div>
               </div>
 
-              {productData.expectedMonthlyReturn > 0 && (
+              {product.expectedMonthlyReturn > 0 && (
                 <div className="flex items-center gap-3">
                   <div className="p-2 bg-success-100 rounded-lg">
                     <Percent className="h-5 w-5 text-success-600" />
@@ -421,7 +425,7 @@ const ProductDetail = ({ productId: productSlug, onBack, onCreateInquiry }) => {
                   <div>
                     <p className="text-sm text-secondary-500">Expected Monthly Return</p>
                     <p className="font-semibold text-success-600">
-                      {formatPercentage(productData.expectedMonthlyReturn)}
+                      {formatPercentage(product.expectedMonthlyReturn)}
                     </p>
                   </div>
                 </div>
@@ -434,7 +438,7 @@ const ProductDetail = ({ productId: productSlug, onBack, onCreateInquiry }) => {
                 <div>
                   <p className="text-sm text-secondary-500">Investment Duration</p>
                   <p className="font-semibold text-secondary-900">
-                    {formatDuration(productData.duration)}
+                    {formatDuration(product.duration)}
                   </p>
                 </div>
               </div>
@@ -451,7 +455,7 @@ const ProductDetail = ({ productId: productSlug, onBack, onCreateInquiry }) => {
                 </div>
               </div>
 
-              {productData.totalUnitsAvailable > 0 && (
+              {product.totalUnitsAvailable > 0 && (
                 <div className="flex items-center gap-3">
                   <div className="p-2 bg-info-100 rounded-lg">
                     <Users className="h-5 w-5 text-info-600" />
@@ -459,7 +463,7 @@ const ProductDetail = ({ productId: productSlug, onBack, onCreateInquiry }) => {
                   <div>
                     <p className="text-sm text-secondary-500">Units Available</p>
                     <p className="font-semibold text-secondary-900">
-                      {formatLargeNumber(productData.totalUnitsAvailable - productData.unitsSold)} / {formatLargeNumber(productData.totalUnitsAvailable)}
+                      {formatLargeNumber(product.totalUnitsAvailable - product.unitsSold)} / {formatLargeNumber(product.totalUnitsAvailable)}
                     </p>
                   </div>
                 </div>
@@ -482,17 +486,17 @@ const ProductDetail = ({ productId: productSlug, onBack, onCreateInquiry }) => {
                       On minimum investment:
                     </span>
                     <span className="font-semibold text-success-600">
-                      {formatCurrency(calculateProjectedReturns(productData.minimumInvestment, productData.expectedAnnualReturn))}
+                      {formatCurrency(calculateProjectedReturns(product.minimumInvestment, product.expectedAnnualReturn))}
                     </span>
                   </div>
                   
-                  {productData.maximumInvestment > 0 && (
+                  {product.maximumInvestment > 0 && (
                     <div className="flex justify-between items-center">
                       <span className="text-sm text-secondary-600">
                         On maximum investment:
                       </span>
                       <span className="font-semibold text-success-600">
-                        {formatCurrency(calculateProjectedReturns(productData.maximumInvestment, productData.expectedAnnualReturn))}
+                        {formatCurrency(calculateProjectedReturns(product.maximumInvestment, product.expectedAnnualReturn))}
                       </span>
                     </div>
                   )}
@@ -500,7 +504,7 @@ const ProductDetail = ({ productId: productSlug, onBack, onCreateInquiry }) => {
               </div>
 
               {/* Monthly Returns */}
-              {productData.expectedMonthlyReturn > 0 && (
+              {product.expectedMonthlyReturn > 0 && (
                 <div>
                   <h4 className="text-sm font-medium text-secondary-700 mb-2">Monthly Returns</h4>
                   <div className="space-y-2">
@@ -509,17 +513,17 @@ const ProductDetail = ({ productId: productSlug, onBack, onCreateInquiry }) => {
                         On minimum investment:
                       </span>
                       <span className="font-semibold text-primary-600">
-                        {formatCurrency(calculateMonthlyReturns(productData.minimumInvestment, productData.expectedMonthlyReturn))}
+                        {formatCurrency(calculateMonthlyReturns(product.minimumInvestment, product.expectedMonthlyReturn))}
                       </span>
                     </div>
                     
-                    {productData.maximumInvestment > 0 && (
+                    {product.maximumInvestment > 0 && (
                       <div className="flex justify-between items-center">
                         <span className="text-sm text-secondary-600">
                           On maximum investment:
                         </span>
                         <span className="font-semibold text-primary-600">
-                          {formatCurrency(calculateMonthlyReturns(productData.maximumInvestment, productData.expectedMonthlyReturn))}
+                          {formatCurrency(calculateMonthlyReturns(product.maximumInvestment, product.expectedMonthlyReturn))}
                         </span>
                       </div>
                     )}
@@ -528,11 +532,11 @@ const ProductDetail = ({ productId: productSlug, onBack, onCreateInquiry }) => {
               )}
 
               {/* Variable Rates Information */}
-              {productData.useVariableRates && productData.yearlyReturnRates.length > 0 && (
+              {product.useVariableRates && product.yearlyReturnRates.length > 0 && (
                 <div>
                   <h4 className="text-sm font-medium text-secondary-700 mb-2">Yearly Return Rates</h4>
                   <div className="grid grid-cols-3 gap-2">
-                    {productData.yearlyReturnRates.map((rate, index) => (
+                    {product.yearlyReturnRates.map((rate, index) => (
                       <div key={index} className="text-center p-2 bg-secondary-50 rounded">
                         <div className="text-xs text-secondary-500">Year {index + 1}</div>
                         <div className="font-semibold text-secondary-900">{formatPercentage(rate)}</div>
@@ -546,21 +550,27 @@ const ProductDetail = ({ productId: productSlug, onBack, onCreateInquiry }) => {
             <div className="mt-4 p-3 bg-secondary-50 rounded-lg">
               <p className="text-xs text-secondary-600">
                 * Projected returns are estimates based on expected performance and are not guaranteed.
-                {productData.useVariableRates && " Returns may vary based on market conditions."}
+                {product.useVariableRates && " Returns may vary based on market conditions."}
               </p>
             </div>
           </Card>
 
-          {/* Action Button */}
-          <Button
-            variant="primary"
-            size="lg"
-            onClick={handleCreateInquiry}
-            className="w-full"
-            disabled={productData.status !== 'active'}
-          >
-            {productData.status === 'active' ? 'Create Investment Inquiry' : statusDetails.label}
-          </Button>
+          {/* Action Button - hidden while the investment service is down */}
+          {investmentsAvailable ? (
+            <Button
+              variant="primary"
+              size="lg"
+              onClick={handleCreateInquiry}
+              className="w-full"
+              disabled={product.status !== 'active'}
+            >
+              {product.status === 'active' ? 'Create Investment Inquiry' : statusDetails.label}
+            </Button>
+          ) : (
+            <p className="p-3 text-sm text-center text-warning-700 bg-warning-50 border border-warning-200 rounded-lg">
+              Inquiries are paused while the investment service is unavailable.
+            </p>
+          )}
 
           {/* Status Badge */}
           <div className="text-center">
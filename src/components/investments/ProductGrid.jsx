@@ -1,41 +1,182 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useMemo, useEffect, useRef, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Filter, SortAsc, SortDesc, RefreshCw, AlertCircle } from 'lucide-react';
+import { Filter, SortAsc, SortDesc, RefreshCw, AlertCircle, LayoutGrid, List, Search, X, Bookmark, Trash2 } from 'lucide-react';
 import ProductCard from './ProductCard';
 import LoadingSpinner from '../common/LoadingSpinner';
-import ErrorMessage from '../common/ErrorMessage';
+import ErrorMessage, { InlineError } from '../common/ErrorMessage';
+import ServiceUnavailable from '../common/ServiceUnavailable';
+import Pagination from '../common/Pagination';
+import useServiceHealth from '../../hooks/useServiceHealth';
+import useFilterPresets from '../../hooks/useFilterPresets';
+import useAuth from '../../hooks/useAuth';
+import { SERVICES } from '../../services/serviceHealth';
 import Button from '../common/Button';
 import investmentClient from '../../api/investmentClient';
+import useQuery from '../../hooks/useQuery';
+import { QUERY_KEYS } from '../../services/queryCache';
+import { PAGINATION, STORAGE_KEYS, UI_CONFIG, INVESTMENT_CATEGORIES, RISK_LEVELS } from '../../utils/constants';
+import { sessionStorage } from '../../utils/storage';
+import {
+  DEFAULT_PRODUCT_FILTERS,
+  PRODUCT_VIEW_MODES,
+  parseProductListParams,
+  toProductListParams,
+  findCategory,
+  getCategoryLabel
+} from '../../utils/productFilters';
 
-const ProductGrid = ({ onProductClick, initialFilters = {} }) => {
-  const [products, setProducts] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [filters, setFilters] = useState({
-    category: '',
-    riskLevel: '',
-    sortBy: 'expectedReturn',
-    sortOrder: 'desc',
-    ...initialFilters
-  });
+const getProductsErrorMessage = (err) => {
+  if (err.type === 'network') {
+    return 'Network error. Please check your connection and try again.';
+  }
+  if (err.status === 404) {
+    return 'Investment service not found. Please contact support.';
+  }
+  if (err.status >= 500) {
+    return 'Investment service error. Please try again later.';
+  }
+  return err.message || 'Failed to load investment products';
+};
+
+// One page of the catalogue; pages are cached separately so going back to one
+// (or returning from a product) doesn't fetch it again
+const useProductPage = (params, page, options) => useQuery(
+  [...QUERY_KEYS.PRODUCTS, 'list', { ...params, page, pageSize: PAGINATION.PRODUCTS_PAGE_SIZE }],
+  ({ signal }) => investmentClient.getProducts(
+    { ...params, page, pageSize: PAGINATION.PRODUCTS_PAGE_SIZE },
+    { signal }
+  ),
+  options
+);
+
+// Categories this build knows about, used when the service can't list them
+const FALLBACK_CATEGORIES = Object.values(INVESTMENT_CATEGORIES).map(id => ({ id, name: id, count: null }));
+
+// Categories change rarely; no need to ask on every visit
+const CATEGORIES_STALE_TIME = 10 * 60 * 1000;
+
+const RISK_LEVEL_OPTIONS = [
+  { value: RISK_LEVELS.LOW, label: 'Low Risk' },
+  { value: RISK_LEVELS.MEDIUM, label: 'Medium Risk' },
+  { value: RISK_LEVELS.HIGH, label: 'High Risk' }
+];
+
+// "Agriculture (3)"; no count when none is known
+const withCount = (label, count) => (count === null || count === undefined ? label : `${label} (${count})`);
+
+// Cards for one page, rendered straight into the parent grid. In infinite
+// mode each page mounts the next one once it has loaded, up to `lastPage`,
+// so a restored list loads its pages one after another rather than all at once.
+// The last page's own errors are shown by the grid below the list.
+const ProductPageItems = ({ params, page, lastPage = page, onProductClick, onLastPageShown }) => {
+  const { data, error, refetch } = useProductPage(params, page);
+
+  const isLastShown = data !== undefined && page >= Math.min(lastPage, data.totalPages);
+  useEffect(() => {
+    if (isLastShown) onLastPageShown?.();
+  }, [isLastShown, onLastPageShown]);
+
+  if (error && data === undefined && page < lastPage) {
+    return (
+      <div className="col-span-full flex flex-col items-center gap-2 py-4">
+        <InlineError message={getProductsErrorMessage(error)} />
+        <Button variant="secondary" size="sm" onClick={refetch}>
+          Try Again
+        </Button>
+      </div>
+    );
+  }
+
+  const cards = (data?.products || []).map((product, index) => (
+    <motion.div
+      key={product.id}
+      layout
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, y: -20 }}
+      transition={{
+        duration: 0.3,
+        delay: index * 0.05 // Stagger animation
+      }}
+    >
+      <ProductCard
+        product={product}
+        onClick={onProductClick}
+      />
+    </motion.div>
+  ));
+
+  const hasNextPage = data !== undefined && !isLastShown;
+
+  return (
+    <>
+      {cards}
+      {hasNextPage && (
+        <ProductPageItems
+          params={params}
+          page={page + 1}
+          lastPage={lastPage}
+          onProductClick={onProductClick}
+          onLastPageShown={onLastPageShown}
+        />
+      )}
+    </>
+  );
+};
+
+const ProductGrid = ({ onProductClick }) => {
+  const { user } = useAuth();
+  // Filters, page and view mode live in the query string, so they survive
+  // navigation, follow back/forward and can be shared as a link
+  const [searchParams, setSearchParams] = useSearchParams();
+  // `page` is the page shown, or in infinite mode the last page loaded
+  const { filters, page, viewMode } = useMemo(() => parseProductListParams(searchParams), [searchParams]);
   const [showFilters, setShowFilters] = useState(false);
+  const [searchInput, setSearchInput] = useState(filters.search);
+  const [syncedSearch, setSyncedSearch] = useState(filters.search);
+  const [presetName, setPresetName] = useState('');
+  const { presets, savePreset, deletePreset } = useFilterPresets(user?.id);
+  // Where the user was in this same list before opening a product, if they did
+  const [pendingScroll] = useState(() => {
+    const saved = sessionStorage.get(STORAGE_KEYS.PRODUCT_LIST_STATE);
+    return saved && saved.query === searchParams.toString() ? saved.scrollY : null;
+  });
+  const pendingScrollRef = useRef(pendingScroll);
+  const listTopRef = useRef(null);
+  const sentinelRef = useRef(null);
 
-  // Available filter options
-  const categories = [
-    { value: '', label: 'All Categories' },
-    { value: 'real-estate', label: 'Real Estate' },
-    { value: 'agriculture', label: 'Agriculture' },
-    { value: 'technology', label: 'Technology' },
-    { value: 'manufacturing', label: 'Manufacturing' },
-    { value: 'energy', label: 'Energy' }
-  ];
+  // Back/forward changed the search; show it in the box unless it is just
+  // the trimmed form of what is being typed
+  if (filters.search !== syncedSearch) {
+    setSyncedSearch(filters.search);
+    if (filters.search !== searchInput.trim()) setSearchInput(filters.search);
+  }
 
-  const riskLevels = [
-    { value: '', label: 'All Risk Levels' },
-    { value: 'low', label: 'Low Risk' },
-    { value: 'medium', label: 'Medium Risk' },
-    { value: 'high', label: 'High Risk' }
-  ];
+  // Change the list state through the URL
+  const updateListState = useCallback((update, options) => {
+    setSearchParams((current) => toProductListParams(update(parseProductListParams(current))), options);
+  }, [setSearchParams]);
+
+  // Infinite mode: one more page, without a history entry per page
+  const loadMore = useCallback(() => {
+    updateListState((state) => ({ ...state, page: state.page + 1 }), { replace: true });
+  }, [updateListState]);
+
+  // Categories come from the investment service, so new ones show up
+  // without a release
+  const { data: categoryList, error: categoriesError } = useQuery(
+    QUERY_KEYS.PRODUCT_CATEGORIES,
+    ({ signal }) => investmentClient.getCategories({ signal }),
+    { staleTime: CATEGORIES_STALE_TIME }
+  );
+  const knownCategories = categoryList?.length ? categoryList : FALLBACK_CATEGORIES;
+  // A link may spell the category differently (real-estate vs real_estate);
+  // the service is always sent its own spelling
+  const matchedCategory = findCategory(knownCategories, filters.category);
+  const selectedCategory = matchedCategory
+    || (filters.category ? { id: filters.category, name: filters.category, count: null } : null);
+  const categoriesSettled = categoryList !== undefined || Boolean(categoriesError);
 
   const sortOptions = [
     { value: 'expectedReturn', label: 'Expected Return' },
@@ -44,179 +185,213 @@ const ProductGrid = ({ onProductClick, initialFilters = {} }) => {
     { value: 'name', label: 'Name' }
   ];
 
-  // Fetch products
-  const fetchProducts = async () => {
-    try {
-      setLoading(true);
-      setError(null);
-    
-      // Use direct fetch to bypass axios issues
-      const params = new URLSearchParams();
-      params.append('status', 'active');
-      params.append('page', '1');
-      params.append('page_size', '20');
-      
-      if (filters.sortBy) {
-        const sortMapping = {
-          'expectedReturn': 'expected_annual_return',
-          'minimumInvestment': 'minimum_investment',
-          'duration': 'investment_duration_months',
-          'name': 'name'
-        };
-        params.append('sort_by', sortMapping[filters.sortBy] || filters.sortBy);
-      }
-      if (filters.sortOrder) {
-        params.append('sort_order', filters.sortOrder);
-      }
-      
-      const url = `${import.meta.env.VITE_INVESTMENT_SERVICE_URL}/products/?${params.toString()}`;
-      
-      // Get auth token if available
-      const token = localStorage.getItem('africa_access_token');
-      const headers = {
-        'Accept': 'application/json',
-        'Content-Type': 'application/json',
-      };
-      
-      if (token) {
-        headers['Authorization'] = `Bearer ${token}`;
-      }
-      
-      const response = await fetch(url, {
-        method: 'GET',
-        headers,
-        mode: 'cors',
-        credentials: 'omit', // Don't send cookies
-      });
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      
-      const data = await response.json();
-      
-      // Handle the API response structure: { products: [...], total, page, page_size, total_pages }
-      const productsData = data.products || [];
-      setProducts(productsData);
-    } catch (err) {
-      console.error('Error fetching products:', err);
-      
-      let errorMessage = 'Failed to load investment products';
-      
-      if (err.name === 'TypeError' && err.message.includes('fetch')) {
-        errorMessage = 'Network error. Please check your connection and try again.';
-      } else if (err.message.includes('HTTP 404')) {
-        errorMessage = 'Investment service not found. Please contact support.';
-      } else if (err.message.includes('HTTP 500')) {
-        errorMessage = 'Investment service error. Please try again later.';
-      } else if (err.message.includes('CORS')) {
-        errorMessage = 'Cross-origin request blocked. Please contact support.';
-      } else {
-        errorMessage = err.message || 'Failed to load investment products';
-      }
-      
-      setError(errorMessage);
-    } finally {
-      setLoading(false);
-    }
-  };
+  // Filtering, sorting and paging happen on the server
+  const listParams = useMemo(() => ({
+    search: filters.search,
+    category: selectedCategory?.id || '',
+    riskLevel: filters.riskLevel,
+    sortBy: filters.sortBy,
+    sortOrder: filters.sortOrder
+  }), [filters, selectedCategory?.id]);
+
+  const isInfinite = viewMode === PRODUCT_VIEW_MODES.INFINITE;
 
-  // Client-side filtering and sorting
-  const filteredAndSortedProducts = useMemo(() => {
-    let filtered = [...products];
+  // The first page shown decides whether there is anything to show at all;
+  // the last one whether more can be loaded. In page mode they are the same.
+  // In infinite mode the last page is only asked for once the first one tells
+  // how many there are, so a link with a page past the end loads nothing extra.
+  // A category filter waits for the category list so it is sent in the right spelling
+  const pageOptions = { enabled: !filters.category || categoriesSettled };
+  const firstPage = useProductPage(listParams, isInfinite ? 1 : page, pageOptions);
+  const lastShownPage = isInfinite
+    ? (firstPage.data ? Math.min(page, firstPage.data.totalPages) : 1)
+    : page;
+  const lastPage = useProductPage(listParams, lastShownPage, pageOptions);
+  const { isAvailable } = useServiceHealth();
 
-    // Apply client-side filters
-    if (filters.category) {
-      filtered = filtered.filter(product => product.category === filters.category);
+  // Facet counts reflect the other active filters; without them the category
+  // list's own totals are shown
+  const facets = firstPage.data?.facets;
+  const categories = [
+    { value: '', label: 'All Categories' },
+    // Keep an unknown category from a link selectable rather than silently dropping it
+    ...(matchedCategory || !selectedCategory ? knownCategories : [...knownCategories, selectedCategory])
+      .map(category => ({
+        value: category.id,
+        label: withCount(
+          getCategoryLabel(category),
+          facets ? facets.categories[category.id] ?? 0 : category.count
+        )
+      }))
+  ];
+
+  const riskLevels = [
+    { value: '', label: 'All Risk Levels' },
+    ...RISK_LEVEL_OPTIONS.map(level => ({
+      value: level.value,
+      label: withCount(level.label, facets ? facets.riskLevels[level.value] ?? 0 : null)
+    }))
+  ];
+
+  // Chips for the filters narrowing the list
+  const activeFilters = [
+    filters.search && { key: 'search', label: `"${filters.search}"` },
+    selectedCategory && { key: 'category', label: getCategoryLabel(selectedCategory) },
+    filters.riskLevel && {
+      key: 'riskLevel',
+      label: RISK_LEVEL_OPTIONS.find(level => level.value === filters.riskLevel)?.label || filters.riskLevel
     }
+  ].filter(Boolean);
 
-    if (filters.riskLevel) {
-      filtered = filtered.filter(product => product.riskLevel === filters.riskLevel);
+  // A page of mapped products: { products, total, page, pageSize, totalPages }
+  const total = firstPage.data?.total ?? 0;
+  const totalPages = lastPage.data?.totalPages ?? firstPage.data?.totalPages ?? 1;
+  const loading = firstPage.data === undefined && !firstPage.error;
+  const error = firstPage.error && firstPage.data === undefined
+    ? getProductsErrorMessage(firstPage.error)
+    : null;
+  const canLoadMore = isInfinite && lastPage.data !== undefined && lastShownPage < totalPages;
+
+  // A shared link or an old bookmark may point past the end of the list
+  const availablePages = firstPage.data?.totalPages;
+  useEffect(() => {
+    if (availablePages && page > availablePages) {
+      updateListState((state) => ({ ...state, page: availablePages }), { replace: true });
     }
+  }, [availablePages, page, updateListState]);
 
-    // Apply client-side sorting
-    filtered.sort((a, b) => {
-      let aValue = a[filters.sortBy];
-      let bValue = b[filters.sortBy];
+  // Infinite mode: load the next page as the end of the list comes into view.
+  // The "Load more" button covers browsers without IntersectionObserver.
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!canLoadMore || !sentinel || typeof IntersectionObserver === 'undefined') return;
 
-      // Handle string sorting
-      if (typeof aValue === 'string') {
-        aValue = aValue.toLowerCase();
-        bValue = bValue.toLowerCase();
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        loadMore();
       }
+    }, { rootMargin: '200px' });
+    observer.observe(sentinel);
 
-      if (filters.sortOrder === 'asc') {
-        return aValue > bValue ? 1 : -1;
-      } else {
-        return aValue < bValue ? 1 : -1;
-      }
-    });
+    return () => observer.disconnect();
+  }, [canLoadMore, loadMore]);
+
+  // Apply the search once typing pauses. Starting a search adds a history
+  // entry; refining one replaces it, so back doesn't step through every word.
+  useEffect(() => {
+    const search = searchInput.trim();
+    if (search === filters.search) return;
+
+    const timer = setTimeout(() => {
+      updateListState(
+        (state) => ({ ...state, filters: { ...state.filters, search }, page: 1 }),
+        { replace: Boolean(filters.search && search) }
+      );
+    }, UI_CONFIG.DEBOUNCE_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [searchInput, filters.search, updateListState]);
 
-    return filtered;
-  }, [products, filters]);
+  // Back from a product: scroll to where the user was once every page is shown
+  const handleLastPageShown = useCallback(() => {
+    if (pendingScrollRef.current === null) return;
 
-  // Load products on mount and filter changes
+    window.scrollTo(0, pendingScrollRef.current);
+    pendingScrollRef.current = null;
+  }, []);
+
+  // The saved position is only good for the first visit back
   useEffect(() => {
-    fetchProducts();
-  }, []); // Only fetch on mount, use client-side filtering for real-time updates
+    sessionStorage.remove(STORAGE_KEYS.PRODUCT_LIST_STATE);
+  }, []);
 
   // Handle filter changes
   const handleFilterChange = (key, value) => {
-    setFilters(prev => ({
-      ...prev,
-      [key]: value
-    }));
+    updateListState((state) => ({ ...state, filters: { ...state.filters, [key]: value }, page: 1 }));
   };
 
   // Handle sort order toggle
   const toggleSortOrder = () => {
-    setFilters(prev => ({
-      ...prev,
-      sortOrder: prev.sortOrder === 'asc' ? 'desc' : 'asc'
-    }));
+    handleFilterChange('sortOrder', filters.sortOrder === 'asc' ? 'desc' : 'asc');
   };
 
-  // Reset filters
+  // Reset filters, keeping the sort order
   const resetFilters = () => {
-    setFilters({
-      category: '',
-      riskLevel: '',
-      sortBy: 'expectedReturn',
-      sortOrder: 'desc'
-    });
+    setSearchInput('');
+    updateListState((state) => ({
+      ...state,
+      filters: { ...DEFAULT_PRODUCT_FILTERS, sortBy: state.filters.sortBy, sortOrder: state.filters.sortOrder },
+      page: 1
+    }));
+  };
+
+  // Switch between numbered pages and infinite scroll
+  const handleViewModeChange = (mode) => {
+    updateListState((state) => ({ ...state, viewMode: mode, page: 1 }));
+  };
+
+  // Show another page from its top
+  const handlePageChange = (nextPage) => {
+    updateListState((state) => ({ ...state, page: nextPage }));
+    listTopRef.current?.scrollIntoView?.({ behavior: 'smooth', block: 'start' });
+  };
+
+  // Drop one filter from the chip bar
+  const removeFilter = (key) => {
+    if (key === 'search') setSearchInput('');
+    handleFilterChange(key, '');
+  };
+
+  // Apply a saved preset in place of the current filters
+  const applyPreset = (preset) => {
+    setSearchInput(preset.filters.search || '');
+    updateListState((state) => ({
+      ...state,
+      filters: { ...DEFAULT_PRODUCT_FILTERS, ...preset.filters },
+      page: 1
+    }));
+  };
+
+  // Save the current filters under a name
+  const handleSavePreset = (event) => {
+    event.preventDefault();
+    savePreset(presetName, filters);
+    setPresetName('');
   };
 
   // Handle retry
   const handleRetry = () => {
-    fetchProducts();
+    firstPage.refetch();
+    if (lastPage.error) lastPage.refetch();
   };
 
-  // Handle product click
+  // Handle product click, remembering the list so coming back lands in the same place
   const handleProductClick = (productSlug) => {
+    sessionStorage.set(STORAGE_KEYS.PRODUCT_LIST_STATE, {
+      query: searchParams.toString(),
+      scrollY: window.scrollY
+    });
+
     if (onProductClick) {
       onProductClick(productSlug);
     }
   };
 
-  if (loading) {
-    return (
-      <div className="flex items-center justify-center py-12">
-        <LoadingSpinner size="lg" />
+  return (
+    <div className="space-y-6" ref={listTopRef}>
+      {/* Search */}
+      <div className="relative">
+        <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-secondary-400" />
+        <input
+          type="search"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+          placeholder="Search investment products"
+          aria-label="Search investment products"
+          className="w-full pl-10 pr-3 py-3 border border-secondary-300 rounded-lg text-sm min-h-[44px] focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+        />
       </div>
-    );
-  }
-
-  if (error) {
-    return (
-      <ErrorMessage
-        message={error}
-        onRetry={handleRetry}
-      />
-    );
-  }
 
-  return (
-    <div className="space-y-6">
       {/* Filter and Sort Controls */}
       <div className="flex flex-col sm:flex-row gap-4 items-start sm:items-center justify-between">
         <div className="flex items-center gap-2">
@@ -230,16 +405,6 @@ const ProductGrid = ({ onProductClick, initialFilters = {} }) => {
             Filters
           </Button>
           
-          {(filters.category || filters.riskLevel) && (
-            <Button
-              variant="secondary"
-              size="sm"
-              onClick={resetFilters}
-              className="text-error-600 hover:text-error-700"
-            >
-              Clear
-            </Button>
-          )}
         </div>
 
         <div className="flex items-center gap-2">
@@ -276,6 +441,17 @@ const ProductGrid = ({ onProductClick, initialFilters = {} }) => {
           >
             <RefreshCw className="h-4 w-4" />
           </Button>
+
+          <Button
+            variant="secondary"
+            size="sm"
+            onClick={() => handleViewModeChange(isInfinite ? PRODUCT_VIEW_MODES.PAGES : PRODUCT_VIEW_MODES.INFINITE)}
+            className="flex items-center gap-1"
+            aria-label={isInfinite ? 'Show numbered pages' : 'Show as one continuous list'}
+            title={isInfinite ? 'Numbered pages' : 'Continuous scrolling'}
+          >
+            {isInfinite ? <LayoutGrid className="h-4 w-4" /> : <List className="h-4 w-4" />}
+          </Button>
         </div>
       </div>
 
@@ -295,7 +471,7 @@ const ProductGrid = ({ onProductClick, initialFilters = {} }) => {
                   Category
                 </label>
                 <select
-                  value={filters.category}
+                  value={selectedCategory?.id || ''}
                   onChange={(e) => handleFilterChange('category', e.target.value)}
                   className="w-full px-3 py-3 border border-secondary-300 rounded-lg text-sm min-h-[44px] focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
                 >
@@ -324,61 +500,181 @@ const ProductGrid = ({ onProductClick, initialFilters = {} }) => {
                 </select>
               </div>
             </div>
+
+            {/* Saved Presets */}
+            {user && (
+              <div className="mt-4 pt-4 border-t border-secondary-200">
+                <p className="text-sm font-medium text-secondary-700 mb-2">
+                  Saved filters
+                </p>
+                {presets.length > 0 && (
+                  <div className="flex flex-wrap gap-2 mb-3">
+                    {presets.map(preset => (
+                      <span
+                        key={preset.id}
+                        className="inline-flex items-center rounded-full border border-secondary-300 bg-white text-sm"
+                      >
+                        <button
+                          type="button"
+                          onClick={() => applyPreset(preset)}
+                          className="flex items-center gap-1 pl-3 pr-2 py-1 text-secondary-700 hover:text-primary-700"
+                        >
+                          <Bookmark className="h-3 w-3" />
+                          {preset.name}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => deletePreset(preset.id)}
+                          className="pr-2 py-1 text-secondary-400 hover:text-error-600"
+                          aria-label={`Delete preset ${preset.name}`}
+                        >
+                          <Trash2 className="h-3 w-3" />
+                        </button>
+                      </span>
+                    ))}
+                  </div>
+                )}
+                <form onSubmit={handleSavePreset} className="flex gap-2">
+                  <input
+                    type="text"
+                    value={presetName}
+                    onChange={(e) => setPresetName(e.target.value)}
+                    placeholder="Name these filters"
+                    aria-label="Preset name"
+                    maxLength={40}
+                    className="flex-1 px-3 py-2 border border-secondary-300 rounded-lg text-sm min-h-[44px] focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                  />
+                  <Button type="submit" variant="secondary" size="sm" disabled={!presetName.trim()}>
+                    Save
+                  </Button>
+                </form>
+              </div>
+            )}
           </motion.div>
         )}
       </AnimatePresence>
 
-      {/* Results Count */}
-      <div className="flex items-center justify-between">
-        <p className="text-sm text-secondary-600">
-          {filteredAndSortedProducts.length} {filteredAndSortedProducts.length === 1 ? 'product' : 'products'} found
-        </p>
-        
-      </div>
-
-      {/* Products Grid */}
-      {filteredAndSortedProducts.length === 0 ? (
-        <div className="text-center py-12">
-          <AlertCircle className="h-12 w-12 text-secondary-400 mx-auto mb-4" />
-          <h3 className="text-lg font-medium text-secondary-900 mb-2">
-            No products found
-          </h3>
-          <p className="text-secondary-600 mb-4">
-            Try adjusting your filters or check back later for new investment opportunities.
-          </p>
-          <Button
-            variant="secondary"
+      {/* Active Filters */}
+      {activeFilters.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          {activeFilters.map(chip => (
+            <span
+              key={chip.key}
+              className="inline-flex items-center gap-1 rounded-full bg-primary-50 border border-primary-200 pl-3 pr-1 py-1 text-sm text-primary-800"
+            >
+              {chip.label}
+              <button
+                type="button"
+                onClick={() => removeFilter(chip.key)}
+                className="rounded-full p-1 hover:bg-primary-100"
+                aria-label={`Remove filter ${chip.label}`}
+              >
+                <X className="h-3 w-3" />
+              </button>
+            </span>
+          ))}
+          <button
+            type="button"
             onClick={resetFilters}
+            className="text-sm font-medium text-error-600 hover:text-error-700 px-2"
           >
-            Clear Filters
-          </Button>
+            Clear all
+          </button>
         </div>
-      ) : (
-        <motion.div
-          layout
-          className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 md:gap-6"
-        >
-          <AnimatePresence>
-            {filteredAndSortedProducts.map((product, index) => (
-              <motion.div
-                key={product.id}
-                layout
-                initial={{ opacity: 0, y: 20 }}
-                animate={{ opacity: 1, y: 0 }}
-                exit={{ opacity: 0, y: -20 }}
-                transition={{ 
-                  duration: 0.3,
-                  delay: index * 0.05 // Stagger animation
-                }}
+      )}
+
+      {loading && (
+        <div className="flex items-center justify-center py-12">
+          <LoadingSpinner size="lg" />
+        </div>
+      )}
+
+      {error && (
+        !isAvailable(SERVICES.INVESTMENT) ? (
+          <ServiceUnavailable service={SERVICES.INVESTMENT} onRetry={handleRetry} />
+        ) : (
+          <ErrorMessage
+            message={error}
+            onRetry={handleRetry}
+          />
+        )
+      )}
+
+      {firstPage.data && (
+        <>
+          {/* Results Count */}
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-secondary-600">
+              {total} {total === 1 ? 'product' : 'products'} found
+            </p>
+            {!isInfinite && totalPages > 1 && (
+              <p className="text-sm text-secondary-500">
+                Page {page} of {totalPages}
+              </p>
+            )}
+          </div>
+
+          {/* Products Grid */}
+          {total === 0 ? (
+            <div className="text-center py-12">
+              <AlertCircle className="h-12 w-12 text-secondary-400 mx-auto mb-4" />
+              <h3 className="text-lg font-medium text-secondary-900 mb-2">
+                No products found
+              </h3>
+              <p className="text-secondary-600 mb-4">
+                Try adjusting your filters or check back later for new investment opportunities.
+              </p>
+              <Button
+                variant="secondary"
+                onClick={resetFilters}
               >
-                <ProductCard
-                  product={product}
-                  onClick={handleProductClick}
+                Clear Filters
+              </Button>
+            </div>
+          ) : (
+            <motion.div
+              layout
+              className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 md:gap-6"
+            >
+              <AnimatePresence>
+                <ProductPageItems
+                  key={isInfinite ? 1 : page}
+                  params={listParams}
+                  page={isInfinite ? 1 : page}
+                  lastPage={lastShownPage}
+                  onProductClick={handleProductClick}
+                  onLastPageShown={handleLastPageShown}
                 />
-              </motion.div>
-            ))}
-          </AnimatePresence>
-        </motion.div>
+              </AnimatePresence>
+            </motion.div>
+          )}
+
+          {/* Paging */}
+          {isInfinite ? (
+            <div ref={sentinelRef} className="flex flex-col items-center gap-2 py-4">
+              {lastPage.data === undefined && !lastPage.error && <LoadingSpinner size="md" />}
+              {lastPage.error && (
+                <>
+                  <InlineError message={getProductsErrorMessage(lastPage.error)} />
+                  <Button variant="secondary" size="sm" onClick={lastPage.refetch}>
+                    Try Again
+                  </Button>
+                </>
+              )}
+              {canLoadMore && (
+                <Button variant="secondary" onClick={loadMore}>
+                  Load more
+                </Button>
+              )}
+            </div>
+          ) : (
+            <Pagination
+              page={page}
+              totalPages={totalPages}
+              onPageChange={handlePageChange}
+            />
+          )}
+        </>
       )}
     </div>
   );
@@ -0,0 +1,215 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { MemoryRouter, useLocation } from 'react-router-dom';
+import ProductGrid from './ProductGrid';
+import useAuth from '../../hooks/useAuth';
+import investmentClient from '../../api/investmentClient';
+import { mapProductPage } from '../../api/mappers';
+import { clearQueryCache } from '../../services/queryCache';
+import { resetServiceHealth } from '../../services/serviceHealth';
+import authClient from '../../api/authClient';
+import subscriptionClient from '../../api/subscriptionClient';
+import { PAGINATION } from '../../utils/constants';
+
+vi.mock('../../hooks/useAuth');
+
+const pageSize = PAGINATION.PRODUCTS_PAGE_SIZE;
+const TOTAL = pageSize * 2 + 3;
+
+// A server page of TOTAL products
+const productPage = ({ page }) => {
+  const start = (page - 1) * pageSize;
+  const count = Math.min(pageSize, TOTAL - start);
+
+  return mapProductPage({
+    products: Array.from({ length: count }, (_, index) => ({
+      id: `product-${start + index + 1}`,
+      slug: `product-${start + index + 1}`,
+      name: `Product ${start + index + 1}`,
+      category: 'agriculture',
+      risk_level: 'low',
+      expected_annual_return: '10',
+      minimum_investment: '1000',
+      investment_duration_months: 12,
+    })),
+    total: TOTAL,
+    page,
+    page_size: pageSize,
+    total_pages: Math.ceil(TOTAL / pageSize),
+  });
+};
+
+const LocationDisplay = () => {
+  const location = useLocation();
+  return <p data-testid="location">{location.search}</p>;
+};
+
+const renderGrid = (url = '/investments/products', props = {}) => render(
+  <MemoryRouter initialEntries={[url]}>
+    <ProductGrid {...props} />
+    <LocationDisplay />
+  </MemoryRouter>
+);
+
+describe('ProductGrid', () => {
+  beforeEach(() => {
+    clearQueryCache();
+    useAuth.mockReturnValue({ user: { id: 'user-1' } });
+    sessionStorage.getItem.mockReturnValue(null);
+    vi.spyOn(investmentClient, 'getProducts').mockImplementation(async (filters) => productPage(filters));
+    vi.spyOn(investmentClient, 'getCategories').mockResolvedValue([
+      { id: 'agriculture', name: 'Agriculture', count: 4 },
+      { id: 'real_estate', name: 'Real Estate', count: 2 },
+    ]);
+    const healthy = { status: 'up', message: '', checkedAt: null };
+    vi.spyOn(authClient, 'healthCheck').mockResolvedValue(healthy);
+    vi.spyOn(subscriptionClient, 'healthCheck').mockResolvedValue(healthy);
+    vi.spyOn(investmentClient, 'healthCheck').mockResolvedValue(healthy);
+  });
+
+  afterEach(() => {
+    resetServiceHealth();
+    vi.restoreAllMocks();
+  });
+
+  it('asks the server for one page and pages through the rest', async () => {
+    renderGrid();
+
+    expect(await screen.findByText('Product 1')).toBeInTheDocument();
+    expect(screen.getByText(`${TOTAL} products found`)).toBeInTheDocument();
+    expect(investmentClient.getProducts).toHaveBeenCalledWith(
+      expect.objectContaining({ page: 1, pageSize }),
+      expect.anything()
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: 'Page 3' }));
+
+    expect(await screen.findByText(`Product ${TOTAL}`)).toBeInTheDocument();
+    expect(screen.queryByText('Product 1')).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Page 3' })).toHaveAttribute('aria-current', 'page');
+  });
+
+  it('appends pages in infinite mode until everything is loaded', async () => {
+    renderGrid();
+    await screen.findByText('Product 1');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Show as one continuous list' }));
+    fireEvent.click(await screen.findByRole('button', { name: 'Load more' }));
+    expect(await screen.findByText(`Product ${pageSize + 1}`)).toBeInTheDocument();
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Load more' }));
+    expect(await screen.findByText(`Product ${TOTAL}`)).toBeInTheDocument();
+
+    expect(screen.getByText('Product 1')).toBeInTheDocument();
+    await waitFor(() => {
+      expect(screen.queryByRole('button', { name: 'Load more' })).not.toBeInTheDocument();
+    });
+  }, 15000);
+
+  it('loads only the pages that exist, one after another, for a link past the end', async () => {
+    renderGrid('/investments/products?view=infinite&page=300');
+
+    expect(await screen.findByText(`Product ${TOTAL}`)).toBeInTheDocument();
+    await waitFor(() => expect(screen.getByTestId('location')).toHaveTextContent('page=3'));
+
+    const requestedPages = investmentClient.getProducts.mock.calls.map(([filters]) => filters.page);
+    expect(Math.max(...requestedPages)).toBe(3);
+    expect(new Set(requestedPages)).toEqual(new Set([1, 2, 3]));
+  }, 15000);
+
+  it('remembers the page when a product is opened', async () => {
+    const onProductClick = vi.fn();
+    renderGrid('/investments/products', { onProductClick });
+    await screen.findByText('Product 1');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Page 2' }));
+    fireEvent.click(await screen.findByText(`Product ${pageSize + 1}`));
+
+    expect(onProductClick).toHaveBeenCalledWith(`product-${pageSize + 1}`);
+    expect(sessionStorage.setItem).toHaveBeenCalledWith(
+      'africa_product_list_state',
+      expect.stringContaining('"query":"page=2"')
+    );
+  });
+
+  it('reads filters from the URL and writes changes back to it', async () => {
+    renderGrid('/investments/products?q=solar&risk=low&sort=name&order=asc');
+
+    await screen.findByText('Product 1');
+    expect(investmentClient.getProducts).toHaveBeenCalledWith(
+      expect.objectContaining({ search: 'solar', riskLevel: 'low', sortBy: 'name', sortOrder: 'asc', page: 1 }),
+      expect.anything()
+    );
+    expect(screen.getByLabelText('Search investment products')).toHaveValue('solar');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Remove filter Low Risk' }));
+    expect(screen.getByTestId('location')).toHaveTextContent('?q=solar&sort=name&order=asc');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Clear all' }));
+    expect(screen.getByTestId('location')).toHaveTextContent('?sort=name&order=asc');
+    expect(screen.getByLabelText('Search investment products')).toHaveValue('');
+  });
+
+  it('applies the search once typing pauses', async () => {
+    renderGrid();
+    await screen.findByText('Product 1');
+
+    fireEvent.change(screen.getByLabelText('Search investment products'), { target: { value: 'avocado ' } });
+
+    await waitFor(() => {
+      expect(screen.getByTestId('location')).toHaveTextContent('?q=avocado');
+    });
+    expect(screen.getByLabelText('Search investment products')).toHaveValue('avocado ');
+  });
+
+  it('saves the current filters as a preset and applies it later', async () => {
+    renderGrid('/investments/products?category=agriculture');
+    await screen.findByText('Product 1');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Filters' }));
+    fireEvent.change(screen.getByLabelText('Preset name'), { target: { value: 'Farms' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+    fireEvent.click(screen.getByRole('button', { name: 'Clear all' }));
+    expect(screen.getByTestId('location')).toHaveTextContent(/^$/);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Farms' }));
+    expect(screen.getByTestId('location')).toHaveTextContent('?category=agriculture');
+  });
+
+  it('lists categories from the service with facet counts', async () => {
+    investmentClient.getCategories.mockResolvedValue([
+      { id: 'agriculture', name: 'agriculture', count: 4 },
+      { id: 'cold_storage', name: 'cold_storage', count: 1 },
+    ]);
+    investmentClient.getProducts.mockImplementation(async (filters) => ({
+      ...productPage(filters),
+      facets: { categories: { agriculture: 3 }, riskLevels: { low: 2, high: 1 } },
+    }));
+    renderGrid();
+    await screen.findByText('Product 1');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Filters' }));
+
+    expect(await screen.findByRole('option', { name: 'Cold Storage (0)' })).toBeInTheDocument();
+    expect(screen.getByRole('option', { name: 'Agriculture (3)' })).toBeInTheDocument();
+    expect(screen.getByRole('option', { name: 'Low Risk (2)' })).toBeInTheDocument();
+    expect(screen.getByRole('option', { name: 'Medium Risk (0)' })).toBeInTheDocument();
+  });
+
+  it('sends the service its own spelling of a category from a link', async () => {
+    renderGrid('/investments/products?category=real-estate');
+    await screen.findByText('Product 1');
+
+    expect(investmentClient.getProducts).toHaveBeenCalledWith(
+      expect.objectContaining({ category: 'real_estate' }),
+      expect.anything()
+    );
+    expect(investmentClient.getProducts).not.toHaveBeenCalledWith(
+      expect.objectContaining({ category: 'real-estate' }),
+      expect.anything()
+    );
+    expect(screen.getByRole('button', { name: 'Remove filter Real Estate' })).toBeInTheDocument();
+  });
+});
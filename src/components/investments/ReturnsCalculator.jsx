@@ -0,0 +1,247 @@
+import React, { useMemo, useState } from 'react';
+import { Calculator, Download } from 'lucide-react';
+import Card from '../common/Card';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import {
+  formatCurrency,
+  formatPercentage,
+  formatDuration,
+  validateInvestmentAmount
+} from '../../utils/investmentHelpers';
+import {
+  PAYOUT_MODES,
+  MAX_PROJECTION_MONTHS,
+  buildReturnSchedule,
+  scheduleToCsv
+} from '../../utils/returnsSchedule';
+
+const PAYOUT_OPTIONS = [
+  { value: PAYOUT_MODES.MONTHLY, label: 'Monthly payouts' },
+  { value: PAYOUT_MODES.COMPOUND, label: 'Compound returns' }
+];
+
+const PERIOD_OPTIONS = [
+  { value: 'yearly', label: 'Year by year' },
+  { value: 'monthly', label: 'Month by month' }
+];
+
+const validateMonths = (value) => {
+  const months = Number(value);
+  if (!Number.isInteger(months) || months < 1) {
+    return 'Please enter a duration of at least one month';
+  }
+  if (months > MAX_PROJECTION_MONTHS) {
+    return `Duration can be at most ${MAX_PROJECTION_MONTHS} months`;
+  }
+  return null;
+};
+
+// validateInvestmentAmount reads the leading number only ("1000abc" passes);
+// the schedule needs the whole input to be a number
+const validateAmount = (value, product) => {
+  if (!Number.isFinite(Number(value))) {
+    return 'Please enter a valid investment amount';
+  }
+  return validateInvestmentAmount(Number(value), product.minimumInvestment, product.maximumInvestment).error;
+};
+
+// Pair of buttons picking one option, styled like a segmented control
+const OptionToggle = ({ label, options, value, onChange }) => (
+  <div role="group" aria-label={label} className="inline-flex rounded-lg border border-secondary-300 p-0.5">
+    {options.map(option => (
+      <button
+        key={option.value}
+        type="button"
+        onClick={() => onChange(option.value)}
+        aria-pressed={value === option.value}
+        className={`px-3 py-1.5 text-sm rounded-md transition-colors ${
+          value === option.value
+            ? 'bg-primary-600 text-white'
+            : 'text-secondary-700 hover:bg-secondary-100'
+        }`}
+      >
+        {option.label}
+      </button>
+    ))}
+  </div>
+);
+
+/**
+ * Interactive projection of an investment in a product: the user picks an
+ * amount, a duration and whether returns are paid out monthly or compounded,
+ * and sees the totals and a year-by-year or month-by-month schedule that can
+ * be downloaded as CSV. Variable-rate products apply the rate of each year.
+ * @param {Object} props
+ * @param {Object} props.product - Product being viewed
+ */
+const ReturnsCalculator = ({ product }) => {
+  const [amount, setAmount] = useState(product.minimumInvestment > 0 ? String(product.minimumInvestment) : '');
+  const [months, setMonths] = useState(String(product.duration > 0 ? product.duration : 12));
+  const [payoutMode, setPayoutMode] = useState(PAYOUT_MODES.MONTHLY);
+  const [period, setPeriod] = useState('yearly');
+
+  const currency = product.currency;
+  const amountError = amount === '' ? null : validateAmount(amount, product);
+  const monthsError = months === '' ? null : validateMonths(months);
+
+  const schedule = useMemo(() => {
+    if (amount === '' || months === '' || amountError || monthsError) return null;
+    return buildReturnSchedule(product, { amount, months, payoutMode });
+  }, [product, amount, months, payoutMode, amountError, monthsError]);
+
+  const handleDownload = () => {
+    const blob = new Blob([scheduleToCsv(schedule, { period, currency })], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${product.slug}-returns-${period}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const rows = schedule ? (period === 'monthly' ? schedule.months : schedule.years) : [];
+  const isCompound = payoutMode === PAYOUT_MODES.COMPOUND;
+
+  return (
+    <Card>
+      <div className="flex items-center gap-2 mb-4">
+        <Calculator className="h-5 w-5 text-primary-600" />
+        <h2 className="text-lg font-semibold text-secondary-900">
+          Returns Calculator
+        </h2>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+        <Input
+          id="returns-calculator-amount"
+          type="number"
+          label={`Amount (${currency})`}
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+          error={amountError}
+          min={product.minimumInvestment || 0}
+          max={product.maximumInvestment > 0 ? product.maximumInvestment : undefined}
+          step="any"
+          inputMode="decimal"
+        />
+        <Input
+          id="returns-calculator-months"
+          type="number"
+          label="Duration (months)"
+          value={months}
+          onChange={(e) => setMonths(e.target.value)}
+          error={monthsError}
+          min={1}
+          max={MAX_PROJECTION_MONTHS}
+          step={1}
+          inputMode="numeric"
+        />
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <OptionToggle
+          label="What happens to returns"
+          options={PAYOUT_OPTIONS}
+          value={payoutMode}
+          onChange={setPayoutMode}
+        />
+        <OptionToggle
+          label="Schedule period"
+          options={PERIOD_OPTIONS}
+          value={period}
+          onChange={setPeriod}
+        />
+      </div>
+
+      {schedule ? (
+        <>
+          {/* Totals */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+            <div className="p-3 bg-secondary-50 rounded-lg">
+              <p className="text-xs text-secondary-500">Invested</p>
+              <p className="font-semibold text-secondary-900">{formatCurrency(schedule.totals.amount, currency)}</p>
+              <p className="text-xs text-secondary-500">for {formatDuration(schedule.totals.months)}</p>
+            </div>
+            <div className="p-3 bg-success-50 rounded-lg">
+              <p className="text-xs text-secondary-500">Total returns</p>
+              <p className="font-semibold text-success-600">{formatCurrency(schedule.totals.totalReturns, currency)}</p>
+              <p className="text-xs text-secondary-500">{formatPercentage(schedule.totals.returnOnInvestment)} of the amount</p>
+            </div>
+            <div className="p-3 bg-primary-50 rounded-lg">
+              <p className="text-xs text-secondary-500">{isCompound ? 'Final balance' : 'Paid out'}</p>
+              <p className="font-semibold text-primary-600">
+                {formatCurrency(isCompound ? schedule.totals.finalBalance : schedule.totals.totalPayouts, currency)}
+              </p>
+              {!isCompound && (
+                <p className="text-xs text-secondary-500">
+                  {formatCurrency(schedule.months[0].payout, currency)} in the first month
+                </p>
+              )}
+            </div>
+            <div className="p-3 bg-secondary-50 rounded-lg">
+              <p className="text-xs text-secondary-500">Total value</p>
+              <p className="font-semibold text-secondary-900">{formatCurrency(schedule.totals.totalValue, currency)}</p>
+              <p className="text-xs text-secondary-500">amount back plus returns</p>
+            </div>
+          </div>
+
+          {/* Schedule */}
+          <div className="max-h-96 overflow-auto border border-secondary-200 rounded-lg">
+            <table className="w-full min-w-[32rem] text-sm">
+              <thead className="sticky top-0 bg-secondary-50">
+                <tr className="text-left text-secondary-600">
+                  <th scope="col" className="px-3 py-2 font-medium">{period === 'monthly' ? 'Month' : 'Year'}</th>
+                  <th scope="col" className="px-3 py-2 font-medium">Rate</th>
+                  <th scope="col" className="px-3 py-2 font-medium text-right">Returns</th>
+                  <th scope="col" className="px-3 py-2 font-medium text-right">{isCompound ? 'Balance' : 'Paid out'}</th>
+                  <th scope="col" className="px-3 py-2 font-medium text-right">Cumulative returns</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr key={period === 'monthly' ? row.month : row.year} className="border-t border-secondary-100">
+                    <td className="px-3 py-2 text-secondary-900">
+                      {period === 'monthly' ? row.month : `Year ${row.year}`}
+                      {period === 'yearly' && row.months < 12 && (
+                        <span className="text-xs text-secondary-500"> ({formatDuration(row.months)})</span>
+                      )}
+                    </td>
+                    <td className="px-3 py-2 text-secondary-600">{formatPercentage(row.annualRate)}</td>
+                    <td className="px-3 py-2 text-right text-success-600">{formatCurrency(row.returns, currency)}</td>
+                    <td className="px-3 py-2 text-right text-secondary-900">
+                      {formatCurrency(isCompound ? row.closingBalance : row.payout, currency)}
+                    </td>
+                    <td className="px-3 py-2 text-right text-secondary-900">{formatCurrency(row.cumulativeReturns, currency)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 mt-4">
+            <p className="text-xs text-secondary-600">
+              * Rates are annual; each month earns a twelfth of its year's rate.
+              {product.useVariableRates && ' Yearly rates follow the product\'s published schedule.'}
+            </p>
+            <Button
+              variant="secondary"
+              size="sm"
+              onClick={handleDownload}
+              className="flex items-center gap-2 flex-shrink-0"
+            >
+              <Download className="h-4 w-4" />
+              Download schedule (CSV)
+            </Button>
+          </div>
+        </>
+      ) : (
+        <p className="text-sm text-secondary-600">
+          Enter an amount and a duration to see the projection.
+        </p>
+      )}
+    </Card>
+  );
+};
+
+export default ReturnsCalculator;
@@ -3,4 +3,7 @@ export { default as ProductCard } from './ProductCard';
 export { default as ProductGrid } from './ProductGrid';
 export { default as ProductDetail } from './ProductDetail';
 export { default as InquiryForm } from './InquiryForm';
-export { default as InquiryList } from './InquiryList';
\ No newline at end of file
+export { default as InquiryList } from './InquiryList';
+export { default as CompareTray } from './CompareTray';
+export { default as ProductComparison } from './ProductComparison';
+export { default as ReturnsCalculator } from './ReturnsCalculator';
\ No newline at end of file
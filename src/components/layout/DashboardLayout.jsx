@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import Header from './Header';
 import Sidebar from './Sidebar';
+import CompareTray from '../investments/CompareTray';
 
 const DashboardLayout = ({ children, className = '' }) => {
   const [isSidebarOpen, setIsSidebarOpen] = useState(false);
@@ -98,6 +99,9 @@ const DashboardLayout = ({ children, className = '' }) => {
         </main>
       </div>
 
+      {/* Products picked for comparison */}
+      <CompareTray />
+
       {/* Mobile Sidebar Toggle Button (Floating Action Button) */}
       {isMobile && !isSidebarOpen && (
         <motion.button
@@ -11,13 +11,17 @@ import {
   User,
   Settings,
   HelpCircle,
-  LogOut
+  LogOut,
+  ShieldCheck
 } from 'lucide-react';
 import useAuth from '../../hooks/useAuth';
+import useAdminAccess from '../../hooks/useAdminAccess';
+import { PERMISSIONS } from '../../utils/constants';
 
 const Sidebar = ({ isOpen, onClose }) => {
   const location = useLocation();
-  const { user, logout, getUserName, getUserInitials, isKYCApproved, getKYCStatus } = useAuth();
+  const { user, logout, getUserName, getUserInitials, isKYCApproved, getKYCStatus, can } = useAuth();
+  const { isAdmin } = useAdminAccess();
 
   // Navigation links
   const navigationLinks = [
@@ -31,7 +35,7 @@ const Sidebar = ({ isOpen, onClose }) => {
       name: 'Dashboard', 
       href: '/dashboard', 
       icon: LayoutDashboard,
-      description: 'Event attendees list'
+      description: can(PERMISSIONS.VIEW_USERS) ? 'Event attendees list' : 'Your overview'
     },
     { 
       name: 'Investments', 
@@ -56,8 +60,13 @@ const Sidebar = ({ isOpen, onClose }) => {
       icon: User,
       description: 'Account settings'
     },
-   
-  
+    // Only shown to users whose token grants admin access
+    ...(isAdmin ? [{
+      name: 'Admin',
+      href: '/admin',
+      icon: ShieldCheck,
+      description: 'Manage users'
+    }] : []),
   ];
 
   // Check if current path is active
@@ -43,6 +43,12 @@ const OnboardingProgress = ({ className = '' }) => {
       completed: steps.phoneVerified,
       isCurrent: currentStep === 'phone_verification'
     },
+    {
+      key: 'email',
+      label: 'Email Verified',
+      completed: steps.emailVerified,
+      isCurrent: currentStep === 'email_verification'
+    },
     {
       key: 'profile',
       label: 'Profile Complete',
@@ -3,6 +3,8 @@ import { motion } from 'framer-motion';
 import { CheckCircle, ArrowRight, User, CreditCard, Gift } from 'lucide-react';
 import ProfileCompletionForm from '../profile/ProfileCompletionForm';
 import subscriptionClient from '../../api/subscriptionClient';
+import { invalidateQueries, QUERY_KEYS } from '../../services/queryCache';
+import useIdempotencyKey from '../../hooks/useIdempotencyKey';
 import useAuth from '../../hooks/useAuth';
 import Button from '../common/Button';
 import Card from '../common/Card';
@@ -20,6 +22,8 @@ const SimpleKYCOnboarding = ({ onComplete }) => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [freeTierActivated, setFreeTierActivated] = useState(false);
+  // Repeated clicks share one key so only one trial is started
+  const idempotency = useIdempotencyKey();
 
   const steps = [
     {
@@ -71,7 +75,8 @@ const SimpleKYCOnboarding = ({ onComplete }) => {
       setLoading(true);
       setError(null);
 
-      const response = await subscriptionClient.startFreeTrial();
+      const response = await subscriptionClient.startFreeTrial({ idempotencyKey: idempotency.getKey() });
+      invalidateQueries(QUERY_KEYS.MY_SUBSCRIPTION);
       
       if (response.success) {
         setFreeTierActivated(true);
@@ -4,6 +4,8 @@ import { useNavigate } from 'react-router-dom';
 import { CheckCircle, ArrowRight, User, Gift, Sparkles, Clock } from 'lucide-react';
 import ProfileCompletionForm from '../profile/ProfileCompletionForm';
 import subscriptionClient from '../../api/subscriptionClient';
+import { invalidateQueries, QUERY_KEYS } from '../../services/queryCache';
+import useIdempotencyKey from '../../hooks/useIdempotencyKey';
 import useAuth from '../../hooks/useAuth';
 import Button from '../common/Button';
 import Card from '../common/Card';
@@ -12,16 +14,18 @@ import LoadingSpinner from '../common/LoadingSpinner';
 
 /**
  * StreamlinedOnboarding Component
- * Implements the new flow: Register → Phone Verification → Profile Completion → Free Trial → Dashboard Access
+ * Implements the new flow: Register → Phone Verification → Email Verification → Profile Completion → Free Trial → Dashboard Access
  */
 const StreamlinedOnboarding = () => {
-  const { user, updateUser, isPhoneVerified } = useAuth();
+  const { user, updateUser, isPhoneVerified, isEmailVerified } = useAuth();
   const navigate = useNavigate();
   const [currentStep, setCurrentStep] = useState(1);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [profileCompleted, setProfileCompleted] = useState(false);
   const [freeTrialActivated, setFreeTrialActivated] = useState(false);
+  // Repeated clicks share one key so only one trial is started
+  const idempotency = useIdempotencyKey();
 
   // Determine initial step based on user status
   useEffect(() => {
@@ -33,11 +37,16 @@ const StreamlinedOnboarding = () => {
       return;
     }
 
-    if (user.profile_completed || user.profileCompleted) {
+    if (!isEmailVerified()) {
+      navigate('/verify-email');
+      return;
+    }
+
+    if (user.profileCompleted) {
       setProfileCompleted(true);
       setCurrentStep(2); // Skip to free trial step
     }
-  }, [user, isPhoneVerified, navigate]);
+  }, [user, isPhoneVerified, isEmailVerified, navigate]);
 
   const steps = [
     {
@@ -70,7 +79,7 @@ const StreamlinedOnboarding = () => {
       setError(null);
 
       // Update user data to reflect profile completion
-      updateUser({ profile_completed: true, profileCompleted: true });
+      updateUser({ profileCompleted: true });
       
       setProfileCompleted(true);
       setCurrentStep(2);
@@ -94,18 +103,19 @@ const StreamlinedOnboarding = () => {
       setLoading(true);
       setError(null);
 
-      const response = await subscriptionClient.startFreeTrial();
+      const response = await subscriptionClient.startFreeTrial({ idempotencyKey: idempotency.getKey() });
+      invalidateQueries(QUERY_KEYS.MY_SUBSCRIPTION);
       
       console.log('Free trial response:', response);
       
-      if (response && (response.success || response.status === 'success' || response.message)) {
+      if (response.success) {
         setFreeTrialActivated(true);
         setCurrentStep(3);
         
         // Update user data to reflect trial activation
         updateUser({ 
-          subscription_status: 'trial',
-          has_active_subscription: true 
+          subscriptionStatus: 'trial',
+          hasActiveSubscription: true
         });
         
         // Auto-redirect to dashboard after showing success
@@ -113,7 +123,7 @@ const StreamlinedOnboarding = () => {
           navigate('/dashboard');
         }, 3000);
       } else {
-        throw new Error(response?.message || 'Failed to activate free trial');
+        throw new Error(response.message || 'Failed to activate free trial');
       }
       
     } catch (err) {
@@ -4,13 +4,24 @@ import { DollarSign, AlertCircle, CheckCircle, Info } from 'lucide-react';
 import Button from '../common/Button';
 import Card from '../common/Card';
 import investmentClient from '../../api/investmentClient';
+import useMutation from '../../hooks/useMutation';
+import useIdempotencyKey from '../../hooks/useIdempotencyKey';
+import { QUERY_KEYS } from '../../services/queryCache';
 
 const WithdrawalForm = ({ availableBalance = 0, onSuccess, onCancel }) => {
   const [amount, setAmount] = useState('');
   const [reason, setReason] = useState('');
-  const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
 
+  // A withdrawal changes the available balance and the withdrawal history
+  const { mutate: createWithdrawal, isLoading: loading } = useMutation(
+    (withdrawalData, options) => investmentClient.createWithdrawal(withdrawalData, options),
+    { invalidates: [QUERY_KEYS.PORTFOLIO] }
+  );
+  // Resubmitting the same withdrawal (double click, retry after an error) reuses the key,
+  // so the server never creates it twice
+  const idempotency = useIdempotencyKey();
+
   // Format currency
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', {
@@ -69,8 +80,6 @@ const WithdrawalForm = ({ availableBalance = 0, onSuccess, onCancel }) => {
       return;
     }
 
-    setLoading(true);
-    
     try {
       const numericAmount = parseCurrency(amount);
       const withdrawalData = {
@@ -78,10 +87,13 @@ const WithdrawalForm = ({ availableBalance = 0, onSuccess, onCancel }) => {
         reason: reason.trim() || undefined,
       };
 
-      const response = await investmentClient.createWithdrawal(withdrawalData);
+      const response = await createWithdrawal(withdrawalData, {
+        idempotencyKey: idempotency.getKey(withdrawalData),
+      });
+      idempotency.renew();
       
       // Call success callback with withdrawal request ID
-      onSuccess?.(response.id || response);
+      onSuccess?.(response.id);
       
       // Reset form
       setAmount('');
@@ -92,7 +104,9 @@ const WithdrawalForm = ({ availableBalance = 0, onSuccess, onCancel }) => {
       console.error('Withdrawal request failed:', error);
       
       // Handle different error types
-      if (error.response?.status === 400) {
+      if (error.type === 'offline') {
+        setErrors({ submit: error.message });
+      } else if (error.response?.status === 400) {
         const errorData = error.response.data;
         if (errorData.detail) {
           setErrors({ submit: errorData.detail });
@@ -108,8 +122,6 @@ const WithdrawalForm = ({ availableBalance = 0, onSuccess, onCancel }) => {
       } else {
         setErrors({ submit: 'Failed to submit withdrawal request. Please try again.' });
       }
-    } finally {
-      setLoading(false);
     }
   };
 
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import { motion } from 'framer-motion';
 import { 
   Clock, 
@@ -15,12 +15,26 @@ import Card from '../common/Card';
 import Button from '../common/Button';
 import LoadingSpinner from '../common/LoadingSpinner';
 import ErrorMessage from '../common/ErrorMessage';
+import ServiceUnavailable from '../common/ServiceUnavailable';
+import useServiceHealth from '../../hooks/useServiceHealth';
+import { SERVICES } from '../../services/serviceHealth';
 import investmentClient from '../../api/investmentClient';
+import useQuery from '../../hooks/useQuery';
+import { QUERY_KEYS } from '../../services/queryCache';
+
+const getWithdrawalsErrorMessage = (error) => {
+  const status = error.status ?? error.response?.status;
+
+  if (status === 401) {
+    return 'Your session has expired. Please log in again.';
+  }
+  if (status === 403) {
+    return 'You do not have permission to view withdrawal history.';
+  }
+  return 'Failed to load withdrawal history. Please try again.';
+};
 
 const WithdrawalHistory = () => {
-  const [withdrawals, setWithdrawals] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
   const [filterStatus, setFilterStatus] = useState('all');
   const [sortBy, setSortBy] = useState('requestedAt');
   const [sortOrder, setSortOrder] = useState('desc');
@@ -86,41 +100,30 @@ const WithdrawalHistory = () => {
     return configs[status] || configs.pending;
   };
 
-  // Fetch withdrawals
-  const fetchWithdrawals = async () => {
-    try {
-      setLoading(true);
-      setError(null);
-      
-      const filters = {
-        sortBy,
-        sortOrder,
-      };
-      
-      if (filterStatus !== 'all') {
-        filters.status = filterStatus;
-      }
-      
-      const response = await investmentClient.getWithdrawals(filters);
-      setWithdrawals(response.data || response || []);
-    } catch (error) {
-      console.error('Failed to fetch withdrawals:', error);
-      
-      if (error.response?.status === 401) {
-        setError('Your session has expired. Please log in again.');
-      } else if (error.response?.status === 403) {
-        setError('You do not have permission to view withdrawal history.');
-      } else {
-        setError('Failed to load withdrawal history. Please try again.');
-      }
-    } finally {
-      setLoading(false);
-    }
-  };
+  // Withdrawals for the current filter and sort, cached per combination
+  const filters = { sortBy, sortOrder };
+  if (filterStatus !== 'all') {
+    filters.status = filterStatus;
+  }
+
+  const {
+    data: response,
+    error: fetchError,
+    isLoading,
+    isFetching,
+    refetch,
+  } = useQuery(
+    [...QUERY_KEYS.WITHDRAWALS, filters],
+    ({ signal }) => investmentClient.getWithdrawals(filters, { signal })
+  );
+  const withdrawals = response || [];
+  const loading = isLoading || (isFetching && !response);
+  const error = fetchError && !response ? getWithdrawalsErrorMessage(fetchError) : null;
+  const { isAvailable } = useServiceHealth();
 
   // Handle retry
   const handleRetry = () => {
-    fetchWithdrawals();
+    refetch();
   };
 
   // Handle filter change
@@ -138,11 +141,6 @@ const WithdrawalHistory = () => {
     }
   };
 
-  // Load withdrawals on component mount and when filters change
-  useEffect(() => {
-    fetchWithdrawals();
-  }, [filterStatus, sortBy, sortOrder]);
-
   if (loading) {
     return (
       <Card className="text-center py-12">
@@ -155,7 +153,11 @@ const WithdrawalHistory = () => {
   if (error) {
     return (
       <Card>
-        <ErrorMessage message={error} onRetry={handleRetry} />
+        {isAvailable(SERVICES.INVESTMENT) ? (
+          <ErrorMessage message={error} onRetry={handleRetry} />
+        ) : (
+          <ServiceUnavailable service={SERVICES.INVESTMENT} onRetry={handleRetry} />
+        )}
       </Card>
     );
   }
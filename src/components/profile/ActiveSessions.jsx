@@ -0,0 +1,198 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Monitor, Smartphone, Tablet, MapPin, LogOut } from 'lucide-react';
+import useAuth from '../../hooks/useAuth';
+import authClient from '../../api/authClient';
+import { isRequestCancelled } from '../../api/baseClient';
+import useRequestController from '../../hooks/useRequestController';
+import Button from '../common/Button';
+import LoadingSpinner from '../common/LoadingSpinner';
+import ErrorMessage from '../common/ErrorMessage';
+import { formatRelativeTime } from '../../utils/formatters';
+
+const DEVICE_ICONS = {
+  mobile: Smartphone,
+  tablet: Tablet,
+  desktop: Monitor,
+};
+
+/**
+ * Devices signed in to the account, with per-session and account-wide sign out
+ */
+const ActiveSessions = () => {
+  const { logout } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [revokingId, setRevokingId] = useState(null);
+  const [revokingAll, setRevokingAll] = useState(false);
+
+  const beginRequest = useRequestController();
+
+  const loadSessions = useCallback(async () => {
+    const signal = beginRequest();
+    setLoading(true);
+    setError('');
+
+    try {
+      const data = await authClient.getSessions({ signal });
+      // Current device first, then most recently active
+      const sorted = [...data].sort((a, b) => (
+        Number(b.isCurrent) - Number(a.isCurrent) ||
+        new Date(b.lastActive || 0) - new Date(a.lastActive || 0)
+      ));
+      setSessions(sorted);
+    } catch (err) {
+      if (isRequestCancelled(err)) return;
+
+      console.error('Failed to load sessions:', err);
+      setError('We couldn\'t load your active sessions. Please try again.');
+    } finally {
+      if (!signal.aborted) {
+        setLoading(false);
+      }
+    }
+  }, [beginRequest]);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const handleRevoke = async (sessionId) => {
+    setRevokingId(sessionId);
+    setError('');
+
+    try {
+      await authClient.revokeSession(sessionId);
+      setSessions(prev => prev.filter(session => session.id !== sessionId));
+    } catch (err) {
+      console.error('Failed to revoke session:', err);
+      setError('We couldn\'t sign out that session. Please try again.');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    setRevokingAll(true);
+    setError('');
+
+    try {
+      await authClient.revokeAllSessions({ keepCurrent: true });
+      setSessions(prev => prev.filter(session => session.isCurrent));
+    } catch (err) {
+      console.error('Failed to revoke sessions:', err);
+      setError('We couldn\'t sign out your other sessions. Please try again.');
+    } finally {
+      setRevokingAll(false);
+    }
+  };
+
+  const handleSignOutEverywhere = async () => {
+    const confirmed = window.confirm('Sign out on every device, including this one?');
+    if (!confirmed) return;
+
+    setRevokingAll(true);
+    setError('');
+
+    try {
+      await authClient.revokeAllSessions({ keepCurrent: false });
+      await logout(true);
+    } catch (err) {
+      console.error('Failed to sign out everywhere:', err);
+      setError('We couldn\'t sign out everywhere. Please try again.');
+      setRevokingAll(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <LoadingSpinner size="md" />
+      </div>
+    );
+  }
+
+  const otherSessions = sessions.filter(session => !session.isCurrent);
+
+  return (
+    <div className="space-y-4">
+      {error && (
+        <ErrorMessage message={error} onRetry={sessions.length === 0 ? loadSessions : undefined} />
+      )}
+
+      <ul className="divide-y divide-secondary-200 border border-secondary-200 rounded-lg">
+        {sessions.map((session) => {
+          const Icon = DEVICE_ICONS[session.deviceType] || Monitor;
+
+          return (
+            <li key={session.id} className="flex items-center justify-between p-4">
+              <div className="flex items-start space-x-3 min-w-0">
+                <Icon className="w-5 h-5 text-secondary-500 flex-shrink-0 mt-0.5" />
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-secondary-900 truncate">
+                    {session.name}
+                    {session.isCurrent && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-success-100 text-success-700">
+                        This device
+                      </span>
+                    )}
+                  </p>
+                  {session.detail && (
+                    <p className="text-xs text-secondary-600">{session.detail}</p>
+                  )}
+                  <p className="flex items-center text-xs text-secondary-500 mt-1">
+                    <MapPin className="w-3 h-3 mr-1" />
+                    {session.location}
+                    {session.ipAddress && ` · ${session.ipAddress}`}
+                    {session.lastActive && !session.isCurrent && ` · Active ${formatRelativeTime(session.lastActive)}`}
+                    {session.isCurrent && ' · Active now'}
+                  </p>
+                </div>
+              </div>
+
+              {!session.isCurrent && (
+                <Button
+                  variant="secondary"
+                  size="sm"
+                  onClick={() => handleRevoke(session.id)}
+                  loading={revokingId === session.id}
+                  disabled={revokingId !== null || revokingAll}
+                  className="ml-4 flex-shrink-0"
+                >
+                  Sign out
+                </Button>
+              )}
+            </li>
+          );
+        })}
+
+        {sessions.length === 0 && !error && (
+          <li className="p-4 text-sm text-secondary-600">No active sessions found.</li>
+        )}
+      </ul>
+
+      <div className="flex flex-wrap gap-3">
+        {otherSessions.length > 0 && (
+          <Button
+            variant="secondary"
+            onClick={handleRevokeOthers}
+            loading={revokingAll}
+            disabled={revokingAll || revokingId !== null}
+          >
+            Sign out other sessions
+          </Button>
+        )}
+        <Button
+          variant="danger"
+          onClick={handleSignOutEverywhere}
+          disabled={revokingAll || revokingId !== null}
+        >
+          <LogOut className="w-4 h-4 mr-2" />
+          Sign out everywhere
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default ActiveSessions;
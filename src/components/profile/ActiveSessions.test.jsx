@@ -0,0 +1,95 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import ActiveSessions from './ActiveSessions';
+import useAuth from '../../hooks/useAuth';
+import authClient from '../../api/authClient';
+
+vi.mock('../../hooks/useAuth');
+vi.mock('../../api/authClient', () => ({
+  default: {
+    getSessions: vi.fn(),
+    revokeSession: vi.fn(),
+    revokeAllSessions: vi.fn(),
+  },
+}));
+
+const mockLogout = vi.fn();
+
+const SESSIONS = [
+  {
+    id: 'other',
+    name: 'Safari on iOS',
+    detail: '',
+    deviceType: 'mobile',
+    location: 'Nairobi, Kenya',
+    ipAddress: '41.90.0.1',
+    lastActive: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+    isCurrent: false,
+  },
+  {
+    id: 'current',
+    name: 'Chrome on Windows',
+    detail: '',
+    deviceType: 'desktop',
+    location: 'Lagos, Nigeria',
+    ipAddress: null,
+    lastActive: null,
+    isCurrent: true,
+  },
+];
+
+describe('ActiveSessions', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    useAuth.mockReturnValue({ logout: mockLogout });
+    authClient.getSessions.mockResolvedValue(SESSIONS);
+  });
+
+  it('lists sessions with the current device first', async () => {
+    render(<ActiveSessions />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Safari on iOS')).toBeInTheDocument();
+    });
+
+    const items = screen.getAllByRole('listitem');
+    expect(items[0]).toHaveTextContent('Chrome on Windows');
+    expect(items[0]).toHaveTextContent('This device');
+    expect(items[1]).toHaveTextContent('Nairobi, Kenya');
+    expect(items[1]).toHaveTextContent('41.90.0.1');
+  });
+
+  it('signs out a single other session', async () => {
+    authClient.revokeSession.mockResolvedValue({});
+    render(<ActiveSessions />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Safari on iOS')).toBeInTheDocument();
+    });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Sign out' }));
+
+    await waitFor(() => {
+      expect(authClient.revokeSession).toHaveBeenCalledWith('other');
+      expect(screen.queryByText('Safari on iOS')).not.toBeInTheDocument();
+    });
+  });
+
+  it('signs out everywhere, including this device, after confirmation', async () => {
+    authClient.revokeAllSessions.mockResolvedValue({});
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    render(<ActiveSessions />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Safari on iOS')).toBeInTheDocument();
+    });
+
+    fireEvent.click(screen.getByRole('button', { name: /Sign out everywhere/ }));
+
+    await waitFor(() => {
+      expect(authClient.revokeAllSessions).toHaveBeenCalledWith({ keepCurrent: false });
+      expect(mockLogout).toHaveBeenCalledWith(true);
+    });
+  });
+});
@@ -0,0 +1,192 @@
+import React, { useState } from 'react';
+import { ArrowLeft } from 'lucide-react';
+import authClient from '../../api/authClient';
+import useAuth from '../../hooks/useAuth';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import PhoneInputWithCountry from '../common/PhoneInputWithCountry';
+import OtpInput from '../auth/OtpInput';
+import { validateEmail, validatePhoneNumber } from '../../utils/validators';
+import { getOtpErrorMessage } from '../../utils/errorHelpers';
+import { SUCCESS_MESSAGES } from '../../utils/constants';
+
+const EMPTY_CODE = ['', '', '', '', '', ''];
+
+const CHANNELS = {
+  email: {
+    label: 'New email address',
+    validate: validateEmail,
+    verifiedField: 'emailVerified',
+    successMessage: SUCCESS_MESSAGES.EMAIL_CHANGED,
+    sentTo: 'We\'ve emailed a 6-digit code to',
+  },
+  phone: {
+    label: 'New phone number',
+    validate: validatePhoneNumber,
+    verifiedField: 'phoneVerified',
+    successMessage: SUCCESS_MESSAGES.PHONE_CHANGED,
+    sentTo: 'We\'ve sent a 6-digit code by SMS to',
+  },
+};
+
+/**
+ * Change the account email or phone number.
+ * The new value only replaces the current one after the OTP sent to it is confirmed.
+ * @param {'email'|'phone'} channel - Which identifier to change
+ * @param {string} currentValue - The identifier in use today
+ */
+const ChangeContactForm = ({ channel, currentValue, onSuccess, onCancel }) => {
+  const { updateUser } = useAuth();
+  const config = CHANNELS[channel];
+  const [step, setStep] = useState('enter');
+  const [value, setValue] = useState('');
+  const [code, setCode] = useState(EMPTY_CODE);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleRequest = async (e) => {
+    e.preventDefault();
+
+    const newValue = value.trim();
+    const validation = config.validate(newValue);
+    if (!validation.isValid) {
+      setError(validation.message);
+      return;
+    }
+    if (newValue.toLowerCase() === (currentValue || '').toLowerCase()) {
+      setError(`That is already your ${channel === 'email' ? 'email address' : 'phone number'}.`);
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      await authClient.requestContactChange(channel, newValue);
+      setValue(newValue);
+      setCode(EMPTY_CODE);
+      setStep('verify');
+    } catch (err) {
+      console.error(`Failed to start ${channel} change:`, err);
+      setError(getOtpErrorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+
+    const otp = code.join('');
+    if (otp.length !== 6) {
+      setError('Please enter the complete 6-digit code');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const user = await authClient.confirmContactChange(channel, value, otp);
+      updateUser({ ...user, [channel]: value, [config.verifiedField]: true });
+      onSuccess?.(config.successMessage);
+    } catch (err) {
+      console.error(`Failed to confirm ${channel} change:`, err);
+      setError(getOtpErrorMessage(err));
+      setCode(EMPTY_CODE);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (step === 'verify') {
+    return (
+      <form onSubmit={handleConfirm} className="space-y-6">
+        <div className="text-center">
+          <p className="text-secondary-600">{config.sentTo}</p>
+          <p className="text-secondary-900 font-medium break-all">{value}</p>
+          <p className="text-sm text-secondary-500 mt-2">
+            Your current {channel === 'email' ? 'email address' : 'phone number'} stays active until you confirm.
+          </p>
+        </div>
+
+        {error && (
+          <div className="bg-error-50 border border-error-200 rounded-lg p-4 text-error-700 text-sm" role="alert">
+            {error}
+          </div>
+        )}
+
+        <OtpInput
+          value={code}
+          onChange={(newCode) => { setCode(newCode); setError(''); }}
+          error={!!error}
+          disabled={loading}
+          autoFocus
+        />
+
+        <div className="flex justify-between">
+          <Button
+            type="button"
+            variant="secondary"
+            onClick={() => { setStep('enter'); setError(''); }}
+            disabled={loading}
+          >
+            <ArrowLeft className="w-4 h-4 mr-2" />
+            Back
+          </Button>
+          <Button type="submit" loading={loading} disabled={loading}>
+            Confirm change
+          </Button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <form onSubmit={handleRequest} className="space-y-6">
+      {currentValue && (
+        <p className="text-sm text-secondary-600">
+          Current: <span className="font-medium text-secondary-900">{currentValue}</span>
+        </p>
+      )}
+
+      {channel === 'phone' ? (
+        <PhoneInputWithCountry
+          label={config.label}
+          value={value}
+          onChange={(e) => { setValue(e.target.value); setError(''); }}
+          error={error}
+          required
+          disabled={loading}
+          defaultCountry="KE"
+        />
+      ) : (
+        <Input
+          type="email"
+          label={config.label}
+          value={value}
+          onChange={(e) => { setValue(e.target.value); setError(''); }}
+          error={error}
+          required
+          disabled={loading}
+          autoComplete="email"
+        />
+      )}
+
+      <p className="text-sm text-secondary-500">
+        We'll send a verification code to the new {channel === 'email' ? 'address' : 'number'} before making the change.
+      </p>
+
+      <div className="flex justify-end space-x-3">
+        <Button type="button" variant="secondary" onClick={onCancel} disabled={loading}>
+          Cancel
+        </Button>
+        <Button type="submit" loading={loading} disabled={loading}>
+          Send code
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default ChangeContactForm;
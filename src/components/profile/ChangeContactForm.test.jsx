@@ -0,0 +1,81 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import ChangeContactForm from './ChangeContactForm';
+import useAuth from '../../hooks/useAuth';
+import authClient from '../../api/authClient';
+
+vi.mock('../../hooks/useAuth');
+vi.mock('../../api/authClient', () => ({
+  default: {
+    requestContactChange: vi.fn(),
+    confirmContactChange: vi.fn(),
+  },
+}));
+
+const mockUpdateUser = vi.fn();
+
+const enterCode = (code) => {
+  fireEvent.paste(screen.getByLabelText('Verification code digit 1'), {
+    clipboardData: { getData: () => code },
+  });
+};
+
+describe('ChangeContactForm', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    useAuth.mockReturnValue({ updateUser: mockUpdateUser });
+  });
+
+  it('only applies the new email after the code sent to it is confirmed', async () => {
+    const onSuccess = vi.fn();
+    authClient.requestContactChange.mockResolvedValue({});
+    authClient.confirmContactChange.mockResolvedValue({ id: 1, email: 'new@example.com' });
+    render(<ChangeContactForm channel="email" currentValue="old@example.com" onSuccess={onSuccess} onCancel={vi.fn()} />);
+
+    fireEvent.change(screen.getByLabelText(/New email address/), { target: { value: 'new@example.com' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Send code' }));
+
+    await screen.findByText('new@example.com');
+    expect(authClient.requestContactChange).toHaveBeenCalledWith('email', 'new@example.com');
+    expect(mockUpdateUser).not.toHaveBeenCalled();
+
+    enterCode('654321');
+    fireEvent.click(screen.getByRole('button', { name: 'Confirm change' }));
+
+    await waitFor(() => {
+      expect(authClient.confirmContactChange).toHaveBeenCalledWith('email', 'new@example.com', '654321');
+      expect(mockUpdateUser).toHaveBeenCalledWith(expect.objectContaining({
+        email: 'new@example.com',
+        emailVerified: true,
+      }));
+      expect(onSuccess).toHaveBeenCalled();
+    });
+  });
+
+  it('keeps the current email when the code is wrong', async () => {
+    authClient.requestContactChange.mockResolvedValue({});
+    authClient.confirmContactChange.mockRejectedValue({ status: 400, data: {} });
+    render(<ChangeContactForm channel="email" currentValue="old@example.com" onSuccess={vi.fn()} onCancel={vi.fn()} />);
+
+    fireEvent.change(screen.getByLabelText(/New email address/), { target: { value: 'new@example.com' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Send code' }));
+    await screen.findByText('new@example.com');
+
+    enterCode('000000');
+    fireEvent.click(screen.getByRole('button', { name: 'Confirm change' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Invalid verification code');
+    expect(mockUpdateUser).not.toHaveBeenCalled();
+  });
+
+  it('rejects the address already on the account', () => {
+    render(<ChangeContactForm channel="email" currentValue="old@example.com" onSuccess={vi.fn()} onCancel={vi.fn()} />);
+
+    fireEvent.change(screen.getByLabelText(/New email address/), { target: { value: 'OLD@example.com' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Send code' }));
+
+    expect(screen.getByText('That is already your email address.')).toBeInTheDocument();
+    expect(authClient.requestContactChange).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,226 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { CheckCircle, KeyRound } from 'lucide-react';
+import useAuth from '../../hooks/useAuth';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import ErrorMessage from '../common/ErrorMessage';
+import PasswordStrengthMeter from '../auth/PasswordStrengthMeter';
+import { validatePassword, validatePasswordMatch } from '../../utils/validators';
+import { extractValidationErrors } from '../../utils/errorHelpers';
+
+const EMPTY_FORM = {
+  currentPassword: '',
+  newPassword: '',
+  confirmPassword: '',
+};
+
+/**
+ * Map a failed change-password request to form errors
+ * @param {Object} err - Normalised error from axiosConfig
+ * @returns {Object} Field errors and/or a general error
+ */
+const getChangePasswordErrors = (err) => {
+  const detail = err.data?.detail;
+  const apiMessage = typeof detail === 'string' ? detail : err.data?.message || '';
+  const lowerMessage = apiMessage.toLowerCase();
+
+  if (lowerMessage.includes('current') || lowerMessage.includes('incorrect') || lowerMessage.includes('wrong')) {
+    return { currentPassword: 'Your current password is incorrect' };
+  }
+
+  if (lowerMessage.includes('same') || lowerMessage.includes('reuse') || lowerMessage.includes('previous')) {
+    return { newPassword: apiMessage };
+  }
+
+  if (err.status === 422 && err.data) {
+    const fieldErrors = extractValidationErrors(err.data);
+    const mapped = {};
+    if (fieldErrors.current_password) mapped.currentPassword = fieldErrors.current_password;
+    if (fieldErrors.new_password) mapped.newPassword = fieldErrors.new_password;
+    if (Object.keys(mapped).length > 0) {
+      return mapped;
+    }
+  }
+
+  if (err.status === 400 || err.status === 401) {
+    return { currentPassword: 'Your current password is incorrect' };
+  }
+
+  if (err.type === 'network') {
+    return { general: 'Unable to connect. Please check your internet connection and try again.' };
+  }
+
+  return { general: 'We couldn\'t change your password right now. Please try again in a few moments.' };
+};
+
+const ChangePasswordForm = ({ onSuccess }) => {
+  const { changePassword } = useAuth();
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [revokeOtherSessions, setRevokeOtherSessions] = useState(true);
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [success, setSuccess] = useState(false);
+
+  const handleInputChange = (field) => (e) => {
+    const value = e.target.value;
+    setFormData(prev => ({ ...prev, [field]: value }));
+
+    if (errors[field] || errors.general) {
+      setErrors(prev => ({ ...prev, [field]: null, general: null }));
+    }
+
+    if (success) {
+      setSuccess(false);
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.currentPassword) {
+      newErrors.currentPassword = 'Current password is required';
+    }
+
+    const passwordValidation = validatePassword(formData.newPassword);
+    if (!passwordValidation.isValid) {
+      newErrors.newPassword = passwordValidation.message;
+    } else if (formData.newPassword === formData.currentPassword) {
+      newErrors.newPassword = 'New password must be different from your current password';
+    }
+
+    const matchValidation = validatePasswordMatch(formData.newPassword, formData.confirmPassword);
+    if (!matchValidation.isValid) {
+      newErrors.confirmPassword = matchValidation.message;
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (loading || !validateForm()) {
+      return;
+    }
+
+    setLoading(true);
+    setErrors({});
+
+    try {
+      const result = await changePassword(formData.currentPassword, formData.newPassword, {
+        revokeOtherSessions,
+      });
+
+      setFormData(EMPTY_FORM);
+      setSuccess(true);
+      onSuccess?.(result);
+    } catch (err) {
+      console.error('Password change failed:', err);
+      setErrors(getChangePasswordErrors(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="w-full">
+      {success && (
+        <motion.div
+          initial={{ opacity: 0, scale: 0.95 }}
+          animate={{ opacity: 1, scale: 1 }}
+          className="mb-4 p-4 bg-success-50 border border-success-200 rounded-lg flex items-center"
+        >
+          <CheckCircle className="w-5 h-5 text-success-600 mr-3" />
+          <div>
+            <p className="text-success-800 font-medium">Password changed successfully!</p>
+            <p className="text-success-600 text-sm">
+              {revokeOtherSessions
+                ? 'You have been signed out on all other devices.'
+                : 'Use your new password the next time you sign in.'}
+            </p>
+          </div>
+        </motion.div>
+      )}
+
+      {errors.general && (
+        <div className="mb-4">
+          <ErrorMessage message={errors.general} />
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} noValidate className="space-y-4">
+        <Input
+          type="password"
+          label="Current Password"
+          placeholder="Enter your current password"
+          value={formData.currentPassword}
+          onChange={handleInputChange('currentPassword')}
+          error={errors.currentPassword}
+          disabled={loading}
+          required
+          autoComplete="current-password"
+        />
+
+        <div>
+          <Input
+            type="password"
+            label="New Password"
+            placeholder="Create a new password"
+            value={formData.newPassword}
+            onChange={handleInputChange('newPassword')}
+            error={errors.newPassword}
+            disabled={loading}
+            required
+            autoComplete="new-password"
+          />
+          <PasswordStrengthMeter password={formData.newPassword} />
+        </div>
+
+        <Input
+          type="password"
+          label="Confirm New Password"
+          placeholder="Confirm your new password"
+          value={formData.confirmPassword}
+          onChange={handleInputChange('confirmPassword')}
+          error={errors.confirmPassword}
+          disabled={loading}
+          required
+          autoComplete="new-password"
+        />
+
+        <label className="flex items-start space-x-3 text-sm text-secondary-700">
+          <input
+            type="checkbox"
+            checked={revokeOtherSessions}
+            onChange={(e) => setRevokeOtherSessions(e.target.checked)}
+            disabled={loading}
+            className="mt-0.5 rounded border-secondary-300 text-primary-600 focus:ring-primary-500"
+          />
+          <span>
+            Sign out of all other devices
+            <span className="block text-xs text-secondary-500">
+              Recommended if you think someone else knows your password.
+            </span>
+          </span>
+        </label>
+
+        <div className="flex justify-end pt-2">
+          <Button
+            type="submit"
+            variant="primary"
+            loading={loading}
+            disabled={loading}
+            className="flex items-center"
+          >
+            <KeyRound className="w-4 h-4 mr-2" />
+            {loading ? 'Updating...' : 'Update Password'}
+          </Button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ChangePasswordForm;
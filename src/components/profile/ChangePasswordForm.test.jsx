@@ -0,0 +1,65 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import ChangePasswordForm from './ChangePasswordForm';
+import useAuth from '../../hooks/useAuth';
+
+vi.mock('../../hooks/useAuth');
+
+const mockChangePassword = vi.fn();
+
+const fillForm = ({ current = 'OldPassw0rd!', next = 'NewPassw0rd!', confirm = next } = {}) => {
+  fireEvent.change(screen.getByLabelText(/Current Password/), { target: { value: current } });
+  fireEvent.change(screen.getByLabelText(/^New Password/), { target: { value: next } });
+  fireEvent.change(screen.getByLabelText(/Confirm New Password/), { target: { value: confirm } });
+};
+
+describe('ChangePasswordForm', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    useAuth.mockReturnValue({ changePassword: mockChangePassword });
+  });
+
+  it('rejects a new password identical to the current one', async () => {
+    render(<ChangePasswordForm />);
+
+    fillForm({ current: 'SamePassw0rd!', next: 'SamePassw0rd!' });
+    fireEvent.click(screen.getByRole('button', { name: /Update Password/i }));
+
+    await waitFor(() => {
+      expect(screen.getByText('New password must be different from your current password')).toBeInTheDocument();
+    });
+    expect(mockChangePassword).not.toHaveBeenCalled();
+  });
+
+  it('changes the password and signs out other sessions by default', async () => {
+    mockChangePassword.mockResolvedValue({ success: true });
+    render(<ChangePasswordForm />);
+
+    fillForm();
+    fireEvent.click(screen.getByRole('button', { name: /Update Password/i }));
+
+    await waitFor(() => {
+      expect(mockChangePassword).toHaveBeenCalledWith('OldPassw0rd!', 'NewPassw0rd!', {
+        revokeOtherSessions: true,
+      });
+      expect(screen.getByText('Password changed successfully!')).toBeInTheDocument();
+      expect(screen.getByText('You have been signed out on all other devices.')).toBeInTheDocument();
+    });
+  });
+
+  it('maps an incorrect current password error to the current password field', async () => {
+    mockChangePassword.mockRejectedValue({
+      status: 400,
+      data: { detail: 'Current password is incorrect' },
+    });
+    render(<ChangePasswordForm />);
+
+    fillForm();
+    fireEvent.click(screen.getByRole('button', { name: /Update Password/i }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Your current password is incorrect')).toBeInTheDocument();
+    });
+  });
+});
@@ -0,0 +1,159 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { KeyRound, Plus, Trash2 } from 'lucide-react';
+import authClient from '../../api/authClient';
+import { isRequestCancelled } from '../../api/baseClient';
+import useRequestController from '../../hooks/useRequestController';
+import Button from '../common/Button';
+import LoadingSpinner from '../common/LoadingSpinner';
+import ErrorMessage from '../common/ErrorMessage';
+import { formatRelativeTime } from '../../utils/formatters';
+import { isPasskeySupported, createPasskey, getPasskeyErrorMessage, isPasskeyCancelled } from '../../services/webauthn';
+
+/**
+ * Suggest a name for a new passkey from the current browser
+ * @returns {string} Default passkey name
+ */
+const getDefaultPasskeyName = () => {
+  const userAgent = navigator.userAgent || '';
+
+  if (/iPhone|iPad/.test(userAgent)) return 'iPhone or iPad';
+  if (/Android/.test(userAgent)) return 'Android device';
+  if (/Mac OS X/.test(userAgent)) return 'Mac';
+  if (/Windows/.test(userAgent)) return 'Windows PC';
+  return 'Passkey';
+};
+
+/**
+ * Passkeys on the account: add one for this device, list and remove existing ones
+ */
+const PasskeySettings = () => {
+  const supported = isPasskeySupported();
+  const [passkeys, setPasskeys] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [adding, setAdding] = useState(false);
+  const [removingId, setRemovingId] = useState(null);
+  const [error, setError] = useState('');
+
+  const beginRequest = useRequestController();
+
+  const loadPasskeys = useCallback(async () => {
+    const signal = beginRequest();
+    setLoading(true);
+    setError('');
+
+    try {
+      setPasskeys(await authClient.getPasskeys({ signal }));
+    } catch (err) {
+      if (isRequestCancelled(err)) return;
+
+      console.error('Failed to load passkeys:', err);
+      setError('We couldn\'t load your passkeys. Please try again.');
+    } finally {
+      if (!signal.aborted) {
+        setLoading(false);
+      }
+    }
+  }, [beginRequest]);
+
+  useEffect(() => {
+    loadPasskeys();
+  }, [loadPasskeys]);
+
+  const handleAdd = async () => {
+    setAdding(true);
+    setError('');
+
+    try {
+      const options = await authClient.getPasskeyRegistrationOptions();
+      const credential = await createPasskey(options);
+      const passkey = await authClient.registerPasskey(credential, getDefaultPasskeyName());
+      setPasskeys(prev => [...prev, passkey]);
+    } catch (err) {
+      // Closing the browser prompt is a choice, not an error
+      if (!isPasskeyCancelled(err)) {
+        console.error('Failed to add passkey:', err);
+        setError(getPasskeyErrorMessage(err));
+      }
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const handleRemove = async (passkeyId) => {
+    const confirmed = window.confirm('Remove this passkey? You won\'t be able to sign in with it any more.');
+    if (!confirmed) return;
+
+    setRemovingId(passkeyId);
+    setError('');
+
+    try {
+      await authClient.deletePasskey(passkeyId);
+      setPasskeys(prev => prev.filter(passkey => passkey.id !== passkeyId));
+    } catch (err) {
+      console.error('Failed to remove passkey:', err);
+      setError('We couldn\'t remove that passkey. Please try again.');
+    } finally {
+      setRemovingId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-secondary-600 max-w-md">
+        Sign in with your fingerprint, face or device PIN instead of typing your password.
+      </p>
+
+      {!supported && (
+        <div className="p-4 bg-secondary-50 border border-secondary-200 rounded-lg text-sm text-secondary-700">
+          This browser doesn't support passkeys. You can still sign in with your password.
+        </div>
+      )}
+
+      {error && (
+        <ErrorMessage message={error} />
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <LoadingSpinner size="md" />
+        </div>
+      ) : passkeys.length > 0 && (
+        <ul className="divide-y divide-secondary-200 border border-secondary-200 rounded-lg">
+          {passkeys.map((passkey) => (
+            <li key={passkey.id} className="flex items-center justify-between p-4">
+              <div className="flex items-start space-x-3">
+                <KeyRound className="w-5 h-5 text-secondary-500 mt-0.5" />
+                <div>
+                  <p className="text-sm font-medium text-secondary-900">{passkey.name || 'Passkey'}</p>
+                  <p className="text-xs text-secondary-500">
+                    Added {formatRelativeTime(passkey.createdAt)}
+                    {passkey.lastUsedAt && ` · Last used ${formatRelativeTime(passkey.lastUsedAt)}`}
+                  </p>
+                </div>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleRemove(passkey.id)}
+                disabled={removingId !== null}
+                className="p-2 text-secondary-500 hover:text-error-600 transition-colors disabled:opacity-50"
+                title="Remove passkey"
+                aria-label={`Remove ${passkey.name || 'passkey'}`}
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {supported && (
+        <Button onClick={handleAdd} loading={adding} disabled={adding || loading}>
+          <Plus className="w-4 h-4 mr-2" />
+          Add a passkey
+        </Button>
+      )}
+    </div>
+  );
+};
+
+export default PasskeySettings;
@@ -26,7 +26,7 @@ const ProfileCompletionForm = ({ onSuccess, onSkip, loading: externalLoading, sh
   useEffect(() => {
     if (user) {
       setFormData({
-        dateOfBirth: user.date_of_birth ? user.date_of_birth.split('T')[0] : '',
+        dateOfBirth: user.dateOfBirth ? user.dateOfBirth.split('T')[0] : '',
         country: user.country || '',
         city: user.city || '',
         address: user.address || ''
@@ -127,7 +127,7 @@ const ProfileCompletionForm = ({ onSuccess, onSkip, loading: externalLoading, sh
     try {
       // Prepare data for API (convert date to ISO string)
       const updateData = {
-        date_of_birth: new Date(formData.dateOfBirth).toISOString(),
+        dateOfBirth: new Date(formData.dateOfBirth).toISOString(),
         country: formData.country.trim(),
         city: formData.city.trim(),
         address: formData.address.trim()
@@ -136,32 +136,15 @@ const ProfileCompletionForm = ({ onSuccess, onSkip, loading: externalLoading, sh
       // Call API to update profile
       const updatedProfile = await authClient.updateProfile(updateData);
 
-      console.log('Profile update response:', updatedProfile);
-
-      // Check if backend marked profile as completed
-      const backendProfileCompleted = updatedProfile.profile_completed || updatedProfile.profileCompleted;
-      
-      // Update user context - trust backend status if available, otherwise assume completed
-      const profileStatus = backendProfileCompleted !== undefined ? backendProfileCompleted : true;
-      
-      updateUser({
-        ...updatedProfile,
-        profile_completed: profileStatus,
-        profileCompleted: profileStatus
-      });
+      // The backend marks the profile completed once every field is set
+      updateUser(updatedProfile);
 
       // Show success message
       setSuccess(true);
 
-      console.log('Profile completed successfully!', 'Backend status:', backendProfileCompleted, 'Final status:', profileStatus);
-
       // Call success callback after a short delay
       setTimeout(() => {
-        onSuccess?.({
-          ...updatedProfile,
-          profile_completed: profileStatus,
-          profileCompleted: profileStatus
-        });
+        onSuccess?.(updatedProfile);
       }, 1500);
 
     } catch (err) {
@@ -17,12 +17,13 @@ vi.mock('framer-motion', () => ({
 const mockUser = {
   id: '123',
   email: 'test@example.com',
-  full_name: 'John Doe',
-  phone_verified: true,
-  date_of_birth: null,
-  country: null,
-  city: null,
-  address: null
+  fullName: 'John Doe',
+  phoneVerified: true,
+  profileCompleted: false,
+  dateOfBirth: null,
+  country: '',
+  city: '',
+  address: ''
 };
 
 const mockUpdateUser = vi.fn();
@@ -83,7 +84,8 @@ describe('ProfileCompletionForm', () => {
   it('submits form with valid data', async () => {
     const mockUpdatedProfile = {
       ...mockUser,
-      date_of_birth: '1990-01-01T00:00:00Z',
+      profileCompleted: true,
+      dateOfBirth: '1990-01-01T00:00:00Z',
       country: 'Kenya',
       city: 'Nairobi',
       address: '123 Main Street, Westlands'
@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { Save, X, CheckCircle } from 'lucide-react';
-import authClient from '../../api/authClient';
+import { runOrQueue } from '../../services/offlineOutbox';
+import { OUTBOX_OPERATIONS } from '../../services/outboxOperations';
 import useAuth from '../../hooks/useAuth';
 import Button from '../common/Button';
 import Input from '../common/Input';
@@ -16,14 +17,16 @@ const ProfileEditForm = ({ initialData, onSuccess, onCancel }) => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
+  // True when the change was saved offline and will be sent once reconnected
+  const [queued, setQueued] = useState(false);
   const [validationErrors, setValidationErrors] = useState({});
 
   // Initialize form data
   useEffect(() => {
     if (initialData) {
       setFormData({
-        firstName: initialData.firstName || initialData.first_name || '',
-        lastName: initialData.lastName || initialData.last_name || ''
+        firstName: initialData.firstName || '',
+        lastName: initialData.lastName || ''
       });
     }
   }, [initialData]);
@@ -97,6 +100,7 @@ const ProfileEditForm = ({ initialData, onSuccess, onCancel }) => {
     setLoading(true);
     setError(null);
     setSuccess(false);
+    setQueued(false);
 
     try {
       // Prepare data for API
@@ -105,13 +109,20 @@ const ProfileEditForm = ({ initialData, onSuccess, onCancel }) => {
         lastName: formData.lastName.trim()
       };
 
-      // Call API to update profile
-      const updatedProfile = await authClient.updateProfile(updateData);
+      // Call API to update profile, or keep the change for later when offline
+      const { queued: savedOffline, data: updatedProfile } = await runOrQueue(
+        OUTBOX_OPERATIONS.UPDATE_PROFILE,
+        [updateData],
+        { label: 'Profile name change' }
+      );
 
-      // Update user context
-      updateUser(updatedProfile);
+      // Update user context; a queued change updates it when it is sent
+      if (!savedOffline) {
+        updateUser(updatedProfile);
+      }
 
       // Show success message
+      setQueued(savedOffline);
       setSuccess(true);
 
       // Call success callback after a short delay
@@ -145,8 +156,8 @@ const ProfileEditForm = ({ initialData, onSuccess, onCancel }) => {
     // Reset form to initial state
     if (initialData) {
       setFormData({
-        firstName: initialData.firstName || initialData.first_name || '',
-        lastName: initialData.lastName || initialData.last_name || ''
+        firstName: initialData.firstName || '',
+        lastName: initialData.lastName || ''
       });
     }
     
@@ -161,8 +172,8 @@ const ProfileEditForm = ({ initialData, onSuccess, onCancel }) => {
   const hasChanges = () => {
     if (!initialData) return false;
     
-    const originalFirstName = initialData.firstName || initialData.first_name || '';
-    const originalLastName = initialData.lastName || initialData.last_name || '';
+    const originalFirstName = initialData.firstName || '';
+    const originalLastName = initialData.lastName || '';
     
     return (
       formData.firstName.trim() !== originalFirstName ||
@@ -187,8 +198,14 @@ const ProfileEditForm = ({ initialData, onSuccess, onCancel }) => {
         >
           <CheckCircle className="w-5 h-5 text-success-600 mr-3" />
           <div>
-            <p className="text-success-800 font-medium">Profile updated successfully!</p>
-            <p className="text-success-600 text-sm">Your changes have been saved.</p>
+            <p className="text-success-800 font-medium">
+              {queued ? 'Saved offline' : 'Profile updated successfully!'}
+            </p>
+            <p className="text-success-600 text-sm">
+              {queued
+                ? "You're offline. Your changes will be sent when you reconnect."
+                : 'Your changes have been saved.'}
+            </p>
           </div>
         </motion.div>
       )}
@@ -2,17 +2,20 @@ import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { motion } from 'framer-motion';
 import { User, Mail, Phone, Calendar, Shield, Edit, Upload, CheckCircle, Clock, XCircle, Eye, X, FileText, Image as ImageIcon, File } from 'lucide-react';
 import authClient from '../../api/authClient';
+import { isRequestCancelled } from '../../api/baseClient';
+import useRequestController from '../../hooks/useRequestController';
 import useAuth from '../../hooks/useAuth';
 import LoadingSpinner from '../common/LoadingSpinner';
 import ErrorMessage from '../common/ErrorMessage';
 import Button from '../common/Button';
 import Card from '../common/Card';
 
-const ProfileView = ({ onEditProfile }) => {
+const ProfileView = ({ onEditProfile, onChangeContact }) => {
   const { user: contextUser, updateUser } = useAuth();
   const [profile, setProfile] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const beginRequest = useRequestController();
 
   // KYC Document Upload States
   const [documents, setDocuments] = useState({
@@ -76,20 +79,26 @@ const ProfileView = ({ onEditProfile }) => {
 
   // Fetch profile data
   const fetchProfile = useCallback(async () => {
+    const signal = beginRequest();
+
     try {
       setLoading(true);
       setError(null);
       
-      const profileData = await authClient.getProfile();
+      const profileData = await authClient.getProfile({ signal });
       setProfile(profileData);
       
     } catch (err) {
+      if (isRequestCancelled(err)) return;
+
       console.error('Failed to fetch profile:', err);
       setError(err.message || 'Failed to load profile data');
     } finally {
-      setLoading(false);
+      if (!signal.aborted) {
+        setLoading(false);
+      }
     }
-  }, []); // No dependencies to prevent re-creation
+  }, [beginRequest]); // beginRequest is stable, so this is created once
 
   // Load profile data on component mount only
   useEffect(() => {
@@ -366,7 +375,8 @@ const ProfileView = ({ onEditProfile }) => {
     );
   }
 
-  const kycStatus = getKYCStatusInfo(userData.kycStatus || userData.kyc_status);
+  const isEmailVerified = userData.emailVerified === true;
+  const kycStatus = getKYCStatusInfo(userData.kycStatus);
   const KYCIcon = kycStatus.icon;
 
   return (
@@ -385,10 +395,10 @@ const ProfileView = ({ onEditProfile }) => {
             </div>
             <div>
               <h1 className="text-2xl font-bold text-secondary-900">
-                {userData.firstName || userData.first_name} {userData.lastName || userData.last_name}
+                {userData.firstName} {userData.lastName}
               </h1>
               <p className="text-secondary-600">
-                Member since {formatDate(userData.createdAt || userData.created_at)}
+                Member since {formatDate(userData.createdAt)}
               </p>
             </div>
           </div>
@@ -413,7 +423,28 @@ const ProfileView = ({ onEditProfile }) => {
             </div>
             <div>
               <p className="text-sm font-medium text-secondary-700">Email Address</p>
-              <p className="text-secondary-900">{userData.email}</p>
+              <div className="flex items-center flex-wrap gap-2">
+                <p className="text-secondary-900">{userData.email}</p>
+                {isEmailVerified ? (
+                  <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-success-100 text-success-700">
+                    <CheckCircle className="w-3 h-3 mr-1" />
+                    Verified
+                  </span>
+                ) : (
+                  <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-warning-100 text-warning-700">
+                    Not verified
+                  </span>
+                )}
+                {onChangeContact && (
+                  <button
+                    type="button"
+                    onClick={() => onChangeContact('email')}
+                    className="text-xs font-medium text-primary-600 hover:text-primary-700"
+                  >
+                    Change
+                  </button>
+                )}
+              </div>
             </div>
           </div>
 
@@ -426,11 +457,20 @@ const ProfileView = ({ onEditProfile }) => {
               <p className="text-sm font-medium text-secondary-700">Phone Number</p>
               <div className="flex items-center space-x-2">
                 <p className="text-secondary-900">{userData.phone}</p>
-                {userData.isPhoneVerified || userData.is_phone_verified ? (
+                {userData.phoneVerified ? (
                   <CheckCircle className="w-4 h-4 text-success-600" />
                 ) : (
                   <XCircle className="w-4 h-4 text-error-600" />
                 )}
+                {onChangeContact && (
+                  <button
+                    type="button"
+                    onClick={() => onChangeContact('phone')}
+                    className="text-xs font-medium text-primary-600 hover:text-primary-700"
+                  >
+                    Change
+                  </button>
+                )}
               </div>
             </div>
           </div>
@@ -442,7 +482,7 @@ const ProfileView = ({ onEditProfile }) => {
             </div>
             <div>
               <p className="text-sm font-medium text-secondary-700">Account Created</p>
-              <p className="text-secondary-900">{formatDate(userData.createdAt || userData.created_at)}</p>
+              <p className="text-secondary-900">{formatDate(userData.createdAt)}</p>
             </div>
           </div>
         </div>
@@ -470,9 +510,7 @@ const ProfileView = ({ onEditProfile }) => {
         </div>
 
         {/* KYC Benefits */}
-        {(userData.kycStatus === 'not_submitted' || 
-          userData.kyc_status === 'not_submitted' ||
-          !userData.kycStatus && !userData.kyc_status) && (
+        {(!userData.kycStatus || userData.kycStatus === 'not_submitted') && (
           <div className="p-4 bg-primary-50 rounded-lg">
             <h4 className="text-sm font-medium text-primary-900 mb-2">
               Complete your verification to:
@@ -18,25 +18,29 @@ const mockCompleteUser = {
   id: '123',
   email: 'test@example.com',
   phone: '+254712345678',
-  full_name: 'John Doe',
-  phone_verified: true,
-  date_of_birth: '1990-01-01T00:00:00Z',
+  fullName: 'John Doe',
+  firstName: 'John',
+  lastName: 'Doe',
+  phoneVerified: true,
+  dateOfBirth: '1990-01-01T00:00:00Z',
   country: 'Kenya',
   city: 'Nairobi',
   address: '123 Main Street, Westlands',
-  kyc_status: 'approved',
-  created_at: '2024-01-01T00:00:00Z'
+  kycStatus: 'approved',
+  createdAt: '2024-01-01T00:00:00Z'
 };
 
 const mockIncompleteUser = {
   id: '123',
   email: 'test@example.com',
   phone: '+254712345678',
-  full_name: 'John Doe',
-  phone_verified: true,
+  fullName: 'John Doe',
+  firstName: 'John',
+  lastName: 'Doe',
+  phoneVerified: true,
   // Missing profile completion fields
-  kyc_status: 'not_submitted',
-  created_at: '2024-01-01T00:00:00Z'
+  kycStatus: 'not_submitted',
+  createdAt: '2024-01-01T00:00:00Z'
 };
 
 const mockUpdateUser = vi.fn();
@@ -121,7 +125,7 @@ describe('ProfileView', () => {
   it('shows upload button for unverified KYC', async () => {
     const userWithoutKYC = {
       ...mockCompleteUser,
-      kyc_status: 'not_submitted'
+      kycStatus: 'not_submitted'
     };
 
     useAuth.mockReturnValue({
@@ -0,0 +1,102 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { Lock, ShieldCheck, Laptop, KeyRound } from 'lucide-react';
+import Card from '../common/Card';
+import ChangePasswordForm from './ChangePasswordForm';
+import TwoFactorSettings from './TwoFactorSettings';
+import ActiveSessions from './ActiveSessions';
+import PasskeySettings from './PasskeySettings';
+
+/**
+ * Security section of the profile page
+ */
+const SecuritySettings = () => {
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.3 }}
+      className="space-y-6"
+    >
+      {/* Password */}
+      <Card className="p-6">
+        <div className="flex items-center space-x-4 mb-6">
+          <div className="w-12 h-12 bg-primary-100 rounded-lg flex items-center justify-center">
+            <Lock className="w-6 h-6 text-primary-600" />
+          </div>
+          <div>
+            <h3 className="text-lg font-semibold text-secondary-900">
+              Change Password
+            </h3>
+            <p className="text-sm text-secondary-600">
+              Use a strong password that you don't use on other sites
+            </p>
+          </div>
+        </div>
+
+        <div className="max-w-md">
+          <ChangePasswordForm />
+        </div>
+      </Card>
+
+      {/* Two-factor authentication */}
+      <Card className="p-6">
+        <div className="flex items-center space-x-4 mb-6">
+          <div className="w-12 h-12 bg-primary-100 rounded-lg flex items-center justify-center">
+            <ShieldCheck className="w-6 h-6 text-primary-600" />
+          </div>
+          <div>
+            <h3 className="text-lg font-semibold text-secondary-900">
+              Two-Factor Authentication
+            </h3>
+            <p className="text-sm text-secondary-600">
+              Add a second step to signing in
+            </p>
+          </div>
+        </div>
+
+        <TwoFactorSettings />
+      </Card>
+
+      {/* Passkeys */}
+      <Card className="p-6">
+        <div className="flex items-center space-x-4 mb-6">
+          <div className="w-12 h-12 bg-primary-100 rounded-lg flex items-center justify-center">
+            <KeyRound className="w-6 h-6 text-primary-600" />
+          </div>
+          <div>
+            <h3 className="text-lg font-semibold text-secondary-900">
+              Passkeys
+            </h3>
+            <p className="text-sm text-secondary-600">
+              A faster, phishing-resistant way to sign in
+            </p>
+          </div>
+        </div>
+
+        <PasskeySettings />
+      </Card>
+
+      {/* Active sessions */}
+      <Card className="p-6">
+        <div className="flex items-center space-x-4 mb-6">
+          <div className="w-12 h-12 bg-primary-100 rounded-lg flex items-center justify-center">
+            <Laptop className="w-6 h-6 text-primary-600" />
+          </div>
+          <div>
+            <h3 className="text-lg font-semibold text-secondary-900">
+              Where You're Signed In
+            </h3>
+            <p className="text-sm text-secondary-600">
+              Sign out any device you don't recognise
+            </p>
+          </div>
+        </div>
+
+        <ActiveSessions />
+      </Card>
+    </motion.div>
+  );
+};
+
+export default SecuritySettings;
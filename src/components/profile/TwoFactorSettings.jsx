@@ -0,0 +1,340 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { CheckCircle, Copy, Download, KeyRound, ShieldCheck, Smartphone } from 'lucide-react';
+import useAuth from '../../hooks/useAuth';
+import authClient from '../../api/authClient';
+import Button from '../common/Button';
+import ErrorMessage from '../common/ErrorMessage';
+import OtpInput from '../auth/OtpInput';
+
+const EMPTY_CODE = ['', '', '', '', '', ''];
+
+/**
+ * Map a failed two-factor request to a message
+ * @param {Object} err - Normalised error from axiosConfig
+ * @returns {string} Message to show
+ */
+const getTwoFactorErrorMessage = (err) => {
+  const detail = typeof err?.data?.detail === 'string' ? err.data.detail : '';
+
+  if (err?.status === 400 || err?.status === 401 || err?.status === 422) {
+    return detail || 'That code is not valid. Check your authenticator app and try again.';
+  }
+  if (err?.status === 429) {
+    return 'Too many attempts. Please wait a moment before trying again.';
+  }
+  if (err?.type === 'network') {
+    return 'Unable to connect. Please check your internet connection and try again.';
+  }
+  return detail || 'Something went wrong. Please try again in a few moments.';
+};
+
+/**
+ * Check whether the user has TOTP two-factor authentication turned on
+ * @param {Object} user - Current user
+ * @returns {boolean} True if enabled
+ */
+const isTwoFactorEnabled = (user) => user?.mfaEnabled === true;
+
+/**
+ * Backup codes with copy and download actions
+ */
+const BackupCodes = ({ codes }) => {
+  const [copied, setCopied] = useState(false);
+
+  const codesText = codes.join('\n');
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codesText);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('Failed to copy backup codes:', error);
+    }
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([
+      'Africa Investment Platform - two-factor backup codes\n',
+      'Each code can be used once.\n\n',
+      codesText,
+      '\n',
+    ], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'backup-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div>
+      <ul className="grid grid-cols-2 gap-2 p-4 bg-secondary-50 border border-secondary-200 rounded-lg font-mono text-sm text-secondary-900">
+        {codes.map((code) => (
+          <li key={code}>{code}</li>
+        ))}
+      </ul>
+      <div className="flex space-x-3 mt-3">
+        <Button type="button" variant="secondary" size="sm" onClick={handleCopy}>
+          <Copy className="w-4 h-4 mr-2" />
+          {copied ? 'Copied' : 'Copy'}
+        </Button>
+        <Button type="button" variant="secondary" size="sm" onClick={handleDownload}>
+          <Download className="w-4 h-4 mr-2" />
+          Download
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Two-factor authentication (TOTP) settings: enrolment, backup codes and turning it off
+ */
+const TwoFactorSettings = () => {
+  const { user, updateUser } = useAuth();
+  // idle | setup | backup-codes | disable | regenerate
+  const [step, setStep] = useState('idle');
+  const [setupData, setSetupData] = useState(null);
+  const [code, setCode] = useState(EMPTY_CODE);
+  const [backupCodes, setBackupCodes] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [keyCopied, setKeyCopied] = useState(false);
+
+  const enabled = isTwoFactorEnabled(user);
+
+  const resetFlow = () => {
+    setStep('idle');
+    setSetupData(null);
+    setCode(EMPTY_CODE);
+    setBackupCodes([]);
+    setError('');
+  };
+
+  const handleCodeChange = (newCode) => {
+    setCode(newCode);
+    if (error) setError('');
+  };
+
+  const handleStartSetup = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const data = await authClient.startTotpSetup();
+      setSetupData(data);
+      setCode(EMPTY_CODE);
+      setStep('setup');
+    } catch (err) {
+      setError(getTwoFactorErrorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCopyKey = async () => {
+    try {
+      await navigator.clipboard.writeText(setupData.secret);
+      setKeyCopied(true);
+      setTimeout(() => setKeyCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy setup key:', err);
+    }
+  };
+
+  // Confirm enrolment, disable or regenerate - all take the current code
+  const handleSubmitCode = async (e) => {
+    e.preventDefault();
+
+    const codeString = code.join('');
+    if (codeString.length !== 6) {
+      setError('Please enter the complete 6-digit code');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      if (step === 'setup') {
+        const result = await authClient.confirmTotpSetup(codeString);
+        updateUser({ mfaEnabled: true });
+        setBackupCodes(result.backupCodes);
+        setStep('backup-codes');
+      } else if (step === 'regenerate') {
+        const result = await authClient.regenerateBackupCodes(codeString);
+        setBackupCodes(result.backupCodes);
+        setStep('backup-codes');
+      } else if (step === 'disable') {
+        await authClient.disableTotp(codeString);
+        updateUser({ mfaEnabled: false });
+        resetFlow();
+      }
+      setCode(EMPTY_CODE);
+    } catch (err) {
+      setError(getTwoFactorErrorMessage(err));
+      setCode(EMPTY_CODE);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderCodeForm = (submitLabel, variant = 'primary') => (
+    <form onSubmit={handleSubmitCode} className="space-y-4">
+      <OtpInput
+        value={code}
+        onChange={handleCodeChange}
+        error={!!error}
+        disabled={loading}
+        label="Authentication code"
+        autoFocus
+      />
+      <div className="flex justify-end space-x-3">
+        <Button type="button" variant="secondary" onClick={resetFlow} disabled={loading}>
+          Cancel
+        </Button>
+        <Button type="submit" variant={variant} loading={loading} disabled={loading}>
+          {submitLabel}
+        </Button>
+      </div>
+    </form>
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between">
+        <p className="text-sm text-secondary-600 max-w-md">
+          Require a code from an authenticator app such as Google Authenticator or 1Password
+          each time you sign in, in addition to your password.
+        </p>
+        {enabled && (
+          <span className="inline-flex items-center flex-shrink-0 ml-4 px-2.5 py-1 rounded-full text-xs font-medium bg-success-100 text-success-700">
+            <CheckCircle className="w-3.5 h-3.5 mr-1" />
+            On
+          </span>
+        )}
+      </div>
+
+      {error && (
+        <ErrorMessage message={error} />
+      )}
+
+      {step === 'idle' && (
+        enabled ? (
+          <div className="flex flex-wrap gap-3">
+            <Button variant="secondary" onClick={() => setStep('regenerate')}>
+              <KeyRound className="w-4 h-4 mr-2" />
+              New backup codes
+            </Button>
+            <Button variant="danger" onClick={() => setStep('disable')}>
+              Turn off
+            </Button>
+          </div>
+        ) : (
+          <Button onClick={handleStartSetup} loading={loading} disabled={loading}>
+            <Smartphone className="w-4 h-4 mr-2" />
+            Set up authenticator app
+          </Button>
+        )
+      )}
+
+      {step === 'setup' && setupData && (
+        <motion.div
+          initial={{ opacity: 0, y: 10 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="space-y-6"
+        >
+          <div className="flex flex-col sm:flex-row sm:items-start gap-6">
+            {setupData.qrCode && (
+              <img
+                src={setupData.qrCode}
+                alt="QR code for your authenticator app"
+                className="w-44 h-44 border border-secondary-200 rounded-lg bg-white p-2 flex-shrink-0"
+              />
+            )}
+            <div className="space-y-3 text-sm">
+              <p className="text-secondary-700">
+                1. Scan the QR code with your authenticator app.
+              </p>
+              <p className="text-secondary-700">
+                Can't scan it? Enter this key manually:
+              </p>
+              <div className="flex items-center space-x-2">
+                <code className="px-3 py-2 bg-secondary-50 border border-secondary-200 rounded-lg font-mono text-secondary-900 break-all">
+                  {setupData.secret}
+                </code>
+                <button
+                  type="button"
+                  onClick={handleCopyKey}
+                  className="p-2 text-secondary-500 hover:text-primary-600 transition-colors"
+                  title="Copy key"
+                >
+                  {keyCopied ? <CheckCircle className="w-4 h-4 text-success-600" /> : <Copy className="w-4 h-4" />}
+                </button>
+              </div>
+              {setupData.otpauthUrl && (
+                <a
+                  href={setupData.otpauthUrl}
+                  className="inline-block font-medium text-primary-600 hover:text-primary-700"
+                >
+                  Open in authenticator app on this device
+                </a>
+              )}
+              <p className="text-secondary-700 pt-2">
+                2. Enter the 6-digit code the app shows.
+              </p>
+            </div>
+          </div>
+
+          {renderCodeForm('Turn on')}
+        </motion.div>
+      )}
+
+      {(step === 'disable' || step === 'regenerate') && (
+        <motion.div
+          initial={{ opacity: 0, y: 10 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="space-y-4"
+        >
+          <p className="text-sm text-secondary-700">
+            {step === 'disable'
+              ? 'Enter a code from your authenticator app to turn off two-factor authentication.'
+              : 'Enter a code from your authenticator app. Your current backup codes will stop working.'}
+          </p>
+          {step === 'disable'
+            ? renderCodeForm('Turn off', 'danger')
+            : renderCodeForm('Generate codes')}
+        </motion.div>
+      )}
+
+      {step === 'backup-codes' && (
+        <motion.div
+          initial={{ opacity: 0, y: 10 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="space-y-4"
+        >
+          <div className="flex items-start space-x-3 p-4 bg-success-50 border border-success-200 rounded-lg">
+            <ShieldCheck className="w-5 h-5 text-success-600 flex-shrink-0 mt-0.5" />
+            <p className="text-sm text-success-800">
+              Save these backup codes somewhere safe. Each one can be used once to sign in
+              if you lose access to your authenticator app. They won't be shown again.
+            </p>
+          </div>
+
+          <BackupCodes codes={backupCodes} />
+
+          <div className="flex justify-end">
+            <Button onClick={resetFlow}>
+              I've saved my codes
+            </Button>
+          </div>
+        </motion.div>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
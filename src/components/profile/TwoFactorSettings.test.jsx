@@ -0,0 +1,96 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import TwoFactorSettings from './TwoFactorSettings';
+import useAuth from '../../hooks/useAuth';
+import authClient from '../../api/authClient';
+
+vi.mock('../../hooks/useAuth');
+vi.mock('../../api/authClient', () => ({
+  default: {
+    startTotpSetup: vi.fn(),
+    confirmTotpSetup: vi.fn(),
+    disableTotp: vi.fn(),
+    regenerateBackupCodes: vi.fn(),
+  },
+}));
+
+const mockUpdateUser = vi.fn();
+
+const enterCode = (code) => {
+  fireEvent.paste(screen.getByLabelText('Authentication code digit 1'), {
+    clipboardData: { getData: () => code },
+  });
+};
+
+describe('TwoFactorSettings', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('enrols an authenticator app and shows the backup codes', async () => {
+    useAuth.mockReturnValue({ user: { id: 1 }, updateUser: mockUpdateUser });
+    authClient.startTotpSetup.mockResolvedValue({
+      secret: 'JBSWY3DPEHPK3PXP',
+      qrCode: 'data:image/png;base64,AAAA',
+      otpauthUrl: null,
+    });
+    authClient.confirmTotpSetup.mockResolvedValue({ backupCodes: ['aaaa-1111', 'bbbb-2222'] });
+
+    render(<TwoFactorSettings />);
+
+    fireEvent.click(screen.getByRole('button', { name: /Set up authenticator app/i }));
+
+    await waitFor(() => {
+      expect(screen.getByText('JBSWY3DPEHPK3PXP')).toBeInTheDocument();
+    });
+    expect(screen.getByAltText('QR code for your authenticator app')).toHaveAttribute('src', 'data:image/png;base64,AAAA');
+
+    enterCode('654321');
+    fireEvent.click(screen.getByRole('button', { name: 'Turn on' }));
+
+    await waitFor(() => {
+      expect(authClient.confirmTotpSetup).toHaveBeenCalledWith('654321');
+      expect(screen.getByText('aaaa-1111')).toBeInTheDocument();
+      expect(screen.getByText('bbbb-2222')).toBeInTheDocument();
+    });
+    expect(mockUpdateUser).toHaveBeenCalledWith({ mfaEnabled: true });
+  });
+
+  it('shows an error for a wrong confirmation code', async () => {
+    useAuth.mockReturnValue({ user: { id: 1 }, updateUser: mockUpdateUser });
+    authClient.startTotpSetup.mockResolvedValue({ secret: 'JBSWY3DPEHPK3PXP' });
+    authClient.confirmTotpSetup.mockRejectedValue({ status: 400, data: {} });
+
+    render(<TwoFactorSettings />);
+
+    fireEvent.click(screen.getByRole('button', { name: /Set up authenticator app/i }));
+    await waitFor(() => {
+      expect(screen.getByText('JBSWY3DPEHPK3PXP')).toBeInTheDocument();
+    });
+
+    enterCode('000000');
+    fireEvent.click(screen.getByRole('button', { name: 'Turn on' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('That code is not valid. Check your authenticator app and try again.')).toBeInTheDocument();
+    });
+    expect(mockUpdateUser).not.toHaveBeenCalled();
+  });
+
+  it('turns two-factor authentication off with a current code', async () => {
+    useAuth.mockReturnValue({ user: { id: 1, mfaEnabled: true }, updateUser: mockUpdateUser });
+    authClient.disableTotp.mockResolvedValue({});
+
+    render(<TwoFactorSettings />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Turn off' }));
+    enterCode('123456');
+    fireEvent.click(screen.getByRole('button', { name: 'Turn off' }));
+
+    await waitFor(() => {
+      expect(authClient.disableTotp).toHaveBeenCalledWith('123456');
+      expect(mockUpdateUser).toHaveBeenCalledWith({ mfaEnabled: false });
+    });
+  });
+});
@@ -1,3 +1,9 @@
 export { default as ProfileView } from './ProfileView';
 export { default as ProfileEditForm } from './ProfileEditForm';
-export { default as KYCUpload } from './KYCUpload';
\ No newline at end of file
+export { default as KYCUpload } from './KYCUpload';
+export { default as SecuritySettings } from './SecuritySettings';
+export { default as ChangePasswordForm } from './ChangePasswordForm';
+export { default as TwoFactorSettings } from './TwoFactorSettings';
+export { default as ActiveSessions } from './ActiveSessions';
+export { default as PasskeySettings } from './PasskeySettings';
+export { default as ChangeContactForm } from './ChangeContactForm';
\ No newline at end of file
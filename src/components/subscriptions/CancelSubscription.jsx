@@ -2,6 +2,8 @@ import React, { useState } from 'react'
 import { motion } from 'framer-motion'
 import { XCircle, AlertTriangle, Check } from 'lucide-react'
 import subscriptionClient from '../../api/subscriptionClient'
+import useMutation from '../../hooks/useMutation'
+import { QUERY_KEYS } from '../../services/queryCache'
 import Modal from '../common/Modal'
 import Button from '../common/Button'
 import Card from '../common/Card'
@@ -18,12 +20,16 @@ const CancelSubscription = ({
   onSuccess,
   className = '' 
 }) => {
-  const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
   const [selectedReason, setSelectedReason] = useState('')
   const [customReason, setCustomReason] = useState('')
   const [step, setStep] = useState('reason') // 'reason' | 'confirm' | 'success'
 
+  const { mutate: cancelSubscription, isLoading: loading } = useMutation(
+    (id, data) => subscriptionClient.cancelSubscription(id, data),
+    { invalidates: [QUERY_KEYS.MY_SUBSCRIPTION] }
+  )
+
   const cancellationReasons = [
     { value: 'too_expensive', label: 'Too expensive' },
     { value: 'not_using', label: 'Not using the service enough' },
@@ -63,12 +69,11 @@ const CancelSubscription = ({
     }
 
     try {
-      setLoading(true)
       setError(null)
 
       const reason = selectedReason === 'other' ? customReason : selectedReason
       
-      await subscriptionClient.cancelSubscription(subscriptionId, { reason })
+      await cancelSubscription(subscriptionId, { reason })
       
       setStep('success')
       
@@ -82,8 +87,6 @@ const CancelSubscription = ({
     } catch (err) {
       console.error('Error cancelling subscription:', err)
       setError(err.response?.data?.message || 'Failed to cancel subscription')
-    } finally {
-      setLoading(false)
     }
   }
 
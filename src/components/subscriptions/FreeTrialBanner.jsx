@@ -1,8 +1,8 @@
-import React, { useState, useEffect } from 'react';
+import React from 'react';
 import { motion } from 'framer-motion';
 import { Clock, Sparkles, CheckCircle, ArrowRight, Gift } from 'lucide-react';
 import { format } from 'date-fns';
-import subscriptionClient from '../../api/subscriptionClient';
+import useMySubscription from '../../hooks/useMySubscription';
 import useAuth from '../../hooks/useAuth';
 import Button from '../common/Button';
 import Card from '../common/Card';
@@ -13,24 +13,7 @@ import Card from '../common/Card';
  */
 const FreeTrialBanner = ({ className = '' }) => {
   const { user } = useAuth();
-  const [subscription, setSubscription] = useState(null);
-  const [loading, setLoading] = useState(true);
-
-  useEffect(() => {
-    const fetchSubscription = async () => {
-      try {
-        const response = await subscriptionClient.getMySubscription();
-        setSubscription(response);
-      } catch (err) {
-        // User might not have a subscription
-        setSubscription(null);
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    fetchSubscription();
-  }, []);
+  const { data: subscription, isLoading: loading } = useMySubscription();
 
   // Don't show banner if loading or no trial
   if (loading || !subscription || subscription.status !== 'trial') {
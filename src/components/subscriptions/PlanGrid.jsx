@@ -1,75 +1,55 @@
-import React, { useState, useEffect } from 'react'
+import React from 'react'
 import { motion } from 'framer-motion'
 import { RefreshCw } from 'lucide-react'
 import subscriptionClient from '../../api/subscriptionClient'
+import { isRequestCancelled } from '../../api/baseClient'
+import useQuery from '../../hooks/useQuery'
+import useServiceHealth from '../../hooks/useServiceHealth'
+import { QUERY_KEYS } from '../../services/queryCache'
+import { SERVICES } from '../../services/serviceHealth'
 import PlanCard from './PlanCard'
 import LoadingSpinner from '../common/LoadingSpinner'
 import ErrorMessage from '../common/ErrorMessage'
+import ServiceUnavailable from '../common/ServiceUnavailable'
 import Button from '../common/Button'
 
+// Plans rarely change, so keep them longer than user data
+const PLANS_STALE_TIME = 5 * 60 * 1000 // 5 minutes
+
+const fetchPlans = async ({ signal }) => {
+  try {
+    return await subscriptionClient.getPlans({ activeOnly: true }, { signal })
+  } catch (apiError) {
+    if (isRequestCancelled(apiError)) throw apiError
+    console.error('API error - focusing on free trial model:', apiError)
+    // No fallback plans - focus on free trial
+    return []
+  }
+}
+
 /**
  * PlanGrid Component
  * Fetches and displays subscription plans in a responsive grid layout
  */
 const PlanGrid = ({ onPlanSelect, className = '' }) => {
-  const [plans, setPlans] = useState([])
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
-  const [retrying, setRetrying] = useState(false)
-
-  const fetchPlans = async (isRetry = false) => {
-    try {
-      if (isRetry) {
-        setRetrying(true)
-      } else {
-        setLoading(true)
-      }
-      setError(null)
-
-      try {
-        const response = await subscriptionClient.getPlans({ activeOnly: true })
-       
-        // Handle different response structures from backend
-        let plansData = [];
-        if (Array.isArray(response)) {
-          plansData = response;
-        } else if (response && Array.isArray(response.plans)) {
-          plansData = response.plans;
-        } else if (response && Array.isArray(response.data)) {
-          plansData = response.data;
-        } else if (response && response.results && Array.isArray(response.results)) {
-          plansData = response.results;
-        }
-        
-        
-        // For now, we focus on free trial model - no subscription plans needed
-        if (!plansData || plansData.length === 0) {
-          setPlans([]) // Empty plans array - users should use free trial
-        } else {
-          setPlans(plansData)
-        }
-      } catch (apiError) {
-        console.error('API error - focusing on free trial model:', apiError)
-        // No fallback plans - focus on free trial
-        setPlans([])
-      }
-    } catch (err) {
-      console.error('Error fetching plans:', err)
-      setError(err.response?.data?.message || err.message || 'Failed to load subscription plans')
-    } finally {
-      setLoading(false)
-      setRetrying(false)
-    }
-  }
-
-
-
-  useEffect(() => {
-    fetchPlans()
-  }, [])
+  const {
+    data,
+    error: fetchError,
+    isLoading,
+    isFetching,
+    refetch,
+  } = useQuery(QUERY_KEYS.PLANS, fetchPlans, { staleTime: PLANS_STALE_TIME })
+  // For now, we focus on free trial model - an empty list points users to the free trial
+  const plans = data || []
+  const loading = isLoading || (isFetching && data === undefined)
+  const retrying = isFetching && data !== undefined
+  const error = fetchError && data === undefined
+    ? fetchError.data?.message || fetchError.message || 'Failed to load subscription plans'
+    : null
+  const { isAvailable } = useServiceHealth()
 
   const handleRetry = () => {
-    fetchPlans(true)
+    refetch()
   }
 
   const handlePlanSelect = (planId) => {
@@ -92,6 +72,16 @@ const PlanGrid = ({ onPlanSelect, className = '' }) => {
     )
   }
 
+  // Plan loading failures fall back to an empty list, so an outage would
+  // otherwise look like there are simply no plans
+  if (!isAvailable(SERVICES.SUBSCRIPTION) && plans.length === 0) {
+    return (
+      <div className="py-12">
+        <ServiceUnavailable service={SERVICES.SUBSCRIPTION} onRetry={handleRetry} />
+      </div>
+    )
+  }
+
   if (error) {
     return (
       <div className="py-12">
@@ -204,7 +194,7 @@ const PlanGrid = ({ onPlanSelect, className = '' }) => {
         ))}
       </div>
 
-      {/* Retry Button (if there was an error but we have some plans) */}
+      {/* Background refresh of the plans already shown */}
       {retrying && (
         <div className="flex justify-center mt-6">
           <LoadingSpinner size="sm" />
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react'
+import React from 'react'
 import { motion } from 'framer-motion'
 import { 
   Calendar, 
@@ -10,11 +10,14 @@ import {
   RefreshCw 
 } from 'lucide-react'
 import { format } from 'date-fns'
-import subscriptionClient from '../../api/subscriptionClient'
+import useMySubscription from '../../hooks/useMySubscription'
+import useServiceHealth from '../../hooks/useServiceHealth'
+import { SERVICES } from '../../services/serviceHealth'
 import Card from '../common/Card'
 import Button from '../common/Button'
 import LoadingSpinner from '../common/LoadingSpinner'
 import ErrorMessage from '../common/ErrorMessage'
+import ServiceUnavailable from '../common/ServiceUnavailable'
 import { STATUS } from '../../utils/constants'
 
 /**
@@ -22,43 +25,23 @@ import { STATUS } from '../../utils/constants'
  * Displays current subscription information and status
  */
 const SubscriptionStatus = ({ onCancelClick, className = '' }) => {
-  const [subscription, setSubscription] = useState(null)
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
-  const [refreshing, setRefreshing] = useState(false)
-
-  const fetchSubscription = async (isRefresh = false) => {
-    try {
-      if (isRefresh) {
-        setRefreshing(true)
-      } else {
-        setLoading(true)
-      }
-      setError(null)
-
-      const response = await subscriptionClient.getMySubscription()
-      setSubscription(response)
-    } catch (err) {
-      console.error('Error fetching subscription:', err)
-      
-      // Handle case where user has no subscription
-      if (err.response?.status === 404) {
-        setSubscription(null)
-      } else {
-        setError(err.response?.data?.message || 'Failed to load subscription information')
-      }
-    } finally {
-      setLoading(false)
-      setRefreshing(false)
-    }
-  }
-
-  useEffect(() => {
-    fetchSubscription()
-  }, [])
+  const {
+    data,
+    error: fetchError,
+    isLoading,
+    isFetching,
+    refetch,
+  } = useMySubscription()
+  const subscription = data || null
+  const loading = isLoading || (isFetching && data === undefined)
+  const refreshing = isFetching && !loading
+  const error = fetchError && data === undefined
+    ? fetchError.data?.message || 'Failed to load subscription information'
+    : null
+  const { isAvailable } = useServiceHealth()
 
   const handleRefresh = () => {
-    fetchSubscription(true)
+    refetch()
   }
 
   const handleCancelSubscription = () => {
@@ -136,6 +119,14 @@ const SubscriptionStatus = ({ onCancelClick, className = '' }) => {
   }
 
   if (error) {
+    if (!isAvailable(SERVICES.SUBSCRIPTION)) {
+      return (
+        <div className="py-8">
+          <ServiceUnavailable service={SERVICES.SUBSCRIPTION} onRetry={handleRefresh} />
+        </div>
+      )
+    }
+
     return (
       <div className="py-8">
         <ErrorMessage 
@@ -220,9 +211,9 @@ const SubscriptionStatus = ({ onCancelClick, className = '' }) => {
     startDate,
     endDate,
     renewalDate,
-    autoRenew,
-    plan = {}
+    autoRenew
   } = subscription
+  const plan = subscription.plan || {}
 
   const isActive = status === STATUS.SUBSCRIPTION.ACTIVE || status === STATUS.SUBSCRIPTION.TRIAL
   const canCancel = isActive && status !== STATUS.SUBSCRIPTION.CANCELLED
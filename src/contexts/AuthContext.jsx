@@ -1,8 +1,39 @@
-import React, { createContext, useContext, useReducer, useEffect, useCallback } from 'react'
+import React, { createContext, useContext, useReducer, useEffect, useCallback, useMemo, useRef } from 'react'
 import authClient from '../api/authClient'
 import { getStorageItem, setStorageItem, removeStorageItem } from '../utils/storage'
 import { STORAGE_KEYS, SUCCESS_MESSAGES } from '../utils/constants'
-import { getAccessToken, getRefreshToken, clearTokens, setTokens } from '../api/axiosConfig'
+import {
+  getAccessToken,
+  getRefreshToken,
+  clearTokens,
+  parseJWT,
+  isTokenExpired,
+  refreshTokens,
+  scheduleProactiveRefresh,
+  onTokenEvent,
+  TOKEN_EVENTS,
+  SESSION_END_REASONS,
+} from '../api/tokenManager'
+import { publishSessionEvent, subscribeToSessionEvents, SESSION_EVENTS } from '../services/sessionBus'
+import { clearQueryCache } from '../services/queryCache'
+import { clearCompareList } from '../services/compareList'
+import { getAccessFromClaims } from '../utils/permissions'
+import { getPasskeyAssertion, isPasskeyCancelled } from '../services/webauthn'
+import { mapUser } from '../api/mappers'
+
+// Users saved before API responses were mapped are still in the API's snake_case
+const getStoredUser = () => {
+  const storedUser = getStorageItem(STORAGE_KEYS.USER_DATA)
+  if (!storedUser || !('phone_verified' in storedUser)) return storedUser
+
+  try {
+    const user = mapUser(storedUser)
+    setStorageItem(STORAGE_KEYS.USER_DATA, user)
+    return user
+  } catch {
+    return null
+  }
+}
 
 // Initial state
 const initialState = {
@@ -10,6 +41,9 @@ const initialState = {
   isAuthenticated: false,
   isLoading: true,
   error: null,
+  sessionExpired: false,
+  // Why the session ended (SESSION_END_REASONS), shown in the re-login prompt
+  sessionEndReason: null,
   tokens: {
     accessToken: null,
     refreshToken: null,
@@ -26,6 +60,7 @@ const AUTH_ACTIONS = {
   UPDATE_USER: 'UPDATE_USER',
   SET_TOKENS: 'SET_TOKENS',
   INITIALIZE_AUTH: 'INITIALIZE_AUTH',
+  SESSION_EXPIRED: 'SESSION_EXPIRED',
 }
 
 // Auth reducer
@@ -61,6 +96,8 @@ const authReducer = (state, action) => {
         isAuthenticated: true,
         isLoading: false,
         error: null,
+        sessionExpired: false,
+        sessionEndReason: null,
       }
 
     case AUTH_ACTIONS.LOGOUT:
@@ -74,6 +111,20 @@ const authReducer = (state, action) => {
         isAuthenticated: false,
         isLoading: false,
         error: null,
+        sessionExpired: false,
+        sessionEndReason: null,
+      }
+
+    case AUTH_ACTIONS.SESSION_EXPIRED:
+      // Keep the user and page mounted so they can sign in again without losing their place
+      return {
+        ...state,
+        tokens: {
+          accessToken: null,
+          refreshToken: null,
+        },
+        sessionExpired: true,
+        sessionEndReason: action.payload?.reason || SESSION_END_REASONS.REFRESH_FAILED,
       }
 
     case AUTH_ACTIONS.UPDATE_USER:
@@ -104,6 +155,8 @@ const authReducer = (state, action) => {
         },
         isAuthenticated: action.payload.isAuthenticated,
         isLoading: false,
+        sessionExpired: false,
+        sessionEndReason: null,
       }
 
     default:
@@ -114,135 +167,81 @@ const authReducer = (state, action) => {
 // Create context
 const AuthContext = createContext(null)
 
-// Token refresh interval (refresh 5 minutes before expiry)
-const TOKEN_REFRESH_BUFFER = 5 * 60 * 1000 // 5 minutes in milliseconds
-
 /**
  * AuthProvider component that wraps the app and provides authentication state
  */
 export const AuthProvider = ({ children }) => {
   const [state, dispatch] = useReducer(authReducer, initialState)
 
-  // Parse JWT token to get expiry time
-  const parseJWT = useCallback((token) => {
-    if (!token || typeof token !== 'string') {
-      return null
-    }
-    
-    try {
-      const parts = token.split('.')
-      if (parts.length !== 3) {
-        return null
-      }
-      
-      const base64Url = parts[1]
-      const base64 = base64Url.replace(/-/g, '+').replace(/_/g, '/')
-      const jsonPayload = decodeURIComponent(
-        atob(base64)
-          .split('')
-          .map((c) => '%' + ('00' + c.charCodeAt(0).toString(16)).slice(-2))
-          .join('')
-      )
-      return JSON.parse(jsonPayload)
-    } catch (error) {
-      console.error('Error parsing JWT:', error)
-      return null
+  // Keep a reference to the current user for handling session events outside render
+  const currentUserRef = useRef(state.user)
+  useEffect(() => {
+    currentUserRef.current = state.user
+  }, [state.user])
+
+  // Cached server data and the products picked for comparison belong to the
+  // signed-in user; drop them on sign out or when another account signs in so
+  // they are never shown to the wrong person. Queued offline changes are kept:
+  // they wait for the user who queued them, and the outbox drops them itself
+  // once another account signs in.
+  const cachedUserIdRef = useRef(state.user?.id ?? null)
+  useEffect(() => {
+    const userId = state.user?.id ?? null
+    if (cachedUserIdRef.current && cachedUserIdRef.current !== userId) {
+      clearQueryCache()
+      clearCompareList()
     }
-  }, [])
+    cachedUserIdRef.current = userId
+  }, [state.user?.id])
 
-  // Check if token is expired or will expire soon
-  const isTokenExpired = useCallback((token, buffer = TOKEN_REFRESH_BUFFER) => {
-    if (!token) return true
-    
-    const payload = parseJWT(token)
-    if (!payload || !payload.exp) return true
-    
-    const expiryTime = payload.exp * 1000 // Convert to milliseconds
-    const currentTime = Date.now()
-    
-    return currentTime >= (expiryTime - buffer)
-  }, [parseJWT])
-
-  // Refresh access token
+  // Refresh access token through the token manager and sync state
   const refreshToken = useCallback(async () => {
-    const refreshTokenValue = getRefreshToken()
-    
-    if (!refreshTokenValue) {
-      throw new Error('No refresh token available')
+    const newAccessToken = await refreshTokens()
+
+    dispatch({
+      type: AUTH_ACTIONS.SET_TOKENS,
+      payload: {
+        accessToken: newAccessToken,
+        refreshToken: getRefreshToken(),
+      },
+    })
+
+    return newAccessToken
+  }, [])
+
+  // Refresh shortly before the access token expires
+  useEffect(() => {
+    if (!state.isAuthenticated || !state.tokens.accessToken) {
+      return undefined
     }
 
-    try {
-      // Don't use getProfile for refresh as it can cause loops
-      // The axios interceptor should handle token refresh automatically
-      const newAccessToken = getAccessToken()
-      const newRefreshToken = getRefreshToken()
-      
-      if (newAccessToken && newRefreshToken) {
+    return scheduleProactiveRefresh(state.tokens.accessToken)
+  }, [state.isAuthenticated, state.tokens.accessToken])
+
+  // Follow refreshes and session expiry reported by the token manager
+  useEffect(() => {
+    return onTokenEvent(({ type, accessToken, reason }) => {
+      if (type === TOKEN_EVENTS.REFRESHED) {
         dispatch({
           type: AUTH_ACTIONS.SET_TOKENS,
           payload: {
-            accessToken: newAccessToken,
-            refreshToken: newRefreshToken,
+            accessToken,
+            refreshToken: getRefreshToken(),
           },
         })
+      } else if (type === TOKEN_EVENTS.SESSION_EXPIRED && currentUserRef.current) {
+        dispatch({ type: AUTH_ACTIONS.SESSION_EXPIRED, payload: { reason } })
       }
-      
-      return newAccessToken
-    } catch (error) {
-      console.error('Token refresh failed:', error)
-      await logout()
-      throw error
-    }
+    })
   }, [])
 
-  // Set up automatic token refresh
-  useEffect(() => {
-    let refreshInterval
-
-    if (state.isAuthenticated && state.tokens.accessToken) {
-      const setupTokenRefresh = () => {
-        const token = state.tokens.accessToken
-        const payload = parseJWT(token)
-        
-        if (payload && payload.exp) {
-          const expiryTime = payload.exp * 1000
-          const currentTime = Date.now()
-          const timeUntilRefresh = expiryTime - currentTime - TOKEN_REFRESH_BUFFER
-          
-          if (timeUntilRefresh > 0) {
-            refreshInterval = setTimeout(async () => {
-              try {
-                await refreshToken()
-              } catch (error) {
-                console.error('Automatic token refresh failed:', error)
-              }
-            }, timeUntilRefresh)
-          } else {
-            // Token is already expired or will expire soon, refresh immediately
-            refreshToken().catch((error) => {
-              console.error('Immediate token refresh failed:', error)
-            })
-          }
-        }
-      }
-
-      setupTokenRefresh()
-    }
-
-    return () => {
-      if (refreshInterval) {
-        clearTimeout(refreshInterval)
-      }
-    }
-  }, [state.isAuthenticated, state.tokens.accessToken, parseJWT, refreshToken])
-
   // Initialize authentication state on app load
   useEffect(() => {
     const initializeAuth = async () => {
       try {
         const accessToken = getAccessToken()
         const refreshTokenValue = getRefreshToken()
-        const userData = getStorageItem(STORAGE_KEYS.USER_DATA)
+        const userData = getStoredUser()
 
         if (accessToken && refreshTokenValue) {
           // Check if access token is expired
@@ -316,7 +315,34 @@ export const AuthProvider = ({ children }) => {
     }
 
     initializeAuth()
-  }, [isTokenExpired, refreshToken])
+  }, [refreshToken])
+
+  // Store a successful login and tell other tabs about it
+  const completeLogin = useCallback((response) => {
+    // Store user data
+    if (response.user) {
+      setStorageItem(STORAGE_KEYS.USER_DATA, response.user)
+    }
+
+    dispatch({
+      type: AUTH_ACTIONS.LOGIN_SUCCESS,
+      payload: {
+        user: response.user,
+        accessToken: response.accessToken,
+        refreshToken: response.refreshToken,
+      },
+    })
+
+    publishSessionEvent(SESSION_EVENTS.LOGIN, { userId: response.user?.id ?? null })
+
+    return {
+      success: true,
+      message: SUCCESS_MESSAGES.LOGIN,
+      user: response.user,
+      accessToken: response.accessToken,
+      refreshToken: response.refreshToken,
+    }
+  }, [])
 
   // Login function
   const login = useCallback(async (identifier, password) => {
@@ -327,32 +353,20 @@ export const AuthProvider = ({ children }) => {
 
     try {
       const response = await authClient.login(identifier, password)
-      
-  
-      
-      // Store user data
-      if (response.user) {
-        setStorageItem(STORAGE_KEYS.USER_DATA, response.user)
-      }
 
-      dispatch({
-        type: AUTH_ACTIONS.LOGIN_SUCCESS,
-        payload: {
-          user: response.user,
-          accessToken: response.accessToken,
-          refreshToken: response.refreshToken,
-        },
-      })
+      // Second factor needed - the caller shows the challenge and calls verifyMfa
+      if (response.mfaRequired) {
+        dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false })
 
-      const successResponse = {
-        success: true,
-        message: SUCCESS_MESSAGES.LOGIN,
-        user: response.user,
-        accessToken: response.accessToken,
-        refreshToken: response.refreshToken,
-      };
+        return {
+          success: false,
+          mfaRequired: true,
+          mfaToken: response.mfaToken,
+          mfaMethods: response.mfaMethods,
+        }
+      }
 
-      return successResponse;
+      return completeLogin(response)
     } catch (error) {
       console.error('❌ AuthContext login error:', {
         message: error.message,
@@ -369,7 +383,47 @@ export const AuthProvider = ({ children }) => {
       
       throw error
     }
-  }, [])
+  }, [completeLogin])
+
+  // Sign in with a passkey instead of identifier and password
+  const loginWithPasskey = useCallback(async () => {
+    dispatch({ type: AUTH_ACTIONS.CLEAR_ERROR })
+
+    try {
+      const { options, challengeId } = await authClient.getPasskeyLoginOptions()
+      const credential = await getPasskeyAssertion(options)
+      const response = await authClient.loginWithPasskey(credential, challengeId)
+
+      return completeLogin(response)
+    } catch (error) {
+      // Closing the browser prompt is not an auth error worth storing
+      if (!isPasskeyCancelled(error)) {
+        dispatch({
+          type: AUTH_ACTIONS.SET_ERROR,
+          payload: error.message || 'Passkey sign-in failed',
+        })
+      }
+
+      throw error
+    }
+  }, [completeLogin])
+
+  // Finish a login with an authenticator or backup code
+  const verifyMfa = useCallback(async (mfaToken, code, options = {}) => {
+    dispatch({ type: AUTH_ACTIONS.CLEAR_ERROR })
+
+    try {
+      const response = await authClient.verifyMfaLogin(mfaToken, code, options)
+      return completeLogin(response)
+    } catch (error) {
+      dispatch({
+        type: AUTH_ACTIONS.SET_ERROR,
+        payload: error.message || 'Verification failed',
+      })
+
+      throw error
+    }
+  }, [completeLogin])
 
   // Register function
   const register = useCallback(async (userData) => {
@@ -421,6 +475,8 @@ export const AuthProvider = ({ children }) => {
               refreshToken: response.refreshToken,
             },
           })
+
+          publishSessionEvent(SESSION_EVENTS.LOGIN, { userId: userResponse?.id ?? null })
         } catch (profileError) {
           console.error('Failed to fetch user profile after phone verification:', profileError)
           // Still update tokens even if profile fetch fails
@@ -453,7 +509,8 @@ export const AuthProvider = ({ children }) => {
   }, [])
 
   // Logout function
-  const logout = useCallback(async () => {
+  // reason (e.g. 'idle') is passed to other tabs and to the login page
+  const logout = useCallback(async ({ reason } = {}) => {
     dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: true })
 
     try {
@@ -468,17 +525,40 @@ export const AuthProvider = ({ children }) => {
       removeStorageItem(STORAGE_KEYS.USER_DATA)
       
       dispatch({ type: AUTH_ACTIONS.LOGOUT })
+      publishSessionEvent(SESSION_EVENTS.LOGOUT, reason ? { reason } : undefined)
       
       // Only redirect if we're not currently on the login page
       if (typeof window !== 'undefined' && !window.location.pathname.includes('/login')) {
        
-        window.location.href = '/login'
+        window.location.href = reason ? `/login?reason=${encodeURIComponent(reason)}` : '/login'
       } else {
         console.error('⏸️ Skipping redirect - already on login page');
       }
     }
   }, [])
 
+  // Change password and pick up rotated tokens for this session
+  const changePassword = useCallback(async (currentPassword, newPassword, options) => {
+    const response = await authClient.changePassword(currentPassword, newPassword, options)
+
+    if (response.accessToken && response.refreshToken) {
+      dispatch({
+        type: AUTH_ACTIONS.SET_TOKENS,
+        payload: {
+          accessToken: response.accessToken,
+          refreshToken: response.refreshToken,
+        },
+      })
+      publishSessionEvent(SESSION_EVENTS.TOKENS_REFRESHED)
+    }
+
+    return {
+      success: true,
+      message: SUCCESS_MESSAGES.PASSWORD_CHANGED,
+      data: response,
+    }
+  }, [])
+
   // Update user profile
   const updateUser = useCallback((userData) => {
     // Update user data in storage
@@ -491,6 +571,75 @@ export const AuthProvider = ({ children }) => {
       type: AUTH_ACTIONS.UPDATE_USER,
       payload: userData,
     })
+
+    publishSessionEvent(SESSION_EVENTS.USER_UPDATED, { user: userData })
+  }, [])
+
+  // Apply login, logout, token and profile changes made in other tabs
+  useEffect(() => {
+    const handleSessionEvent = ({ type, payload }) => {
+      switch (type) {
+        case SESSION_EVENTS.LOGOUT:
+          // The other tab already cleared storage; only local state needs resetting
+          if (payload?.reason === TOKEN_EVENTS.SESSION_EXPIRED && currentUserRef.current) {
+            dispatch({ type: AUTH_ACTIONS.SESSION_EXPIRED, payload: { reason: payload.cause } })
+          } else {
+            dispatch({ type: AUTH_ACTIONS.LOGOUT })
+          }
+          break
+
+        case SESSION_EVENTS.LOGIN: {
+          const currentUser = currentUserRef.current
+          const isDifferentUser = currentUser && payload?.userId !== undefined && currentUser.id !== payload.userId
+
+          if (isDifferentUser) {
+            // Drop everything rendered for the previous user
+            window.location.reload()
+            return
+          }
+
+          dispatch({
+            type: AUTH_ACTIONS.LOGIN_SUCCESS,
+            payload: {
+              user: getStoredUser(),
+              accessToken: getAccessToken(),
+              refreshToken: getRefreshToken(),
+            },
+          })
+          break
+        }
+
+        case SESSION_EVENTS.TOKENS_REFRESHED:
+          dispatch({
+            type: AUTH_ACTIONS.SET_TOKENS,
+            payload: {
+              accessToken: getAccessToken(),
+              refreshToken: getRefreshToken(),
+            },
+          })
+          break
+
+        case SESSION_EVENTS.USER_UPDATED:
+          if (payload?.user) {
+            dispatch({
+              type: AUTH_ACTIONS.UPDATE_USER,
+              payload: payload.user,
+            })
+          }
+          break
+
+        default:
+          break
+      }
+    }
+
+    return subscribeToSessionEvents(handleSessionEvent)
+  }, [])
+
+  // Give up on an expired session and fall back to the signed-out state
+  const dismissExpiredSession = useCallback(() => {
+    removeStorageItem(STORAGE_KEYS.USER_DATA)
+    dispatch({ type: AUTH_ACTIONS.LOGOUT })
   }, [])
 
   // Clear error
@@ -498,6 +647,12 @@ export const AuthProvider = ({ children }) => {
     dispatch({ type: AUTH_ACTIONS.CLEAR_ERROR })
   }, [])
 
+  // Roles and permissions come from the access token, so they follow every refresh
+  const access = useMemo(
+    () => getAccessFromClaims(parseJWT(state.tokens.accessToken)),
+    [state.tokens.accessToken]
+  )
+
   // Context value
   const value = {
     // State
@@ -505,16 +660,25 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated: state.isAuthenticated,
     isLoading: state.isLoading,
     error: state.error,
+    sessionExpired: state.sessionExpired,
+    sessionEndReason: state.sessionEndReason,
     tokens: state.tokens,
+    roles: access.roles,
+    permissions: access.permissions,
     
     // Actions
     login,
+    verifyMfa,
+    loginWithPasskey,
     register,
     verifyPhone,
     logout,
     updateUser,
+    changePassword,
     refreshToken,
+    dismissExpiredSession,
     clearError,
+    parseJWT,
   }
 
   return (
@@ -1,4 +1,5 @@
 import { useAuthContext } from '../contexts/AuthContext'
+import { hasAnyRole, hasAllPermissions } from '../utils/permissions'
 
 /**
  * Custom hook for authentication
@@ -19,15 +20,23 @@ const useAuth = () => {
     isAuthenticated,
     isLoading,
     error,
+    sessionExpired,
+    sessionEndReason,
     tokens,
+    roles = [],
+    permissions = [],
     
     // Actions
     login,
+    verifyMfa,
+    loginWithPasskey,
     register,
     verifyPhone,
     logout,
     updateUser,
+    changePassword,
     refreshToken,
+    dismissExpiredSession,
     clearError,
   } = context
 
@@ -38,14 +47,14 @@ const useAuth = () => {
   // User profile helpers
   const getUserName = () => {
     if (!user) return ''
-    return user.full_name || user.email || ''
+    return user.fullName || user.email || ''
   }
 
   const getUserInitials = () => {
     if (!user) return ''
     
-    if (user.full_name) {
-      const names = user.full_name.trim().split(' ')
+    if (user.fullName) {
+      const names = user.fullName.trim().split(' ')
       if (names.length >= 2) {
         return `${names[0].charAt(0)}${names[names.length - 1].charAt(0)}`.toUpperCase()
       }
@@ -59,36 +68,19 @@ const useAuth = () => {
     return ''
   }
 
-  const isKYCApproved = () => {
-    // Handle different field name formats from backend
-    const kycStatus = user?.kyc_status || user?.kycStatus || user?.kyc?.status
-    return kycStatus === 'approved'
-  }
+  const isKYCApproved = () => user?.kycStatus === 'approved'
 
-  const isKYCPending = () => {
-    const kycStatus = user?.kyc_status || user?.kycStatus || user?.kyc?.status
-    return kycStatus === 'pending'
-  }
+  const isKYCPending = () => user?.kycStatus === 'pending'
 
-  const isKYCRejected = () => {
-    const kycStatus = user?.kyc_status || user?.kycStatus || user?.kyc?.status
-    return kycStatus === 'rejected'
-  }
+  const isKYCRejected = () => user?.kycStatus === 'rejected'
 
-  const isPhoneVerified = () => {
-    // Handle different field name formats from backend
-    return user?.phone_verified === true || user?.phoneVerified === true || user?.is_phone_verified === true
-  }
+  const isPhoneVerified = () => user?.phoneVerified === true
 
-  const isProfileCompleted = () => {
-    // Handle different field name formats from backend
-    return user?.profile_completed === true || user?.profileCompleted === true
-  }
+  const isEmailVerified = () => user?.emailVerified === true
 
-  const getKYCStatus = () => {
-    // Handle different field name formats from backend
-    return user?.kyc_status || user?.kycStatus || user?.kyc?.status || 'not_submitted'
-  }
+  const isProfileCompleted = () => user?.profileCompleted === true
+
+  const getKYCStatus = () => user?.kycStatus || 'not_submitted'
 
   // Authentication helpers
   const canAccessProtectedRoutes = () => {
@@ -99,6 +91,15 @@ const useAuth = () => {
     return canAccessProtectedRoutes() && isKYCApproved()
   }
 
+  // Role/permission helpers backed by the access token claims
+  const hasRole = (requiredRoles) => {
+    return isAuthenticated && hasAnyRole(roles, requiredRoles)
+  }
+
+  const can = (requiredPermissions) => {
+    return isAuthenticated && hasAllPermissions(permissions, requiredPermissions)
+  }
+
   // Enhanced login with error handling
   const handleLogin = async (identifier, password) => {
     try {
@@ -111,6 +112,17 @@ const useAuth = () => {
     }
   }
 
+  // Second login step for accounts with two-factor authentication
+  const handleVerifyMfa = async (mfaToken, code, options) => {
+    try {
+      clearError()
+      return await verifyMfa(mfaToken, code, options)
+    } catch (error) {
+      console.error('Two-factor verification error:', error)
+      throw error
+    }
+  }
+
   // Enhanced register with error handling
   const handleRegister = async (userData) => {
     try {
@@ -136,14 +148,14 @@ const useAuth = () => {
   }
 
   // Enhanced logout with confirmation
-  const handleLogout = async (skipConfirmation = false) => {
+  const handleLogout = async (skipConfirmation = false, options = {}) => {
     if (!skipConfirmation) {
       const confirmed = window.confirm('Are you sure you want to log out?')
       if (!confirmed) return false
     }
 
     try {
-      await logout()
+      await logout(options)
       return true
     } catch (error) {
       console.error('Logout error:', error)
@@ -182,6 +194,8 @@ const useAuth = () => {
     isAuthenticated,
     isLoading,
     error,
+    sessionExpired,
+    sessionEndReason,
     tokens,
     
     // Derived state
@@ -190,10 +204,14 @@ const useAuth = () => {
     
     // Core actions
     login: handleLogin,
+    verifyMfa: handleVerifyMfa,
+    loginWithPasskey,
     register: handleRegister,
     verifyPhone: handleVerifyPhone,
     logout: handleLogout,
     updateUser,
+    changePassword,
+    dismissExpiredSession,
     clearError,
     
     // User helpers
@@ -203,9 +221,14 @@ const useAuth = () => {
     isKYCPending,
     isKYCRejected,
     isPhoneVerified,
+    isEmailVerified,
     isProfileCompleted,
     
     // Permission helpers
+    roles,
+    permissions,
+    hasRole,
+    can,
     canAccessProtectedRoutes,
     canMakeInvestments,
     getKYCStatus,
@@ -39,7 +39,7 @@ describe('useAuth', () => {
         user: {
           id: '123',
           email: 'test@example.com',
-          phone_verified: true,
+          phoneVerified: true,
           // Missing profile fields
         }
       });
@@ -54,8 +54,8 @@ describe('useAuth', () => {
         user: {
           id: '123',
           email: 'test@example.com',
-          phone_verified: true,
-          date_of_birth: '1990-01-01T00:00:00Z',
+          phoneVerified: true,
+          dateOfBirth: '1990-01-01T00:00:00Z',
           country: 'Kenya',
           // Missing city and address
         }
@@ -71,8 +71,8 @@ describe('useAuth', () => {
         user: {
           id: '123',
           email: 'test@example.com',
-          phone_verified: true,
-          date_of_birth: '1990-01-01T00:00:00Z',
+          phoneVerified: true,
+          dateOfBirth: '1990-01-01T00:00:00Z',
           country: 'Kenya',
           city: 'Nairobi',
           address: '123 Main Street'
@@ -89,7 +89,7 @@ describe('useAuth', () => {
         user: {
           id: '123',
           email: 'test@example.com',
-          phone_verified: true,
+          phoneVerified: true,
           dateOfBirth: '1990-01-01T00:00:00Z', // camelCase format
           country: 'Kenya',
           city: 'Nairobi',
@@ -115,8 +115,8 @@ describe('useAuth', () => {
         user: {
           id: '123',
           email: 'test@example.com',
-          phone_verified: false, // Not verified
-          date_of_birth: '1990-01-01T00:00:00Z',
+          phoneVerified: false, // Not verified
+          dateOfBirth: '1990-01-01T00:00:00Z',
           country: 'Kenya',
           city: 'Nairobi',
           address: '123 Main Street'
@@ -134,7 +134,7 @@ describe('useAuth', () => {
         user: {
           id: '123',
           email: 'test@example.com',
-          phone_verified: true,
+          phoneVerified: true,
           // Missing profile fields
         }
       });
@@ -150,8 +150,8 @@ describe('useAuth', () => {
         user: {
           id: '123',
           email: 'test@example.com',
-          phone_verified: true,
-          date_of_birth: '1990-01-01T00:00:00Z',
+          phoneVerified: true,
+          dateOfBirth: '1990-01-01T00:00:00Z',
           country: 'Kenya',
           city: 'Nairobi',
           address: '123 Main Street'
@@ -164,33 +164,23 @@ describe('useAuth', () => {
   });
 
   describe('isPhoneVerified', () => {
-    it('handles different field name formats', () => {
-      // Test phone_verified format
-      useAuthContext.mockReturnValue({
-        ...mockAuthContext,
-        user: { phone_verified: true }
-      });
-
-      let { result } = renderHook(() => useAuth());
-      expect(result.current.isPhoneVerified()).toBe(true);
-
-      // Test phoneVerified format
+    // Legacy field names are normalised by mapUser before the user reaches the context
+    it('reads the mapped phoneVerified flag', () => {
       useAuthContext.mockReturnValue({
         ...mockAuthContext,
         user: { phoneVerified: true }
       });
 
-      ({ result } = renderHook(() => useAuth()));
+      let { result } = renderHook(() => useAuth());
       expect(result.current.isPhoneVerified()).toBe(true);
 
-      // Test is_phone_verified format
       useAuthContext.mockReturnValue({
         ...mockAuthContext,
-        user: { is_phone_verified: true }
+        user: { phoneVerified: false }
       });
 
       ({ result } = renderHook(() => useAuth()));
-      expect(result.current.isPhoneVerified()).toBe(true);
+      expect(result.current.isPhoneVerified()).toBe(false);
     });
   });
 });
\ No newline at end of file
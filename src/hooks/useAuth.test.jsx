@@ -14,8 +14,9 @@ vi.mock('../api/authClient', () => ({
   },
 }))
 
-// Mock axios config
-vi.mock('../api/axiosConfig', () => ({
+// Mock token storage
+vi.mock('../api/tokenManager', async (importOriginal) => ({
+  ...(await importOriginal()),
   getAccessToken: vi.fn(() => null),
   getRefreshToken: vi.fn(() => null),
   clearTokens: vi.fn(),
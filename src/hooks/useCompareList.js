@@ -0,0 +1,39 @@
+import { useSyncExternalStore } from 'react';
+import {
+  getCompareList,
+  subscribeToCompareList,
+  addToCompare,
+  removeFromCompare,
+  clearCompareList,
+  COMPARE_LIMIT,
+} from '../services/compareList';
+
+/**
+ * Products picked for comparison, shared by every component that uses it
+ * @returns {{ items: Object[], isFull: boolean, isSelected: Function, toggle: Function, remove: Function, clear: Function }}
+ *   `toggle(product)` adds the product, or removes it if already picked;
+ *   it returns false when the product could not be added because the list is full
+ */
+const useCompareList = () => {
+  const items = useSyncExternalStore(subscribeToCompareList, getCompareList, getCompareList);
+  const isSelected = (slug) => items.some((item) => item.slug === slug);
+
+  const toggle = (product) => {
+    if (isSelected(product.slug)) {
+      removeFromCompare(product.slug);
+      return true;
+    }
+    return addToCompare(product);
+  };
+
+  return {
+    items,
+    isFull: items.length >= COMPARE_LIMIT,
+    isSelected,
+    toggle,
+    remove: removeFromCompare,
+    clear: clearCompareList,
+  };
+};
+
+export default useCompareList;
@@ -0,0 +1,50 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const TICK_INTERVAL = 1000;
+
+/**
+ * Count down to a deadline one second at a time, e.g. for a Retry-After wait.
+ * Remaining time is computed from the deadline, so a throttled background tab
+ * still shows the right value when it wakes up.
+ * @returns {{ remaining: number, isActive: boolean, start: Function, reset: Function }}
+ */
+const useCountdown = () => {
+  const [deadline, setDeadline] = useState(0);
+  const [remaining, setRemaining] = useState(0);
+
+  useEffect(() => {
+    if (!deadline) return undefined;
+
+    const interval = setInterval(() => {
+      const left = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+      setRemaining(left);
+
+      if (left === 0) {
+        setDeadline(0);
+      }
+    }, TICK_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [deadline]);
+
+  // Start (or restart) the countdown from the given number of seconds
+  const start = useCallback((seconds) => {
+    const total = Math.max(0, Math.ceil(seconds));
+    setRemaining(total);
+    setDeadline(total > 0 ? Date.now() + total * 1000 : 0);
+  }, []);
+
+  const reset = useCallback(() => {
+    setRemaining(0);
+    setDeadline(0);
+  }, []);
+
+  return {
+    remaining,
+    isActive: remaining > 0,
+    start,
+    reset,
+  };
+};
+
+export default useCountdown;
@@ -0,0 +1,47 @@
+import { useState, useCallback } from 'react';
+import { getStorageItem, setStorageItem } from '../utils/storage';
+import { STORAGE_KEYS } from '../utils/constants';
+
+// How many presets one user can keep
+const MAX_PRESETS = 10;
+
+/**
+ * Named product filter presets, kept in this browser for each user.
+ * Saving under an existing name replaces that preset.
+ * @param {string} userId - Owner of the presets; nothing is saved without one
+ * @returns {{ presets: Array<{ id: string, name: string, filters: Object }>, savePreset: Function, deletePreset: Function }}
+ */
+const useFilterPresets = (userId) => {
+  const [presetsByUser, setPresetsByUser] = useState(
+    () => getStorageItem(STORAGE_KEYS.PRODUCT_FILTER_PRESETS, {}) || {}
+  );
+  const presets = (userId && presetsByUser[userId]) || [];
+
+  const updatePresets = useCallback((update) => {
+    if (!userId) return;
+
+    setPresetsByUser((current) => {
+      const next = { ...current, [userId]: update(current[userId] || []) };
+      setStorageItem(STORAGE_KEYS.PRODUCT_FILTER_PRESETS, next);
+      return next;
+    });
+  }, [userId]);
+
+  const savePreset = useCallback((name, filters) => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+
+    updatePresets((current) => [
+      { id: `${Date.now()}`, name: trimmed, filters },
+      ...current.filter((preset) => preset.name.toLowerCase() !== trimmed.toLowerCase()),
+    ].slice(0, MAX_PRESETS));
+  }, [updatePresets]);
+
+  const deletePreset = useCallback((id) => {
+    updatePresets((current) => current.filter((preset) => preset.id !== id));
+  }, [updatePresets]);
+
+  return { presets, savePreset, deletePreset };
+};
+
+export default useFilterPresets;
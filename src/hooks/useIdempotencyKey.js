@@ -0,0 +1,31 @@
+import { useRef, useCallback } from 'react';
+import { createIdempotencyKey } from '../api/idempotency';
+
+/**
+ * Idempotency keys for a form's submissions. Submitting the same payload again
+ * (double click, retry after an error) returns the same key, so the server
+ * processes it once; a changed payload gets a new key. Call `renew` after a
+ * successful submission so the next one is treated as new.
+ * @returns {{ getKey: Function, renew: Function }}
+ */
+const useIdempotencyKey = () => {
+  const lastRef = useRef({ fingerprint: null, key: null });
+
+  const getKey = useCallback((payload = null) => {
+    const fingerprint = JSON.stringify(payload);
+
+    if (!lastRef.current.key || lastRef.current.fingerprint !== fingerprint) {
+      lastRef.current = { fingerprint, key: createIdempotencyKey() };
+    }
+
+    return lastRef.current.key;
+  }, []);
+
+  const renew = useCallback(() => {
+    lastRef.current = { fingerprint: null, key: null };
+  }, []);
+
+  return { getKey, renew };
+};
+
+export default useIdempotencyKey;
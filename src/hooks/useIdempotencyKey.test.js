@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest'
+import { renderHook } from '@testing-library/react'
+import useIdempotencyKey from './useIdempotencyKey'
+
+describe('useIdempotencyKey', () => {
+  it('reuses the key for the same payload and issues a new one when it changes', () => {
+    const { result } = renderHook(() => useIdempotencyKey())
+
+    const first = result.current.getKey({ amount: 100 })
+
+    expect(result.current.getKey({ amount: 100 })).toBe(first)
+    expect(result.current.getKey({ amount: 200 })).not.toBe(first)
+  })
+
+  it('issues a new key after renew', () => {
+    const { result } = renderHook(() => useIdempotencyKey())
+
+    const first = result.current.getKey({ amount: 100 })
+    result.current.renew()
+
+    expect(result.current.getKey({ amount: 100 })).not.toBe(first)
+  })
+})
@@ -0,0 +1,133 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { STORAGE_KEYS, SESSION_CONFIG } from '../utils/constants';
+
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart', 'wheel'];
+
+// Don't write the shared activity timestamp more often than this
+const ACTIVITY_WRITE_THROTTLE = 5000;
+const CHECK_INTERVAL = 1000;
+
+/**
+ * Read the most recent activity recorded by any tab
+ * @returns {number} Epoch milliseconds, or 0 if none recorded
+ */
+const readSharedActivity = () => {
+  try {
+    return Number(localStorage.getItem(STORAGE_KEYS.LAST_ACTIVITY)) || 0;
+  } catch {
+    return 0;
+  }
+};
+
+const writeSharedActivity = (timestamp) => {
+  try {
+    localStorage.setItem(STORAGE_KEYS.LAST_ACTIVITY, String(timestamp));
+  } catch {
+    // Storage unavailable - activity is then tracked for this tab only
+  }
+};
+
+/**
+ * Track user inactivity across all open tabs
+ * @param {Object} options - Idle options
+ * @param {boolean} options.enabled - Whether tracking is active (e.g. only when signed in)
+ * @param {number} options.timeout - Idle time before onIdle fires
+ * @param {number} options.warningDuration - How long before the timeout the warning starts
+ * @param {Function} options.onIdle - Called once when the timeout is reached
+ * @returns {Object} Warning state, seconds remaining and a function to mark the user active
+ */
+const useIdleTimeout = ({
+  enabled = true,
+  timeout = SESSION_CONFIG.IDLE_TIMEOUT,
+  warningDuration = SESSION_CONFIG.IDLE_WARNING_DURATION,
+  onIdle,
+} = {}) => {
+  const [isWarning, setIsWarning] = useState(false);
+  const [remainingSeconds, setRemainingSeconds] = useState(Math.ceil(warningDuration / 1000));
+
+  const lastActivityRef = useRef(0);
+  const lastWriteRef = useRef(0);
+  const isWarningRef = useRef(false);
+  const onIdleRef = useRef(onIdle);
+
+  useEffect(() => {
+    onIdleRef.current = onIdle;
+  }, [onIdle]);
+
+  const recordActivity = useCallback((force = false) => {
+    const now = Date.now();
+    lastActivityRef.current = now;
+
+    if (force || now - lastWriteRef.current >= ACTIVITY_WRITE_THROTTLE) {
+      lastWriteRef.current = now;
+      writeSharedActivity(now);
+    }
+  }, []);
+
+  // Explicitly keep the session alive (e.g. "Stay signed in")
+  const stayActive = useCallback(() => {
+    recordActivity(true);
+    isWarningRef.current = false;
+    setIsWarning(false);
+  }, [recordActivity]);
+
+  useEffect(() => {
+    if (!enabled) {
+      return undefined;
+    }
+
+    recordActivity(true);
+    isWarningRef.current = false;
+
+    const handleActivity = () => {
+      // Once the warning is showing, only an explicit choice keeps the session
+      if (!isWarningRef.current) {
+        recordActivity();
+      }
+    };
+
+    const checkIdle = () => {
+      const lastActivity = Math.max(lastActivityRef.current, readSharedActivity());
+      const remaining = lastActivity + timeout - Date.now();
+
+      if (remaining <= 0) {
+        isWarningRef.current = false;
+        setIsWarning(false);
+        onIdleRef.current?.();
+        return;
+      }
+
+      const shouldWarn = remaining <= warningDuration;
+      if (shouldWarn !== isWarningRef.current) {
+        // Activity in another tab clears this tab's warning too
+        isWarningRef.current = shouldWarn;
+        setIsWarning(shouldWarn);
+      }
+
+      if (shouldWarn) {
+        setRemainingSeconds(Math.ceil(remaining / 1000));
+      }
+    };
+
+    ACTIVITY_EVENTS.forEach((eventName) => {
+      window.addEventListener(eventName, handleActivity, { passive: true });
+    });
+
+    const intervalId = setInterval(checkIdle, CHECK_INTERVAL);
+
+    return () => {
+      ACTIVITY_EVENTS.forEach((eventName) => {
+        window.removeEventListener(eventName, handleActivity);
+      });
+      clearInterval(intervalId);
+    };
+  }, [enabled, timeout, warningDuration, recordActivity]);
+
+  return {
+    isWarning: enabled && isWarning,
+    remainingSeconds,
+    stayActive,
+  };
+};
+
+export default useIdleTimeout;
@@ -0,0 +1,79 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { renderHook, act } from '@testing-library/react'
+import useIdleTimeout from './useIdleTimeout'
+import { STORAGE_KEYS } from '../utils/constants'
+
+describe('useIdleTimeout', () => {
+  let store
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    store = new Map()
+    vi.stubGlobal('localStorage', {
+      getItem: (key) => (store.has(key) ? store.get(key) : null),
+      setItem: (key, value) => store.set(key, String(value)),
+      removeItem: (key) => store.delete(key),
+    })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.unstubAllGlobals()
+  })
+
+  const options = (overrides = {}) => ({
+    timeout: 10000,
+    warningDuration: 3000,
+    onIdle: vi.fn(),
+    ...overrides,
+  })
+
+  it('warns before the timeout and then calls onIdle', () => {
+    const opts = options()
+    const { result } = renderHook(() => useIdleTimeout(opts))
+
+    act(() => { vi.advanceTimersByTime(8000) })
+    expect(result.current.isWarning).toBe(true)
+    expect(result.current.remainingSeconds).toBe(2)
+    expect(opts.onIdle).not.toHaveBeenCalled()
+
+    act(() => { vi.advanceTimersByTime(2000) })
+    expect(opts.onIdle).toHaveBeenCalledTimes(1)
+  })
+
+  it('resets the countdown when the user chooses to stay', () => {
+    const opts = options()
+    const { result } = renderHook(() => useIdleTimeout(opts))
+
+    act(() => { vi.advanceTimersByTime(8000) })
+    act(() => { result.current.stayActive() })
+    expect(result.current.isWarning).toBe(false)
+
+    act(() => { vi.advanceTimersByTime(6000) })
+    expect(result.current.isWarning).toBe(false)
+    expect(opts.onIdle).not.toHaveBeenCalled()
+  })
+
+  it('treats activity recorded by another tab as activity here', () => {
+    const opts = options()
+    const { result } = renderHook(() => useIdleTimeout(opts))
+
+    act(() => { vi.advanceTimersByTime(8000) })
+    expect(result.current.isWarning).toBe(true)
+
+    act(() => {
+      store.set(STORAGE_KEYS.LAST_ACTIVITY, String(Date.now()))
+      vi.advanceTimersByTime(1000)
+    })
+    expect(result.current.isWarning).toBe(false)
+    expect(opts.onIdle).not.toHaveBeenCalled()
+  })
+
+  it('does nothing while disabled', () => {
+    const opts = options({ enabled: false })
+    renderHook(() => useIdleTimeout(opts))
+
+    act(() => { vi.advanceTimersByTime(20000) })
+    expect(opts.onIdle).not.toHaveBeenCalled()
+  })
+})
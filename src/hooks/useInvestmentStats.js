@@ -1,22 +1,26 @@
-import { useState, useEffect } from 'react';
 import investmentClient from '../api/investmentClient';
+import { isRequestCancelled } from '../api/baseClient';
+import { QUERY_KEYS } from '../services/queryCache';
+import useQuery from './useQuery';
 import { formatCurrency, formatPercentage, formatCompactCurrency, formatLargeNumber } from '../utils/investmentHelpers';
 
+const EMPTY_STATS = {
+  averageReturn: 0,
+  minInvestment: 0,
+  totalProducts: 0,
+  totalInvestors: 0,
+  totalRaised: 0,
+  activeProducts: 0
+};
+
+// Marketing figures change slowly; no need to refetch on every page view
+const STATS_STALE_TIME = 5 * 60 * 1000; // 5 minutes
+
 /**
  * Hook to fetch and manage investment statistics
  * @returns {Object} Statistics data and loading state
  */
 const useInvestmentStats = () => {
-  const [stats, setStats] = useState({
-    averageReturn: 0,
-    minInvestment: 0,
-    totalProducts: 0,
-    totalInvestors: 0,
-    totalRaised: 0,
-    activeProducts: 0
-  });
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
 
   // Calculate statistics from products data
   const calculateStatsFromProducts = (products) => {
@@ -35,29 +39,26 @@ const useInvestmentStats = () => {
     const activeProducts = products.filter(product => product.status === 'active');
    
     // Calculate average return from all products (not just active)
-    const productsWithReturns = products.filter(product => {
-      const returnRate = parseFloat(product.expected_annual_return);
-      return returnRate && returnRate > 0;
-    });
+    const productsWithReturns = products.filter(product => product.expectedAnnualReturn > 0);
     
     const totalReturn = productsWithReturns.reduce((sum, product) => {
-      return sum + (parseFloat(product.expected_annual_return) || 0);
+      return sum + product.expectedAnnualReturn;
     }, 0);
     const averageReturn = productsWithReturns.length > 0 ? totalReturn / productsWithReturns.length : 0;
 
     // Find minimum investment from all products
     const minInvestments = products
-      .map(product => parseFloat(product.minimum_investment) || 0)
+      .map(product => product.minimumInvestment)
       .filter(amount => amount > 0);
     const minInvestment = minInvestments.length > 0 ? Math.min(...minInvestments) : 0;
 
     // Calculate totals from all products
     const totalInvestors = products.reduce((sum, product) => {
-      return sum + (parseInt(product.total_investors) || 0);
+      return sum + product.totalInvestors;
     }, 0);
 
     const totalRaised = products.reduce((sum, product) => {
-      return sum + (parseFloat(product.total_raised) || 0);
+      return sum + product.totalRaised;
     }, 0);
 
     const stats = {
@@ -73,55 +74,33 @@ const useInvestmentStats = () => {
   };
 
   // Fetch statistics
-  const fetchStats = async () => {
+  const fetchStats = async ({ signal }) => {
+    // Try to fetch dedicated statistics endpoint first
     try {
-      setLoading(true);
-      setError(null);
-
-      // Try to fetch dedicated statistics endpoint first
-      try {
-        const statsResponse = await investmentClient.getStatistics();
-        setStats(statsResponse);
-        return;
-      } catch (statsError) {
-        // Statistics endpoint not available (404 or other error), fall back to product calculation
-        console.error('Statistics error details:', statsError.message);
-      }
-
-      // Fallback: fetch products and calculate statistics
-      const productsResponse = await investmentClient.getProducts({
-        page: 1,
-        pageSize: 100 // Get more products for better statistics
-      });
-
-      const products = productsResponse.products || [];
-   
-      const calculatedStats = calculateStatsFromProducts(products);
-      
-      setStats(calculatedStats);
-
-    } catch (err) {
-      console.error('Error fetching investment statistics:', err);
-      setError(err.message || 'Failed to load investment statistics');
-      
-      // Set default values on error
-      setStats({
-        averageReturn: 0,
-        minInvestment: 0,
-        totalProducts: 0,
-        totalInvestors: 0,
-        totalRaised: 0,
-        activeProducts: 0
-      });
-    } finally {
-      setLoading(false);
+      return await investmentClient.getStatistics({ signal });
+    } catch (statsError) {
+      if (isRequestCancelled(statsError)) throw statsError;
+      // Statistics endpoint not available (404 or other error), fall back to product calculation
+      console.error('Statistics error details:', statsError.message);
     }
+
+    // Fallback: fetch products and calculate statistics
+    const productsResponse = await investmentClient.getProducts({
+      page: 1,
+      pageSize: 100 // Get more products for better statistics
+    }, { signal });
+
+    return calculateStatsFromProducts(productsResponse.products);
   };
 
-  // Fetch stats on mount
-  useEffect(() => {
-    fetchStats();
-  }, []);
+  const { data, error: fetchError, isLoading: loading, refetch } = useQuery(
+    QUERY_KEYS.INVESTMENT_STATS,
+    fetchStats,
+    { staleTime: STATS_STALE_TIME }
+  );
+  // Default values until loaded and on error
+  const stats = data || EMPTY_STATS;
+  const error = fetchError ? fetchError.message || 'Failed to load investment statistics' : null;
 
   // Format statistics for display
   const formattedStats = {
@@ -162,7 +141,7 @@ const useInvestmentStats = () => {
     formattedStats,
     loading,
     error,
-    refetch: fetchStats
+    refetch
   };
 };
 
@@ -0,0 +1,45 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { invalidateQueries } from '../services/queryCache';
+
+/**
+ * Run a change on the server and refresh the cached queries it affects.
+ * `mutate` resolves with the response or rethrows, so callers keep their own
+ * error handling; the state is there for buttons and inline messages.
+ * @param {Function} mutationFn - Performs the request with the arguments passed to mutate
+ * @param {Object} options - Mutation options
+ * @param {Array[]} options.invalidates - Query key prefixes to refetch after success
+ * @param {Function} options.onSuccess - Called with (data, ...args) after success
+ * @returns {{ mutate: Function, isLoading: boolean, error: Object|null, data: any, reset: Function }}
+ */
+const useMutation = (mutationFn, { invalidates = [], onSuccess } = {}) => {
+  const [state, setState] = useState({ isLoading: false, error: null, data: undefined });
+
+  const optionsRef = useRef({ mutationFn, invalidates, onSuccess });
+  useEffect(() => {
+    optionsRef.current = { mutationFn, invalidates, onSuccess };
+  });
+
+  const mutate = useCallback(async (...args) => {
+    const { mutationFn: run, invalidates: keys, onSuccess: handleSuccess } = optionsRef.current;
+    setState({ isLoading: true, error: null, data: undefined });
+
+    try {
+      const data = await run(...args);
+      keys.forEach((key) => invalidateQueries(key));
+      setState({ isLoading: false, error: null, data });
+      handleSuccess?.(data, ...args);
+      return data;
+    } catch (error) {
+      setState({ isLoading: false, error, data: undefined });
+      throw error;
+    }
+  }, []);
+
+  const reset = useCallback(() => {
+    setState({ isLoading: false, error: null, data: undefined });
+  }, []);
+
+  return { ...state, mutate, reset };
+};
+
+export default useMutation;
@@ -0,0 +1,26 @@
+import useQuery from './useQuery';
+import subscriptionClient from '../api/subscriptionClient';
+import { QUERY_KEYS } from '../services/queryCache';
+
+// Resolve to null rather than failing when the user has no subscription yet
+const fetchMySubscription = async ({ signal }) => {
+  try {
+    return await subscriptionClient.getMySubscription({ signal });
+  } catch (error) {
+    if ((error.status ?? error.response?.status) === 404) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * The signed-in user's subscription from the shared query cache, so the banner,
+ * the status card and the plans page share one request.
+ * `data` is null when the user has no subscription.
+ * @param {Object} options - Options passed to useQuery (enabled, staleTime)
+ * @returns {Object} useQuery result
+ */
+const useMySubscription = (options) => useQuery(QUERY_KEYS.MY_SUBSCRIPTION, fetchMySubscription, options);
+
+export default useMySubscription;
@@ -0,0 +1,57 @@
+import { useState, useEffect, useRef } from 'react';
+import {
+  getOutboxEntries,
+  subscribeToOutbox,
+  replayOutbox,
+  retryOutboxEntry,
+  discardOutboxEntry,
+  OUTBOX_EVENTS,
+} from '../services/offlineOutbox';
+// Registers the operations so entries saved before a reload can be replayed
+import '../services/outboxOperations';
+
+/**
+ * Changes the signed-in user has waiting in the offline outbox. Subscribing
+ * keeps the outbox replaying when the browser comes back online, and anything
+ * left from an earlier visit is sent as soon as the hook mounts or its user
+ * signs back in.
+ * @param {Object} options - Hook options
+ * @param {string|null} options.userId - Signed-in user; entries are re-read and replayed when it changes
+ * @param {Function} options.onReplayed - Called with (entry, result) when a queued change is sent
+ * @returns {{ entries: Object[], retry: Function, discard: Function }}
+ */
+const useOfflineOutbox = ({ userId = null, onReplayed } = {}) => {
+  const [entries, setEntries] = useState(getOutboxEntries);
+
+  // Each user only sees their own entries
+  const [entriesUserId, setEntriesUserId] = useState(userId);
+  if (entriesUserId !== userId) {
+    setEntriesUserId(userId);
+    setEntries(getOutboxEntries());
+  }
+
+  const onReplayedRef = useRef(onReplayed);
+  useEffect(() => {
+    onReplayedRef.current = onReplayed;
+  });
+
+  useEffect(() => {
+    const unsubscribe = subscribeToOutbox((event) => {
+      if (event.type === OUTBOX_EVENTS.CHANGED) {
+        setEntries(event.entries);
+      } else if (event.type === OUTBOX_EVENTS.REPLAYED) {
+        onReplayedRef.current?.(event.entry, event.result);
+      }
+    });
+
+    return unsubscribe;
+  }, []);
+
+  useEffect(() => {
+    replayOutbox();
+  }, [userId]);
+
+  return { entries, retry: retryOutboxEntry, discard: discardOutboxEntry };
+};
+
+export default useOfflineOutbox;
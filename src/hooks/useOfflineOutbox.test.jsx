@@ -0,0 +1,65 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import useOfflineOutbox from './useOfflineOutbox';
+import { registerOutboxOperation, queueMutation, clearOutbox } from '../services/offlineOutbox';
+
+const Outbox = ({ userId }) => {
+  const { entries } = useOfflineOutbox({ userId });
+  return <p>{entries.length} waiting</p>;
+};
+
+const signIn = (id) => localStorage.setItem('africa_user_data', JSON.stringify({ id }));
+
+describe('useOfflineOutbox', () => {
+  let sendNote;
+
+  beforeEach(() => {
+    const store = new Map();
+    vi.stubGlobal('localStorage', {
+      getItem: (key) => (store.has(key) ? store.get(key) : null),
+      setItem: (key, value) => store.set(key, String(value)),
+      removeItem: (key) => store.delete(key),
+      clear: () => store.clear(),
+    });
+
+    sendNote = vi.fn(async (text) => ({ text }));
+    registerOutboxOperation('note.create', sendNote);
+  });
+
+  afterEach(() => {
+    clearOutbox();
+    vi.unstubAllGlobals();
+  });
+
+  it('shows and sends the entries of a user who signs back in', async () => {
+    signIn('user-a');
+    queueMutation('note.create', ['from a']);
+    localStorage.removeItem('africa_user_data');
+
+    const { rerender } = render(<Outbox userId={null} />);
+    expect(screen.getByText('0 waiting')).toBeInTheDocument();
+    await waitFor(() => expect(sendNote).not.toHaveBeenCalled());
+
+    signIn('user-a');
+    rerender(<Outbox userId="user-a" />);
+
+    await waitFor(() => expect(sendNote).toHaveBeenCalledWith('from a'));
+    expect(await screen.findByText('0 waiting')).toBeInTheDocument();
+  });
+
+  it('lists the signed-in user\'s entries once they sign in', () => {
+    signIn('user-a');
+    queueMutation('note.create', ['from a']);
+    localStorage.removeItem('africa_user_data');
+    vi.stubGlobal('navigator', { ...navigator, onLine: false });
+
+    const { rerender } = render(<Outbox userId={null} />);
+    expect(screen.getByText('0 waiting')).toBeInTheDocument();
+
+    signIn('user-a');
+    rerender(<Outbox userId="user-a" />);
+
+    expect(screen.getByText('1 waiting')).toBeInTheDocument();
+  });
+});
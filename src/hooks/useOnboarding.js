@@ -3,10 +3,10 @@ import useAuth from './useAuth';
 
 /**
  * Hook to manage user onboarding status and flow
- * Implements the streamlined flow: Register → Phone Verification → Profile Completion → Free Trial → Dashboard Access
+ * Implements the streamlined flow: Register → Phone Verification → Email Verification → Profile Completion → Free Trial → Dashboard Access
  */
 const useOnboarding = () => {
-  const { user, isAuthenticated, isPhoneVerified } = useAuth();
+  const { user, isAuthenticated, isPhoneVerified, isEmailVerified } = useAuth();
 
   // Calculate onboarding status for streamlined flow
   const onboardingStatus = useMemo(() => {
@@ -21,6 +21,7 @@ const useOnboarding = () => {
         canSubscribe: false,
         steps: {
           phoneVerified: false,
+          emailVerified: false,
           profileCompleted: false,
           freeTrialActivated: false
         }
@@ -29,12 +30,11 @@ const useOnboarding = () => {
 
     // Check each step in the streamlined flow
     const phoneVerified = isPhoneVerified();
-    const profileCompleted = user.profile_completed || user.profileCompleted || false;
+    const emailVerified = isEmailVerified();
+    const profileCompleted = user.profileCompleted;
     
-    // Check if user has any active subscription (including free trial)
-    const hasActiveSubscription = user.subscription_status === 'active' || 
-                                 user.subscription_status === 'trial' ||
-                                 user.has_active_subscription === true;
+    // Any active subscription counts, including a free trial
+    const hasActiveSubscription = user.hasActiveSubscription;
 
     // Determine current step and next action based on streamlined flow
     let currentStep = 'complete';
@@ -49,32 +49,37 @@ const useOnboarding = () => {
       currentStep = 'phone_verification';
       nextStep = 'verify_phone';
       redirectTo = '/verify-phone';
+    } else if (!emailVerified) {
+      // Step 2: Email Verification (inquiries and statements are keyed by email)
+      currentStep = 'email_verification';
+      nextStep = 'verify_email';
+      redirectTo = '/verify-email';
     } else if (!profileCompleted) {
-      // Step 2: Profile Completion
+      // Step 3: Profile Completion
       currentStep = 'profile_completion';
       nextStep = 'complete_profile';
       redirectTo = '/onboarding/streamlined';
     } else {
-      // Step 3: Profile completed - user can access dashboard and features
+      // Step 4: Profile completed - user can access dashboard and features
       canAccessDashboard = true;
       canInvest = true; // Can submit investment inquiries
       canSubscribe = true; // Can subscribe to plans
       
       if (!hasActiveSubscription) {
-        // Step 4: Free trial available but not required for dashboard access
+        // Step 5: Free trial available but not required for dashboard access
         currentStep = 'free_trial_available';
         nextStep = 'activate_free_trial';
         // Don't redirect - user can access dashboard without trial
       } else {
-        // Step 5: Complete - user has subscription
+        // Step 6: Complete - user has subscription
         currentStep = 'complete';
         nextStep = 'complete';
       }
     }
 
-    // Streamlined onboarding is complete when phone is verified and profile is completed
+    // Streamlined onboarding is complete when phone and email are verified and profile is completed
     // Free trial is optional but recommended
-    const isComplete = phoneVerified && profileCompleted;
+    const isComplete = phoneVerified && emailVerified && profileCompleted;
 
     return {
       isComplete,
@@ -86,31 +91,32 @@ const useOnboarding = () => {
       canSubscribe,
       steps: {
         phoneVerified,
+        emailVerified,
         profileCompleted,
         freeTrialActivated: hasActiveSubscription
       },
       progress: {
         completed: [
           phoneVerified && 'phone_verification',
+          emailVerified && 'email_verification',
           profileCompleted && 'profile_completion',
           hasActiveSubscription && 'free_trial_activation'
         ].filter(Boolean),
-        total: 2, // phone + profile (free trial is optional)
+        total: 3, // phone + email + profile (free trial is optional)
         percentage: Math.round(
-          ([phoneVerified, profileCompleted].filter(Boolean).length / 2) * 100
+          ([phoneVerified, emailVerified, profileCompleted].filter(Boolean).length / 3) * 100
         )
       }
     };
   }, [
     user?.id,
-    user?.phone_verified,
     user?.phoneVerified,
-    user?.profile_completed,
+    user?.emailVerified,
     user?.profileCompleted,
-    user?.subscription_status,
-    user?.has_active_subscription,
+    user?.hasActiveSubscription,
     isAuthenticated,
-    isPhoneVerified
+    isPhoneVerified,
+    isEmailVerified
   ]);
 
   // Helper functions
@@ -122,6 +128,8 @@ const useOnboarding = () => {
     switch (onboardingStatus.nextStep) {
       case 'verify_phone':
         return 'Please verify your phone number to continue';
+      case 'verify_email':
+        return 'Please confirm your email address to continue';
       case 'complete_profile':
         return 'Complete your profile to access the dashboard and start investing';
       case 'activate_free_trial':
@@ -137,6 +145,8 @@ const useOnboarding = () => {
     switch (step) {
       case 'phone_verification':
         return 'Verify Phone Number';
+      case 'email_verification':
+        return 'Verify Email Address';
       case 'profile_completion':
         return 'Complete Profile';
       case 'free_trial_available':
@@ -152,6 +162,8 @@ const useOnboarding = () => {
     switch (step) {
       case 'phone_verification':
         return 'Verify your phone number with the OTP code sent to you';
+      case 'email_verification':
+        return 'Enter the code or open the link we emailed you';
       case 'profile_completion':
         return 'Provide basic information to personalize your investment experience';
       case 'free_trial_available':
@@ -0,0 +1,59 @@
+import { useMemo, useRef, useEffect, useCallback, useSyncExternalStore } from 'react';
+import {
+  DEFAULT_STALE_TIME,
+  fetchQuery,
+  getQueryState,
+  subscribeToQuery,
+} from '../services/queryCache';
+
+/**
+ * Read server data through the shared query cache.
+ * Components asking for the same key share one request and one cached result;
+ * stale data is shown straight away and refreshed in the background, including
+ * when the tab regains focus or the connection comes back.
+ * @param {Array} key - Query key, e.g. QUERY_KEYS.PORTFOLIO or ['products', 'detail', slug]
+ * @param {Function} fetcher - Called with { signal }; resolves to the data
+ * @param {Object} options - Query options
+ * @param {boolean} options.enabled - Set to false to wait (e.g. until a slug is known)
+ * @param {number} options.staleTime - How long the data stays fresh, in ms
+ * @returns {{ data: any, error: Object|null, isLoading: boolean, isFetching: boolean, refetch: Function }}
+ */
+const useQuery = (key, fetcher, { enabled = true, staleTime = DEFAULT_STALE_TIME } = {}) => {
+  const hash = JSON.stringify(key);
+  // Callers usually pass a new array every render; only a change of content is a new key
+  const stableKey = useMemo(() => JSON.parse(hash), [hash]);
+
+  const fetcherRef = useRef(fetcher);
+  useEffect(() => {
+    fetcherRef.current = fetcher;
+  });
+
+  const subscribe = useCallback((listener) => subscribeToQuery(stableKey, listener), [stableKey]);
+  const getSnapshot = useCallback(() => getQueryState(stableKey), [stableKey]);
+  const state = useSyncExternalStore(subscribe, getSnapshot, getSnapshot);
+
+  const run = useCallback((force) => fetchQuery(
+    stableKey,
+    (options) => fetcherRef.current(options),
+    { staleTime, force }
+  ), [stableKey, staleTime]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    // Failures are kept in the cache and read from `error`
+    run(false).catch(() => {});
+  }, [enabled, run]);
+
+  // Refetch even if the data is still fresh, e.g. from a retry button
+  const refetch = useCallback(() => run(true).catch(() => {}), [run]);
+
+  return {
+    data: state.data,
+    error: state.error,
+    isLoading: enabled && state.data === undefined && !state.error,
+    isFetching: state.isFetching,
+    refetch,
+  };
+};
+
+export default useQuery;
@@ -0,0 +1,58 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import useQuery from './useQuery';
+import useMutation from './useMutation';
+import { clearQueryCache } from '../services/queryCache';
+
+const Balance = ({ fetcher }) => {
+  const { data, isLoading } = useQuery(['portfolio'], fetcher);
+  return <p>{isLoading ? 'Loading' : `Balance ${data.balance}`}</p>;
+};
+
+const Withdraw = ({ withdraw }) => {
+  const { mutate } = useMutation(withdraw, { invalidates: [['portfolio']] });
+  return <button onClick={() => mutate(200)}>Withdraw</button>;
+};
+
+describe('useQuery and useMutation', () => {
+  beforeEach(() => {
+    clearQueryCache();
+  });
+
+  it('lets components on the same key share one request', async () => {
+    const fetcher = vi.fn().mockResolvedValue({ balance: 500 });
+
+    render(
+      <>
+        <Balance fetcher={fetcher} />
+        <Balance fetcher={fetcher} />
+      </>
+    );
+
+    expect(await screen.findAllByText('Balance 500')).toHaveLength(2);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  it('refreshes affected queries after a mutation succeeds', async () => {
+    const fetcher = vi.fn()
+      .mockResolvedValueOnce({ balance: 500 })
+      .mockResolvedValueOnce({ balance: 300 });
+    const withdraw = vi.fn().mockResolvedValue({ id: 'w1' });
+
+    render(
+      <>
+        <Balance fetcher={fetcher} />
+        <Withdraw withdraw={withdraw} />
+      </>
+    );
+
+    await screen.findByText('Balance 500');
+    fireEvent.click(screen.getByRole('button', { name: 'Withdraw' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Balance 300')).toBeInTheDocument();
+    });
+    expect(withdraw).toHaveBeenCalledWith(200);
+  });
+});
@@ -0,0 +1,27 @@
+import { useRef, useEffect, useCallback } from 'react';
+
+/**
+ * Hand out an AbortSignal per request so a component only ever has one request
+ * of a kind in flight. Starting a new request aborts the previous one (e.g. after
+ * a filter change), and any outstanding request is aborted on unmount.
+ * @returns {Function} beginRequest - Aborts the previous request and returns a fresh AbortSignal
+ */
+const useRequestController = () => {
+  const controllerRef = useRef(null);
+
+  useEffect(() => {
+    return () => {
+      controllerRef.current?.abort();
+      controllerRef.current = null;
+    };
+  }, []);
+
+  return useCallback(() => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    return controller.signal;
+  }, []);
+};
+
+export default useRequestController;
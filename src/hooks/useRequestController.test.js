@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest'
+import { renderHook } from '@testing-library/react'
+import useRequestController from './useRequestController'
+
+describe('useRequestController', () => {
+  it('aborts the previous request when a new one starts', () => {
+    const { result } = renderHook(() => useRequestController())
+
+    const first = result.current()
+    const second = result.current()
+
+    expect(first.aborted).toBe(true)
+    expect(second.aborted).toBe(false)
+  })
+
+  it('aborts the outstanding request on unmount', () => {
+    const { result, unmount } = renderHook(() => useRequestController())
+
+    const signal = result.current()
+    unmount()
+
+    expect(signal.aborted).toBe(true)
+  })
+})
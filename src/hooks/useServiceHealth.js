@@ -0,0 +1,26 @@
+import { useSyncExternalStore } from 'react';
+import {
+  getServiceHealth,
+  subscribeToServiceHealth,
+  SERVICE_STATUS,
+} from '../services/serviceHealth';
+
+/**
+ * Status of the backend services from the shared monitor. While any component
+ * uses this hook the services are checked periodically.
+ * @returns {{ services: Object, isAvailable: Function, isDegraded: Function }}
+ *   `services` maps each service to { status, message, checkedAt };
+ *   `isAvailable(service)` is false only once the service is known to be down;
+ *   `isDegraded(service)` is true while it is degraded or down
+ */
+const useServiceHealth = () => {
+  const services = useSyncExternalStore(subscribeToServiceHealth, getServiceHealth, getServiceHealth);
+
+  return {
+    services,
+    isAvailable: (service) => services[service]?.status !== SERVICE_STATUS.DOWN,
+    isDegraded: (service) => [SERVICE_STATUS.DEGRADED, SERVICE_STATUS.DOWN].includes(services[service]?.status),
+  };
+};
+
+export default useServiceHealth;
@@ -2,9 +2,36 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { FEATURE_FLAGS } from './utils/constants'
+import axiosInstance from './api/axiosConfig'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+const render = () => {
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      <App />
+    </StrictMode>,
+  )
+}
+
+// The mock backend and the network log are loaded only when enabled, so they
+// stay out of the normal bundle. Both are set up before the first render so
+// the requests made while restoring the session are covered too.
+const setup = []
+
+if (FEATURE_FLAGS.ENABLE_MOCK_API) {
+  setup.push(import('./api/mock').then(({ enableMockApi }) => {
+    const latency = import.meta.env.VITE_MOCK_API_LATENCY
+    enableMockApi({
+      latency: latency ? latency.split(',').map(Number) : [150, 600],
+      errorRate: Number(import.meta.env.VITE_MOCK_API_ERROR_RATE) || 0,
+    })
+  }))
+}
+
+if (FEATURE_FLAGS.ENABLE_DEBUG_MODE) {
+  setup.push(import('./api/networkLog').then(({ installNetworkLog }) => {
+    installNetworkLog(axiosInstance)
+  }))
+}
+
+Promise.allSettled(setup).then(render)
@@ -0,0 +1,47 @@
+import React from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { ShieldAlert, ArrowLeft } from 'lucide-react';
+import DashboardLayout from '../components/layout/DashboardLayout';
+import Card from '../components/common/Card';
+import { ROUTES } from '../utils/constants';
+
+/**
+ * ForbiddenPage
+ * Shown in place of a page the signed-in user is not allowed to see.
+ * The URL is kept so an admin can share the link or the user can sign in with another account.
+ */
+const ForbiddenPage = () => {
+  const location = useLocation();
+
+  return (
+    <DashboardLayout>
+      <div className="max-w-lg mx-auto py-12">
+        <Card padding="xl" hover={false} className="text-center">
+          <div className="w-16 h-16 mx-auto mb-6 rounded-full bg-error-50 flex items-center justify-center">
+            <ShieldAlert className="w-8 h-8 text-error-600" />
+          </div>
+
+          <p className="text-sm font-semibold text-error-600 mb-2">403</p>
+          <h1 className="text-2xl font-bold text-secondary-900 mb-3">
+            Access denied
+          </h1>
+          <p className="text-secondary-600 mb-8">
+            Your account does not have permission to view{' '}
+            <span className="font-mono text-sm text-secondary-800 break-all">{location.pathname}</span>.
+            If you think this is a mistake, contact an administrator.
+          </p>
+
+          <Link
+            to={ROUTES.DASHBOARD}
+            className="inline-flex items-center px-4 py-2.5 rounded-lg bg-primary-600 text-white font-medium hover:bg-primary-700 transition-colors"
+          >
+            <ArrowLeft className="w-4 h-4 mr-2" />
+            Back to dashboard
+          </Link>
+        </Card>
+      </div>
+    </DashboardLayout>
+  );
+};
+
+export default ForbiddenPage;
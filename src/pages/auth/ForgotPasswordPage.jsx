@@ -0,0 +1,52 @@
+import React from 'react';
+import { useLocation } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import ForgotPasswordForm from '../../components/auth/ForgotPasswordForm';
+
+const ForgotPasswordPage = () => {
+  const location = useLocation();
+  const initialEmail = location.state?.email || '';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 to-secondary-100 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        transition={{ duration: 0.3 }}
+        className="w-full max-w-md"
+      >
+        {/* Logo/Brand Section */}
+        <div className="text-center mb-8">
+          <motion.div
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.1, duration: 0.3 }}
+            className="mx-auto w-16 h-16 bg-primary-600 rounded-full flex items-center justify-center mb-4"
+          >
+            <svg className="w-8 h-8 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 7a2 2 0 012 2m4 0a6 6 0 01-7.743 5.743L11 17H9v2H7v2H4a1 1 0 01-1-1v-2.586a1 1 0 01.293-.707l5.964-5.964A6 6 0 1121 9z" />
+            </svg>
+          </motion.div>
+          <h1 className="text-3xl font-bold text-secondary-900">
+            Capitalized
+          </h1>
+          <p className="text-secondary-600 mt-2">
+            Reset your password
+          </p>
+        </div>
+
+        {/* Form Card */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.2, duration: 0.3 }}
+          className="bg-white rounded-lg shadow-lg p-8"
+        >
+          <ForgotPasswordForm initialEmail={initialEmail} />
+        </motion.div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default ForgotPasswordPage;
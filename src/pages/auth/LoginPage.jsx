@@ -1,16 +1,22 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate, useLocation, Link } from 'react-router-dom';
+import { useNavigate, useLocation, useSearchParams, Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import LoginForm from '../../components/auth/LoginForm';
+import PasskeySignIn from '../../components/auth/PasskeySignIn';
 import useAuth from '../../hooks/useAuth';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
+import ServiceUnavailable from '../../components/common/ServiceUnavailable';
+import useServiceHealth from '../../hooks/useServiceHealth';
+import { SERVICES } from '../../services/serviceHealth';
 import { useAuthContext } from '../../contexts/AuthContext';
 
 
 const LoginPage = () => {
   const navigate = useNavigate();
   const location = useLocation();
+  const [searchParams] = useSearchParams();
   const { isAuthenticated, isLoading, isPhoneVerified } = useAuth();
+  const { isAvailable } = useServiceHealth();
   const { updateUser } = useAuthContext();
   const [pageLoading, setPageLoading] = useState(false);
 
@@ -44,7 +50,7 @@ const LoginPage = () => {
     await new Promise(resolve => setTimeout(resolve, 100));
     
     // Check if phone verification is needed
-    if (response.user && !response.user.phone_verified) {
+    if (response.user && !response.user.phoneVerified) {
       navigate('/verify-phone', { 
         state: { 
           phone: response.user.phone,
@@ -107,6 +113,28 @@ const LoginPage = () => {
           transition={{ delay: 0.2, duration: 0.3 }}
           className="bg-white rounded-lg shadow-lg p-8"
         >
+          {location.state?.message && (
+            <div className="mb-6 p-4 bg-success-50 border border-success-200 rounded-lg text-sm text-success-700">
+              {location.state.message}
+            </div>
+          )}
+
+          {searchParams.get('reason') === 'idle' && (
+            <div className="mb-6 p-4 bg-warning-50 border border-warning-200 rounded-lg text-sm text-warning-800">
+              You were signed out after a period of inactivity. Please sign in again.
+            </div>
+          )}
+
+          {!isAvailable(SERVICES.AUTH) && (
+            <ServiceUnavailable
+              service={SERVICES.AUTH}
+              message="Signing in may not work until the service recovers."
+              className="mb-6"
+            />
+          )}
+
+          <PasskeySignIn onSuccess={handleLoginSuccess} />
+
           <LoginForm onSuccess={handleLoginSuccess} />
           
           {/* Additional Links */}
@@ -122,15 +150,6 @@ const LoginPage = () => {
                   Create one here
                 </Link>
               </p>
-              
-              <p className="text-sm text-secondary-600">
-                <Link
-                  to="/forgot-password"
-                  className="text-primary-600 hover:text-primary-700 font-medium transition-colors"
-                >
-                  Forgot your password?
-                </Link>
-              </p>
             </div>
           </div>
         </motion.div>
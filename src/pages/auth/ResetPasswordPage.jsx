@@ -0,0 +1,71 @@
+import React from 'react';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import ResetPasswordForm from '../../components/auth/ResetPasswordForm';
+
+const ResetPasswordPage = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const handleResetSuccess = () => {
+    navigate('/login', {
+      state: {
+        message: 'Your password has been reset. Please sign in with your new password.'
+      },
+      replace: true
+    });
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 to-secondary-100 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        transition={{ duration: 0.3 }}
+        className="w-full max-w-md"
+      >
+        {/* Logo/Brand Section */}
+        <div className="text-center mb-8">
+          <motion.div
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.1, duration: 0.3 }}
+            className="mx-auto w-16 h-16 bg-primary-600 rounded-full flex items-center justify-center mb-4"
+          >
+            <svg className="w-8 h-8 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+            </svg>
+          </motion.div>
+          <h1 className="text-3xl font-bold text-secondary-900">
+            Capitalized
+          </h1>
+          <p className="text-secondary-600 mt-2">
+            Secure your account
+          </p>
+        </div>
+
+        {/* Form Card */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.2, duration: 0.3 }}
+          className="bg-white rounded-lg shadow-lg p-8"
+        >
+          <ResetPasswordForm token={token} onSuccess={handleResetSuccess} />
+
+          <div className="mt-6 pt-6 border-t border-secondary-200 text-center">
+            <Link
+              to="/login"
+              className="text-sm text-primary-600 hover:text-primary-700 font-medium transition-colors"
+            >
+              Back to sign in
+            </Link>
+          </div>
+        </motion.div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default ResetPasswordPage;
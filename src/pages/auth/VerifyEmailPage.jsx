@@ -0,0 +1,163 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { Mail, CheckCircle } from 'lucide-react';
+import EmailVerification from '../../components/auth/EmailVerification';
+import useAuth from '../../hooks/useAuth';
+import authClient from '../../api/authClient';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import { getOtpErrorMessage } from '../../utils/errorHelpers';
+import { SUCCESS_MESSAGES } from '../../utils/constants';
+
+/**
+ * Email verification step of onboarding.
+ * Opened either from the verification link (?token=...), which works without being signed in,
+ * or from the onboarding redirect, where the user types the code from the email.
+ */
+const VerifyEmailPage = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { isAuthenticated, isLoading, user, isEmailVerified, updateUser } = useAuth();
+  const [linkStatus, setLinkStatus] = useState(token ? 'verifying' : null);
+  const [linkError, setLinkError] = useState('');
+  const linkCheckedRef = useRef(false);
+
+  // Verify the link token once
+  useEffect(() => {
+    if (!token || linkCheckedRef.current) return;
+    linkCheckedRef.current = true;
+
+    const verifyLink = async () => {
+      try {
+        await authClient.verifyEmail({ token });
+        setLinkStatus('verified');
+      } catch (err) {
+        console.error('Email link verification error:', err);
+        setLinkError(getOtpErrorMessage(err));
+        setLinkStatus('failed');
+      }
+    };
+
+    verifyLink();
+  }, [token]);
+
+  // Reflect a verified link in the signed-in session
+  useEffect(() => {
+    if (linkStatus === 'verified' && isAuthenticated && !isEmailVerified()) {
+      updateUser({ emailVerified: true });
+    }
+  }, [linkStatus, isAuthenticated, isEmailVerified, updateUser]);
+
+  // Without a link token the code form needs a session
+  useEffect(() => {
+    if (!token && !isLoading && !isAuthenticated) {
+      navigate('/login', { state: { from: '/verify-email' }, replace: true });
+    }
+  }, [token, isLoading, isAuthenticated, navigate]);
+
+  // Move on to the next onboarding step once verified
+  useEffect(() => {
+    if (isAuthenticated && !isLoading && isEmailVerified()) {
+      const profileCompleted = user?.profileCompleted;
+      navigate(profileCompleted ? '/dashboard' : '/onboarding/streamlined', {
+        replace: true,
+        state: { message: SUCCESS_MESSAGES.EMAIL_VERIFIED },
+      });
+    }
+  }, [isAuthenticated, isLoading, isEmailVerified, navigate, user]);
+
+  if (isLoading || linkStatus === 'verifying') {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-secondary-50">
+        <div className="text-center">
+          <LoadingSpinner size="lg" />
+          <p className="mt-4 text-secondary-600">
+            {linkStatus === 'verifying' ? 'Verifying your email...' : 'Loading...'}
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const renderContent = () => {
+    if (linkStatus === 'verified') {
+      return (
+        <div className="text-center">
+          <CheckCircle className="w-12 h-12 text-success-600 mx-auto mb-4" />
+          <h2 className="text-2xl font-bold text-secondary-900 mb-2">Email Verified</h2>
+          <p className="text-secondary-600 mb-6">{SUCCESS_MESSAGES.EMAIL_VERIFIED}</p>
+          <Link
+            to="/login"
+            className="inline-block bg-primary-600 text-white px-4 py-2 rounded-lg hover:bg-primary-700 transition-colors"
+          >
+            Sign In
+          </Link>
+        </div>
+      );
+    }
+
+    return (
+      <>
+        {linkError && (
+          <div className="mb-6 bg-error-50 border border-error-200 rounded-lg p-4 text-error-700 text-sm" role="alert">
+            {linkError} {isAuthenticated ? 'You can enter the code from the email instead.' : 'Sign in to request a new verification email.'}
+          </div>
+        )}
+
+        {isAuthenticated ? (
+          <EmailVerification email={user?.email} />
+        ) : (
+          <div className="text-center">
+            <Link
+              to="/login"
+              state={{ from: '/verify-email' }}
+              className="inline-block bg-primary-600 text-white px-4 py-2 rounded-lg hover:bg-primary-700 transition-colors"
+            >
+              Sign In
+            </Link>
+          </div>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 to-secondary-100 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        transition={{ duration: 0.3 }}
+        className="w-full max-w-md"
+      >
+        {/* Logo/Brand Section */}
+        <div className="text-center mb-8">
+          <div className="mx-auto w-16 h-16 bg-primary-600 rounded-full flex items-center justify-center mb-4">
+            <Mail className="w-8 h-8 text-white" />
+          </div>
+          <h1 className="text-3xl font-bold text-secondary-900">
+            Capitalized
+          </h1>
+          <p className="text-secondary-600 mt-2">
+            Verify Your Email Address
+          </p>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-lg p-8">
+          {renderContent()}
+        </div>
+
+        <div className="text-center mt-8">
+          <p className="text-xs text-secondary-500">
+            Having trouble?{' '}
+            <Link to="/support" className="text-primary-600 hover:text-primary-700">
+              Contact Support
+            </Link>
+          </p>
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default VerifyEmailPage;
@@ -8,7 +8,7 @@ import LoadingSpinner from '../../components/common/LoadingSpinner';
 const VerifyPhonePage = () => {
   const navigate = useNavigate();
   const location = useLocation();
-  const { isAuthenticated, isLoading, user, isPhoneVerified } = useAuth();
+  const { isAuthenticated, isLoading, user, isPhoneVerified, isEmailVerified } = useAuth();
   const [pageLoading, setPageLoading] = useState(false);
 
   // Get data from location state
@@ -29,9 +29,12 @@ const VerifyPhonePage = () => {
   // Redirect if already phone verified
   useEffect(() => {
     if (isAuthenticated && !isLoading && isPhoneVerified()) {
-      // Check if profile is completed to determine redirect
-      const profileCompleted = user?.profile_completed || user?.profileCompleted;
-      const redirectTo = profileCompleted ? '/dashboard' : '/onboarding/streamlined';
+      // Email verification comes next, then profile completion
+      const profileCompleted = user?.profileCompleted;
+      let redirectTo = profileCompleted ? '/dashboard' : '/onboarding/streamlined';
+      if (!isEmailVerified()) {
+        redirectTo = '/verify-email';
+      }
       
       navigate(redirectTo, { 
         replace: true,
@@ -40,7 +43,7 @@ const VerifyPhonePage = () => {
         }
       });
     }
-  }, [isAuthenticated, isLoading, isPhoneVerified, navigate, user]);
+  }, [isAuthenticated, isLoading, isPhoneVerified, isEmailVerified, navigate, user]);
 
   const handleVerificationSuccess = (response) => {
     setPageLoading(true);
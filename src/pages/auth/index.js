@@ -1,4 +1,7 @@
 // Authentication Pages
 export { default as LoginPage } from './LoginPage';
 export { default as RegisterPage } from './RegisterPage';
-export { default as VerifyPhonePage } from './VerifyPhonePage';
\ No newline at end of file
+export { default as VerifyPhonePage } from './VerifyPhonePage';
+export { default as VerifyEmailPage } from './VerifyEmailPage';
+export { default as ForgotPasswordPage } from './ForgotPasswordPage';
+export { default as ResetPasswordPage } from './ResetPasswordPage';
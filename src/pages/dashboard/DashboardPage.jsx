@@ -4,15 +4,23 @@ import React from 'react';
 import DashboardLayout from '../../components/layout/DashboardLayout';
 import ProtectedRoute from '../../components/auth/ProtectedRoute';
 import UserList from '../../components/dashboard/UserList';
+import MemberOverview from '../../components/dashboard/MemberOverview';
+
+// Hooks
+import useAuth from '../../hooks/useAuth';
+import { PERMISSIONS } from '../../utils/constants';
 
 const DashboardPage = () => {
+  const { can } = useAuth();
+
   return (
     <ProtectedRoute>
       <DashboardLayout>
-        <UserList />
+        {/* The attendee list is an admin view; everyone else gets their own overview */}
+        {can(PERMISSIONS.VIEW_USERS) ? <UserList /> : <MemberOverview />}
       </DashboardLayout>
     </ProtectedRoute>
   );
 };
 
-export default DashboardPage;
\ No newline at end of file
+export default DashboardPage;
@@ -0,0 +1,79 @@
+import React from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { ArrowLeft, GitCompare } from 'lucide-react';
+import DashboardLayout from '../../components/layout/DashboardLayout';
+import ProductComparison from '../../components/investments/ProductComparison';
+import ProtectedRoute from '../../components/auth/ProtectedRoute';
+import Button from '../../components/common/Button';
+import { COMPARE_LIMIT, removeFromCompare } from '../../services/compareList';
+
+// Product slugs from ?ids=a,b,c; the page can be shared as a link
+const parseIds = (value) => [...new Set(
+  (value || '').split(',').map(id => id.trim()).filter(Boolean)
+)].slice(0, COMPARE_LIMIT);
+
+const ComparePage = () => {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const slugs = parseIds(searchParams.get('ids'));
+
+  // Drop a product from the page and from the compare tray
+  const handleRemove = (slug) => {
+    removeFromCompare(slug);
+    const remaining = slugs.filter(id => id !== slug);
+    setSearchParams(remaining.length > 0 ? { ids: remaining.join(',') } : {}, { replace: true });
+  };
+
+  return (
+    <ProtectedRoute>
+      <DashboardLayout>
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.3 }}
+          className="space-y-6"
+        >
+          {/* Page Header */}
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+            <div>
+              <h1 className="text-2xl font-bold text-secondary-900">
+                Compare Products
+              </h1>
+              <p className="text-secondary-600 mt-1">
+                The best value in each row is highlighted
+              </p>
+            </div>
+            <Button
+              variant="secondary"
+              onClick={() => navigate('/investments/products')}
+              className="flex items-center gap-2"
+            >
+              <ArrowLeft className="h-4 w-4" />
+              Back to Products
+            </Button>
+          </div>
+
+          {slugs.length === 0 ? (
+            <div className="text-center py-12">
+              <GitCompare className="h-12 w-12 text-secondary-400 mx-auto mb-4" />
+              <h3 className="text-lg font-medium text-secondary-900 mb-2">
+                Nothing to compare yet
+              </h3>
+              <p className="text-secondary-600 mb-4">
+                Use "Add to compare" on up to {COMPARE_LIMIT} products to see them side by side.
+              </p>
+              <Button onClick={() => navigate('/investments/products')}>
+                Browse Products
+              </Button>
+            </div>
+          ) : (
+            <ProductComparison slugs={slugs} onRemove={handleRemove} />
+          )}
+        </motion.div>
+      </DashboardLayout>
+    </ProtectedRoute>
+  );
+};
+
+export default ComparePage;
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import DashboardLayout from '../../components/layout/DashboardLayout';
 import ProductDetail from '../../components/investments/ProductDetail';
@@ -10,12 +10,13 @@ import Modal from '../../components/common/Modal';
 const ProductDetailPage = () => {
   const { productId: productSlug } = useParams(); // URL param is actually the slug
   const navigate = useNavigate();
+  const location = useLocation();
   const [showInquiryForm, setShowInquiryForm] = useState(false);
   const [selectedProduct, setSelectedProduct] = useState(null);
 
-  // Handle back navigation
+  // Handle back navigation, to the list as it was filtered when the product was opened
   const handleBack = () => {
-    navigate('/investments/products');
+    navigate(`/investments/products${location.state?.listSearch || ''}`);
   };
 
   // Handle create inquiry
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useLocation } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { TrendingUp, Target, Users, DollarSign, RefreshCw, ChevronDown, ChevronUp, Package } from 'lucide-react';
 import DashboardLayout from '../../components/layout/DashboardLayout';
@@ -12,12 +12,15 @@ import useInvestmentStats from '../../hooks/useInvestmentStats';
 
 const ProductsPage = () => {
   const navigate = useNavigate();
+  const location = useLocation();
   const { formattedStats, loading: statsLoading, error: statsError, refetch } = useInvestmentStats();
   const [showAllStats, setShowAllStats] = useState(false);
 
-  // Handle product click
+  // Handle product click; the detail page's back button returns to the same filtered list
   const handleProductClick = (productSlug) => {
-    navigate(`/investments/products/${productSlug}`);
+    navigate(`/investments/products/${productSlug}`, {
+      state: { listSearch: location.search }
+    });
   };
 
   return (
@@ -46,14 +46,14 @@ const KYCOnboardingPage = () => {
   useEffect(() => {
     if (user) {
       setFormData({
-        dateOfBirth: user.date_of_birth ? user.date_of_birth.split('T')[0] : '',
+        dateOfBirth: user.dateOfBirth ? user.dateOfBirth.split('T')[0] : '',
         country: user.country || '',
         city: user.city || '',
         address: user.address || ''
       });
 
       // If user shouldn't be on this page (profile not completed), redirect appropriately
-      if (!user.profile_completed && !user.profileCompleted) {
+      if (!user.profileCompleted) {
         navigate('/onboarding/profile', { replace: true });
       }
     }
@@ -139,7 +139,7 @@ const KYCOnboardingPage = () => {
     try {
       // Prepare data for API
       const updateData = {
-        date_of_birth: new Date(formData.dateOfBirth).toISOString(),
+        dateOfBirth: new Date(formData.dateOfBirth).toISOString(),
         country: formData.country.trim(),
         city: formData.city.trim(),
         address: formData.address.trim()
@@ -151,9 +151,7 @@ const KYCOnboardingPage = () => {
       // Update user context - mark KYC as completed (basic info provided)
       updateUser({
         ...response,
-        kyc_status: 'completed',
         kycStatus: 'completed',
-        profile_completed: true,
         profileCompleted: true
       });
 
@@ -186,7 +184,6 @@ const KYCOnboardingPage = () => {
   const handleSkip = () => {
     // Mark KYC as skipped but allow dashboard access
     updateUser({
-      kyc_status: 'skipped',
       kycStatus: 'skipped'
     });
 
@@ -45,14 +45,14 @@ const ProfileCompletionPage = () => {
   useEffect(() => {
     if (user) {
       setFormData({
-        dateOfBirth: user.date_of_birth ? user.date_of_birth.split('T')[0] : '',
+        dateOfBirth: user.dateOfBirth ? user.dateOfBirth.split('T')[0] : '',
         country: user.country || '',
         city: user.city || '',
         address: user.address || ''
       });
 
       // If profile is already completed, redirect to dashboard
-      if (user.profile_completed || user.profileCompleted) {
+      if (user.profileCompleted) {
         const from = location.state?.from || '/dashboard';
         navigate(from, { replace: true });
       }
@@ -139,7 +139,7 @@ const ProfileCompletionPage = () => {
     try {
       // Prepare data for API
       const updateData = {
-        date_of_birth: new Date(formData.dateOfBirth).toISOString(),
+        dateOfBirth: new Date(formData.dateOfBirth).toISOString(),
         country: formData.country.trim(),
         city: formData.city.trim(),
         address: formData.address.trim()
@@ -151,7 +151,6 @@ const ProfileCompletionPage = () => {
       // Update user context
       updateUser({
         ...response,
-        profile_completed: true,
         profileCompleted: true
       });
 
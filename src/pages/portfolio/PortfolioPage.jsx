@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import { motion } from 'framer-motion';
 import { TrendingUp, Plus, Eye, AlertCircle } from 'lucide-react';
 import DashboardLayout from '../../components/layout/DashboardLayout';
@@ -13,44 +13,51 @@ import Button from '../../components/common/Button';
 import Card from '../../components/common/Card';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
 import ErrorMessage from '../../components/common/ErrorMessage';
+import ServiceUnavailable from '../../components/common/ServiceUnavailable';
 import investmentClient from '../../api/investmentClient';
+import useQuery from '../../hooks/useQuery';
+import useServiceHealth from '../../hooks/useServiceHealth';
+import { QUERY_KEYS } from '../../services/queryCache';
+import { SERVICES } from '../../services/serviceHealth';
 import { SUCCESS_MESSAGES } from '../../utils/constants';
 
+const getPortfolioErrorMessage = (error) => {
+  const status = error.status ?? error.response?.status;
+
+  if (status === 401) {
+    return 'Your session has expired. Please log in again.';
+  }
+  if (status === 403) {
+    return 'You do not have permission to view this portfolio.';
+  }
+  return 'Failed to load portfolio data. Please try again.';
+};
+
 const PortfolioPage = () => {
-  const [portfolio, setPortfolio] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
   const [selectedInvestment, setSelectedInvestment] = useState(null);
   const [showInvestmentDetail, setShowInvestmentDetail] = useState(false);
   const [showWithdrawalForm, setShowWithdrawalForm] = useState(false);
   const [withdrawalSuccess, setWithdrawalSuccess] = useState(null);
 
-  // Fetch portfolio data
-  const fetchPortfolio = async () => {
-    try {
-      setLoading(true);
-      setError(null);
-      
-      const response = await investmentClient.getPortfolio();
-      setPortfolio(response.data || response);
-    } catch (error) {
-      console.error('Failed to fetch portfolio:', error);
-      
-      if (error.response?.status === 401) {
-        setError('Your session has expired. Please log in again.');
-      } else if (error.response?.status === 403) {
-        setError('You do not have permission to view this portfolio.');
-      } else {
-        setError('Failed to load portfolio data. Please try again.');
-      }
-    } finally {
-      setLoading(false);
-    }
-  };
+  // Portfolio data is cached, so returning to this page shows it straight away
+  // and refreshes it in the background
+  const {
+    data: portfolioResponse,
+    error: portfolioError,
+    isLoading,
+    isFetching,
+    refetch,
+  } = useQuery(QUERY_KEYS.PORTFOLIO, ({ signal }) => investmentClient.getPortfolio({ signal }));
+  const portfolio = portfolioResponse || null;
+  const loading = isLoading || (isFetching && !portfolio);
+  // A failed background refresh keeps showing the cached portfolio
+  const error = portfolioError && !portfolio ? getPortfolioErrorMessage(portfolioError) : null;
+  const { isAvailable } = useServiceHealth();
+  const investmentsAvailable = isAvailable(SERVICES.INVESTMENT);
 
   // Handle retry
   const handleRetry = () => {
-    fetchPortfolio();
+    refetch();
   };
 
   // Handle view investment details
@@ -81,20 +88,12 @@ const PortfolioPage = () => {
     setWithdrawalSuccess(withdrawalId);
     setShowWithdrawalForm(false);
     
-    // Refresh portfolio data to update available balance
-    fetchPortfolio();
-    
     // Show success message for 5 seconds
     setTimeout(() => {
       setWithdrawalSuccess(null);
     }, 5000);
   };
 
-  // Load portfolio on component mount
-  useEffect(() => {
-    fetchPortfolio();
-  }, []);
-
   // Page animation variants
   const pageVariants = {
     hidden: { opacity: 0, y: 20 },
@@ -146,7 +145,11 @@ const PortfolioPage = () => {
         <DashboardLayout>
           <div className="max-w-4xl mx-auto">
             <Card>
-              <ErrorMessage message={error} onRetry={handleRetry} />
+              {investmentsAvailable ? (
+                <ErrorMessage message={error} onRetry={handleRetry} />
+              ) : (
+                <ServiceUnavailable service={SERVICES.INVESTMENT} onRetry={handleRetry} />
+              )}
             </Card>
           </div>
         </DashboardLayout>
@@ -175,7 +178,7 @@ const PortfolioPage = () => {
               </p>
             </div>
             
-            {hasInvestments && availableBalance > 0 && (
+            {hasInvestments && availableBalance > 0 && investmentsAvailable && (
               <Button
                 onClick={handleOpenWithdrawalForm}
                 className="flex items-center gap-2"
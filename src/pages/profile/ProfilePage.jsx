@@ -6,16 +6,27 @@ import DashboardLayout from '../../components/layout/DashboardLayout';
 import ProfileView from '../../components/profile/ProfileView';
 import ProfileEditForm from '../../components/profile/ProfileEditForm';
 import KYCUpload from '../../components/profile/KYCUpload';
+import SecuritySettings from '../../components/profile/SecuritySettings';
+import ChangeContactForm from '../../components/profile/ChangeContactForm';
 import Modal from '../../components/common/Modal';
 import useAuth from '../../hooks/useAuth';
 
+const PROFILE_TABS = [
+  { id: 'profile', label: 'Profile' },
+  { id: 'security', label: 'Security' },
+];
+
 const ProfilePage = () => {
   const { user } = useAuth();
   const [searchParams, setSearchParams] = useSearchParams();
+  const activeTab = searchParams.get('tab') === 'security' ? 'security' : 'profile';
   
   // Modal states
   const [showEditModal, setShowEditModal] = useState(false);
   const [showKYCModal, setShowKYCModal] = useState(false);
+  const [contactChannel, setContactChannel] = useState(null);
+  const [contactMessage, setContactMessage] = useState('');
+  const [profileVersion, setProfileVersion] = useState(0);
 
   // Check if we should open KYC modal based on URL params
   React.useEffect(() => {
@@ -27,6 +38,11 @@ const ProfilePage = () => {
     }
   }, [searchParams, setSearchParams]);
 
+  // Switch between profile and security tabs
+  const handleTabChange = (tabId) => {
+    setSearchParams(tabId === 'profile' ? {} : { tab: tabId });
+  };
+
   // Handle edit profile
   const handleEditProfile = () => {
     setShowEditModal(true);
@@ -43,6 +59,23 @@ const ProfilePage = () => {
     setShowEditModal(false);
   };
 
+  // Handle email/phone change
+  const handleChangeContact = (channel) => {
+    setContactMessage('');
+    setContactChannel(channel);
+  };
+
+  // New identifier confirmed - reload the profile so it shows the new value
+  const handleContactChangeSuccess = (message) => {
+    setContactChannel(null);
+    setContactMessage(message);
+    setProfileVersion(version => version + 1);
+  };
+
+  const handleContactChangeCancel = () => {
+    setContactChannel(null);
+  };
+
   // Handle KYC upload
   const handleUploadKYC = () => {
     setShowKYCModal(true);
@@ -75,15 +108,50 @@ const ProfilePage = () => {
                 My Profile
               </h1>
               <p className="text-secondary-600">
-                Manage your account information and identity verification
+                Manage your account information, security and identity verification
               </p>
             </motion.div>
 
+            {/* Tabs */}
+            <div className="border-b border-secondary-200 mb-6">
+              <nav className="-mb-px flex space-x-6" role="tablist">
+                {PROFILE_TABS.map((tab) => (
+                  <button
+                    key={tab.id}
+                    type="button"
+                    role="tab"
+                    aria-selected={activeTab === tab.id}
+                    onClick={() => handleTabChange(tab.id)}
+                    className={`py-3 px-1 border-b-2 text-sm font-medium transition-colors ${
+                      activeTab === tab.id
+                        ? 'border-primary-600 text-primary-600'
+                        : 'border-transparent text-secondary-500 hover:text-secondary-700 hover:border-secondary-300'
+                    }`}
+                  >
+                    {tab.label}
+                  </button>
+                ))}
+              </nav>
+            </div>
+
             {/* Profile Content */}
-            <ProfileView
-              onEditProfile={handleEditProfile}
-              onUploadKYC={handleUploadKYC}
-            />
+            {activeTab === 'security' ? (
+              <SecuritySettings />
+            ) : (
+              <>
+                {contactMessage && (
+                  <div className="mb-6 bg-success-50 border border-success-200 rounded-lg p-4 text-success-700 text-sm">
+                    {contactMessage}
+                  </div>
+                )}
+                <ProfileView
+                  key={profileVersion}
+                  onEditProfile={handleEditProfile}
+                  onUploadKYC={handleUploadKYC}
+                  onChangeContact={handleChangeContact}
+                />
+              </>
+            )}
 
             {/* Edit Profile Modal */}
             <Modal
@@ -99,6 +167,23 @@ const ProfilePage = () => {
               />
             </Modal>
 
+            {/* Change Email/Phone Modal */}
+            <Modal
+              isOpen={contactChannel !== null}
+              onClose={handleContactChangeCancel}
+              title={contactChannel === 'phone' ? 'Change Phone Number' : 'Change Email Address'}
+              size="md"
+            >
+              {contactChannel && (
+                <ChangeContactForm
+                  channel={contactChannel}
+                  currentValue={user?.[contactChannel]}
+                  onSuccess={handleContactChangeSuccess}
+                  onCancel={handleContactChangeCancel}
+                />
+              )}
+            </Modal>
+
             {/* KYC Upload Modal */}
             <Modal
               isOpen={showKYCModal}
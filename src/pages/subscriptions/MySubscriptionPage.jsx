@@ -22,8 +22,6 @@ const MySubscriptionPage = () => {
   const [subscriptionToCancel, setSubscriptionToCancel] = useState(null)
   const [showPaymentInstructions, setShowPaymentInstructions] = useState(false)
   const [paymentInstructions, setPaymentInstructions] = useState(null)
-  const [refreshKey, setRefreshKey] = useState(0)
-
   useEffect(() => {
     // Check if we need to show payment instructions
     if (location.state?.showPaymentInstructions) {
@@ -46,9 +44,7 @@ const MySubscriptionPage = () => {
     
     // Show success message
     alert(SUCCESS_MESSAGES.SUBSCRIPTION_CANCELLED)
-    
-    // Refresh the subscription status
-    setRefreshKey(prev => prev + 1)
+    // The cancellation already refreshed the cached subscription status
   }
 
   const handleCancelModalClose = () => {
@@ -191,7 +187,6 @@ const MySubscriptionPage = () => {
             transition={{ duration: 0.3, delay: 0.1 }}
           >
             <SubscriptionStatus 
-              key={refreshKey}
               onCancelClick={handleCancelClick}
             />
           </motion.div>
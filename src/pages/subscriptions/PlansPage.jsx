@@ -4,6 +4,11 @@ import { useNavigate } from 'react-router-dom'
 import { Check, Sparkles, Clock, ArrowRight } from 'lucide-react'
 import subscriptionClient from '../../api/subscriptionClient'
 import useAuth from '../../hooks/useAuth'
+import useMutation from '../../hooks/useMutation'
+import useIdempotencyKey from '../../hooks/useIdempotencyKey'
+import useServiceHealth from '../../hooks/useServiceHealth'
+import { QUERY_KEYS } from '../../services/queryCache'
+import { SERVICES } from '../../services/serviceHealth'
 import DashboardLayout from '../../components/layout/DashboardLayout'
 import ProtectedRoute from '../../components/auth/ProtectedRoute'
 import FreeTrialBanner from '../../components/subscriptions/FreeTrialBanner'
@@ -19,8 +24,15 @@ import ErrorMessage from '../../components/common/ErrorMessage'
 const PlansPage = () => {
   const navigate = useNavigate()
   const { user } = useAuth()
-  const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
+  const { mutate: startFreeTrial, isLoading: loading } = useMutation(
+    (options) => subscriptionClient.startFreeTrial(options),
+    { invalidates: [QUERY_KEYS.MY_SUBSCRIPTION] }
+  )
+  // Repeated clicks share one key so only one trial is started
+  const idempotency = useIdempotencyKey()
+  const { isAvailable } = useServiceHealth()
+  const subscriptionsAvailable = isAvailable(SERVICES.SUBSCRIPTION)
 
   const handleStartFreeTrial = async () => {
     if (!user) {
@@ -29,10 +41,9 @@ const PlansPage = () => {
     }
 
     try {
-      setLoading(true)
       setError(null)
 
-      const response = await subscriptionClient.startFreeTrial()
+      const response = await startFreeTrial({ idempotencyKey: idempotency.getKey() })
       
       if (response.success) {
         alert('🎉 Free trial started successfully! You now have 7 days of premium access.')
@@ -50,8 +61,6 @@ const PlansPage = () => {
       } else {
         setError(err.response?.data?.detail || err.response?.data?.message || 'Failed to start free trial')
       }
-    } finally {
-      setLoading(false)
     }
   }
 
@@ -151,7 +160,7 @@ const PlansPage = () => {
                     <Button 
                       size="xl"
                       onClick={handleStartFreeTrial}
-                      disabled={loading}
+                      disabled={loading || !subscriptionsAvailable}
                       className="bg-blue-600 hover:bg-blue-700 text-white px-12 py-4 text-xl font-semibold shadow-lg hover:shadow-xl transition-all duration-300"
                     >
                       {loading ? (
@@ -167,6 +176,12 @@ const PlansPage = () => {
                       )}
                     </Button>
                     
+                    {!subscriptionsAvailable && (
+                      <p className="text-sm text-warning-700 mt-4">
+                        Trials can't be started while the subscription service is unavailable.
+                      </p>
+                    )}
+
                     <p className="text-sm text-gray-500 mt-6">
                       No commitment • Cancel anytime • Full access for 7 days • No credit card required
                     </p>
@@ -6,6 +6,9 @@ import { motion } from 'framer-motion';
 import LoginPage from './pages/auth/LoginPage';
 import RegisterPage from './pages/auth/RegisterPage';
 import VerifyPhonePage from './pages/auth/VerifyPhonePage';
+import VerifyEmailPage from './pages/auth/VerifyEmailPage';
+import ForgotPasswordPage from './pages/auth/ForgotPasswordPage';
+import ResetPasswordPage from './pages/auth/ResetPasswordPage';
 
 // Home Page
 import HomePage from './pages/HomePage';
@@ -13,6 +16,10 @@ import HomePage from './pages/HomePage';
 // Dashboard Pages
 import DashboardPage from './pages/dashboard/DashboardPage';
 
+// Admin Pages
+import AdminPage from './pages/admin/AdminPage';
+import ForbiddenPage from './pages/ForbiddenPage';
+
 // Profile Pages
 import ProfilePage from './pages/profile/ProfilePage';
 
@@ -25,6 +32,7 @@ import StreamlinedOnboardingPage from './pages/onboarding/StreamlinedOnboardingP
 import ProductsPage from './pages/investments/ProductsPage';
 import ProductDetailPage from './pages/investments/ProductDetailPage';
 import InquiriesPage from './pages/investments/InquiriesPage';
+import ComparePage from './pages/investments/ComparePage';
 
 // Portfolio Pages
 import PortfolioPage from './pages/portfolio/PortfolioPage';
@@ -36,6 +44,9 @@ import MySubscriptionPage from './pages/subscriptions/MySubscriptionPage';
 // Components
 import ProtectedRoute from './components/auth/ProtectedRoute';
 import OnboardingGuard from './components/auth/OnboardingGuard';
+import SessionExpiredModal from './components/auth/SessionExpiredModal';
+import IdleTimeoutModal from './components/auth/IdleTimeoutModal';
+import { PERMISSIONS } from './utils/constants';
 
 // Page transition animation wrapper
 const PageTransition = ({ children }) => (
@@ -53,13 +64,15 @@ const PageTransition = ({ children }) => (
 );
 
 // Wrapper for protected routes with transitions
-const ProtectedPageTransition = ({ children, requireSubscription = false }) => (
-  <ProtectedRoute>
+const ProtectedPageTransition = ({ children, requireSubscription = false, requiredRoles, requiredPermissions }) => (
+  <ProtectedRoute requiredRoles={requiredRoles} requiredPermissions={requiredPermissions}>
     <OnboardingGuard requireSubscription={requireSubscription}>
       <PageTransition>
         {children}
       </PageTransition>
     </OnboardingGuard>
+    <SessionExpiredModal />
+    <IdleTimeoutModal />
   </ProtectedRoute>
 );
 
@@ -106,6 +119,30 @@ export const router = createBrowserRouter([
       </PublicPageTransition>
     )
   },
+  {
+    path: '/verify-email',
+    element: (
+      <PublicPageTransition>
+        <VerifyEmailPage />
+      </PublicPageTransition>
+    )
+  },
+  {
+    path: '/forgot-password',
+    element: (
+      <PublicPageTransition>
+        <ForgotPasswordPage />
+      </PublicPageTransition>
+    )
+  },
+  {
+    path: '/reset-password',
+    element: (
+      <PublicPageTransition>
+        <ResetPasswordPage />
+      </PublicPageTransition>
+    )
+  },
 
   // Dashboard Routes (Protected)
   {
@@ -117,6 +154,26 @@ export const router = createBrowserRouter([
     )
   },
 
+  // Admin Routes (Protected, admin permissions)
+  {
+    path: '/admin',
+    element: (
+      <ProtectedPageTransition requiredPermissions={[PERMISSIONS.MANAGE_USERS]}>
+        <AdminPage />
+      </ProtectedPageTransition>
+    )
+  },
+
+  // Access denied
+  {
+    path: '/403',
+    element: (
+      <ProtectedPageTransition>
+        <ForbiddenPage />
+      </ProtectedPageTransition>
+    )
+  },
+
   // Profile Routes (Protected)
   {
     path: '/profile',
@@ -189,6 +246,14 @@ export const router = createBrowserRouter([
           </ProtectedPageTransition>
         )
       },
+      {
+        path: 'compare',
+        element: (
+          <ProtectedPageTransition>
+            <ComparePage />
+          </ProtectedPageTransition>
+        )
+      },
       {
         path: 'inquiries',
         element: (
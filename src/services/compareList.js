@@ -0,0 +1,119 @@
+/**
+ * Products picked for side-by-side comparison.
+ * Kept in localStorage so the selection survives page changes and reloads
+ * while the user browses the catalogue, and shared by every open tab.
+ */
+
+import { STORAGE_KEYS } from '../utils/constants'
+import { getStorageItem, setStorageItem, removeStorageItem } from '../utils/storage'
+
+/**
+ * Most products compared at once; more columns don't fit on a laptop screen
+ */
+export const COMPARE_LIMIT = 4
+
+const listeners = new Set()
+
+const readList = () => {
+  const stored = getStorageItem(STORAGE_KEYS.COMPARE_LIST, [])
+  return Array.isArray(stored) ? stored : []
+}
+
+// Read once and then kept in memory, so snapshots stay the same object until changed
+let items = null
+
+const notifyListeners = () => listeners.forEach((listener) => listener())
+
+const writeList = (next) => {
+  items = next
+  if (next.length > 0) {
+    setStorageItem(STORAGE_KEYS.COMPARE_LIST, next)
+  } else {
+    removeStorageItem(STORAGE_KEYS.COMPARE_LIST)
+  }
+  notifyListeners()
+}
+
+// Another tab changed the list (or cleared storage); take its list so the
+// next change here doesn't write a stale one back over it
+const handleStorageEvent = (event) => {
+  if (event.key !== null && event.key !== STORAGE_KEYS.COMPARE_LIST) return
+
+  let next = []
+  try {
+    const parsed = event.newValue ? JSON.parse(event.newValue) : []
+    next = Array.isArray(parsed) ? parsed : []
+  } catch {
+    next = []
+  }
+
+  items = next
+  notifyListeners()
+}
+
+/**
+ * Products picked for comparison, in the order they were added
+ * @returns {Array<{ id: string, slug: string, name: string }>} Picked products
+ */
+export const getCompareList = () => {
+  if (items === null) items = readList()
+  return items
+}
+
+/**
+ * Whether a product is already picked
+ * @param {string} slug - Product slug
+ * @returns {boolean} True when picked
+ */
+export const isInCompareList = (slug) => getCompareList().some((item) => item.slug === slug)
+
+/**
+ * Pick a product for comparison
+ * @param {Object} product - Product (only id, slug and name are kept)
+ * @returns {boolean} False when the list is already full
+ */
+export const addToCompare = (product) => {
+  const list = getCompareList()
+  if (list.some((item) => item.slug === product.slug)) return true
+  if (list.length >= COMPARE_LIMIT) return false
+
+  writeList([...list, { id: product.id, slug: product.slug, name: product.name }])
+  return true
+}
+
+/**
+ * Drop a product from the comparison
+ * @param {string} slug - Product slug
+ */
+export const removeFromCompare = (slug) => {
+  const list = getCompareList()
+  if (list.some((item) => item.slug === slug)) {
+    writeList(list.filter((item) => item.slug !== slug))
+  }
+}
+
+/**
+ * Drop every product from the comparison
+ */
+export const clearCompareList = () => {
+  if (getCompareList().length > 0) writeList([])
+}
+
+/**
+ * Subscribe to changes of the list
+ * @param {Function} listener - Called after any change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToCompareList = (listener) => {
+  if (listeners.size === 0 && typeof window !== 'undefined') {
+    window.addEventListener('storage', handleStorageEvent)
+  }
+  listeners.add(listener)
+
+  return () => {
+    listeners.delete(listener)
+    if (listeners.size === 0 && typeof window !== 'undefined') {
+      window.removeEventListener('storage', handleStorageEvent)
+    }
+  }
+}
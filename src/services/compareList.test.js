@@ -0,0 +1,80 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import {
+  addToCompare,
+  removeFromCompare,
+  clearCompareList,
+  getCompareList,
+  isInCompareList,
+  subscribeToCompareList,
+  COMPARE_LIMIT,
+} from './compareList'
+
+const product = (number) => ({ id: `id-${number}`, slug: `product-${number}`, name: `Product ${number}`, riskFactors: {} })
+
+describe('compareList', () => {
+  afterEach(() => {
+    clearCompareList()
+    vi.clearAllMocks()
+  })
+
+  it('keeps picked products in order and saves them', () => {
+    addToCompare(product(1))
+    addToCompare(product(2))
+    addToCompare(product(1))
+
+    expect(getCompareList()).toEqual([
+      { id: 'id-1', slug: 'product-1', name: 'Product 1' },
+      { id: 'id-2', slug: 'product-2', name: 'Product 2' },
+    ])
+    expect(isInCompareList('product-2')).toBe(true)
+    expect(localStorage.setItem).toHaveBeenLastCalledWith('africa_compare_list', JSON.stringify(getCompareList()))
+  })
+
+  it(`refuses more than ${COMPARE_LIMIT} products`, () => {
+    for (let number = 1; number <= COMPARE_LIMIT; number++) {
+      expect(addToCompare(product(number))).toBe(true)
+    }
+
+    expect(addToCompare(product(COMPARE_LIMIT + 1))).toBe(false)
+    expect(getCompareList()).toHaveLength(COMPARE_LIMIT)
+  })
+
+  it('notifies subscribers and forgets the list once emptied', () => {
+    const listener = vi.fn()
+    const unsubscribe = subscribeToCompareList(listener)
+
+    addToCompare(product(1))
+    removeFromCompare('product-1')
+    removeFromCompare('product-1')
+    unsubscribe()
+
+    expect(listener).toHaveBeenCalledTimes(2)
+    expect(getCompareList()).toEqual([])
+    expect(localStorage.removeItem).toHaveBeenCalledWith('africa_compare_list')
+  })
+
+  it('takes the list written by another tab instead of overwriting it', () => {
+    const listener = vi.fn()
+    const unsubscribe = subscribeToCompareList(listener)
+    addToCompare(product(1))
+
+    const otherTabList = [
+      { id: 'id-1', slug: 'product-1', name: 'Product 1' },
+      { id: 'id-2', slug: 'product-2', name: 'Product 2' },
+    ]
+    window.dispatchEvent(new StorageEvent('storage', {
+      key: 'africa_compare_list',
+      newValue: JSON.stringify(otherTabList),
+    }))
+
+    expect(listener).toHaveBeenCalledTimes(2)
+    expect(getCompareList()).toEqual(otherTabList)
+
+    addToCompare(product(3))
+    expect(getCompareList().map((item) => item.slug)).toEqual(['product-1', 'product-2', 'product-3'])
+
+    window.dispatchEvent(new StorageEvent('storage', { key: 'africa_compare_list', newValue: null }))
+    expect(getCompareList()).toEqual([])
+    unsubscribe()
+  })
+})
@@ -0,0 +1,304 @@
+/**
+ * Offline outbox for changes that can safely wait for a connection.
+ * While the browser is offline, non-financial mutations (profile edits,
+ * investment inquiries) are saved to localStorage instead of failing, then
+ * replayed one at a time, oldest first, when the connection comes back.
+ * An entry the server rejects is kept as a conflict for the user to retry or
+ * discard; the rest of the queue carries on.
+ *
+ * Entries remember who queued them and are only shown to and sent for that
+ * user, so a change never goes out with another account's session.
+ *
+ * Anything that moves money is never queued: those calls use `assertOnline`
+ * and fail straight away with a message saying so.
+ */
+
+import { STORAGE_KEYS } from '../utils/constants'
+import { getStorageItem, setStorageItem, removeStorageItem } from '../utils/storage'
+
+/**
+ * Entry statuses
+ */
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  CONFLICT: 'conflict',
+}
+
+/**
+ * Events passed to outbox listeners
+ */
+export const OUTBOX_EVENTS = {
+  CHANGED: 'changed',
+  REPLAYED: 'replayed',
+}
+
+export const OFFLINE_PAYMENT_MESSAGE =
+  "You're offline. Payments and withdrawals need a connection and can't be saved for later — please try again once you're back online."
+
+// Statuses that mean the server is unreachable or the session needs renewing,
+// so the entry should wait for the next replay rather than become a conflict
+const isRetryableStatus = (status) => !status || status === 401 || status === 408 || status === 429 || status >= 500
+
+const operations = new Map()
+const listeners = new Set()
+let isListening = false
+let replayPromise = null
+
+const createEntryId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+
+const readEntries = () => {
+  const stored = getStorageItem(STORAGE_KEYS.OFFLINE_OUTBOX, [])
+  return Array.isArray(stored) ? stored : []
+}
+
+// The signed-in user as saved by the auth context; null when signed out
+const getCurrentUserId = () => getStorageItem(STORAGE_KEYS.USER_DATA)?.id ?? null
+
+const belongsTo = (userId) => (entry) => (entry.userId ?? null) === userId
+
+const notify = (event) => {
+  listeners.forEach((listener) => {
+    try {
+      listener(event)
+    } catch (error) {
+      console.error('Offline outbox listener error:', error)
+    }
+  })
+}
+
+const writeEntries = (entries) => {
+  if (entries.length > 0) {
+    setStorageItem(STORAGE_KEYS.OFFLINE_OUTBOX, entries)
+  } else {
+    removeStorageItem(STORAGE_KEYS.OFFLINE_OUTBOX)
+  }
+  notify({ type: OUTBOX_EVENTS.CHANGED, entries: entries.filter(belongsTo(getCurrentUserId())) })
+}
+
+const updateEntry = (id, changes) => {
+  writeEntries(readEntries().map((entry) => (entry.id === id ? { ...entry, ...changes } : entry)))
+}
+
+const handleOnline = () => {
+  replayOutbox()
+}
+
+const startListening = () => {
+  if (isListening || typeof window === 'undefined') return
+  window.addEventListener('online', handleOnline)
+  isListening = true
+}
+
+const stopListening = () => {
+  if (!isListening) return
+  window.removeEventListener('online', handleOnline)
+  isListening = false
+}
+
+/**
+ * Check whether the browser reports being offline
+ * @returns {boolean} True when offline
+ */
+export const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false
+
+/**
+ * Check whether an API error means the request never reached the server
+ * @param {Object} error - Normalised API error
+ * @returns {boolean} True for network errors
+ */
+export const isNetworkError = (error) => error?.type === 'network'
+
+/**
+ * Reject straight away when offline. Used by calls that move money, which
+ * must never be queued and replayed later.
+ * @throws {{ message: string, type: 'offline' }} When the browser is offline
+ */
+export const assertOnline = () => {
+  if (isOffline()) {
+    throw { message: OFFLINE_PAYMENT_MESSAGE, type: 'offline' }
+  }
+}
+
+/**
+ * Register the function that performs a queued mutation type.
+ * Entries are stored as a type plus JSON arguments, so the function has to be
+ * registered again on every page load before the outbox is replayed.
+ * @param {string} type - Operation type, e.g. 'profile.update'
+ * @param {Function} run - Called with the stored arguments; resolves with the response
+ */
+export const registerOutboxOperation = (type, run) => {
+  operations.set(type, run)
+}
+
+/**
+ * Save a mutation to send later
+ * @param {string} type - Registered operation type
+ * @param {Array} args - JSON-serialisable arguments for the operation
+ * @param {Object} options - Entry options
+ * @param {string} options.label - What to show the user, e.g. 'Profile name change'
+ * @returns {Object} The saved entry
+ */
+export const queueMutation = (type, args = [], { label = '' } = {}) => {
+  if (!operations.has(type)) {
+    throw new Error(`Unknown outbox operation: ${type}`)
+  }
+
+  const entry = {
+    id: createEntryId(),
+    userId: getCurrentUserId(),
+    type,
+    args,
+    label,
+    status: OUTBOX_STATUS.PENDING,
+    error: null,
+    createdAt: new Date().toISOString(),
+  }
+
+  writeEntries([...readEntries(), entry])
+  return entry
+}
+
+/**
+ * Run a mutation now, or queue it when there is no connection.
+ * Errors other than network errors are rethrown so forms handle them as usual.
+ * @param {string} type - Registered operation type
+ * @param {Array} args - JSON-serialisable arguments for the operation
+ * @param {Object} options - Entry options, see queueMutation
+ * @returns {Promise<{ queued: boolean, data: any, entry: Object|null }>} Response, or the queued entry
+ */
+export const runOrQueue = async (type, args = [], options = {}) => {
+  const run = operations.get(type)
+  if (!run) {
+    throw new Error(`Unknown outbox operation: ${type}`)
+  }
+
+  if (isOffline()) {
+    return { queued: true, data: undefined, entry: queueMutation(type, args, options) }
+  }
+
+  try {
+    return { queued: false, data: await run(...args), entry: null }
+  } catch (error) {
+    if (!isNetworkError(error)) throw error
+    return { queued: true, data: undefined, entry: queueMutation(type, args, options) }
+  }
+}
+
+/**
+ * Get the entries saved by the signed-in user, oldest first
+ * @returns {Object[]} Entries
+ */
+export const getOutboxEntries = () => readEntries().filter(belongsTo(getCurrentUserId()))
+
+const sendEntry = async (entry) => {
+  const run = operations.get(entry.type)
+  if (!run) {
+    updateEntry(entry.id, { status: OUTBOX_STATUS.CONFLICT, error: 'This change can no longer be sent.' })
+    return true
+  }
+
+  updateEntry(entry.id, { status: OUTBOX_STATUS.SENDING, error: null })
+
+  try {
+    const result = await run(...entry.args)
+    writeEntries(readEntries().filter((item) => item.id !== entry.id))
+    notify({ type: OUTBOX_EVENTS.REPLAYED, entry, result })
+    return true
+  } catch (error) {
+    const status = error?.status ?? error?.response?.status
+    if (isRetryableStatus(status)) {
+      updateEntry(entry.id, { status: OUTBOX_STATUS.PENDING })
+      return false
+    }
+
+    updateEntry(entry.id, {
+      status: OUTBOX_STATUS.CONFLICT,
+      error: error?.data?.detail || error?.message || 'The server rejected this change.',
+    })
+    return true
+  }
+}
+
+/**
+ * Send the signed-in user's pending entries in the order they were queued.
+ * Stops at the first entry that fails for connectivity reasons so later
+ * changes never overtake it. Entries queued by another account are dropped
+ * once someone else signs in; while nobody is signed in they wait.
+ * Concurrent calls share the replay already running.
+ * @returns {Promise<void>} Resolves when the replay has finished
+ */
+export const replayOutbox = () => {
+  if (replayPromise) return replayPromise
+  if (isOffline()) return Promise.resolve()
+
+  const replay = async () => {
+    const userId = getCurrentUserId()
+    const isOwn = belongsTo(userId)
+    const entries = readEntries()
+    if (userId !== null && !entries.every(isOwn)) {
+      writeEntries(entries.filter(isOwn))
+    }
+
+    const queue = entries.filter((entry) => isOwn(entry) && entry.status !== OUTBOX_STATUS.CONFLICT)
+    for (const entry of queue) {
+      // Stop if the user changed, and skip entries discarded, while the replay was running
+      if (getCurrentUserId() !== userId) break
+      if (!readEntries().some((item) => item.id === entry.id)) continue
+      if (!(await sendEntry(entry))) break
+    }
+  }
+
+  // Cleared asynchronously: a replay with nothing to send finishes before
+  // the assignment, and clearing it inline would leave it set for good
+  replayPromise = replay().finally(() => {
+    replayPromise = null
+  })
+
+  return replayPromise
+}
+
+/**
+ * Move a conflicted entry back to pending and send it again
+ * @param {string} id - Entry ID
+ * @returns {Promise<void>} Resolves when the replay has finished
+ */
+export const retryOutboxEntry = (id) => {
+  updateEntry(id, { status: OUTBOX_STATUS.PENDING, error: null })
+  return replayOutbox()
+}
+
+/**
+ * Drop an entry without sending it
+ * @param {string} id - Entry ID
+ */
+export const discardOutboxEntry = (id) => {
+  writeEntries(readEntries().filter((entry) => entry.id !== id))
+}
+
+/**
+ * Drop every entry, whoever queued it
+ */
+export const clearOutbox = () => {
+  if (readEntries().length > 0) {
+    writeEntries([])
+  }
+}
+
+/**
+ * Subscribe to outbox changes and replays. The outbox replays itself when the
+ * browser comes back online while anyone is subscribed.
+ * @param {Function} listener - Called with { type, entries } or { type, entry, result }
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToOutbox = (listener) => {
+  listeners.add(listener)
+  startListening()
+
+  return () => {
+    listeners.delete(listener)
+    if (listeners.size === 0) {
+      stopListening()
+    }
+  }
+}
@@ -0,0 +1,156 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import {
+  registerOutboxOperation,
+  queueMutation,
+  runOrQueue,
+  replayOutbox,
+  retryOutboxEntry,
+  getOutboxEntries,
+  subscribeToOutbox,
+  clearOutbox,
+  assertOnline,
+  OUTBOX_STATUS,
+  OUTBOX_EVENTS,
+  OFFLINE_PAYMENT_MESSAGE,
+} from './offlineOutbox'
+
+const networkError = { message: 'Network error', type: 'network', code: 'NETWORK_ERROR' }
+
+describe('offlineOutbox', () => {
+  let online
+  let sendNote
+
+  beforeEach(() => {
+    const store = new Map()
+    vi.stubGlobal('localStorage', {
+      getItem: (key) => (store.has(key) ? store.get(key) : null),
+      setItem: (key, value) => store.set(key, String(value)),
+      removeItem: (key) => store.delete(key),
+      clear: () => store.clear(),
+    })
+
+    online = true
+    vi.spyOn(navigator, 'onLine', 'get').mockImplementation(() => online)
+
+    sendNote = vi.fn(async (text) => ({ text }))
+    registerOutboxOperation('note.create', sendNote)
+  })
+
+  afterEach(() => {
+    clearOutbox()
+    vi.restoreAllMocks()
+    vi.unstubAllGlobals()
+  })
+
+  it('runs the operation straight away when online', async () => {
+    const result = await runOrQueue('note.create', ['hello'])
+
+    expect(result).toEqual({ queued: false, data: { text: 'hello' }, entry: null })
+    expect(getOutboxEntries()).toHaveLength(0)
+  })
+
+  it('queues instead of sending when offline, and persists the entry', async () => {
+    online = false
+
+    const result = await runOrQueue('note.create', ['hello'], { label: 'Note' })
+
+    expect(result.queued).toBe(true)
+    expect(sendNote).not.toHaveBeenCalled()
+    expect(JSON.parse(localStorage.getItem('africa_offline_outbox'))).toEqual([
+      expect.objectContaining({ type: 'note.create', args: ['hello'], label: 'Note', status: OUTBOX_STATUS.PENDING }),
+    ])
+  })
+
+  it('queues when the request fails with a network error, but rethrows other errors', async () => {
+    sendNote.mockRejectedValueOnce(networkError)
+    expect((await runOrQueue('note.create', ['a'])).queued).toBe(true)
+
+    sendNote.mockRejectedValueOnce({ message: 'Invalid', status: 400 })
+    await expect(runOrQueue('note.create', ['b'])).rejects.toMatchObject({ status: 400 })
+    expect(getOutboxEntries()).toHaveLength(1)
+  })
+
+  it('replays entries in order and reports each result', async () => {
+    queueMutation('note.create', ['first'])
+    queueMutation('note.create', ['second'])
+    const listener = vi.fn()
+    const unsubscribe = subscribeToOutbox(listener)
+
+    await replayOutbox()
+
+    expect(sendNote.mock.calls).toEqual([['first'], ['second']])
+    expect(getOutboxEntries()).toHaveLength(0)
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+      type: OUTBOX_EVENTS.REPLAYED,
+      result: { text: 'first' },
+    }))
+    unsubscribe()
+  })
+
+  it('stops at a network failure so later entries keep their order', async () => {
+    queueMutation('note.create', ['first'])
+    queueMutation('note.create', ['second'])
+    sendNote.mockRejectedValueOnce(networkError)
+
+    await replayOutbox()
+
+    expect(sendNote).toHaveBeenCalledTimes(1)
+    expect(getOutboxEntries().map((entry) => entry.status)).toEqual([OUTBOX_STATUS.PENDING, OUTBOX_STATUS.PENDING])
+  })
+
+  it('marks a rejected entry as a conflict and carries on with the rest', async () => {
+    queueMutation('note.create', ['first'])
+    queueMutation('note.create', ['second'])
+    sendNote.mockRejectedValueOnce({ message: 'Profile changed elsewhere', status: 409 })
+
+    await replayOutbox()
+
+    expect(sendNote).toHaveBeenCalledTimes(2)
+    const [conflict] = getOutboxEntries()
+    expect(conflict).toMatchObject({ status: OUTBOX_STATUS.CONFLICT, error: 'Profile changed elsewhere', args: ['first'] })
+
+    await retryOutboxEntry(conflict.id)
+    expect(getOutboxEntries()).toHaveLength(0)
+  })
+
+  it('replays when the browser comes back online', async () => {
+    online = false
+    await runOrQueue('note.create', ['later'])
+    const unsubscribe = subscribeToOutbox(() => {})
+
+    online = true
+    window.dispatchEvent(new Event('online'))
+    await replayOutbox()
+
+    expect(sendNote).toHaveBeenCalledWith('later')
+    expect(getOutboxEntries()).toHaveLength(0)
+    unsubscribe()
+  })
+
+  it('only shows and sends entries to the user who queued them', async () => {
+    localStorage.setItem('africa_user_data', JSON.stringify({ id: 'user-a' }))
+    queueMutation('note.create', ['from a'])
+    expect(getOutboxEntries()[0].userId).toBe('user-a')
+
+    // A's session lapses: the entry waits
+    localStorage.removeItem('africa_user_data')
+    await replayOutbox()
+    expect(sendNote).not.toHaveBeenCalled()
+    expect(getOutboxEntries()).toHaveLength(0)
+
+    // B signs in on the same device: A's entry is dropped, never sent as B
+    localStorage.setItem('africa_user_data', JSON.stringify({ id: 'user-b' }))
+    queueMutation('note.create', ['from b'])
+    await replayOutbox()
+
+    expect(sendNote.mock.calls).toEqual([['from b']])
+    expect(JSON.parse(localStorage.getItem('africa_offline_outbox'))).toBeNull()
+  })
+
+  it('refuses money-moving calls while offline', () => {
+    expect(() => assertOnline()).not.toThrow()
+
+    online = false
+    expect(() => assertOnline()).toThrow(expect.objectContaining({ type: 'offline', message: OFFLINE_PAYMENT_MESSAGE }))
+  })
+})
@@ -0,0 +1,25 @@
+/**
+ * Mutations the offline outbox may queue. Importing this module registers
+ * them, so anything that queues or replays the outbox imports it first.
+ * Only add changes that are safe to send late: nothing that moves money.
+ */
+
+import authClient from '../api/authClient'
+import investmentClient from '../api/investmentClient'
+import { registerOutboxOperation } from './offlineOutbox'
+
+/**
+ * Operation types
+ */
+export const OUTBOX_OPERATIONS = {
+  UPDATE_PROFILE: 'profile.update',
+  CREATE_INQUIRY: 'inquiry.create',
+}
+
+registerOutboxOperation(OUTBOX_OPERATIONS.UPDATE_PROFILE, (profileData) => authClient.updateProfile(profileData))
+
+// The idempotency key is stored with the entry, so a replay after a request
+// that did reach the server cannot record the inquiry twice
+registerOutboxOperation(OUTBOX_OPERATIONS.CREATE_INQUIRY, (inquiryData, options) =>
+  investmentClient.createInquiry(inquiryData, options)
+)
@@ -0,0 +1,255 @@
+/**
+ * Query cache for server data shared between components.
+ * Entries are keyed by an array such as ['subscription', 'mine'] and hold the
+ * last response, when it was fetched and any request in flight. Callers that
+ * ask for the same key while a request is running share it, fresh data is
+ * served without a request, and stale data is served immediately while it is
+ * refetched in the background (stale-while-revalidate).
+ */
+
+// How long data is considered fresh unless the query says otherwise
+export const DEFAULT_STALE_TIME = 30000 // 30 seconds
+
+// How long an entry nobody is using stays in memory
+const GC_TIME = 5 * 60 * 1000 // 5 minutes
+
+/**
+ * Query keys used across the app, so screens and mutations agree on them
+ */
+export const QUERY_KEYS = {
+  PORTFOLIO: ['portfolio'],
+  WITHDRAWALS: ['portfolio', 'withdrawals'],
+  MY_SUBSCRIPTION: ['subscription', 'mine'],
+  PLANS: ['subscription', 'plans'],
+  PRODUCTS: ['products'],
+  PRODUCT_CATEGORIES: ['products', 'categories'],
+  INVESTMENT_STATS: ['products', 'statistics'],
+}
+
+const IDLE_STATE = Object.freeze({
+  data: undefined,
+  error: null,
+  updatedAt: 0,
+  isFetching: false,
+})
+
+const entries = new Map()
+let isListening = false
+
+const hashKey = (key) => JSON.stringify(key)
+
+// ['portfolio', 'withdrawals'] matches the prefix ['portfolio']
+const matchesPrefix = (key, prefix) => prefix.every((part, index) => hashKey(part) === hashKey(key[index]))
+
+const getEntry = (key) => {
+  const hash = hashKey(key)
+
+  if (!entries.has(hash)) {
+    entries.set(hash, {
+      key,
+      state: IDLE_STATE,
+      fetcher: null,
+      staleTime: DEFAULT_STALE_TIME,
+      promise: null,
+      controller: null,
+      listeners: new Set(),
+      gcTimer: null,
+    })
+  }
+
+  return entries.get(hash)
+}
+
+const setState = (entry, changes) => {
+  entry.state = { ...entry.state, ...changes }
+  entry.listeners.forEach((listener) => listener())
+}
+
+const isStale = (entry) => Date.now() - entry.state.updatedAt >= entry.staleTime
+
+const scheduleGc = (entry) => {
+  clearTimeout(entry.gcTimer)
+  entry.gcTimer = setTimeout(() => {
+    if (entry.listeners.size === 0 && !entry.promise) {
+      entries.delete(hashKey(entry.key))
+    }
+  }, GC_TIME)
+}
+
+const runFetch = (entry) => {
+  const controller = new AbortController()
+  entry.controller = controller
+  setState(entry, { isFetching: true })
+
+  const promise = entry.fetcher({ signal: controller.signal })
+    .then((data) => {
+      if (entry.promise === promise) {
+        setState(entry, { data, error: null, updatedAt: Date.now(), isFetching: false })
+      }
+      return data
+    })
+    .catch((error) => {
+      if (entry.promise === promise) {
+        setState(entry, { error, isFetching: false })
+      }
+      throw error
+    })
+    .finally(() => {
+      if (entry.promise === promise) {
+        entry.promise = null
+        entry.controller = null
+      }
+    })
+
+  entry.promise = promise
+  return promise
+}
+
+/**
+ * Fetch a query, reusing fresh data or a request already in flight
+ * @param {Array} key - Query key
+ * @param {Function} fetcher - Called with { signal }; resolves to the data
+ * @param {Object} options - Fetch options
+ * @param {number} options.staleTime - How long the data stays fresh, in ms
+ * @param {boolean} options.force - Refetch even if the data is fresh
+ * @returns {Promise<any>} The data
+ */
+export const fetchQuery = (key, fetcher, { staleTime = DEFAULT_STALE_TIME, force = false } = {}) => {
+  const entry = getEntry(key)
+  entry.fetcher = fetcher
+  entry.staleTime = staleTime
+
+  if (entry.promise) return entry.promise
+  if (!force && entry.state.updatedAt && !isStale(entry)) {
+    return Promise.resolve(entry.state.data)
+  }
+
+  if (entry.listeners.size === 0) scheduleGc(entry)
+  return runFetch(entry)
+}
+
+/**
+ * Current state of a query: { data, error, updatedAt, isFetching }
+ * @param {Array} key - Query key
+ * @returns {Object} Query state (the same object until it changes)
+ */
+export const getQueryState = (key) => entries.get(hashKey(key))?.state || IDLE_STATE
+
+/**
+ * Replace the cached data for a query, e.g. with the response of a mutation
+ * @param {Array} key - Query key
+ * @param {any|Function} updater - New data, or a function of the old data
+ */
+export const setQueryData = (key, updater) => {
+  const entry = getEntry(key)
+  const data = typeof updater === 'function' ? updater(entry.state.data) : updater
+  setState(entry, { data, error: null, updatedAt: Date.now() })
+}
+
+/**
+ * Mark every query under a key prefix as stale and refetch the ones on screen
+ * @param {Array} prefix - Key prefix, e.g. ['subscription'] for all subscription queries
+ * @returns {Promise<void>} Resolves when the refetches settle
+ */
+export const invalidateQueries = (prefix) => {
+  const refetches = []
+
+  entries.forEach((entry) => {
+    if (!matchesPrefix(entry.key, prefix)) return
+
+    entry.state = { ...entry.state, updatedAt: 0 }
+
+    if (entry.listeners.size > 0 && entry.fetcher) {
+      // A request started before the change may return old data, so start over
+      entry.controller?.abort()
+      entry.promise = null
+      refetches.push(runFetch(entry).catch(() => {}))
+    }
+  })
+
+  return Promise.all(refetches).then(() => {})
+}
+
+/**
+ * Drop every cached query and cancel requests in flight, e.g. on sign out
+ * so the next user never sees the previous user's data. Queries still on
+ * screen are fetched again for whoever is signed in now.
+ */
+export const clearQueryCache = () => {
+  entries.forEach((entry, hash) => {
+    entry.controller?.abort()
+    entry.promise = null
+    entry.controller = null
+    clearTimeout(entry.gcTimer)
+
+    if (entry.listeners.size > 0) {
+      // Still on screen: keep the subscription but forget the data
+      setState(entry, IDLE_STATE)
+      if (entry.fetcher) runFetch(entry).catch(() => {})
+    } else {
+      entries.delete(hash)
+    }
+  })
+}
+
+// Refetch stale queries that are on screen when the user comes back to the tab
+// or the connection returns
+const revalidateOnScreen = () => {
+  entries.forEach((entry) => {
+    if (entry.listeners.size > 0 && entry.fetcher && !entry.promise && isStale(entry)) {
+      runFetch(entry).catch(() => {})
+    }
+  })
+}
+
+const handleVisibilityChange = () => {
+  if (document.visibilityState === 'visible') {
+    revalidateOnScreen()
+  }
+}
+
+const startListening = () => {
+  if (isListening || typeof window === 'undefined') return
+
+  window.addEventListener('focus', revalidateOnScreen)
+  window.addEventListener('online', revalidateOnScreen)
+  document.addEventListener('visibilitychange', handleVisibilityChange)
+  isListening = true
+}
+
+/**
+ * Subscribe to changes of a query. The last subscriber to leave cancels a
+ * request still in flight and lets the entry be garbage collected.
+ * @param {Array} key - Query key
+ * @param {Function} listener - Called whenever the query state changes
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToQuery = (key, listener) => {
+  const entry = getEntry(key)
+  entry.listeners.add(listener)
+  clearTimeout(entry.gcTimer)
+  startListening()
+
+  return () => {
+    entry.listeners.delete(listener)
+
+    if (entry.listeners.size === 0) {
+      if (entry.promise) {
+        entry.controller?.abort()
+        entry.promise = null
+        entry.controller = null
+        setState(entry, { isFetching: false })
+      }
+      scheduleGc(entry)
+    }
+  }
+}
+
+export default {
+  fetch: fetchQuery,
+  getState: getQueryState,
+  setData: setQueryData,
+  invalidate: invalidateQueries,
+  clear: clearQueryCache,
+  subscribe: subscribeToQuery,
+}
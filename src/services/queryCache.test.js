@@ -0,0 +1,109 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import {
+  fetchQuery,
+  getQueryState,
+  invalidateQueries,
+  setQueryData,
+  subscribeToQuery,
+  clearQueryCache,
+} from './queryCache'
+
+const KEY = ['portfolio']
+
+describe('queryCache', () => {
+  beforeEach(() => {
+    clearQueryCache()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('shares one request between callers asking for the same key', async () => {
+    const fetcher = vi.fn().mockResolvedValue({ total: 100 })
+
+    const [first, second] = await Promise.all([
+      fetchQuery(KEY, fetcher),
+      fetchQuery(KEY, fetcher),
+    ])
+
+    expect(fetcher).toHaveBeenCalledTimes(1)
+    expect(first).toEqual({ total: 100 })
+    expect(second).toBe(first)
+  })
+
+  it('serves fresh data from the cache and refetches once it is stale', async () => {
+    vi.useFakeTimers()
+    const fetcher = vi.fn().mockResolvedValueOnce('first').mockResolvedValueOnce('second')
+
+    await fetchQuery(KEY, fetcher, { staleTime: 1000 })
+    expect(await fetchQuery(KEY, fetcher, { staleTime: 1000 })).toBe('first')
+    expect(fetcher).toHaveBeenCalledTimes(1)
+
+    vi.advanceTimersByTime(1000)
+
+    expect(await fetchQuery(KEY, fetcher, { staleTime: 1000 })).toBe('second')
+    expect(fetcher).toHaveBeenCalledTimes(2)
+  })
+
+  it('refetches invalidated queries that are on screen', async () => {
+    const fetcher = vi.fn().mockResolvedValueOnce({ balance: 500 }).mockResolvedValueOnce({ balance: 300 })
+    const listener = vi.fn()
+    const unsubscribe = subscribeToQuery(['portfolio', 'withdrawals'], listener)
+
+    await fetchQuery(['portfolio', 'withdrawals'], fetcher)
+    await invalidateQueries(['portfolio'])
+
+    expect(fetcher).toHaveBeenCalledTimes(2)
+    expect(getQueryState(['portfolio', 'withdrawals']).data).toEqual({ balance: 300 })
+    expect(listener).toHaveBeenCalled()
+    unsubscribe()
+  })
+
+  it('revalidates stale queries on screen when the window regains focus', async () => {
+    const fetcher = vi.fn().mockResolvedValue('data')
+    const unsubscribe = subscribeToQuery(KEY, () => {})
+
+    await fetchQuery(KEY, fetcher, { staleTime: 0 })
+    window.dispatchEvent(new Event('focus'))
+
+    expect(fetcher).toHaveBeenCalledTimes(2)
+    unsubscribe()
+  })
+
+  it('cancels the request when the last subscriber leaves', async () => {
+    let receivedSignal
+    const fetcher = vi.fn(({ signal }) => {
+      receivedSignal = signal
+      return new Promise(() => {})
+    })
+    const unsubscribe = subscribeToQuery(KEY, () => {})
+
+    fetchQuery(KEY, fetcher)
+    unsubscribe()
+
+    expect(receivedSignal.aborted).toBe(true)
+  })
+
+  it('forgets data on clear', () => {
+    setQueryData(KEY, { total: 100 })
+    expect(getQueryState(KEY).data).toEqual({ total: 100 })
+
+    clearQueryCache()
+
+    expect(getQueryState(KEY).data).toBeUndefined()
+  })
+
+  it('refetches queries still on screen after a clear', async () => {
+    const fetcher = vi.fn().mockResolvedValueOnce('first user').mockResolvedValueOnce('second user')
+    const unsubscribe = subscribeToQuery(KEY, () => {})
+    await fetchQuery(KEY, fetcher)
+
+    clearQueryCache()
+    expect(getQueryState(KEY)).toMatchObject({ data: undefined, isFetching: true })
+
+    await vi.waitFor(() => expect(getQueryState(KEY).data).toBe('second user'))
+    expect(fetcher).toHaveBeenCalledTimes(2)
+    unsubscribe()
+  })
+})
@@ -0,0 +1,204 @@
+/**
+ * Backend service status monitor.
+ * Checks the auth, subscription and investment services on a timer while
+ * anything is subscribed, more often while one of them is struggling, so
+ * screens can switch off the features that depend on a service that is down
+ * instead of each one failing on its own.
+ */
+
+import authClient from '../api/authClient'
+import subscriptionClient from '../api/subscriptionClient'
+import investmentClient from '../api/investmentClient'
+import { HEALTH_CHECK_CONFIG } from '../utils/constants'
+import { mapServiceHealth } from '../api/mappers'
+import { isOffline } from './offlineOutbox'
+
+/**
+ * Monitored services
+ */
+export const SERVICES = {
+  AUTH: 'auth',
+  SUBSCRIPTION: 'subscription',
+  INVESTMENT: 'investment',
+}
+
+/**
+ * Service statuses. UNKNOWN until the first check finishes.
+ */
+export const SERVICE_STATUS = {
+  UNKNOWN: 'unknown',
+  UP: 'up',
+  DEGRADED: 'degraded',
+  DOWN: 'down',
+}
+
+/**
+ * Names to show the user
+ */
+export const SERVICE_LABELS = {
+  [SERVICES.AUTH]: 'Sign-in and accounts',
+  [SERVICES.SUBSCRIPTION]: 'Subscriptions',
+  [SERVICES.INVESTMENT]: 'Investments',
+}
+
+const clients = {
+  [SERVICES.AUTH]: authClient,
+  [SERVICES.SUBSCRIPTION]: subscriptionClient,
+  [SERVICES.INVESTMENT]: investmentClient,
+}
+
+const createInitialState = () => Object.fromEntries(
+  Object.values(SERVICES).map((service) => [service, { status: SERVICE_STATUS.UNKNOWN, message: '', checkedAt: null }])
+)
+
+let state = createInitialState()
+const listeners = new Set()
+let timer = null
+let controller = null
+let checkPromise = null
+
+const setServiceState = (changes) => {
+  state = { ...state, ...changes }
+  listeners.forEach((listener) => listener())
+}
+
+// A failed check still says something: a 5xx may carry the service's own
+// report, and no response at all means the service could not be reached.
+// Other 4xx answers (e.g. no health endpoint) say nothing about the service.
+const checkService = async (service, signal) => {
+  try {
+    return await clients[service].healthCheck({ signal })
+  } catch (error) {
+    if (signal.aborted) throw error
+
+    const status = error?.status ?? error?.response?.status
+    if (status && status < 500) {
+      return { status: SERVICE_STATUS.UNKNOWN, message: '', checkedAt: null }
+    }
+    if (error?.data?.status) {
+      return { ...mapServiceHealth(error.data), status: SERVICE_STATUS.DOWN }
+    }
+    return { status: SERVICE_STATUS.DOWN, message: error?.message || '', checkedAt: null }
+  }
+}
+
+const hasProblem = () => Object.values(state).some(
+  ({ status }) => status === SERVICE_STATUS.DEGRADED || status === SERVICE_STATUS.DOWN
+)
+
+const scheduleNextCheck = () => {
+  clearTimeout(timer)
+  if (listeners.size === 0) return
+  // Hidden tabs wait for the visibility change to check again
+  if (typeof document !== 'undefined' && document.visibilityState !== 'visible') return
+
+  const delay = hasProblem() ? HEALTH_CHECK_CONFIG.DEGRADED_INTERVAL : HEALTH_CHECK_CONFIG.INTERVAL
+  timer = setTimeout(() => {
+    checkServiceHealth().catch(() => {})
+  }, delay)
+}
+
+/**
+ * Check every service now. Skipped while the browser is offline: the network
+ * banner covers that, and a failed check would wrongly blame the services.
+ * Concurrent calls share the check already running.
+ * @returns {Promise<Object>} Status per service
+ */
+export const checkServiceHealth = () => {
+  if (checkPromise) return checkPromise
+  if (isOffline()) {
+    scheduleNextCheck()
+    return Promise.resolve(state)
+  }
+
+  controller = new AbortController()
+  const { signal } = controller
+
+  const promise = Promise.all(Object.values(SERVICES).map(async (service) => {
+    const health = await checkService(service, signal)
+    return [service, { ...health, checkedAt: health.checkedAt || new Date().toISOString() }]
+  }))
+    .then((results) => {
+      setServiceState(Object.fromEntries(results))
+      return state
+    })
+    .finally(() => {
+      if (checkPromise !== promise) return
+      checkPromise = null
+      controller = null
+      if (!signal.aborted) scheduleNextCheck()
+    })
+
+  checkPromise = promise
+  return promise
+}
+
+/**
+ * Current status of every service: { [service]: { status, message, checkedAt } }
+ * @returns {Object} Status per service (the same object until it changes)
+ */
+export const getServiceHealth = () => state
+
+/**
+ * Whether a service can be used. Unknown counts as available, so nothing is
+ * hidden before the first check finishes.
+ * @param {string} service - One of SERVICES
+ * @returns {boolean} False when the service is down
+ */
+export const isServiceAvailable = (service) => state[service]?.status !== SERVICE_STATUS.DOWN
+
+const handleVisibilityChange = () => {
+  if (document.visibilityState === 'visible') {
+    checkServiceHealth().catch(() => {})
+  } else {
+    // No point polling a tab nobody is looking at
+    clearTimeout(timer)
+  }
+}
+
+const handleOnline = () => {
+  checkServiceHealth().catch(() => {})
+}
+
+const startMonitoring = () => {
+  if (typeof window === 'undefined') return
+
+  window.addEventListener('online', handleOnline)
+  document.addEventListener('visibilitychange', handleVisibilityChange)
+  checkServiceHealth().catch(() => {})
+}
+
+const stopMonitoring = () => {
+  clearTimeout(timer)
+  controller?.abort()
+  checkPromise = null
+
+  if (typeof window === 'undefined') return
+  window.removeEventListener('online', handleOnline)
+  document.removeEventListener('visibilitychange', handleVisibilityChange)
+}
+
+/**
+ * Subscribe to status changes. The first subscriber starts the monitor and
+ * the last one to leave stops it.
+ * @param {Function} listener - Called after any status changes
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToServiceHealth = (listener) => {
+  listeners.add(listener)
+  if (listeners.size === 1) startMonitoring()
+
+  return () => {
+    listeners.delete(listener)
+    if (listeners.size === 0) stopMonitoring()
+  }
+}
+
+/**
+ * Forget every status and stop checking, for tests
+ */
+export const resetServiceHealth = () => {
+  stopMonitoring()
+  listeners.clear()
+  state = createInitialState()
+}
@@ -0,0 +1,113 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import authClient from '../api/authClient'
+import subscriptionClient from '../api/subscriptionClient'
+import investmentClient from '../api/investmentClient'
+import { mapServiceHealth } from '../api/mappers'
+import { HEALTH_CHECK_CONFIG } from '../utils/constants'
+import {
+  checkServiceHealth,
+  getServiceHealth,
+  isServiceAvailable,
+  subscribeToServiceHealth,
+  resetServiceHealth,
+  SERVICES,
+  SERVICE_STATUS,
+} from './serviceHealth'
+
+const healthy = { status: 'up', message: '', checkedAt: null }
+
+describe('serviceHealth', () => {
+  beforeEach(() => {
+    vi.spyOn(authClient, 'healthCheck').mockResolvedValue(healthy)
+    vi.spyOn(subscriptionClient, 'healthCheck').mockResolvedValue(healthy)
+    vi.spyOn(investmentClient, 'healthCheck').mockResolvedValue(healthy)
+  })
+
+  afterEach(() => {
+    resetServiceHealth()
+    vi.useRealTimers()
+    vi.restoreAllMocks()
+  })
+
+  it('treats services as available until a check says otherwise', () => {
+    expect(getServiceHealth()[SERVICES.INVESTMENT].status).toBe(SERVICE_STATUS.UNKNOWN)
+    expect(isServiceAvailable(SERVICES.INVESTMENT)).toBe(true)
+  })
+
+  it('marks a service down when it cannot be reached or answers with a 5xx', async () => {
+    investmentClient.healthCheck.mockRejectedValue({ message: 'Network error', type: 'network' })
+    subscriptionClient.healthCheck.mockRejectedValue({ status: 503, data: { status: 'degraded', message: 'Database failover' } })
+
+    await checkServiceHealth()
+
+    expect(getServiceHealth()[SERVICES.AUTH].status).toBe(SERVICE_STATUS.UP)
+    expect(getServiceHealth()[SERVICES.INVESTMENT].status).toBe(SERVICE_STATUS.DOWN)
+    expect(getServiceHealth()[SERVICES.SUBSCRIPTION]).toMatchObject({
+      status: SERVICE_STATUS.DOWN,
+      message: 'Database failover',
+    })
+    expect(isServiceAvailable(SERVICES.INVESTMENT)).toBe(false)
+  })
+
+  it('does not blame a service for a missing health endpoint', async () => {
+    authClient.healthCheck.mockRejectedValue({ status: 404 })
+
+    await checkServiceHealth()
+
+    expect(getServiceHealth()[SERVICES.AUTH].status).toBe(SERVICE_STATUS.UNKNOWN)
+  })
+
+  it('checks on subscribe and again sooner while a service is down', async () => {
+    vi.useFakeTimers()
+    investmentClient.healthCheck.mockRejectedValueOnce({ status: 500 })
+    const listener = vi.fn()
+    const unsubscribe = subscribeToServiceHealth(listener)
+
+    await vi.advanceTimersByTimeAsync(0)
+    expect(listener).toHaveBeenCalled()
+    expect(isServiceAvailable(SERVICES.INVESTMENT)).toBe(false)
+
+    await vi.advanceTimersByTimeAsync(HEALTH_CHECK_CONFIG.DEGRADED_INTERVAL)
+    expect(investmentClient.healthCheck).toHaveBeenCalledTimes(2)
+    expect(isServiceAvailable(SERVICES.INVESTMENT)).toBe(true)
+
+    unsubscribe()
+    await vi.advanceTimersByTimeAsync(HEALTH_CHECK_CONFIG.INTERVAL)
+    expect(investmentClient.healthCheck).toHaveBeenCalledTimes(2)
+  })
+
+  it('stops polling when the tab is hidden during a check and resumes when shown', async () => {
+    vi.useFakeTimers()
+    let visibility = 'visible'
+    vi.spyOn(document, 'visibilityState', 'get').mockImplementation(() => visibility)
+    let finishCheck
+    investmentClient.healthCheck.mockImplementationOnce(() => new Promise((resolve) => {
+      finishCheck = () => resolve(healthy)
+    }))
+    const unsubscribe = subscribeToServiceHealth(() => {})
+
+    // Hidden while the first check is still in flight
+    visibility = 'hidden'
+    document.dispatchEvent(new Event('visibilitychange'))
+    finishCheck()
+    await vi.advanceTimersByTimeAsync(HEALTH_CHECK_CONFIG.INTERVAL * 3)
+    expect(investmentClient.healthCheck).toHaveBeenCalledTimes(1)
+
+    visibility = 'visible'
+    document.dispatchEvent(new Event('visibilitychange'))
+    await vi.advanceTimersByTimeAsync(0)
+    expect(investmentClient.healthCheck).toHaveBeenCalledTimes(2)
+
+    unsubscribe()
+  })
+})
+
+describe('mapServiceHealth', () => {
+  it('reduces the services\' own wording to up, degraded or down', () => {
+    expect(mapServiceHealth({ status: 'healthy' }).status).toBe('up')
+    expect(mapServiceHealth({ status: 'OK' }).status).toBe('up')
+    expect(mapServiceHealth({}).status).toBe('up')
+    expect(mapServiceHealth({ status: 'degraded', message: 'Slow queries' })).toMatchObject({ status: 'degraded', message: 'Slow queries' })
+    expect(mapServiceHealth({ status: 'unhealthy' }).status).toBe('down')
+  })
+})
@@ -0,0 +1,197 @@
+/**
+ * Session bus for keeping authentication state in sync across browser tabs.
+ * Uses BroadcastChannel where available and falls back to localStorage
+ * `storage` events for older browsers.
+ */
+
+const CHANNEL_NAME = 'africa_session'
+const STORAGE_EVENT_KEY = 'africa_session_event'
+const LOCK_STORAGE_PREFIX = 'africa_session_lock_'
+
+// How long a localStorage lock is honoured before it is considered abandoned
+const LOCK_TTL = 15000 // 15 seconds
+const LOCK_POLL_INTERVAL = 100
+
+/**
+ * Session event types broadcast between tabs
+ */
+export const SESSION_EVENTS = {
+  LOGIN: 'login',
+  LOGOUT: 'logout',
+  TOKENS_REFRESHED: 'tokens_refreshed',
+  USER_UPDATED: 'user_updated',
+}
+
+// Unique id for this tab so we can ignore our own storage-event echoes
+const TAB_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+
+const listeners = new Set()
+let channel = null
+let isListening = false
+
+const dispatchToListeners = (message) => {
+  if (!message || message.source === TAB_ID) return
+
+  listeners.forEach((listener) => {
+    try {
+      listener(message)
+    } catch (error) {
+      console.error('Session bus listener error:', error)
+    }
+  })
+}
+
+const handleStorageEvent = (event) => {
+  if (event.key !== STORAGE_EVENT_KEY || !event.newValue) return
+
+  try {
+    dispatchToListeners(JSON.parse(event.newValue))
+  } catch (error) {
+    console.warn('Ignoring malformed session event:', error)
+  }
+}
+
+const startListening = () => {
+  if (isListening || typeof window === 'undefined') return
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME)
+    channel.onmessage = (event) => dispatchToListeners(event.data)
+  } else {
+    window.addEventListener('storage', handleStorageEvent)
+  }
+
+  isListening = true
+}
+
+const stopListening = () => {
+  if (!isListening) return
+
+  if (channel) {
+    channel.close()
+    channel = null
+  } else if (typeof window !== 'undefined') {
+    window.removeEventListener('storage', handleStorageEvent)
+  }
+
+  isListening = false
+}
+
+/**
+ * Broadcast a session event to every other open tab
+ * @param {string} type - One of SESSION_EVENTS
+ * @param {Object} payload - Event payload (must be structured-cloneable; never include tokens)
+ */
+export const publishSessionEvent = (type, payload = {}) => {
+  if (typeof window === 'undefined') return
+
+  const message = {
+    type,
+    payload,
+    source: TAB_ID,
+    timestamp: Date.now(),
+  }
+
+  try {
+    if (typeof BroadcastChannel !== 'undefined') {
+      startListening()
+      channel.postMessage(message)
+    } else {
+      // Writing then removing the key fires a storage event in other tabs
+      localStorage.setItem(STORAGE_EVENT_KEY, JSON.stringify(message))
+      localStorage.removeItem(STORAGE_EVENT_KEY)
+    }
+  } catch (error) {
+    console.warn('Failed to publish session event:', error)
+  }
+}
+
+/**
+ * Subscribe to session events from other tabs
+ * @param {Function} listener - Called with { type, payload, source, timestamp }
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToSessionEvents = (listener) => {
+  listeners.add(listener)
+  startListening()
+
+  return () => {
+    listeners.delete(listener)
+    if (listeners.size === 0) {
+      stopListening()
+    }
+  }
+}
+
+const readLock = (key) => {
+  try {
+    const raw = localStorage.getItem(key)
+    return raw ? JSON.parse(raw) : null
+  } catch {
+    return null
+  }
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * localStorage based mutex used when the Web Locks API is unavailable
+ * @param {string} name - Lock name
+ * @param {Function} callback - Async work to run while holding the lock
+ * @returns {Promise<any>} Result of callback
+ */
+const withStorageLock = async (name, callback) => {
+  const key = `${LOCK_STORAGE_PREFIX}${name}`
+  const deadline = Date.now() + LOCK_TTL
+
+  while (Date.now() < deadline) {
+    const current = readLock(key)
+
+    if (!current || current.expiresAt < Date.now()) {
+      localStorage.setItem(key, JSON.stringify({ owner: TAB_ID, expiresAt: Date.now() + LOCK_TTL }))
+
+      // Another tab may have written at the same time - only proceed if we won.
+      // A missing lock means storage isn't persisting, so there is nothing to coordinate.
+      const holder = readLock(key)
+      if (!holder || holder.owner === TAB_ID) {
+        try {
+          return await callback()
+        } finally {
+          if (readLock(key)?.owner === TAB_ID) {
+            localStorage.removeItem(key)
+          }
+        }
+      }
+    }
+
+    await wait(LOCK_POLL_INTERVAL)
+  }
+
+  // The holder never released the lock; run anyway rather than block the user
+  return callback()
+}
+
+/**
+ * Run callback while holding a lock shared by every tab of this origin,
+ * so that only one tab performs the work at a time.
+ * @param {string} name - Lock name
+ * @param {Function} callback - Async work to run while holding the lock
+ * @returns {Promise<any>} Result of callback
+ */
+export const withSessionLock = (name, callback) => {
+  if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+    return navigator.locks.request(`${CHANNEL_NAME}_${name}`, callback)
+  }
+
+  if (typeof window === 'undefined' || !window.localStorage) {
+    return callback()
+  }
+
+  return withStorageLock(name, callback)
+}
+
+export default {
+  publish: publishSessionEvent,
+  subscribe: subscribeToSessionEvents,
+  withLock: withSessionLock,
+}
@@ -0,0 +1,68 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+
+// Each dynamic import after resetModules behaves like a separate browser tab
+const openTab = async () => {
+  vi.resetModules()
+  return import('./sessionBus')
+}
+
+describe('sessionBus', () => {
+  const cleanups = []
+
+  afterEach(() => {
+    cleanups.splice(0).forEach((cleanup) => cleanup())
+  })
+
+  it('delivers events published in one tab to listeners in another', async () => {
+    const tabA = await openTab()
+    const tabB = await openTab()
+    const listener = vi.fn()
+
+    cleanups.push(tabB.subscribeToSessionEvents(listener))
+    tabA.publishSessionEvent(tabA.SESSION_EVENTS.LOGOUT, { reason: 'test' })
+
+    await vi.waitFor(() => {
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'logout',
+        payload: { reason: 'test' },
+      }))
+    })
+  })
+
+  it('does not deliver a tab its own events', async () => {
+    const tab = await openTab()
+    const listener = vi.fn()
+
+    cleanups.push(tab.subscribeToSessionEvents(listener))
+    tab.publishSessionEvent(tab.SESSION_EVENTS.USER_UPDATED, { user: { id: 1 } })
+
+    await new Promise((resolve) => setTimeout(resolve, 20))
+    expect(listener).not.toHaveBeenCalled()
+  })
+
+  it('runs locked work one caller at a time', async () => {
+    // The test setup mocks localStorage without persistence; the lock needs a real store
+    const store = new Map()
+    vi.stubGlobal('localStorage', {
+      getItem: (key) => (store.has(key) ? store.get(key) : null),
+      setItem: (key, value) => store.set(key, String(value)),
+      removeItem: (key) => store.delete(key),
+    })
+    cleanups.push(() => vi.unstubAllGlobals())
+
+    const { withSessionLock } = await openTab()
+    const order = []
+
+    const task = (name, delay) => withSessionLock('test', async () => {
+      order.push(`${name}:start`)
+      await new Promise((resolve) => setTimeout(resolve, delay))
+      order.push(`${name}:end`)
+      return name
+    })
+
+    const results = await Promise.all([task('first', 20), task('second', 0)])
+
+    expect(results).toEqual(['first', 'second'])
+    expect(order).toEqual(['first:start', 'first:end', 'second:start', 'second:end'])
+  })
+})
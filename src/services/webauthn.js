@@ -0,0 +1,183 @@
+/**
+ * Passkey (WebAuthn) helpers.
+ * The auth service sends and receives WebAuthn options and credentials as JSON
+ * with binary fields base64url-encoded; the browser API works with ArrayBuffers.
+ * These helpers convert between the two and run the browser ceremonies.
+ */
+
+/**
+ * Check whether this browser can use passkeys at all
+ * @returns {boolean} True if the WebAuthn API is available
+ */
+export const isPasskeySupported = () => {
+  return typeof window !== 'undefined' &&
+    typeof window.PublicKeyCredential !== 'undefined' &&
+    typeof navigator !== 'undefined' &&
+    !!navigator.credentials
+}
+
+/**
+ * Decode a base64url string into an ArrayBuffer
+ * @param {string} value - base64url string
+ * @returns {ArrayBuffer} Decoded bytes
+ */
+export const base64UrlToBuffer = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/')
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4)
+  const binary = atob(padded)
+  const bytes = new Uint8Array(binary.length)
+
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+
+  return bytes.buffer
+}
+
+/**
+ * Encode an ArrayBuffer (or view) as a base64url string
+ * @param {ArrayBuffer|ArrayBufferView} buffer - Bytes to encode
+ * @returns {string} base64url string without padding
+ */
+export const bufferToBase64Url = (buffer) => {
+  const bytes = buffer instanceof ArrayBuffer
+    ? new Uint8Array(buffer)
+    : new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+  let binary = ''
+
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i])
+  }
+
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+const decodeCredentialDescriptors = (descriptors) => {
+  return descriptors?.map((descriptor) => ({
+    ...descriptor,
+    id: base64UrlToBuffer(descriptor.id),
+  }))
+}
+
+/**
+ * Convert registration options from the server into browser form
+ * @param {Object} options - PublicKeyCredentialCreationOptions as JSON
+ * @returns {Object} Options for navigator.credentials.create
+ */
+export const toCreationOptions = (options) => {
+  return {
+    ...options,
+    challenge: base64UrlToBuffer(options.challenge),
+    user: {
+      ...options.user,
+      id: base64UrlToBuffer(options.user.id),
+    },
+    excludeCredentials: decodeCredentialDescriptors(options.excludeCredentials),
+  }
+}
+
+/**
+ * Convert sign-in options from the server into browser form
+ * @param {Object} options - PublicKeyCredentialRequestOptions as JSON
+ * @returns {Object} Options for navigator.credentials.get
+ */
+export const toRequestOptions = (options) => {
+  return {
+    ...options,
+    challenge: base64UrlToBuffer(options.challenge),
+    allowCredentials: decodeCredentialDescriptors(options.allowCredentials),
+  }
+}
+
+/**
+ * Serialise a credential returned by the browser for the server
+ * @param {PublicKeyCredential} credential - Credential from create() or get()
+ * @returns {Object} JSON-safe credential
+ */
+export const credentialToJSON = (credential) => {
+  const { response } = credential
+  const json = {
+    id: credential.id,
+    rawId: bufferToBase64Url(credential.rawId),
+    type: credential.type,
+    authenticatorAttachment: credential.authenticatorAttachment || undefined,
+    clientExtensionResults: credential.getClientExtensionResults?.() || {},
+    response: {
+      clientDataJSON: bufferToBase64Url(response.clientDataJSON),
+    },
+  }
+
+  if (response.attestationObject) {
+    // Registration
+    json.response.attestationObject = bufferToBase64Url(response.attestationObject)
+    json.response.transports = response.getTransports?.() || []
+  } else {
+    // Sign-in
+    json.response.authenticatorData = bufferToBase64Url(response.authenticatorData)
+    json.response.signature = bufferToBase64Url(response.signature)
+    json.response.userHandle = response.userHandle ? bufferToBase64Url(response.userHandle) : null
+  }
+
+  return json
+}
+
+/**
+ * Create a new passkey on this device
+ * @param {Object} options - Registration options from the server (JSON)
+ * @returns {Promise<Object>} Serialised credential for the server
+ */
+export const createPasskey = async (options) => {
+  const credential = await navigator.credentials.create({
+    publicKey: toCreationOptions(options),
+  })
+
+  return credentialToJSON(credential)
+}
+
+/**
+ * Ask the browser to sign in with a passkey
+ * @param {Object} options - Sign-in options from the server (JSON)
+ * @param {AbortSignal} signal - Optional signal to cancel the prompt
+ * @returns {Promise<Object>} Serialised assertion for the server
+ */
+export const getPasskeyAssertion = async (options, signal) => {
+  const credential = await navigator.credentials.get({
+    publicKey: toRequestOptions(options),
+    signal,
+  })
+
+  return credentialToJSON(credential)
+}
+
+/**
+ * Check whether a WebAuthn error means the user closed or declined the prompt
+ * @param {Error} error - Error from a WebAuthn ceremony
+ * @returns {boolean} True if cancelled
+ */
+export const isPasskeyCancelled = (error) => {
+  return error?.name === 'NotAllowedError' || error?.name === 'AbortError'
+}
+
+/**
+ * Get a user-facing message for a failed passkey ceremony
+ * @param {Error|Object} error - WebAuthn DOMException or normalised API error
+ * @returns {string} Message to show
+ */
+export const getPasskeyErrorMessage = (error) => {
+  if (isPasskeyCancelled(error)) {
+    return 'The passkey prompt was closed before it finished. Please try again.'
+  }
+  if (error?.name === 'InvalidStateError') {
+    return 'A passkey for this account already exists on this device.'
+  }
+  if (error?.name === 'SecurityError') {
+    return 'Passkeys are not available on this site address.'
+  }
+  if (error?.status === 400 || error?.status === 401 || error?.status === 404) {
+    return 'We couldn\'t verify that passkey. Please try again.'
+  }
+  if (error?.type === 'network') {
+    return 'Unable to connect. Please check your internet connection and try again.'
+  }
+  return 'Something went wrong with the passkey. Please try again.'
+}
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest'
+import {
+  base64UrlToBuffer,
+  bufferToBase64Url,
+  toRequestOptions,
+  credentialToJSON,
+  isPasskeyCancelled,
+  getPasskeyErrorMessage,
+} from './webauthn'
+
+const bytes = (...values) => new Uint8Array(values).buffer
+
+describe('webauthn helpers', () => {
+  it('round-trips base64url without padding or unsafe characters', () => {
+    const buffer = bytes(251, 255, 191, 0, 1)
+    const encoded = bufferToBase64Url(buffer)
+
+    expect(encoded).toBe('-_-_AAE')
+    expect(new Uint8Array(base64UrlToBuffer(encoded))).toEqual(new Uint8Array(buffer))
+  })
+
+  it('decodes the challenge and allowed credential ids for sign-in', () => {
+    const options = toRequestOptions({
+      challenge: 'AQID',
+      rpId: 'example.com',
+      allowCredentials: [{ id: 'BAU', type: 'public-key' }],
+    })
+
+    expect(new Uint8Array(options.challenge)).toEqual(new Uint8Array([1, 2, 3]))
+    expect(new Uint8Array(options.allowCredentials[0].id)).toEqual(new Uint8Array([4, 5]))
+    expect(options.rpId).toBe('example.com')
+  })
+
+  it('serialises a sign-in assertion for the server', () => {
+    const json = credentialToJSON({
+      id: 'cred-1',
+      rawId: bytes(1),
+      type: 'public-key',
+      getClientExtensionResults: () => ({}),
+      response: {
+        clientDataJSON: bytes(2),
+        authenticatorData: bytes(3),
+        signature: bytes(4),
+        userHandle: null,
+      },
+    })
+
+    expect(json).toMatchObject({
+      id: 'cred-1',
+      rawId: 'AQ',
+      type: 'public-key',
+      response: {
+        clientDataJSON: 'Ag',
+        authenticatorData: 'Aw',
+        signature: 'BA',
+        userHandle: null,
+      },
+    })
+  })
+
+  it('treats a closed prompt as a cancellation', () => {
+    const error = new DOMException('closed', 'NotAllowedError')
+
+    expect(isPasskeyCancelled(error)).toBe(true)
+    expect(isPasskeyCancelled({ status: 401 })).toBe(false)
+    expect(getPasskeyErrorMessage({ status: 401 })).toMatch(/couldn't verify/)
+  })
+})
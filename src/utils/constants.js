@@ -1,10 +1,20 @@
 // Application constants
 
 // API Configuration
+const AUTH_SERVICE_URL = import.meta.env.VITE_AUTH_SERVICE_URL || 'https://siscom.africa/api/v1/auth'
+const SUBSCRIPTION_SERVICE_URL = import.meta.env.VITE_SUBSCRIPTION_SERVICE_URL || 'https://siscom.africa/api/v1/subscription'
+const INVESTMENT_SERVICE_URL = import.meta.env.VITE_INVESTMENT_SERVICE_URL || 'https://siscom.africa/api/v1/investments'
+
 export const API_ENDPOINTS = {
-  AUTH: import.meta.env.VITE_AUTH_SERVICE_URL || 'https://siscom.africa/api/v1/auth',
-  SUBSCRIPTION: import.meta.env.VITE_SUBSCRIPTION_SERVICE_URL || 'https://siscom.africa/api/v1/subscription',
-  INVESTMENT: import.meta.env.VITE_INVESTMENT_SERVICE_URL || 'https://siscom.africa/api/v1/investments',
+  AUTH: AUTH_SERVICE_URL,
+  SUBSCRIPTION: SUBSCRIPTION_SERVICE_URL,
+  INVESTMENT: INVESTMENT_SERVICE_URL,
+  // Health check per service; defaults to /health on the service itself
+  HEALTH: {
+    AUTH: import.meta.env.VITE_AUTH_HEALTH_URL || `${AUTH_SERVICE_URL}/health`,
+    SUBSCRIPTION: import.meta.env.VITE_SUBSCRIPTION_HEALTH_URL || `${SUBSCRIPTION_SERVICE_URL}/health`,
+    INVESTMENT: import.meta.env.VITE_INVESTMENT_HEALTH_URL || `${INVESTMENT_SERVICE_URL}/health`,
+  },
 }
 
 // API Base URLs (for reference)
@@ -34,8 +44,30 @@ export const STORAGE_KEYS = {
   ACCESS_TOKEN: 'africa_access_token',
   REFRESH_TOKEN: 'africa_refresh_token',
   USER_DATA: 'africa_user_data',
+  LAST_ACTIVITY: 'africa_last_activity',
   THEME: 'africa_theme',
   LANGUAGE: 'africa_language',
+  OFFLINE_OUTBOX: 'africa_offline_outbox',
+  PRODUCT_LIST_STATE: 'africa_product_list_state',
+  PRODUCT_FILTER_PRESETS: 'africa_product_filter_presets',
+  COMPARE_LIST: 'africa_compare_list',
+}
+
+// Session Configuration
+export const SESSION_CONFIG = {
+  // Sign out after this long without user activity in any tab
+  IDLE_TIMEOUT: (Number(import.meta.env.VITE_IDLE_TIMEOUT_MINUTES) || 15) * 60 * 1000,
+  // Warn this long before the idle sign-out
+  IDLE_WARNING_DURATION: (Number(import.meta.env.VITE_IDLE_WARNING_SECONDS) || 60) * 1000,
+}
+
+// Service health monitoring
+export const HEALTH_CHECK_CONFIG = {
+  // How often services are checked while they are all up
+  INTERVAL: (Number(import.meta.env.VITE_HEALTH_CHECK_INTERVAL_SECONDS) || 60) * 1000,
+  // Check more often while a service is degraded or down, to notice recovery sooner
+  DEGRADED_INTERVAL: 15 * 1000,
+  TIMEOUT: 5000,
 }
 
 // Route Paths
@@ -44,6 +76,9 @@ export const ROUTES = {
   LOGIN: '/login',
   REGISTER: '/register',
   VERIFY_PHONE: '/verify-phone',
+  VERIFY_EMAIL: '/verify-email',
+  FORGOT_PASSWORD: '/forgot-password',
+  RESET_PASSWORD: '/reset-password',
   DASHBOARD: '/dashboard',
   PROFILE: '/profile',
   PRODUCTS: '/products',
@@ -52,6 +87,29 @@ export const ROUTES = {
   PORTFOLIO: '/portfolio',
   PLANS: '/plans',
   MY_SUBSCRIPTION: '/my-subscription',
+  ADMIN: '/admin',
+  FORBIDDEN: '/403',
+}
+
+// Roles carried in the access token's `roles`/`role` claims
+export const ROLES = {
+  ADMIN: 'admin',
+  STAFF: 'staff',
+  USER: 'user',
+}
+
+// Permissions carried in the `permissions`/`scope` claims
+export const PERMISSIONS = {
+  VIEW_USERS: 'users:read',
+  MANAGE_USERS: 'users:write',
+  VIEW_USER_STATS: 'users:stats',
+}
+
+// Permissions granted by a role when the token does not list them explicitly
+export const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.STAFF]: [PERMISSIONS.VIEW_USERS, PERMISSIONS.VIEW_USER_STATS],
+  [ROLES.USER]: [],
 }
 
 // Form Validation
@@ -165,6 +223,8 @@ export const ERROR_MESSAGES = {
   NOT_FOUND: 'The requested resource was not found.',
   SERVER_ERROR: 'Something went wrong on our end. Please try again later.',
   VALIDATION: 'Please check your input and try again.',
+  RATE_LIMITED: 'Too many requests. Please wait a moment and try again.',
+  ACCOUNT_LOCKED: 'Your account is temporarily locked. Please try again later.',
   FILE_TOO_LARGE: 'File size exceeds the maximum allowed limit.',
   INVALID_FILE_TYPE: 'Invalid file type. Please select a supported file.',
 }
@@ -174,7 +234,11 @@ export const SUCCESS_MESSAGES = {
   REGISTRATION: 'Registration successful! Please verify your phone number.',
   LOGIN: 'Welcome back!',
   PHONE_VERIFIED: 'Phone number verified successfully!',
+  EMAIL_VERIFIED: 'Email address verified successfully!',
+  EMAIL_CHANGED: 'Email address updated successfully!',
+  PHONE_CHANGED: 'Phone number updated successfully!',
   PROFILE_UPDATED: 'Profile updated successfully!',
+  PASSWORD_CHANGED: 'Password changed successfully!',
   KYC_SUBMITTED: 'KYC documents submitted successfully!',
   INQUIRY_CREATED: 'Investment inquiry created successfully!',
   WITHDRAWAL_REQUESTED: 'Withdrawal request submitted successfully!',
@@ -268,6 +332,8 @@ export const PAGINATION = {
   DEFAULT_PAGE_SIZE: 20,
   MAX_PAGE_SIZE: 100,
   MIN_PAGE_SIZE: 5,
+  // Fills whole rows of the three-column product grid
+  PRODUCTS_PAGE_SIZE: 12,
 }
 
 // Loading States
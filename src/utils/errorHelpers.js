@@ -36,13 +36,91 @@ export const isUserNotFoundError = (error) => {
   return false;
 };
 
+/**
+ * Get how long to wait before retrying a rate-limited or locked request
+ * @param {Object} error - Normalised API error or axios error
+ * @returns {number|null} - Seconds to wait, or null if the server didn't say
+ */
+export const getRetryAfterSeconds = (error) => {
+  if (!error) return null;
+
+  if (Number.isFinite(error.retryAfter)) {
+    return error.retryAfter;
+  }
+
+  const data = error.data ?? error.response?.data;
+  const lockedUntil = data?.locked_until ? Date.parse(data.locked_until) : NaN;
+  if (!Number.isNaN(lockedUntil)) {
+    return Math.max(0, Math.ceil((lockedUntil - Date.now()) / 1000));
+  }
+
+  const header = error.response?.headers?.['retry-after'];
+  const seconds = Number(header);
+  return header !== undefined && Number.isFinite(seconds) ? Math.max(0, Math.ceil(seconds)) : null;
+};
+
+/**
+ * Check if an error means the account is locked after too many failed sign-ins
+ * @param {Object} error - Normalised API error or axios error
+ * @returns {boolean} - True if the account is locked
+ */
+export const isAccountLockedError = (error) => {
+  if (!error) return false;
+
+  const status = error.status ?? error.response?.status;
+  const data = error.data ?? error.response?.data;
+  const code = data?.code || data?.error_code || data?.detail?.code;
+
+  if (status === 423 || code === 'account_locked') return true;
+
+  const detail = typeof data?.detail === 'string' ? data.detail : '';
+  return status === 403 && /locked/i.test(detail);
+};
+
+/**
+ * Describe a wait in words, e.g. "2 minutes" or "45 seconds"
+ * @param {number} seconds - Seconds to wait
+ * @returns {string} - Human readable wait
+ */
+const describeWait = (seconds) => {
+  if (seconds >= 60) {
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  }
+  return `${seconds} second${seconds === 1 ? '' : 's'}`;
+};
+
 /**
  * Get user-friendly error message for authentication errors
  * @param {Object} error - The error object from API response
  * @param {string} loginType - 'email' or 'phone'
- * @returns {Object} - Object with message, showRegisterLink flag, and field errors
+ * @returns {Object} - Object with message, showRegisterLink flag, field errors and,
+ *   for rate limits and lockouts, retryAfter seconds and a locked flag
  */
 export const getAuthErrorMessage = (error, loginType = 'email') => {
+  if (isAccountLockedError(error)) {
+    const retryAfter = getRetryAfterSeconds(error);
+    return {
+      message: retryAfter
+        ? `Your account has been locked after too many failed sign-in attempts. Try again in ${describeWait(retryAfter)}, or unlock it now with a verification code.`
+        : 'Your account has been locked after too many failed sign-in attempts. Unlock it with a verification code to continue.',
+      showRegisterLink: false,
+      locked: true,
+      retryAfter,
+    };
+  }
+
+  if ((error.status ?? error.response?.status) === 429) {
+    const retryAfter = getRetryAfterSeconds(error);
+    return {
+      message: retryAfter
+        ? `Too many sign-in attempts. Please wait ${describeWait(retryAfter)} before trying again.`
+        : 'Too many sign-in attempts. Please wait a moment before trying again.',
+      showRegisterLink: false,
+      retryAfter,
+    };
+  }
+
   if (isUserNotFoundError(error)) {
     return {
       message: `No account found with this ${loginType === 'email' ? 'email' : 'phone number'}. Would you like to create an account instead?`,
@@ -113,6 +191,37 @@ export const getAuthErrorMessage = (error, loginType = 'email') => {
   };
 };
 
+/**
+ * Get user-friendly error message for a failed one-time code (email or phone OTP) check
+ * @param {Object} error - Normalised API error or axios error
+ * @returns {string} - Message to show next to the code input
+ */
+export const getOtpErrorMessage = (error) => {
+  const status = error?.status ?? error?.response?.status;
+  const data = error?.data ?? error?.response?.data;
+  const detail = typeof data?.detail === 'string' ? data.detail : '';
+
+  if (status === 410 || /expired/i.test(detail)) {
+    return 'This code has expired. Please request a new one.';
+  }
+  if (status === 400 || status === 401) {
+    return detail || 'Invalid verification code. Please check and try again.';
+  }
+  if (status === 409) {
+    return detail || 'That address is already in use by another account.';
+  }
+  if (status === 429) {
+    const retryAfter = getRetryAfterSeconds(error);
+    return retryAfter
+      ? `Too many attempts. Please wait ${describeWait(retryAfter)} before trying again.`
+      : 'Too many attempts. Please wait a moment before trying again.';
+  }
+  if (error?.type === 'network' || error?.message === 'Network Error') {
+    return 'Connection error. Please check your internet connection and try again.';
+  }
+  return detail || 'Verification failed. Please try again later.';
+};
+
 /**
  * Extract field-specific validation errors from API response
  * @param {Object} errorData - The error data from API response
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest'
+import { getAuthErrorMessage, getRetryAfterSeconds, isAccountLockedError } from './errorHelpers'
+
+describe('errorHelpers', () => {
+  it('reads the wait from a normalised error, locked_until or the raw header', () => {
+    expect(getRetryAfterSeconds({ status: 429, retryAfter: 30 })).toBe(30)
+
+    const lockedUntil = new Date(Date.now() + 90 * 1000).toISOString()
+    expect(getRetryAfterSeconds({ status: 423, data: { locked_until: lockedUntil } })).toBeGreaterThanOrEqual(89)
+
+    expect(getRetryAfterSeconds({ response: { status: 429, headers: { 'retry-after': '12' } } })).toBe(12)
+    expect(getRetryAfterSeconds({ status: 429 })).toBeNull()
+  })
+
+  it('recognises locked accounts by status, code or message', () => {
+    expect(isAccountLockedError({ status: 423 })).toBe(true)
+    expect(isAccountLockedError({ status: 403, data: { code: 'account_locked' } })).toBe(true)
+    expect(isAccountLockedError({ response: { status: 403, data: { detail: 'Account locked' } } })).toBe(true)
+    expect(isAccountLockedError({ status: 403, data: { detail: 'Forbidden' } })).toBe(false)
+  })
+
+  it('explains rate limits with the wait', () => {
+    const result = getAuthErrorMessage({ status: 429, retryAfter: 120 })
+
+    expect(result.message).toBe('Too many sign-in attempts. Please wait 2 minutes before trying again.')
+    expect(result.retryAfter).toBe(120)
+    expect(result.locked).toBeUndefined()
+  })
+
+  it('explains lockouts and offers an unlock path', () => {
+    const result = getAuthErrorMessage({ status: 423, retryAfter: 45, data: {} })
+
+    expect(result.locked).toBe(true)
+    expect(result.retryAfter).toBe(45)
+    expect(result.message).toContain('Try again in 45 seconds')
+    expect(result.message).toContain('verification code')
+  })
+})
@@ -309,6 +309,19 @@ export const formatDuration = (months) => {
   return `${years} year${years === 1 ? '' : 's'} ${remainingMonths} month${remainingMonths === 1 ? '' : 's'}`
 }
 
+/**
+ * Format a countdown as m:ss
+ * @param {number} seconds - Seconds remaining
+ * @returns {string} Formatted countdown, e.g. "1:05"
+ */
+export const formatCountdown = (seconds) => {
+  const total = Math.max(0, Math.ceil(seconds || 0))
+  const minutes = Math.floor(total / 60)
+  const remainder = total % 60
+
+  return `${minutes}:${String(remainder).padStart(2, '0')}`
+}
+
 /**
  * Format status badges with appropriate styling classes
  * @param {string} status - The status value
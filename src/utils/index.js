@@ -12,6 +12,7 @@ export {
   formatPhoneNumber,
   formatFileSize,
   formatDuration,
+  formatCountdown,
   formatStatus,
 } from './formatters.js'
 
@@ -58,7 +59,10 @@ export * from './imageOptimization.js'
 // Error handling utilities
 export {
   isUserNotFoundError,
+  isAccountLockedError,
+  getRetryAfterSeconds,
   getAuthErrorMessage,
+  getOtpErrorMessage,
   extractValidationErrors,
 } from './errorHelpers.js'
 
@@ -158,53 +158,6 @@ export const calculateMonthlyReturns = (amount, monthlyRate) => {
   return (amount * monthlyRate) / 100;
 };
 
-/**
- * Parse and validate product data from API response
- * @param {Object} product - Raw product data from API
- * @returns {Object} Parsed and validated product data
- */
-export const parseProductData = (product) => {
-  if (!product) return {};
-  
-  return {
-    id: product.id || '',
-    slug: product.slug || '',
-    name: product.name || 'Investment Product',
-    subtitle: product.subtitle || '',
-    description: product.description || product.short_description || '',
-    shortDescription: product.short_description || '',
-    minimumInvestment: parseFloat(product.minimum_investment) || 0,
-    maximumInvestment: parseFloat(product.maximum_investment) || 0,
-    expectedAnnualReturn: parseFloat(product.expected_annual_return) || 0,
-    expectedMonthlyReturn: parseFloat(product.expected_monthly_return) || 0,
-    monthlyPayout: parseFloat(product.monthly_payout) || 0,
-    annualPayout: parseFloat(product.annual_payout) || 0,
-    duration: parseInt(product.investment_duration_months) || 0,
-    status: product.status || 'inactive',
-    investmentType: product.investment_type || 'investment',
-    featuredImage: getProductImageUrl(product.featured_image),
-    galleryImages: processGalleryImages(product.gallery_images),
-    useVariableRates: product.use_variable_rates || false,
-    yearlyReturnRates: product.yearly_return_rates || [],
-    totalUnitsAvailable: parseInt(product.total_units_available) || 0,
-    unitsSold: parseInt(product.units_sold) || 0,
-    totalRaised: parseFloat(product.total_raised) || 0,
-    fundingGoal: parseFloat(product.funding_goal) || 0,
-    totalInvestors: parseInt(product.total_investors) || 0,
-    features: product.features || {},
-    technicalSpecs: product.technical_specs || {},
-    useCases: product.use_cases || {},
-    riskFactors: product.risk_factors || {},
-    capitalAllocation: product.capital_allocation || {},
-    overviewContent: product.overview_content || '',
-    howItWorks: product.how_it_works || '',
-    fundingStartDate: product.funding_start_date || '',
-    fundingEndDate: product.funding_end_date || '',
-    createdAt: product.created_at || '',
-    updatedAt: product.updated_at || ''
-  };
-};
-
 /**
  * Determine risk level from risk factors
  * @param {Object} riskFactors - Risk factors object
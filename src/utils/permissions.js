@@ -0,0 +1,71 @@
+/**
+ * Role and permission helpers
+ * Access is derived from the access token's claims so the UI never has to
+ * probe protected endpoints to find out what the user may see.
+ * The API still enforces every check; these only decide what to render.
+ */
+
+import { ROLES, ROLE_PERMISSIONS } from './constants'
+
+const toList = (value) => {
+  if (!value) return []
+  if (Array.isArray(value)) return value.filter((item) => typeof item === 'string')
+  // OAuth-style scopes are a space-separated string
+  if (typeof value === 'string') return value.split(/\s+/).filter(Boolean)
+  return []
+}
+
+const normalize = (values) => [...new Set(values.map((value) => value.toLowerCase()))]
+
+/**
+ * Extract roles and permissions from decoded JWT claims
+ * @param {Object|null} claims - Decoded access token payload
+ * @returns {{ roles: string[], permissions: string[] }} Normalised roles and effective permissions
+ */
+export const getAccessFromClaims = (claims) => {
+  if (!claims) {
+    return { roles: [], permissions: [] }
+  }
+
+  const roles = normalize([
+    ...toList(claims.roles),
+    ...toList(claims.role),
+    // Flags used by Django-style backends
+    ...(claims.is_admin || claims.is_superuser ? [ROLES.ADMIN] : []),
+    ...(claims.is_staff ? [ROLES.STAFF] : []),
+  ])
+
+  const permissions = normalize([
+    ...toList(claims.permissions),
+    ...toList(claims.scope),
+    ...toList(claims.scopes),
+    ...roles.flatMap((role) => ROLE_PERMISSIONS[role] || []),
+  ])
+
+  return { roles, permissions }
+}
+
+/**
+ * Check whether the user has at least one of the given roles
+ * @param {string[]} userRoles - Roles the user holds
+ * @param {string|string[]} required - Role or roles, any of which is sufficient
+ * @returns {boolean} True if no role is required or one matches
+ */
+export const hasAnyRole = (userRoles, required) => {
+  const requiredRoles = toList(required)
+  if (requiredRoles.length === 0) return true
+
+  return requiredRoles.some((role) => userRoles.includes(role.toLowerCase()))
+}
+
+/**
+ * Check whether the user has every given permission
+ * @param {string[]} userPermissions - Permissions the user holds
+ * @param {string|string[]} required - Permission or permissions, all of which are needed
+ * @returns {boolean} True if all required permissions are held
+ */
+export const hasAllPermissions = (userPermissions, required) => {
+  const requiredPermissions = Array.isArray(required) ? required : [required].filter(Boolean)
+
+  return requiredPermissions.every((permission) => userPermissions.includes(permission.toLowerCase()))
+}
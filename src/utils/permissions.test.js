@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest'
+import { getAccessFromClaims, hasAnyRole, hasAllPermissions } from './permissions'
+import { PERMISSIONS } from './constants'
+
+describe('permissions', () => {
+  it('reads roles and explicit permissions from token claims', () => {
+    const access = getAccessFromClaims({
+      sub: 'user-1',
+      roles: ['Staff'],
+      scope: 'reports:read profile:write',
+    })
+
+    expect(access.roles).toEqual(['staff'])
+    expect(access.permissions).toEqual(expect.arrayContaining([
+      'reports:read',
+      'profile:write',
+      PERMISSIONS.VIEW_USERS,
+    ]))
+    expect(access.permissions).not.toContain(PERMISSIONS.MANAGE_USERS)
+  })
+
+  it('treats admin flags as the admin role', () => {
+    const access = getAccessFromClaims({ sub: 'user-1', is_superuser: true })
+
+    expect(access.roles).toContain('admin')
+    expect(hasAllPermissions(access.permissions, Object.values(PERMISSIONS))).toBe(true)
+  })
+
+  it('grants nothing when there are no claims', () => {
+    const access = getAccessFromClaims(null)
+
+    expect(access).toEqual({ roles: [], permissions: [] })
+    expect(hasAnyRole(access.roles, ['admin'])).toBe(false)
+    expect(hasAllPermissions(access.permissions, PERMISSIONS.VIEW_USERS)).toBe(false)
+  })
+
+  it('requires any one role but every permission', () => {
+    expect(hasAnyRole(['staff'], ['admin', 'staff'])).toBe(true)
+    expect(hasAnyRole(['user'], 'admin')).toBe(false)
+    expect(hasAllPermissions(['users:read'], ['users:read', 'users:write'])).toBe(false)
+    expect(hasAllPermissions(['users:read', 'users:write'], ['users:read', 'users:write'])).toBe(true)
+  })
+})
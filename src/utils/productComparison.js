@@ -0,0 +1,111 @@
+/**
+ * Rows of the product comparison table and how to pick the best value in each.
+ */
+
+import {
+  formatCurrency,
+  formatPercentage,
+  formatDuration,
+  calculateFundingProgress,
+  getRiskLevelDetails,
+} from './investmentHelpers'
+
+const RISK_RANK = { Low: 1, Medium: 2, High: 3 }
+
+/**
+ * Compared attributes. `value` gives the number compared (null when the
+ * product has none), `format` what is shown, and `better` which end wins:
+ * 'higher', 'lower' or null for rows that are only informative.
+ */
+export const COMPARISON_ROWS = [
+  {
+    key: 'minimumInvestment',
+    label: 'Minimum investment',
+    value: (product) => product.minimumInvestment,
+    format: (product) => formatCurrency(product.minimumInvestment, product.currency),
+    better: 'lower',
+  },
+  {
+    key: 'maximumInvestment',
+    label: 'Maximum investment',
+    // No maximum beats any maximum
+    value: (product) => (product.maximumInvestment > 0 ? product.maximumInvestment : Infinity),
+    format: (product) => (product.maximumInvestment > 0
+      ? formatCurrency(product.maximumInvestment, product.currency)
+      : 'No limit'),
+    better: 'higher',
+  },
+  {
+    key: 'expectedAnnualReturn',
+    label: 'Expected annual return',
+    value: (product) => product.expectedAnnualReturn,
+    format: (product) => formatPercentage(product.expectedAnnualReturn),
+    better: 'higher',
+  },
+  {
+    key: 'expectedMonthlyReturn',
+    label: 'Expected monthly return',
+    value: (product) => (product.expectedMonthlyReturn > 0 ? product.expectedMonthlyReturn : null),
+    format: (product) => (product.expectedMonthlyReturn > 0 ? formatPercentage(product.expectedMonthlyReturn) : '—'),
+    better: 'higher',
+  },
+  {
+    key: 'duration',
+    label: 'Duration',
+    // Money comes back sooner
+    value: (product) => product.duration || null,
+    format: (product) => formatDuration(product.duration),
+    better: 'lower',
+  },
+  {
+    key: 'riskLevel',
+    label: 'Risk level',
+    value: (product) => RISK_RANK[getRiskLevelDetails(product.riskFactors).level],
+    format: (product) => getRiskLevelDetails(product.riskFactors).level,
+    better: 'lower',
+  },
+  {
+    key: 'fundingProgress',
+    label: 'Funding progress',
+    value: (product) => calculateFundingProgress(product.totalRaised, product.fundingGoal),
+    format: (product) => `${calculateFundingProgress(product.totalRaised, product.fundingGoal).toFixed(1)}% funded`,
+    better: null,
+  },
+  {
+    key: 'monthlyPayout',
+    label: 'Monthly payout',
+    value: (product) => (product.monthlyPayout > 0 ? product.monthlyPayout : null),
+    format: (product) => (product.monthlyPayout > 0 ? formatCurrency(product.monthlyPayout, product.currency) : '—'),
+    better: 'higher',
+  },
+  {
+    key: 'annualPayout',
+    label: 'Annual payout',
+    value: (product) => (product.annualPayout > 0 ? product.annualPayout : null),
+    format: (product) => (product.annualPayout > 0 ? formatCurrency(product.annualPayout, product.currency) : '—'),
+    better: 'higher',
+  },
+]
+
+/**
+ * Products holding the best value of a row. Nothing is highlighted for
+ * informative rows, when fewer than two products have a value, or when they
+ * all have the same one.
+ * @param {Object} row - One of COMPARISON_ROWS
+ * @param {Object[]} products - Compared products
+ * @returns {Set<string>} IDs of the best products (ties are all included)
+ */
+export const getBestProductIds = (row, products) => {
+  if (!row.better) return new Set()
+
+  const values = products
+    .map((product) => ({ id: product.id, value: row.value(product) }))
+    .filter(({ value }) => value !== null && value !== undefined && !Number.isNaN(value))
+  if (values.length < 2) return new Set()
+
+  const pickBest = row.better === 'higher' ? Math.max : Math.min
+  const best = pickBest(...values.map(({ value }) => value))
+  if (values.every(({ value }) => value === best)) return new Set()
+
+  return new Set(values.filter(({ value }) => value === best).map(({ id }) => id))
+}
@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest'
+import { COMPARISON_ROWS, getBestProductIds } from './productComparison'
+
+const row = (key) => COMPARISON_ROWS.find((item) => item.key === key)
+
+const products = [
+  { id: 'a', minimumInvestment: 500, maximumInvestment: 10000, expectedAnnualReturn: 12, expectedMonthlyReturn: 0, duration: 24, riskFactors: { market: { level: 'High' } } },
+  { id: 'b', minimumInvestment: 1000, maximumInvestment: 0, expectedAnnualReturn: 15, expectedMonthlyReturn: 1.2, duration: 12, riskFactors: {} },
+  { id: 'c', minimumInvestment: 500, maximumInvestment: 5000, expectedAnnualReturn: 15, expectedMonthlyReturn: 0, duration: 36, riskFactors: {} },
+]
+
+describe('productComparison', () => {
+  it('picks the best value in the direction of each row, keeping ties', () => {
+    expect(getBestProductIds(row('minimumInvestment'), products)).toEqual(new Set(['a', 'c']))
+    expect(getBestProductIds(row('expectedAnnualReturn'), products)).toEqual(new Set(['b', 'c']))
+    expect(getBestProductIds(row('duration'), products)).toEqual(new Set(['b']))
+    expect(getBestProductIds(row('riskLevel'), products)).toEqual(new Set(['b', 'c']))
+  })
+
+  it('treats no maximum investment as the best maximum', () => {
+    expect(getBestProductIds(row('maximumInvestment'), products)).toEqual(new Set(['b']))
+    expect(row('maximumInvestment').format(products[1])).toBe('No limit')
+  })
+
+  it('highlights nothing without at least two values to compare or when they are equal', () => {
+    expect(getBestProductIds(row('expectedMonthlyReturn'), products)).toEqual(new Set())
+    expect(getBestProductIds(row('fundingProgress'), products)).toEqual(new Set())
+    expect(getBestProductIds(row('minimumInvestment'), [products[0], products[2]])).toEqual(new Set())
+  })
+})
@@ -0,0 +1,120 @@
+/**
+ * Product catalogue filters and their query string form.
+ * The URL is the source of truth for the product list, so a filtered view
+ * survives navigation, works with back/forward and can be shared as a link.
+ */
+
+/**
+ * Filters applied when the URL says nothing
+ */
+export const DEFAULT_PRODUCT_FILTERS = {
+  search: '',
+  category: '',
+  riskLevel: '',
+  sortBy: 'expectedReturn',
+  sortOrder: 'desc',
+}
+
+/**
+ * How the list is paged: numbered pages or one continuous list
+ */
+export const PRODUCT_VIEW_MODES = {
+  PAGES: 'pages',
+  INFINITE: 'infinite',
+}
+
+// Query string names, kept short so shared links stay readable
+const PARAM_NAMES = {
+  search: 'q',
+  category: 'category',
+  riskLevel: 'risk',
+  sortBy: 'sort',
+  sortOrder: 'order',
+}
+
+const SORT_FIELDS = ['expectedReturn', 'minimumInvestment', 'duration', 'name']
+const SORT_ORDERS = ['asc', 'desc']
+
+/**
+ * Read the product list state from a query string
+ * @param {URLSearchParams} searchParams - Current query string
+ * @returns {{ filters: Object, page: number, viewMode: string }} Filters, page and view mode
+ */
+export const parseProductListParams = (searchParams) => {
+  const read = (name) => (searchParams.get(PARAM_NAMES[name]) || '').trim()
+  const sortBy = read('sortBy')
+  const sortOrder = read('sortOrder')
+  const page = parseInt(searchParams.get('page'), 10)
+
+  return {
+    filters: {
+      search: read('search'),
+      category: read('category'),
+      riskLevel: read('riskLevel'),
+      // Ignore hand-edited values the API would reject
+      sortBy: SORT_FIELDS.includes(sortBy) ? sortBy : DEFAULT_PRODUCT_FILTERS.sortBy,
+      sortOrder: SORT_ORDERS.includes(sortOrder) ? sortOrder : DEFAULT_PRODUCT_FILTERS.sortOrder,
+    },
+    page: page > 0 ? page : 1,
+    viewMode: searchParams.get('view') === PRODUCT_VIEW_MODES.INFINITE
+      ? PRODUCT_VIEW_MODES.INFINITE
+      : PRODUCT_VIEW_MODES.PAGES,
+  }
+}
+
+/**
+ * Build the query string for a product list state. Defaults are left out.
+ * @param {Object} state - Product list state
+ * @param {Object} state.filters - Filters (see DEFAULT_PRODUCT_FILTERS)
+ * @param {number} state.page - Page, or pages loaded in infinite mode
+ * @param {string} state.viewMode - One of PRODUCT_VIEW_MODES
+ * @returns {URLSearchParams} Query string
+ */
+export const toProductListParams = ({ filters = {}, page = 1, viewMode = PRODUCT_VIEW_MODES.PAGES }) => {
+  const params = new URLSearchParams()
+
+  Object.entries(PARAM_NAMES).forEach(([key, name]) => {
+    const value = String(filters[key] ?? '').trim()
+    if (value && value !== DEFAULT_PRODUCT_FILTERS[key]) params.set(name, value)
+  })
+  if (page > 1) params.set('page', page)
+  if (viewMode === PRODUCT_VIEW_MODES.INFINITE) params.set('view', viewMode)
+
+  return params
+}
+
+/**
+ * Compare form of a category id, so `real-estate`, `real_estate` and
+ * `Real Estate` (e.g. from an old link) all name the same category
+ * @param {string} id - Category id
+ * @returns {string} Lower-case id with underscores
+ */
+export const normalizeCategoryId = (id) => String(id ?? '').trim().toLowerCase().replace(/[\s-]+/g, '_')
+
+/**
+ * Find a category by id in any of its spellings
+ * @param {Array<{ id: string }>} categories - Categories from the investment service
+ * @param {string} id - Category id to look for
+ * @returns {Object|undefined} Matching category
+ */
+export const findCategory = (categories, id) => {
+  if (!id) return undefined
+  const wanted = normalizeCategoryId(id)
+  return categories.find((category) => normalizeCategoryId(category.id) === wanted)
+}
+
+/**
+ * Name to show for a category. Categories the service sends without a
+ * display name get one made from the id, e.g. `cold_storage` → `Cold Storage`.
+ * @param {{ id: string, name: string }} category - Category
+ * @returns {string} Display name
+ */
+export const getCategoryLabel = (category) => {
+  if (category.name && category.name !== category.id) return category.name
+
+  return normalizeCategoryId(category.id)
+    .split('_')
+    .filter(Boolean)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ')
+}
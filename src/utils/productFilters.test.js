@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest'
+import {
+  parseProductListParams,
+  toProductListParams,
+  findCategory,
+  getCategoryLabel,
+  PRODUCT_VIEW_MODES,
+} from './productFilters'
+
+describe('productFilters', () => {
+  it('round-trips list state through the query string, leaving defaults out', () => {
+    const state = {
+      filters: { search: 'solar', category: 'energy', riskLevel: '', sortBy: 'expectedReturn', sortOrder: 'asc' },
+      page: 3,
+      viewMode: PRODUCT_VIEW_MODES.INFINITE,
+    }
+
+    const params = toProductListParams(state)
+
+    expect(params.toString()).toBe('q=solar&category=energy&order=asc&page=3&view=infinite')
+    expect(parseProductListParams(params)).toEqual(state)
+  })
+
+  it('falls back to defaults for values it does not recognise', () => {
+    const { filters, page, viewMode } = parseProductListParams(new URLSearchParams('sort=drop&order=up&page=-2&view=grid'))
+
+    expect(filters).toMatchObject({ sortBy: 'expectedReturn', sortOrder: 'desc' })
+    expect(page).toBe(1)
+    expect(viewMode).toBe(PRODUCT_VIEW_MODES.PAGES)
+  })
+
+  it('matches categories in any spelling and names unlabelled ones', () => {
+    const categories = [{ id: 'real_estate', name: 'real_estate' }]
+
+    expect(findCategory(categories, 'real-estate')).toBe(categories[0])
+    expect(findCategory(categories, 'Real Estate')).toBe(categories[0])
+    expect(getCategoryLabel(categories[0])).toBe('Real Estate')
+    expect(getCategoryLabel({ id: 'energy', name: 'Clean Energy' })).toBe('Clean Energy')
+  })
+})
@@ -0,0 +1,167 @@
+/**
+ * Month-by-month projection of an investment in a product, used by the
+ * returns calculator on the product page and its downloadable schedule.
+ */
+
+/**
+ * What happens to the returns each month: paid out to the investor, or added
+ * to the balance so they earn returns themselves
+ */
+export const PAYOUT_MODES = {
+  MONTHLY: 'monthly',
+  COMPOUND: 'compound',
+}
+
+/**
+ * Longest projection the calculator builds (30 years)
+ */
+export const MAX_PROJECTION_MONTHS = 360
+
+/**
+ * Annual rate applied in a year of the investment. Products with variable
+ * rates use their rate for that year and keep the last listed rate after the
+ * list runs out; the others use the expected annual return throughout.
+ * @param {Object} product - Product
+ * @param {number} year - Year of the investment, starting at 1
+ * @returns {number} Annual rate as a percentage
+ */
+export const getAnnualRateForYear = (product, year) => {
+  const rates = product.useVariableRates ? product.yearlyReturnRates || [] : []
+  if (rates.length === 0) return product.expectedAnnualReturn || 0
+  return rates[Math.min(year, rates.length) - 1] || 0
+}
+
+/**
+ * Project an investment month by month. Each month earns a twelfth of the
+ * annual rate for its year, on the amount invested when returns are paid out
+ * or on the running balance when they are compounded.
+ * @param {Object} product - Product
+ * @param {Object} options
+ * @param {number} options.amount - Amount invested
+ * @param {number} options.months - Duration in months
+ * @param {string} [options.payoutMode] - One of PAYOUT_MODES
+ * @returns {Object|null} { months, years, totals }, or null for an amount or
+ *   duration that can't be projected
+ */
+export const buildReturnSchedule = (product, { amount, months, payoutMode = PAYOUT_MODES.MONTHLY }) => {
+  const principal = Number(amount)
+  const duration = Math.trunc(Number(months))
+  if (!(principal > 0) || !(duration >= 1) || duration > MAX_PROJECTION_MONTHS) return null
+
+  const compound = payoutMode === PAYOUT_MODES.COMPOUND
+  const monthRows = []
+  const yearRows = []
+  let balance = principal
+  let cumulativeReturns = 0
+
+  for (let month = 1; month <= duration; month += 1) {
+    const year = Math.ceil(month / 12)
+    const annualRate = getAnnualRateForYear(product, year)
+    const openingBalance = balance
+    const returns = (compound ? balance : principal) * annualRate / 100 / 12
+    const payout = compound ? 0 : returns
+
+    if (compound) balance += returns
+    cumulativeReturns += returns
+
+    monthRows.push({
+      month,
+      year,
+      annualRate,
+      openingBalance,
+      returns,
+      payout,
+      closingBalance: balance,
+      cumulativeReturns,
+    })
+
+    if (month % 12 === 1) {
+      yearRows.push({
+        year,
+        annualRate,
+        months: 0,
+        openingBalance,
+        returns: 0,
+        payout: 0,
+        closingBalance: balance,
+        cumulativeReturns,
+      })
+    }
+    const yearRow = yearRows[yearRows.length - 1]
+    yearRow.months += 1
+    yearRow.returns += returns
+    yearRow.payout += payout
+    yearRow.closingBalance = balance
+    yearRow.cumulativeReturns = cumulativeReturns
+  }
+
+  const totalPayouts = compound ? 0 : cumulativeReturns
+
+  return {
+    months: monthRows,
+    years: yearRows,
+    totals: {
+      amount: principal,
+      months: duration,
+      totalReturns: cumulativeReturns,
+      totalPayouts,
+      // Paid back at the end of the term
+      finalBalance: balance,
+      totalValue: balance + totalPayouts,
+      returnOnInvestment: (cumulativeReturns / principal) * 100,
+    },
+  }
+}
+
+const escapeCsvValue = (value) => {
+  const text = String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const toCsvLine = (values) => values.map(escapeCsvValue).join(',')
+
+const toAmount = (value) => value.toFixed(2)
+
+/**
+ * Schedule as CSV for download, one row per month or per year followed by a
+ * total row. Amounts are plain numbers so spreadsheets can sum them.
+ * @param {Object} schedule - Result of buildReturnSchedule
+ * @param {Object} [options]
+ * @param {'monthly'|'yearly'} [options.period] - Row per month or per year
+ * @param {string} [options.currency] - Currency code shown in the headers
+ * @returns {string} CSV text
+ */
+export const scheduleToCsv = (schedule, { period = 'yearly', currency = '' } = {}) => {
+  const unit = currency ? ` (${currency})` : ''
+  const amountHeaders = [
+    `Opening balance${unit}`,
+    `Returns${unit}`,
+    `Paid out${unit}`,
+    `Closing balance${unit}`,
+    `Cumulative returns${unit}`,
+  ]
+  const amounts = (row) => [
+    toAmount(row.openingBalance),
+    toAmount(row.returns),
+    toAmount(row.payout),
+    toAmount(row.closingBalance),
+    toAmount(row.cumulativeReturns),
+  ]
+  const { totals } = schedule
+
+  const lines = period === 'monthly'
+    ? [
+        toCsvLine(['Month', 'Year', 'Annual rate (%)', ...amountHeaders]),
+        ...schedule.months.map((row) => toCsvLine([row.month, row.year, row.annualRate, ...amounts(row)])),
+        toCsvLine(['Total', '', '', toAmount(totals.amount), toAmount(totals.totalReturns),
+          toAmount(totals.totalPayouts), toAmount(totals.finalBalance), toAmount(totals.totalReturns)]),
+      ]
+    : [
+        toCsvLine(['Year', 'Months', 'Annual rate (%)', ...amountHeaders]),
+        ...schedule.years.map((row) => toCsvLine([row.year, row.months, row.annualRate, ...amounts(row)])),
+        toCsvLine(['Total', totals.months, '', toAmount(totals.amount), toAmount(totals.totalReturns),
+          toAmount(totals.totalPayouts), toAmount(totals.finalBalance), toAmount(totals.totalReturns)]),
+      ]
+
+  return `${lines.join('\n')}\n`
+}
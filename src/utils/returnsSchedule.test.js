@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest'
+import {
+  PAYOUT_MODES,
+  MAX_PROJECTION_MONTHS,
+  getAnnualRateForYear,
+  buildReturnSchedule,
+  scheduleToCsv,
+} from './returnsSchedule'
+
+const fixedProduct = { expectedAnnualReturn: 12, useVariableRates: false, yearlyReturnRates: [] }
+const variableProduct = { expectedAnnualReturn: 12, useVariableRates: true, yearlyReturnRates: [6, 12] }
+
+describe('returnsSchedule', () => {
+  it('uses the yearly rates of variable-rate products and keeps the last one after the list ends', () => {
+    expect(getAnnualRateForYear(fixedProduct, 3)).toBe(12)
+    expect(getAnnualRateForYear(variableProduct, 1)).toBe(6)
+    expect(getAnnualRateForYear(variableProduct, 2)).toBe(12)
+    expect(getAnnualRateForYear(variableProduct, 5)).toBe(12)
+    expect(getAnnualRateForYear({ ...variableProduct, yearlyReturnRates: [] }, 1)).toBe(12)
+  })
+
+  it('pays returns on the amount invested each month', () => {
+    const schedule = buildReturnSchedule(variableProduct, { amount: 1200, months: 18, payoutMode: PAYOUT_MODES.MONTHLY })
+
+    expect(schedule.months).toHaveLength(18)
+    expect(schedule.months[0]).toMatchObject({ month: 1, year: 1, annualRate: 6, returns: 6, payout: 6, closingBalance: 1200 })
+    expect(schedule.months[12]).toMatchObject({ month: 13, year: 2, annualRate: 12, returns: 12, payout: 12 })
+
+    expect(schedule.years).toHaveLength(2)
+    expect(schedule.years[0]).toMatchObject({ year: 1, months: 12, returns: 72, payout: 72 })
+    expect(schedule.years[1]).toMatchObject({ year: 2, months: 6, returns: 72, payout: 72 })
+
+    expect(schedule.totals).toMatchObject({ totalReturns: 144, totalPayouts: 144, finalBalance: 1200, totalValue: 1344, returnOnInvestment: 12 })
+  })
+
+  it('adds returns to the balance when compounding', () => {
+    const schedule = buildReturnSchedule(fixedProduct, { amount: 1000, months: 12, payoutMode: PAYOUT_MODES.COMPOUND })
+
+    expect(schedule.months[0]).toMatchObject({ returns: 10, payout: 0, closingBalance: 1010 })
+    expect(schedule.months[1].returns).toBeCloseTo(10.1)
+    expect(schedule.totals.finalBalance).toBeCloseTo(1000 * 1.01 ** 12)
+    expect(schedule.totals.totalPayouts).toBe(0)
+    expect(schedule.totals.totalValue).toBeCloseTo(schedule.totals.finalBalance)
+    expect(schedule.years[0].closingBalance).toBeCloseTo(schedule.totals.finalBalance)
+  })
+
+  it('projects nothing for an invalid amount or duration', () => {
+    expect(buildReturnSchedule(fixedProduct, { amount: 0, months: 12 })).toBeNull()
+    expect(buildReturnSchedule(fixedProduct, { amount: 'abc', months: 12 })).toBeNull()
+    expect(buildReturnSchedule(fixedProduct, { amount: 1000, months: 0 })).toBeNull()
+    expect(buildReturnSchedule(fixedProduct, { amount: 1000, months: MAX_PROJECTION_MONTHS + 1 })).toBeNull()
+  })
+
+  it('writes the schedule as CSV with a total row', () => {
+    const schedule = buildReturnSchedule(variableProduct, { amount: 1200, months: 18 })
+
+    const yearly = scheduleToCsv(schedule, { currency: 'USD' }).trim().split('\n')
+    expect(yearly[0]).toBe('Year,Months,Annual rate (%),Opening balance (USD),Returns (USD),Paid out (USD),Closing balance (USD),Cumulative returns (USD)')
+    expect(yearly[1]).toBe('1,12,6,1200.00,72.00,72.00,1200.00,72.00')
+    expect(yearly[3]).toBe('Total,18,,1200.00,144.00,144.00,1200.00,144.00')
+
+    const monthly = scheduleToCsv(schedule, { period: 'monthly' }).trim().split('\n')
+    expect(monthly).toHaveLength(20)
+    expect(monthly[0]).toBe('Month,Year,Annual rate (%),Opening balance,Returns,Paid out,Closing balance,Cumulative returns')
+    expect(monthly[1]).toBe('1,1,6,1200.00,6.00,6.00,1200.00,6.00')
+  })
+})
@@ -53,9 +53,9 @@ export const getStorageItem = (key, defaultValue = null) => {
     const item = localStorage.getItem(key)
     if (item === null) return defaultValue
     
-    // Handle JWT tokens (they are stored as plain strings)
-    if (key === 'africa_access_token' || key === 'africa_refresh_token') {
-      return item; // Return as plain string
+    // Handle JWT tokens: written JSON-encoded by setStorageItem, but older builds stored plain strings
+    if (key === STORAGE_KEYS.ACCESS_TOKEN || key === STORAGE_KEYS.REFRESH_TOKEN) {
+      return item.startsWith('"') ? JSON.parse(item) : item;
     }
     
     // Try to parse as JSON, fallback to plain string
@@ -429,7 +429,9 @@ export const clearAllAppData = () => {
   
   // Clear other app-specific data but keep preferences
   const otherKeys = Object.values(STORAGE_KEYS).filter(key => 
-    key !== STORAGE_KEYS.THEME && key !== STORAGE_KEYS.LANGUAGE
+    key !== STORAGE_KEYS.THEME &&
+    key !== STORAGE_KEYS.LANGUAGE &&
+    key !== STORAGE_KEYS.PRODUCT_FILTER_PRESETS
   )
   
   let otherSuccess = true
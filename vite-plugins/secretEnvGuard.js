@@ -0,0 +1,131 @@
+/**
+ * Secret env guard
+ * Every VITE_ variable referenced in client code is inlined into the bundle
+ * and readable by anyone who loads the site. This plugin fails the build when
+ * client code references one whose name looks like a secret, or when one is
+ * set in the build's environment at all: code that passes `import.meta.env`
+ * around whole ships every VITE_ variable without naming any of them.
+ */
+
+// Name fragments that suggest a credential
+const SECRET_NAME_PATTERN = /(SECRET|PASSWORD|PASSWD|PRIVATE|TOKEN|CREDENTIAL|API_KEY|ACCESS_KEY|_KEY$)/
+
+// Public-by-design keys that are safe to ship
+const PUBLIC_NAME_PATTERN = /(PUBLIC|PUBLISHABLE)/
+
+// import.meta.env.VITE_X and import.meta.env['VITE_X']
+const ENV_REFERENCE_PATTERN = /import\.meta\.env(?:\.(VITE_[A-Z0-9_]+)|\[\s*['"`](VITE_[A-Z0-9_]+)['"`]\s*\])/g
+
+// const { VITE_X, VITE_Y: y } = import.meta.env
+const ENV_DESTRUCTURING_PATTERN = /\{([^{}]*)\}\s*=\s*import\.meta\.env\b(?!\s*[.[])/g
+const VITE_NAME_PATTERN = /\bVITE_[A-Z0-9_]+\b/g
+
+/**
+ * Check whether an env variable name looks like a secret
+ * @param {string} name - Variable name
+ * @param {string[]} allow - Names that are known to be safe
+ * @returns {boolean} True if the name looks secret
+ */
+export const isSecretLookingName = (name, allow = []) => {
+  if (allow.includes(name) || PUBLIC_NAME_PATTERN.test(name)) {
+    return false
+  }
+
+  return SECRET_NAME_PATTERN.test(name)
+}
+
+/**
+ * Find secret-looking VITE_ variables referenced in source code
+ * @param {string} code - Module source
+ * @param {string[]} allow - Names that are known to be safe
+ * @returns {Array<{ name: string, line: number }>} Offending references
+ */
+export const findSecretEnvReferences = (code, allow = []) => {
+  const matches = []
+
+  const addMatch = (name, index) => {
+    if (isSecretLookingName(name, allow)) {
+      matches.push({ name, line: code.slice(0, index).split('\n').length })
+    }
+  }
+
+  for (const match of code.matchAll(ENV_REFERENCE_PATTERN)) {
+    addMatch(match[1] || match[2], match.index)
+  }
+
+  for (const match of code.matchAll(ENV_DESTRUCTURING_PATTERN)) {
+    // Offset of the names inside the braces, for the line number
+    const namesStart = match.index + 1
+    for (const name of match[1].matchAll(VITE_NAME_PATTERN)) {
+      addMatch(name[0], namesStart + name.index)
+    }
+  }
+
+  return matches.sort((a, b) => a.line - b.line)
+}
+
+/**
+ * Find secret-looking VITE_ variables set in the build's environment
+ * @param {Object} env - Resolved env, e.g. from loadEnv or the resolved Vite config
+ * @param {string[]} allow - Names that are known to be safe
+ * @returns {string[]} Offending names
+ */
+export const findSecretEnvNames = (env = {}, allow = []) => Object.keys(env)
+  .filter((name) => name.startsWith('VITE_') && isSecretLookingName(name, allow))
+  .sort()
+
+/**
+ * Vite plugin that fails production builds referencing secret-looking VITE_ variables
+ * @param {Object} options - Plugin options
+ * @param {string[]} options.allow - Variable names to let through
+ * @returns {Object} Vite plugin
+ */
+const secretEnvGuard = ({ allow = [] } = {}) => {
+  let env = {}
+
+  return {
+    name: 'secret-env-guard',
+    apply: 'build',
+    enforce: 'pre',
+
+    configResolved(config) {
+      env = config.env || {}
+    },
+
+    buildStart() {
+      const names = findSecretEnvNames(env, allow)
+
+      if (names.length > 0) {
+        this.error(
+          `Secret-looking environment variables are set for this build:\n${names.map((name) => `  ${name}`).join('\n')}\n` +
+          'Every VITE_ variable can end up in the client bundle. Rename it without the VITE_ prefix ' +
+          'and keep it on the server, or add the name to secretEnvGuard({ allow }).'
+        )
+      }
+    },
+
+    transform(code, id) {
+      if (id.includes('/node_modules/') || !/\.(js|jsx|ts|tsx)$/.test(id.split('?')[0])) {
+        return null
+      }
+
+      const references = findSecretEnvReferences(code, allow)
+
+      if (references.length > 0) {
+        const details = references
+          .map(({ name, line }) => `  ${name} (line ${line})`)
+          .join('\n')
+
+        this.error(
+          `${id} references secret-looking environment variables:\n${details}\n` +
+          'VITE_ variables are embedded in the client bundle. Keep secrets on the server ' +
+          '(see the admin dev proxy in vite.config.js) or add the name to secretEnvGuard({ allow }).'
+        )
+      }
+
+      return null
+    },
+  }
+}
+
+export default secretEnvGuard
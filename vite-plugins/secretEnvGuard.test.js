@@ -0,0 +1,68 @@
+import { describe, it, expect, vi } from 'vitest'
+import secretEnvGuard, { findSecretEnvNames, findSecretEnvReferences, isSecretLookingName } from './secretEnvGuard'
+
+describe('secretEnvGuard', () => {
+  it('flags secret-looking names and lets public ones through', () => {
+    expect(isSecretLookingName('VITE_ADMIN_API_KEY')).toBe(true)
+    expect(isSecretLookingName('VITE_JWT_SECRET')).toBe(true)
+    expect(isSecretLookingName('VITE_SERVICE_TOKEN')).toBe(true)
+    expect(isSecretLookingName('VITE_AUTH_SERVICE_URL')).toBe(false)
+    expect(isSecretLookingName('VITE_STRIPE_PUBLISHABLE_KEY')).toBe(false)
+    expect(isSecretLookingName('VITE_MAPS_KEY', ['VITE_MAPS_KEY'])).toBe(false)
+  })
+
+  it('finds dot and bracket references with their line numbers', () => {
+    const code = [
+      "const url = import.meta.env.VITE_AUTH_SERVICE_URL",
+      "const key = import.meta.env.VITE_ADMIN_API_KEY",
+      "const other = import.meta.env['VITE_CLIENT_SECRET']",
+    ].join('\n')
+
+    expect(findSecretEnvReferences(code)).toEqual([
+      { name: 'VITE_ADMIN_API_KEY', line: 2 },
+      { name: 'VITE_CLIENT_SECRET', line: 3 },
+    ])
+  })
+
+  it('finds names destructured from import.meta.env', () => {
+    const code = [
+      'const {',
+      '  VITE_AUTH_SERVICE_URL,',
+      '  VITE_ADMIN_API_KEY: adminKey,',
+      '} = import.meta.env',
+    ].join('\n')
+
+    expect(findSecretEnvReferences(code)).toEqual([{ name: 'VITE_ADMIN_API_KEY', line: 3 }])
+    expect(findSecretEnvReferences('const { VITE_X_TOKEN } = import.meta.env.nested')).toEqual([])
+  })
+
+  it('fails the build when a secret-looking variable is set, used or not', () => {
+    const env = { MODE: 'production', VITE_AUTH_SERVICE_URL: 'https://x', VITE_ADMIN_API_KEY: 'k', ADMIN_PROXY_API_KEY: 'k' }
+    expect(findSecretEnvNames(env)).toEqual(['VITE_ADMIN_API_KEY'])
+    expect(findSecretEnvNames(env, ['VITE_ADMIN_API_KEY'])).toEqual([])
+
+    const plugin = secretEnvGuard()
+    const context = { error: vi.fn() }
+    plugin.configResolved({ env })
+    plugin.buildStart.call(context)
+    expect(context.error).toHaveBeenCalledWith(expect.stringContaining('VITE_ADMIN_API_KEY'))
+
+    const cleanPlugin = secretEnvGuard()
+    const cleanContext = { error: vi.fn() }
+    cleanPlugin.configResolved({ env: { VITE_AUTH_SERVICE_URL: 'https://x' } })
+    cleanPlugin.buildStart.call(cleanContext)
+    expect(cleanContext.error).not.toHaveBeenCalled()
+  })
+
+  it('fails the build for offending client modules only', () => {
+    const plugin = secretEnvGuard()
+    const context = { error: vi.fn() }
+    const code = 'headers["x-api-key"] = import.meta.env.VITE_ADMIN_API_KEY'
+
+    plugin.transform.call(context, code, '/app/node_modules/lib/index.js')
+    expect(context.error).not.toHaveBeenCalled()
+
+    plugin.transform.call(context, code, '/app/src/api/adminClient.js')
+    expect(context.error).toHaveBeenCalledWith(expect.stringContaining('VITE_ADMIN_API_KEY (line 1)'))
+  })
+})
@@ -1,37 +1,76 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 import path from 'path'
+import process from 'process'
+import secretEnvGuard from './vite-plugins/secretEnvGuard'
+
+/**
+ * Dev-only proxy for admin endpoints.
+ * Set ADMIN_PROXY_API_KEY (no VITE_ prefix, so it never reaches the browser) and
+ * VITE_ADMIN_PROXY_PATH in .env.development.local to have the dev server add the
+ * x-api-key header to admin calls. Production builds always talk to the API directly
+ * and rely on the user's bearer token and role.
+ */
+const createAdminProxy = (env) => {
+  const proxyPath = env.VITE_ADMIN_PROXY_PATH
+  const apiKey = env.ADMIN_PROXY_API_KEY
+
+  if (!proxyPath || !apiKey) {
+    return {}
+  }
+
+  const authServiceUrl = env.VITE_AUTH_SERVICE_URL || 'https://siscom.africa/api/v1/auth'
+  const target = new URL(env.ADMIN_PROXY_TARGET || `${authServiceUrl}/admin`)
+
+  return {
+    [proxyPath]: {
+      target: target.origin,
+      changeOrigin: true,
+      secure: env.ADMIN_PROXY_INSECURE !== 'true',
+      rewrite: (requestPath) => requestPath.replace(proxyPath, target.pathname.replace(/\/$/, '')),
+      headers: {
+        'x-api-key': apiKey,
+      },
+    },
+  }
+}
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
-  resolve: {
-    alias: {
-      '@': path.resolve(__dirname, './src'),
+export default defineConfig(({ mode }) => {
+  // Load every variable (not only VITE_) so server-side settings stay out of the bundle
+  const env = loadEnv(mode, process.cwd(), '')
+
+  return {
+    plugins: [react(), secretEnvGuard()],
+    resolve: {
+      alias: {
+        '@': path.resolve(__dirname, './src'),
+      },
     },
-  },
-  server: {
-    port: 3000,
-    host: true,
-  },
-  build: {
-    outDir: 'dist',
-    sourcemap: true,
-    rollupOptions: {
-      output: {
-        manualChunks: {
-          vendor: ['react', 'react-dom'],
-          router: ['react-router-dom'],
-          ui: ['framer-motion', 'lucide-react'],
-          forms: ['react-hook-form'],
-          utils: ['date-fns', 'axios'],
+    server: {
+      port: 3000,
+      host: true,
+      proxy: createAdminProxy(env),
+    },
+    build: {
+      outDir: 'dist',
+      sourcemap: true,
+      rollupOptions: {
+        output: {
+          manualChunks: {
+            vendor: ['react', 'react-dom'],
+            router: ['react-router-dom'],
+            ui: ['framer-motion', 'lucide-react'],
+            forms: ['react-hook-form'],
+            utils: ['date-fns', 'axios'],
+          },
         },
       },
     },
-  },
-  test: {
-    globals: true,
-    environment: 'jsdom',
-    setupFiles: ['./src/test/setup.js'],
-  },
+    test: {
+      globals: true,
+      environment: 'jsdom',
+      setupFiles: ['./src/test/setup.js'],
+    },
+  }
 })